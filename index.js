@@ -16,12 +16,38 @@ const os = require('os');
 
 // Import modules
 const { loadInfectedPackages, getPackageStats } = require('./lib/loader');
-const { findPackageFiles, findMaliciousArtifacts } = require('./lib/scanner');
-const { checkPackageJson, checkPackageLock, checkNodeModules } = require('./lib/analyzer');
+const { loadFeed, loadDatabases, mergeInfectedPackages } = require('./lib/feeds');
+const { loadPack, loadPacks, listPackFiles, describeVersion } = require('./lib/packs');
+const { verifyDatabases } = require('./lib/integrity');
+const { loadSnapshot, diffDatabases, rescanReports } = require('./lib/dbdiff');
+const { findPackageFiles, findMaliciousArtifacts, scanTree } = require('./lib/scanner');
+const {
+  checkPackageJson,
+  checkPackageLock,
+  checkYarnLock,
+  checkLockfile,
+  checkNodeModules,
+  LOCKFILE_TYPES,
+} = require('./lib/analyzer');
+const { checkWorkflow } = require('./lib/workflows');
+const { checkGitRepository } = require('./lib/git');
+const { measureThroughput } = require('./lib/walker');
+const { createTaskRunner, resolveWorkerCount } = require('./lib/worker');
+const { isHistoryLockfile } = require('./lib/history');
+const { findCacheLocations, checkCaches } = require('./lib/caches');
+const {
+  defaultCacheFile,
+  createCacheStamp,
+  loadCache,
+  saveCache,
+  cacheKey,
+  isCacheable,
+  pruneCache,
+} = require('./lib/cache');
 const { checkRunningProcesses, checkCredentialFiles } = require('./lib/system');
-const { printBanner, printHelp, printResults } = require('./lib/output');
+const { printBanner, printHelp, printResults, printDatabaseDiff, printRescanResults } = require('./lib/output');
 const { createReport, saveReports, generateMarkdown, generateHtml } = require('./lib/reporter');
-const { COMMON_PROJECT_DIRS } = require('./lib/config');
+const { COMMON_PROJECT_DIRS, PACKS_DIR } = require('./lib/config');
 
 // ============================================================================
 // CLI ARGUMENT PARSING
@@ -30,67 +56,159 @@ const { COMMON_PROJECT_DIRS } = require('./lib/config');
 function parseArgs(argv) {
   const args = argv.slice(2);
   const options = {
+    command: null,
+    commandArgs: [],
+    rescan: [],
     help: false,
     verbose: false,
     json: false,
     scanAll: false,
     checkProcesses: false,
     checkCredentials: false,
+    checkCaches: false,
     reportFormats: { json: true, markdown: true, html: true },
     outputDir: process.cwd(),
+    databases: [],
+    packs: [],
+    dbKey: null,
+    strictDb: false,
+    concurrency: null,
+    workers: 0,
+    exclude: [],
+    include: [],
+    maxDepth: null,
+    followSymlinks: false,
+    cache: false,
+    cacheFile: null,
+    history: false,
     directories: [],
   };
 
+  // Subcommands: "db diff <old> <new>"
+  if (args[0] === 'db') {
+    options.command = args.shift();
+  }
+
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     switch (arg) {
-      case '-h':
-      case '--help':
-        options.help = true;
-        break;
-      case '-v':
-      case '--verbose':
-        options.verbose = true;
-        break;
-      case '--json':
-        options.json = true;
-        break;
-      case '--all':
-        options.scanAll = true;
-        break;
-      case '--processes':
-        options.checkProcesses = true;
-        break;
-      case '--credentials':
-        options.checkCredentials = true;
-        break;
-      case '--full':
-        options.checkProcesses = true;
-        options.checkCredentials = true;
-        break;
-      case '--report':
-      case '-r':
-        // Enable all report formats
-        options.reportFormats.markdown = true;
-        options.reportFormats.html = true;
-        break;
-      case '--markdown':
-      case '--md':
-        options.reportFormats.markdown = true;
-        break;
-      case '--html':
-        options.reportFormats.html = true;
-        break;
-      case '--output':
-      case '-o':
-        if (args[i + 1] && !args[i + 1].startsWith('-')) {
-          options.outputDir = path.resolve(args[++i]);
-        }
-        break;
-      default:
-        if (!arg.startsWith('-')) {
-          options.directories.push(path.resolve(arg));
-        }
+    case '-h':
+    case '--help':
+      options.help = true;
+      break;
+    case '-v':
+    case '--verbose':
+      options.verbose = true;
+      break;
+    case '--json':
+      options.json = true;
+      break;
+    case '--all':
+      options.scanAll = true;
+      break;
+    case '--processes':
+      options.checkProcesses = true;
+      break;
+    case '--credentials':
+      options.checkCredentials = true;
+      break;
+    case '--caches':
+      options.checkCaches = true;
+      break;
+    case '--full':
+      options.checkProcesses = true;
+      options.checkCredentials = true;
+      break;
+    case '--report':
+    case '-r':
+      // Enable all report formats
+      options.reportFormats.markdown = true;
+      options.reportFormats.html = true;
+      break;
+    case '--markdown':
+    case '--md':
+      options.reportFormats.markdown = true;
+      break;
+    case '--html':
+      options.reportFormats.html = true;
+      break;
+    case '--output':
+    case '-o':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.outputDir = path.resolve(args[++i]);
+      }
+      break;
+    case '--db':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.databases.push(path.resolve(args[++i]));
+      }
+      break;
+    case '--pack':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.packs.push(path.resolve(args[++i]));
+      }
+      break;
+    case '--db-key':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.dbKey = path.resolve(args[++i]);
+      }
+      break;
+    case '--strict-db':
+      options.strictDb = true;
+      break;
+    case '--concurrency':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.concurrency = parseInt(args[++i], 10) || null;
+      }
+      break;
+    case '--workers':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.workers = args[++i] === 'auto' ? 'auto' : parseInt(args[i], 10) || 0;
+      }
+      break;
+    case '--exclude':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.exclude.push(args[++i]);
+      }
+      break;
+    case '--include':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.include.push(args[++i]);
+      }
+      break;
+    case '--max-depth':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        const depth = parseInt(args[++i], 10);
+        options.maxDepth = Number.isNaN(depth) ? null : depth;
+      }
+      break;
+    case '--follow-symlinks':
+      options.followSymlinks = true;
+      break;
+    case '--history':
+      options.history = true;
+      break;
+    case '--cache':
+      options.cache = true;
+      break;
+    case '--cache-file':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.cache = true;
+        options.cacheFile = path.resolve(args[++i]);
+      }
+      break;
+    case '--rescan':
+      if (args[i + 1] && !args[i + 1].startsWith('-')) {
+        options.rescan.push(path.resolve(args[++i]));
+      }
+      break;
+    default:
+      if (arg.startsWith('-')) break;
+      if (options.command) {
+        options.commandArgs.push(arg);
+      } else {
+        options.directories.push(path.resolve(arg));
+      }
     }
   }
 
@@ -103,17 +221,52 @@ Worm Buster - Shai-Hulud 2 Malware Scanner
 ==========================================
 
 Usage: worm-buster [options] [directory1] [directory2] ...
+       worm-buster db diff <old> <new> [--rescan REPORT.json ...] [--json]
 
   If no directories are specified, scans the current directory.
   You can specify one or more directories to scan.
 
+  db diff lists the entries added to and removed from the infected packages
+  database between two versions (worm.md, any --db feed format, or a pack).
+  With --rescan, saved JSON reports are re-checked against only the added
+  entries, using the package inventory recorded in each report.
+
 Scan Options:
   -h, --help        Show this help message
   -v, --verbose     Show verbose output including warnings
   --all             Scan all common project directories (~/{code,projects,dev,...})
   --processes       Check for suspicious running processes
   --credentials     Check for credential files that may have been compromised
+  --caches          Check the npm, Yarn and pnpm caches for infected packages
+                    and payload files (with the commands purging them)
   --full            Enable all checks (--processes + --credentials)
+  --history         Also scan the git history of lockfiles for infected
+                    versions locked in the past (commits, authors, branches)
+  --db FILE         Also load an extra IOC feed (repeatable): worm.md-style
+                    .md/.tsv, JSON list, CSV, OSV .json, or a directory of them
+  --pack FILE       Also load a campaign IOC pack (repeatable); the packs
+                    bundled in packs/ are always loaded
+  --db-key FILE     PEM public key to check database signatures (<file>.sig,
+                    SHA256SUMS.sig) against
+  --strict-db       Refuse to scan unless every database file is verified
+                    (signed when --db-key is given, else pinned in SHA256SUMS)
+  --exclude GLOB    Skip files and directories matching GLOB (repeatable);
+                    also read from .wormbusterignore in each scanned directory
+  --include GLOB    Scan entries matching GLOB even if excluded or hidden
+                    (repeatable), e.g. --include .config
+  --max-depth N     Enter at most N directory levels below each scanned directory
+  --follow-symlinks Enter symlinked directories (loops are detected and skipped)
+  --concurrency N   Directories read at the same time (default: 32)
+  --cache           Reuse the results of unchanged package.json, lockfiles and
+                    node_modules from previous scans (discarded when the IOC
+                    database changes); stored in ~/.cache/worm-buster/
+  --cache-file FILE Cache file to use (implies --cache)
+  --workers N|auto  Run detectors on N worker threads, or one per CPU core
+                    but one with auto (default: 0, on the main thread)
+
+Database Diff Options:
+  --rescan FILE     Re-check a saved worm-buster-report.json against the
+                    added entries (repeatable)
 
 Output Options:
   --json            Output results in JSON format only (to stdout)
@@ -131,6 +284,11 @@ Examples:
   worm-buster --full ~/projects            # Full scan with process/credential checks
   worm-buster ~/code --report              # Scan and generate JSON/MD/HTML reports
   worm-buster . --html -o ./reports        # Generate HTML report to ./reports/
+  worm-buster --db blocklist.csv --db osv/ # Add internal blocklist and OSV advisories
+  worm-buster ~/code --exclude dist --exclude 'vendor/**'
+                                           # Skip build output and vendored code
+  worm-buster db diff old/worm.md worm.md --rescan reports/worm-buster-report.json
+                                           # Did today's additions affect us?
 
 Exit Codes:
   0 - No critical issues found
@@ -178,25 +336,69 @@ async function scan(options) {
     printBanner();
   }
 
-  // Load infected packages database
-  const wormFile = path.join(__dirname, 'worm.md');
-
-  if (!fs.existsSync(wormFile)) {
-    const error = `Error: Cannot find worm.md database at ${wormFile}`;
+  // Load IOC packs (bundled campaigns in packs/, then --pack) and extra feeds (--db)
+  const bundledPackFiles = listPackFiles(PACKS_DIR);
+  const packFiles = [...bundledPackFiles, ...(options.packs || [])];
+  const feedFiles = options.databases || [];
+  const missing = [...packFiles, ...feedFiles].find(file => !fs.existsSync(file));
+  let iocs;
+  let integrity;
+
+  try {
+    if (missing) {
+      throw new Error(`Cannot find IOC pack or feed at ${missing}`);
+    }
+    iocs = loadPacks(packFiles);
+    mergeInfectedPackages(iocs.infectedPackages, loadDatabases(feedFiles));
+
+    // Verify signatures / pinned checksums, so a tampered database cannot report CLEAN
+    const packDatabaseFiles = pack => [pack.file, ...pack.feedFiles];
+    const databaseFiles = [...iocs.packs.flatMap(packDatabaseFiles), ...feedFiles];
+    const bundled = iocs.packs.filter(pack => bundledPackFiles.includes(pack.file)).flatMap(packDatabaseFiles);
+    integrity = verifyDatabases(databaseFiles, { keyFile: options.dbKey, strict: options.strictDb, bundled });
+    if (!integrity.ok && options.strictDb) {
+      throw new Error('IOC database integrity check failed (--strict-db):\n' +
+        integrity.failures.map(f => `  ${f.file}: ${f.reason || f.status}`).join('\n'));
+    }
+  } catch (err) {
+    const error = `Error: ${err.message}`;
     if (options.json) {
       console.log(JSON.stringify({ error }));
     } else {
       console.error(error);
-      console.error('Please ensure worm.md is in the same directory as this script.');
+      if (missing) {
+        console.error('Please ensure packs/ and worm.md are in the same directory as this script.');
+      }
     }
     process.exit(1);
   }
 
-  const infectedPackages = loadInfectedPackages(wormFile);
+  // Integrity failures without --strict-db: scan anyway, but say so loudly (stderr, also in --json mode)
+  if (!integrity.ok) {
+    console.error('\n[!] WARNING: IOC DATABASE INTEGRITY CHECK FAILED');
+    for (const failure of integrity.failures) {
+      console.error(`    ${failure.file}: ${failure.reason}`);
+    }
+    console.error('    Entries may have been removed or altered; a CLEAN result cannot be trusted.');
+    console.error('    Use --strict-db to refuse to scan with an unverified database.\n');
+  }
+
+  const infectedPackages = iocs.infectedPackages;
   const stats = getPackageStats(infectedPackages);
 
   if (!options.json) {
-    console.log(`[*] Loaded ${stats.uniquePackages} infected packages (${stats.totalVersions} versions)\n`);
+    console.log(`[*] Loaded ${iocs.packs.length} IOC pack(s): ${iocs.packs.map(p => p.name).join(', ')}`);
+    console.log(`[*] IOC database ${describeVersion(iocs.packs)} (digest ${integrity.digest.slice(0, 16)})`);
+    if (options.verbose) {
+      for (const file of integrity.files) {
+        console.log(`    ${file.status.padEnd(10)} ${file.file}${file.reason ? ` (${file.reason})` : ''}`);
+      }
+    }
+    console.log(`[*] Loaded ${stats.uniquePackages} infected packages (${stats.totalVersions} versions, ${stats.onlineVersions} still online)`);
+    if (feedFiles.length > 0) {
+      console.log(`    including ${feedFiles.length} extra feed(s): ${feedFiles.map(f => path.basename(f)).join(', ')}`);
+    }
+    console.log('');
   }
 
   const findings = {
@@ -204,6 +406,7 @@ async function scan(options) {
     warning: [],
     info: [],
   };
+  const inventory = [];
 
   const errorHandler = options.verbose
     ? (filePath, err) => console.error(`  [!] Error scanning ${filePath}: ${err.message}`)
@@ -216,79 +419,125 @@ async function scan(options) {
     console.log(`[*] Scanning ${directories.length} director${directories.length === 1 ? 'y' : 'ies'}...`);
   }
 
-  // Scan each directory
-  for (const dir of directories) {
-    if (!fs.existsSync(dir)) {
-      if (!options.json) {
-        console.log(`[!] Directory not found: ${dir}`);
-      }
-      continue;
-    }
+  // Reuse the results of unchanged files (--cache); another IOC database discards them
+  const cache = options.cache
+    ? loadCache(options.cacheFile || defaultCacheFile(), createCacheStamp(integrity.digest, options))
+    : null;
+  const cacheStats = { hits: 0, misses: 0 };
+  const cacheSeen = new Set();
+  if (cache && cache.invalidated && !options.json) {
+    console.log(`[*] Scan cache discarded: ${cache.invalidated}`);
+  }
 
-    if (!options.json) {
-      console.log(`\n[*] Scanning: ${dir}`);
-    }
+  const runner = createTaskRunner({ infectedPackages, iocs, options }, resolveWorkerCount(options.workers));
+  const walkStats = { directories: 0, entries: 0, durationMs: 0 };
+  const taskStats = { tasks: 0, durationMs: 0, workers: runner.workers };
 
-    // Find package files
-    const packageFiles = findPackageFiles(dir, options, errorHandler);
-    const packageJsonFiles = packageFiles.filter(f => f.type === 'package.json');
-    const lockFiles = packageFiles.filter(f => f.type === 'package-lock.json');
-    const nodeModulesDirs = packageFiles.filter(f => f.type === 'node_modules');
+  try {
+    // Scan each directory
+    for (const dir of directories) {
+      if (!fs.existsSync(dir)) {
+        if (!options.json) {
+          console.log(`[!] Directory not found: ${dir}`);
+        }
+        continue;
+      }
 
-    if (options.verbose && !options.json) {
-      console.log(`    Found ${packageJsonFiles.length} package.json, ${lockFiles.length} lock files, ${nodeModulesDirs.length} node_modules`);
-    }
+      if (!options.json) {
+        console.log(`\n[*] Scanning: ${dir}`);
+      }
 
-    // Check package.json files
-    for (const { path: filePath } of packageJsonFiles) {
-      const pkgFindings = checkPackageJson(filePath, infectedPackages, options);
-      for (const finding of pkgFindings) {
-        if (finding.severity === 'CRITICAL') {
-          findings.critical.push(finding);
-        } else if (finding.severity === 'WARNING') {
-          findings.warning.push(finding);
-        } else {
-          findings.info.push(finding);
-        }
+      // One walk finds package files and artifact candidates
+      const tree = await scanTree(dir, options, errorHandler, iocs);
+      walkStats.directories += tree.stats.directories;
+      walkStats.entries += tree.stats.entries;
+      walkStats.durationMs += tree.stats.durationMs;
+
+      const { packageFiles } = tree;
+      const packageJsonFiles = packageFiles.filter(f => f.type === 'package.json');
+      const lockFiles = packageFiles.filter(f => LOCKFILE_TYPES.includes(f.type));
+      const nodeModulesDirs = packageFiles.filter(f => f.type === 'node_modules');
+      const workflowFiles = packageFiles.filter(f => f.type === 'workflow');
+      const gitRepositories = packageFiles.filter(f => f.type === 'git');
+
+      if (options.verbose && !options.json) {
+        console.log(`    Found ${packageJsonFiles.length} package.json, ${lockFiles.length} lock files, ${nodeModulesDirs.length} node_modules, ${workflowFiles.length} workflows, ${gitRepositories.length} git repositories`);
       }
-    }
 
-    // Check package-lock.json files
-    for (const { path: filePath } of lockFiles) {
-      const lockFindings = checkPackageLock(filePath, infectedPackages, options);
-      for (const finding of lockFindings) {
-        if (finding.severity === 'CRITICAL') {
-          findings.critical.push(finding);
-        } else if (finding.severity === 'WARNING') {
-          findings.warning.push(finding);
-        } else {
-          findings.info.push(finding);
+      // Detector tasks: package.json files, the JavaScript files of project roots
+      // (payload behaviors), lockfiles, node_modules, GitHub Actions workflows,
+      // local git repositories (GitHub markers), lockfile git history (--history),
+      // then artifact candidates (hashed, exfiltration dumps decoded)
+      const tasks = [
+        ...packageJsonFiles,
+        ...packageJsonFiles.map(({ path: filePath }) => ({ type: 'payloads', path: path.dirname(filePath) })),
+        ...lockFiles,
+        ...nodeModulesDirs,
+        ...workflowFiles,
+        ...gitRepositories,
+        ...(options.history ? lockFiles.filter(({ path: filePath }) => isHistoryLockfile(filePath)).map(({ path: filePath }) => ({ type: 'history', path: filePath })) : []),
+        ...tree.artifacts.map(artifact => ({ type: 'artifact', path: artifact.path, artifact })),
+      ];
+
+      const started = process.hrtime.bigint();
+      const results = await runner.run(cache
+        ? tasks.map(task => (isCacheable(task) ? { ...task, cache: true, cached: cache.entries.get(cacheKey(task)) || null } : task))
+        : tasks);
+      taskStats.tasks += tasks.length;
+      taskStats.durationMs += Number(process.hrtime.bigint() - started) / 1e6;
+
+      for (const [index, result] of results.entries()) {
+        if (result.cache) {
+          const { path: filePath } = tasks[index];
+          const key = cacheKey(tasks[index]);
+          cacheSeen.add(key);
+          cacheStats[result.cache.hit ? 'hits' : 'misses']++;
+          if (result.cache.fingerprint) {
+            const { findings: taskFindings, inventory: taskInventory, errors } = result;
+            cache.entries.set(key, { path: filePath, fingerprint: result.cache.fingerprint, result: { findings: taskFindings, inventory: taskInventory, errors } });
+          } else {
+            cache.entries.delete(key);
+          }
         }
-      }
-    }
 
-    // Check node_modules
-    for (const { path: nmPath } of nodeModulesDirs) {
-      const nmFindings = checkNodeModules(nmPath, infectedPackages, options);
-      for (const finding of nmFindings) {
-        if (finding.severity === 'CRITICAL') {
-          findings.critical.push(finding);
-        } else if (finding.severity === 'WARNING') {
-          findings.warning.push(finding);
-        } else {
-          findings.info.push(finding);
+        // Record every package seen, so saved reports can be re-checked against new IOC entries
+        inventory.push(...result.inventory);
+        if (errorHandler) {
+          for (const error of result.errors) {
+            errorHandler(error.path, error);
+          }
+        }
+        for (const finding of result.findings) {
+          if (finding.severity === 'CRITICAL') {
+            findings.critical.push(finding);
+          } else if (finding.severity === 'WARNING') {
+            findings.warning.push(finding);
+          } else {
+            findings.info.push(finding);
+          }
         }
       }
     }
+  } finally {
+    await runner.close();
+  }
 
-    // Check for malicious artifacts
-    const artifacts = findMaliciousArtifacts(dir, errorHandler);
-    for (const artifact of artifacts) {
-      findings.critical.push({
-        type: 'MALICIOUS_ARTIFACT',
-        severity: 'CRITICAL',
-        ...artifact,
-      });
+  const performance = measureThroughput(walkStats, taskStats);
+  if (cache) {
+    performance.cache = { file: cache.file, ...cacheStats };
+    pruneCache(cache, directories, cacheSeen);
+    try {
+      saveCache(cache);
+    } catch (err) {
+      console.error(`[!] Cannot save the scan cache to ${cache.file}: ${err.message}`);
+    }
+  }
+
+  if (!options.json) {
+    console.log(`\n[*] Walked ${performance.directories} directories (${performance.entries} entries) in ${performance.walkMs} ms (${performance.directoriesPerSecond} dirs/s)`);
+    console.log(`[*] Ran ${performance.tasks} detector tasks in ${performance.taskMs} ms (${performance.tasksPerSecond} tasks/s, ${performance.workers ? `${performance.workers} worker threads` : 'main thread'})`);
+    if (cache) {
+      console.log(`[*] Reused ${cacheStats.hits} of ${cacheStats.hits + cacheStats.misses} cached results (${cache.file})`);
     }
   }
 
@@ -297,7 +546,7 @@ async function scan(options) {
     if (!options.json) {
       console.log('\n[*] Checking for suspicious processes...');
     }
-    const processFindings = checkRunningProcesses();
+    const processFindings = checkRunningProcesses(iocs);
     findings.critical.push(...processFindings);
   }
 
@@ -309,14 +558,38 @@ async function scan(options) {
     findings.info.push(...credFindings);
   }
 
+  if (options.checkCaches) {
+    const locations = findCacheLocations();
+    if (!options.json) {
+      console.log(`[*] Checking package manager caches (${locations.map(location => location.path).join(', ') || 'none found'})...`);
+    }
+    for (const finding of checkCaches(locations, infectedPackages, iocs, options)) {
+      if (finding.severity === 'CRITICAL') {
+        findings.critical.push(finding);
+      } else {
+        findings.info.push(finding);
+      }
+    }
+  }
+
   // Output results
   if (options.json) {
     console.log(JSON.stringify(findings, null, 2));
   } else {
-    printResults(findings, options);
+    printResults(findings, options, iocs.packs);
 
     // Generate reports
-    const report = createReport(findings, options, directories);
+    const report = createReport(findings, options, directories, {
+      packs: iocs.packs,
+      database: {
+        version: describeVersion(iocs.packs),
+        digest: integrity.digest,
+        verified: integrity.ok,
+        files: integrity.files.map(({ file, sha256, status }) => ({ file, sha256, status })),
+      },
+      inventory,
+      performance,
+    });
     const basePath = path.join(options.outputDir, 'worm-buster-report');
 
     // Ensure output directory exists
@@ -335,22 +608,60 @@ async function scan(options) {
   return findings;
 }
 
+// ============================================================================
+// DATABASE DIFF
+// ============================================================================
+
+function dbCommand(options) {
+  const [subcommand, oldFile, newFile] = options.commandArgs;
+  if (subcommand !== 'diff' || !oldFile || !newFile) {
+    throw new Error('Usage: worm-buster db diff <old> <new> [--rescan REPORT.json ...]');
+  }
+
+  const diff = diffDatabases(loadSnapshot(path.resolve(oldFile)), loadSnapshot(path.resolve(newFile)));
+  const rescan = rescanReports(options.rescan, diff.added);
+
+  if (options.json) {
+    console.log(JSON.stringify({ old: oldFile, new: newFile, ...diff, rescan }, null, 2));
+  } else {
+    printBanner();
+    printDatabaseDiff(diff, oldFile, newFile);
+    if (rescan.length > 0) {
+      printRescanResults(rescan, loadPacks(listPackFiles(PACKS_DIR)).packs);
+    }
+  }
+
+  return { ...diff, rescan };
+}
+
 // ============================================================================
 // EXPORTS (for programmatic use and testing)
 // ============================================================================
 
 module.exports = {
   scan,
+  dbCommand,
   parseArgs,
   // Re-export from modules for convenience
   loadInfectedPackages,
+  loadFeed,
+  loadDatabases,
+  loadPack,
+  loadPacks,
+  verifyDatabases,
   findPackageFiles,
   findMaliciousArtifacts,
+  scanTree,
   checkPackageJson,
   checkPackageLock,
+  checkYarnLock,
+  checkLockfile,
   checkNodeModules,
+  checkWorkflow,
+  checkGitRepository,
   checkRunningProcesses,
   checkCredentialFiles,
+  checkCaches,
   createReport,
   generateMarkdown,
   generateHtml,
@@ -368,6 +679,16 @@ if (require.main === module) {
     process.exit(0);
   }
 
+  if (options.command === 'db') {
+    try {
+      const { rescan } = dbCommand(options);
+      process.exit(rescan.some(r => r.findings.length > 0) ? 1 : 0);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(2);
+    }
+  }
+
   scan(options)
     .then(findings => {
       process.exit(findings.critical.length > 0 ? 1 : 0);
@@ -5,16 +5,40 @@ const path = require('path');
 const {
   DEPENDENCY_TYPES,
   SUSPICIOUS_SCRIPTS,
-  SUSPICIOUS_SCRIPT_PATTERNS,
 } = require('./config');
+const {
+  getInfectedVersions,
+  findInfectedRecord,
+  matchPackage,
+  buildIntegrityIndex,
+  matchIntegrity,
+  listInfectedRecords,
+  isRangeEntry,
+  iocDetails,
+} = require('./matcher');
+const semver = require('./semver');
+const { parsePackageLock, findDependencyPaths } = require('./packagelock');
+const { parseYarnLock } = require('./yarn');
+const { parsePnpmLock } = require('./pnpm');
+const { readBunLockfile } = require('./bun');
+const { findInstalledPackages } = require('./scanner');
+const { getDefaultIocs } = require('./packs');
+const { sha256File } = require('./integrity');
+const { analyzeScript, highestConfidence } = require('./scripts');
+const { scanJavaScriptFiles, payloadFinding } = require('./payloads');
+
+// Lifecycle scripts npm runs when installing a package from the registry
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
 
 /**
  * Check package.json for infected dependencies and suspicious scripts
  *
  * @param {string} filePath - Path to package.json
- * @param {Map<string, Set<string>>} infectedPackages - Map of infected packages
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
  * @param {Object} options - Scan options
  * @param {boolean} options.verbose - Include warnings for suspicious packages
+ * @param {Set<string>} options.reads - Collects the other files read (script files)
+ * @param {Array<Object>} options.inventory - Collects the declared dependencies (see lib/inventory.js)
  * @returns {Array} Array of findings
  */
 function checkPackageJson(filePath, infectedPackages, options = {}) {
@@ -40,55 +64,31 @@ function checkPackageJson(filePath, infectedPackages, options = {}) {
     if (!content[depType]) continue;
 
     for (const [pkg, versionSpec] of Object.entries(content[depType])) {
-      if (!infectedPackages.has(pkg)) continue;
-
-      // Extract version from spec (remove ^, ~, >=, etc.)
-      const version = extractVersion(versionSpec);
-      const infectedVersions = infectedPackages.get(pkg);
-
-      if (infectedVersions.has(version)) {
-        findings.push({
-          type: 'INFECTED_PACKAGE',
-          severity: 'CRITICAL',
-          package: pkg,
-          version,
-          declaredVersion: versionSpec,
-          depType,
-          file: filePath,
-        });
-      } else {
-        // Package was targeted in the attack but user has a different version
-        findings.push({
-          type: 'KNOWN_TARGET',
-          severity: 'WARNING',
-          package: pkg,
-          version,
-          declaredVersion: versionSpec,
-          infectedVersions: Array.from(infectedVersions),
-          depType,
-          file: filePath,
-          note: 'This package was compromised in the Shai-Hulud 2 attack but you have a different version. Do NOT upgrade to: ' + Array.from(infectedVersions).join(', '),
-        });
+      if (options.inventory) {
+        options.inventory.push({ package: pkg, version: versionSpec, kind: 'declared', depType, file: filePath });
+      }
+      const finding = checkDeclaredDependency(pkg, versionSpec, infectedPackages);
+      if (finding) {
+        findings.push({ ...finding, depType, file: filePath });
       }
     }
   }
 
-  // Check for suspicious install scripts
+  // Check lifecycle scripts for suspicious behavior (downloads, pipe to shell, ...)
   if (content.scripts) {
     for (const script of SUSPICIOUS_SCRIPTS) {
-      if (!content.scripts[script]) continue;
-
       const scriptContent = content.scripts[script];
-      const isSuspicious = SUSPICIOUS_SCRIPT_PATTERNS.some(pattern =>
-        scriptContent.includes(pattern)
-      );
+      if (typeof scriptContent !== 'string' || !scriptContent) continue;
 
-      if (isSuspicious) {
+      const behaviors = analyzeScript(scriptContent, { baseDir: path.dirname(filePath), reads: options.reads });
+      if (behaviors.length > 0) {
         findings.push({
           type: 'SUSPICIOUS_SCRIPT',
           severity: 'WARNING',
           script,
           content: scriptContent,
+          confidence: highestConfidence(behaviors),
+          behaviors,
           file: filePath,
         });
       }
@@ -98,20 +98,190 @@ function checkPackageJson(filePath, infectedPackages, options = {}) {
   return findings;
 }
 
+/**
+ * Check one declared dependency against the infected packages database
+ *
+ * - An exact version that is infected is an INFECTED_PACKAGE.
+ * - A range is evaluated like npm would: if it allows any infected version,
+ *   it is a RANGE_ALLOWS_INFECTED listing those versions (`allowedVersions`),
+ *   since a fresh install without lockfile could pick them up. It is
+ *   critical unless every allowed version has been pulled from npm.
+ * - Otherwise a listed package is a KNOWN_TARGET.
+ *
+ * `npm:` aliases are checked against the aliased package.
+ *
+ * @param {string} pkg - Dependency name
+ * @param {string} versionSpec - Declared version or range
+ * @param {Map} infectedPackages - Infected packages database
+ * @returns {Object|null} Finding (without file and depType), or null if the package is not listed
+ */
+function checkDeclaredDependency(pkg, versionSpec, infectedPackages) {
+  const alias = String(versionSpec).match(/^npm:((?:@[^/@]+\/)?[^@]+)(?:@(.*))?$/);
+  const name = alias ? alias[1] : pkg;
+  const spec = alias ? (alias[2] || '*') : String(versionSpec).trim();
+
+  const infectedVersions = getInfectedVersions(infectedPackages, name);
+  if (!infectedVersions) return null;
+
+  const base = {
+    package: name,
+    version: spec,
+    declaredVersion: versionSpec,
+  };
+  if (alias) base.aliases = [pkg];
+
+  if (semver.isVersion(spec)) {
+    const record = findInfectedRecord(infectedVersions, spec);
+    if (record) {
+      return {
+        type: 'INFECTED_PACKAGE',
+        severity: 'CRITICAL',
+        ...base,
+        campaign: record.campaign || null,
+        ioc: iocDetails(record),
+      };
+    }
+  } else if (semver.validRange(spec)) {
+    const allowed = listInfectedRecords(infectedVersions).filter(r => (
+      isRangeEntry(r.version) ? semver.intersects(spec, r.version) : semver.satisfies(r.version, spec)
+    ));
+    if (allowed.length > 0) {
+      const allowedVersions = allowed.map(r => r.version);
+      const installable = allowed.some(r => r.status !== 'offline');
+      return {
+        type: 'RANGE_ALLOWS_INFECTED',
+        severity: installable ? 'CRITICAL' : 'WARNING',
+        ...base,
+        allowedVersions,
+        campaign: (allowed.find(r => r.campaign) || {}).campaign || null,
+        iocs: allowed.map(r => ({ version: r.version, ...iocDetails(r) })),
+        note: installable
+          ? `A fresh install (without lockfile) may resolve "${spec}" to an infected version: ${allowedVersions.join(', ')}. Pin a safe version and check your lockfile.`
+          : `"${spec}" allows infected versions (${allowedVersions.join(', ')}) that have been removed from npm, but caches and mirrors may still serve them. Pin a safe version.`,
+      };
+    }
+  }
+
+  // Package was targeted in the attack but the declared version cannot resolve to an infected one
+  const records = listInfectedRecords(infectedVersions);
+  const campaign = (records.find(r => r.campaign) || {}).campaign || null;
+  return {
+    type: 'KNOWN_TARGET',
+    severity: 'WARNING',
+    ...base,
+    infectedVersions: Array.from(infectedVersions.keys()),
+    campaign,
+    iocs: records.map(r => ({ version: r.version, ...iocDetails(r) })),
+    note: `This package was compromised in ${campaign ? `the ${campaign} campaign` : 'a known supply chain attack'} but you have a different version. Do NOT upgrade to: ` + Array.from(infectedVersions.keys()).join(', '),
+  };
+}
+
 /**
  * Check package-lock.json for infected packages
  *
+ * Findings list the dependency paths from the root project to the infected
+ * package (`dependencyPaths`, e.g. app -> eslint-plugin-x@2.0.0 -> infected-pkg@1.0.3),
+ * so the top-level dependency to bump can be identified. v1 lockfiles do not
+ * record the root dependencies: they are read from the package.json next to
+ * the lockfile when there is one.
+ *
  * @param {string} filePath - Path to package-lock.json
- * @param {Map<string, Set<string>>} infectedPackages - Map of infected packages
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
  * @param {Object} options - Scan options
+ * @param {Set<string>} options.reads - Collects the other files read (the package.json)
  * @returns {Array} Array of findings
  */
 function checkPackageLock(filePath, infectedPackages, options = {}) {
+  return checkLockedPackages(filePath, infectedPackages, options,
+    () => parsePackageLock(fs.readFileSync(filePath, 'utf8'), readRootDependencies(filePath, options.reads)));
+}
+
+/**
+ * Read the dependency names of the package.json next to a lockfile
+ *
+ * @param {string} lockfilePath - Lockfile path
+ * @param {Set<string>} reads - Collects the package.json path (optional)
+ * @returns {Array<string>|null} Null if there is no readable package.json
+ */
+function readRootDependencies(lockfilePath, reads = null) {
+  const pkgJsonPath = path.join(path.dirname(lockfilePath), 'package.json');
+  if (reads) reads.add(pkgJsonPath);
+  try {
+    const pkgJson = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
+    return [...new Set(DEPENDENCY_TYPES.flatMap(depType => Object.keys(pkgJson[depType] || {})))];
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check yarn.lock (classic v1 or Berry) for infected packages
+ *
+ * Aliased packages ("my-alias@npm:real-pkg@^1.0.0") are reported under
+ * their real name, with the names they are installed as in `aliases`.
+ *
+ * @param {string} filePath - Path to yarn.lock
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
+ * @param {Object} options - Scan options
+ * @returns {Array} Array of findings
+ */
+function checkYarnLock(filePath, infectedPackages, options = {}) {
+  return checkLockedPackages(filePath, infectedPackages, options, () => parseYarnLock(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Check pnpm-lock.yaml (v5, v6 or v9) for infected packages
+ *
+ * Findings list the workspace packages (`importers`, paths relative to the
+ * lockfile) that depend on the infected package directly; transitive
+ * dependencies have none.
+ *
+ * @param {string} filePath - Path to pnpm-lock.yaml
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
+ * @param {Object} options - Scan options
+ * @returns {Array} Array of findings
+ */
+function checkPnpmLock(filePath, infectedPackages, options = {}) {
+  return checkLockedPackages(filePath, infectedPackages, options, () => parsePnpmLock(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Check bun.lock (text) or bun.lockb (binary) for infected packages
+ *
+ * Findings from bun.lock list the workspaces (`importers`) depending on the
+ * infected package directly. bun.lockb is read from the registry tarball
+ * URLs it stores, without aliases or workspaces.
+ *
+ * @param {string} filePath - Path to bun.lock or bun.lockb
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
+ * @param {Object} options - Scan options
+ * @returns {Array} Array of findings
+ */
+function checkBunLock(filePath, infectedPackages, options = {}) {
+  return checkLockedPackages(filePath, infectedPackages, options, () => readBunLockfile(filePath));
+}
+
+/**
+ * Parse a lockfile and report its infected packages (shared by every lockfile format)
+ *
+ * Each locked package is matched by name and version, then by tarball
+ * integrity (see matchLockedPackage). Findings carry what the format
+ * records: `aliases`, `importers` (pnpm, bun.lock) and, when the parser
+ * returns the dependency graph (`nodes`, package-lock.json), `dependencyPaths`.
+ *
+ * @param {string} filePath - Path to the lockfile
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
+ * @param {Object} options - Scan options
+ * @param {Array<Object>} options.inventory - Collects the locked packages (see lib/inventory.js)
+ * @param {Function} parse - Returns the parsed lockfile ({packages: [{name, version, integrity, aliases, importers?, location?}]})
+ * @returns {Array} Array of findings
+ */
+function checkLockedPackages(filePath, infectedPackages, options, parse) {
   const findings = [];
-  let content;
+  let lockfile;
 
   try {
-    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    lockfile = parse();
   } catch (err) {
     if (options.verbose) {
       findings.push({
@@ -124,77 +294,117 @@ function checkPackageLock(filePath, infectedPackages, options = {}) {
     return findings;
   }
 
-  // Handle lockfile v2/v3 format (packages object)
-  const packages = content.packages || {};
-  for (const [pkgPath, pkgInfo] of Object.entries(packages)) {
-    if (!pkgPath || pkgPath === '') continue;
+  const integrityIndex = buildIntegrityIndex(infectedPackages);
+  for (const pkg of lockfile.packages) {
+    if (options.inventory) {
+      const entry = { package: pkg.name, version: pkg.version, kind: 'locked', file: filePath };
+      if (pkg.integrity) entry.integrity = pkg.integrity;
+      options.inventory.push(entry);
+    }
 
-    // Extract package name from path like "node_modules/@scope/package"
-    const parts = pkgPath.replace('node_modules/', '').split('node_modules/');
-    const pkgName = parts[parts.length - 1];
+    const match = matchLockedPackage(infectedPackages, integrityIndex, pkg);
+    if (!match) continue;
 
-    if (infectedPackages.has(pkgName) && pkgInfo.version) {
-      const infectedVersions = infectedPackages.get(pkgName);
-      if (infectedVersions.has(pkgInfo.version)) {
-        findings.push({
-          type: 'INFECTED_LOCKED_PACKAGE',
-          severity: 'CRITICAL',
-          package: pkgName,
-          version: pkgInfo.version,
-          file: filePath,
-          installed: true,
-        });
-      }
+    const { record } = match;
+    const finding = {
+      type: 'INFECTED_LOCKED_PACKAGE',
+      severity: 'CRITICAL',
+      package: pkg.name,
+      version: pkg.version,
+      file: filePath,
+      installed: true,
+      campaign: record.campaign || null,
+      ioc: iocDetails(record),
+      ...match.integrityMatch,
+    };
+    if (pkg.importers && pkg.importers.length > 0) finding.importers = pkg.importers;
+    if (pkg.aliases.length > 0) finding.aliases = pkg.aliases;
+    if (lockfile.nodes) {
+      const dependencyPaths = findDependencyPaths(lockfile, pkg.location);
+      if (dependencyPaths.length > 0) finding.dependencyPaths = dependencyPaths;
     }
-  }
-
-  // Handle lockfile v1 format (dependencies object)
-  if (content.dependencies) {
-    checkDependenciesV1(content.dependencies, filePath, infectedPackages, findings);
+    findings.push(finding);
   }
 
   return findings;
 }
 
 /**
- * Recursively check v1 lockfile dependencies
+ * Match a locked package by name and version, then by tarball integrity
+ *
+ * An integrity match catches a known-bad tarball whatever name or version
+ * it is locked under (aliases, mirrors, tarball URLs): the finding records
+ * the digest and the package it is known as.
+ *
+ * @returns {{record: Object, integrityMatch: Object}|null}
+ */
+function matchLockedPackage(infectedPackages, integrityIndex, pkg) {
+  const record = matchPackage(infectedPackages, pkg.name, pkg.version);
+  if (record) return { record, integrityMatch: {} };
+
+  const byIntegrity = matchIntegrity(integrityIndex, pkg.integrity);
+  if (!byIntegrity) return null;
+  return {
+    record: byIntegrity,
+    integrityMatch: {
+      matchedBy: 'integrity',
+      integrity: pkg.integrity,
+      knownAs: `${byIntegrity.package}@${byIntegrity.version}`,
+    },
+  };
+}
+
+// Lockfile analyzers by file name (the type reported by findPackageFiles)
+const LOCKFILE_ANALYZERS = {
+  'package-lock.json': checkPackageLock,
+  'yarn.lock': checkYarnLock,
+  'pnpm-lock.yaml': checkPnpmLock,
+  'bun.lock': checkBunLock,
+  'bun.lockb': checkBunLock,
+};
+const LOCKFILE_TYPES = Object.keys(LOCKFILE_ANALYZERS);
+
+/**
+ * Check any supported lockfile for infected packages
+ *
+ * @param {string} filePath - Path to the lockfile
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
+ * @param {Object} options - Scan options
+ * @param {string} type - Lockfile type (default: the file name)
+ * @returns {Array} Array of findings (empty for unsupported lockfiles)
  */
-function checkDependenciesV1(deps, filePath, infectedPackages, findings) {
-  for (const [name, info] of Object.entries(deps)) {
-    if (infectedPackages.has(name) && info.version) {
-      const infectedVersions = infectedPackages.get(name);
-      if (infectedVersions.has(info.version)) {
-        findings.push({
-          type: 'INFECTED_LOCKED_PACKAGE',
-          severity: 'CRITICAL',
-          package: name,
-          version: info.version,
-          file: filePath,
-          installed: true,
-        });
-      }
-    }
-    // Check nested dependencies
-    if (info.dependencies) {
-      checkDependenciesV1(info.dependencies, filePath, infectedPackages, findings);
-    }
-  }
+function checkLockfile(filePath, infectedPackages, options = {}, type = path.basename(filePath)) {
+  const analyzer = LOCKFILE_ANALYZERS[type];
+  return analyzer ? analyzer(filePath, infectedPackages, options) : [];
 }
 
 /**
- * Check node_modules for installed infected packages
+ * Check node_modules for installed infected or tampered packages
+ *
+ * Walks the whole installed tree: copies nested under other packages and the
+ * pnpm virtual store (node_modules/.pnpm). Nested copies are reported with
+ * the packages they are nested under (`nesting`, outermost first); the
+ * innermost one is the dependency that pulled the copy in.
+ *
+ * Every package is also inspected for the worm's fingerprints, whatever its
+ * version (see inspectInstalledPackage): packages showing them are reported
+ * as INSTALLED_TAMPERED_PACKAGE. JavaScript files at the package root
+ * scoring on the worm's behaviors are SUSPICIOUS_PAYLOAD warnings (see lib/payloads.js).
  *
  * @param {string} nodeModulesPath - Path to node_modules directory
- * @param {Map<string, Set<string>>} infectedPackages - Map of infected packages
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
  * @param {Object} options - Scan options
+ * @param {Set<string>} options.reads - Collects the script files read outside package roots
+ * @param {Array<Object>} options.inventory - Collects the installed packages (see lib/inventory.js)
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
  * @returns {Array} Array of findings
  */
-function checkNodeModules(nodeModulesPath, infectedPackages, options = {}) {
+function checkNodeModules(nodeModulesPath, infectedPackages, options = {}, iocs = null) {
   const findings = [];
-  let entries;
+  let packages;
 
   try {
-    entries = fs.readdirSync(nodeModulesPath, { withFileTypes: true });
+    packages = findInstalledPackages(nodeModulesPath);
   } catch (err) {
     if (options.verbose) {
       findings.push({
@@ -207,40 +417,18 @@ function checkNodeModules(nodeModulesPath, infectedPackages, options = {}) {
     return findings;
   }
 
-  for (const entry of entries) {
-    if (!entry.isDirectory()) continue;
-
-    // Handle scoped packages (@scope/package)
-    if (entry.name.startsWith('@')) {
-      const scopePath = path.join(nodeModulesPath, entry.name);
-      let scopedEntries;
-      try {
-        scopedEntries = fs.readdirSync(scopePath, { withFileTypes: true });
-      } catch (err) {
-        continue;
-      }
-
-      for (const scopedEntry of scopedEntries) {
-        if (!scopedEntry.isDirectory()) continue;
-        const pkgName = `${entry.name}/${scopedEntry.name}`;
-        const pkgPath = path.join(scopePath, scopedEntry.name);
-        checkInstalledPackage(pkgName, pkgPath, infectedPackages, findings, options);
-      }
-    } else {
-      const pkgPath = path.join(nodeModulesPath, entry.name);
-      checkInstalledPackage(entry.name, pkgPath, infectedPackages, findings, options);
-    }
+  const iocSet = iocs || getDefaultIocs();
+  for (const { name, path: pkgPath, nesting } of packages) {
+    checkInstalledPackage(name, pkgPath, nesting, infectedPackages, iocSet, findings, options);
   }
 
   return findings;
 }
 
 /**
- * Check a single installed package for infection
+ * Check a single installed package for infection, tampering and suspicious payloads
  */
-function checkInstalledPackage(pkgName, pkgPath, infectedPackages, findings, options) {
-  if (!infectedPackages.has(pkgName)) return;
-
+function checkInstalledPackage(pkgName, pkgPath, nesting, infectedPackages, iocs, findings, options) {
   const pkgJsonPath = path.join(pkgPath, 'package.json');
   if (!fs.existsSync(pkgJsonPath)) return;
 
@@ -259,20 +447,114 @@ function checkInstalledPackage(pkgName, pkgPath, infectedPackages, findings, opt
     return;
   }
 
-  const infectedVersions = infectedPackages.get(pkgName);
-  if (infectedVersions.has(pkgJson.version)) {
-    findings.push({
-      type: 'INSTALLED_INFECTED_PACKAGE',
-      severity: 'CRITICAL',
-      package: pkgName,
-      version: pkgJson.version,
-      path: pkgPath,
-    });
+  // Named after the directory: aliased installs keep their alias
+  if (options.inventory && pkgJson.version) {
+    const entry = { package: pkgName, version: pkgJson.version, kind: 'installed', path: pkgPath };
+    if (nesting.length > 0) entry.nesting = nesting;
+    options.inventory.push(entry);
+  }
+
+  // Heuristic matches on the JavaScript files at the package root
+  for (const payload of scanJavaScriptFiles(pkgPath, iocs)) {
+    const finding = { ...payloadFinding(payload), package: pkgName, version: pkgJson.version };
+    if (nesting.length > 0) finding.nesting = nesting;
+    findings.push(finding);
+  }
+
+  const infectedVersions = getInfectedVersions(infectedPackages, pkgName);
+  const record = infectedVersions && findInfectedRecord(infectedVersions, pkgJson.version);
+  const tampering = inspectInstalledPackage(pkgPath, pkgJson, iocs.hashes, options.reads);
+  if (!record && !tampering) return;
+
+  // An infected version showing fingerprints is reported once, with them
+  const finding = {
+    type: record ? 'INSTALLED_INFECTED_PACKAGE' : 'INSTALLED_TAMPERED_PACKAGE',
+    severity: 'CRITICAL',
+    package: pkgName,
+    version: pkgJson.version,
+    path: pkgPath,
+    campaign: (record && record.campaign) || (tampering && tampering.campaign) || null,
+  };
+  if (record) finding.ioc = iocDetails(record);
+  if (tampering) finding.indicators = tampering.indicators;
+  if (nesting.length > 0) finding.nesting = nesting;
+  findings.push(finding);
+}
+
+/**
+ * Inspect an installed package for the worm's fingerprints
+ *
+ * The payload files are the artifacts with known hashes (setup_bun.js,
+ * bun_environment.js for Shai-Hulud 2). A package is tampered when:
+ * - a lifecycle script references a payload file
+ * - a payload file is present in the package
+ * - a file run by a lifecycle script is a known malware sample
+ *
+ * @param {string} pkgPath - Package directory
+ * @param {Object} pkgJson - Parsed package.json
+ * @param {Object} hashes - Known malware hashes of an IOC set ({ file: [{sha256, campaign}] })
+ * @param {Set<string>} reads - Collects the script files read outside the package root (optional)
+ * @returns {{indicators: Array<string>, campaign: string|null}|null} Null if no fingerprint was found
+ */
+function inspectInstalledPackage(pkgPath, pkgJson, hashes, reads = null) {
+  const indicators = [];
+  const campaigns = [];
+  const payloads = Object.keys(hashes);
+
+  const checkFile = file => {
+    // Files at the package root are in the node_modules fingerprint (lib/cache.js)
+    if (reads && path.dirname(file) !== '.') reads.add(path.join(pkgPath, file));
+    let sha256;
+    try {
+      sha256 = sha256File(path.join(pkgPath, file));
+    } catch (err) {
+      return false;
+    }
+    const sample = Object.values(hashes).flat().find(h => h.sha256 === sha256);
+    if (sample) {
+      indicators.push(`${file} is a known malware sample (SHA256 ${sha256})`);
+      campaigns.push(sample.campaign);
+    } else if (payloads.includes(path.basename(file))) {
+      indicators.push(`contains ${file} (SHA256 ${sha256}, not a known sample)`);
+      campaigns.push(hashes[path.basename(file)][0].campaign);
+    }
+    return true;
+  };
+
+  const scripts = pkgJson.scripts || {};
+  const scriptFiles = new Set();
+  for (const scriptName of INSTALL_SCRIPTS) {
+    const script = scripts[scriptName];
+    if (typeof script !== 'string') continue;
+
+    const payload = payloads.find(name => script.includes(name));
+    if (payload) {
+      indicators.push(`${scriptName} script references ${payload}: ${script}`);
+      campaigns.push(hashes[payload][0].campaign);
+    }
+    for (const match of script.matchAll(/(?:^|\s)(?:node|bun)\s+([^\s;&|]+\.[cm]?js)\b/g)) {
+      scriptFiles.add(path.normalize(match[1]));
+    }
+  }
+
+  const checked = new Set();
+  for (const file of scriptFiles) {
+    if (!file.startsWith('..') && !path.isAbsolute(file) && checkFile(file)) checked.add(file);
   }
+  for (const payload of payloads) {
+    if (!checked.has(payload)) checkFile(payload);
+  }
+
+  if (indicators.length === 0) return null;
+  return { indicators, campaign: campaigns[0] || null };
 }
 
 /**
  * Extract clean version from version specifier
+ *
+ * Only the lower bound of a range: use checkDeclaredDependency to know
+ * whether a range can resolve to an infected version.
+ *
  * @param {string} versionSpec - Version specifier (e.g., "^1.2.3", ">=2.0.0")
  * @returns {string} Clean version number
  */
@@ -283,6 +565,13 @@ function extractVersion(versionSpec) {
 module.exports = {
   checkPackageJson,
   checkPackageLock,
+  checkYarnLock,
+  checkPnpmLock,
+  checkBunLock,
+  checkLockfile,
   checkNodeModules,
+  checkDeclaredDependency,
+  matchLockedPackage,
+  LOCKFILE_TYPES,
   extractVersion,
 };
@@ -0,0 +1,198 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('./semver');
+
+/**
+ * Bun lockfile parsers
+ *
+ * bun.lock (Bun 1.2+) is JSONC (comments and trailing commas allowed):
+ *
+ *   {
+ *     "lockfileVersion": 1,
+ *     "workspaces": {
+ *       "": { "name": "app", "dependencies": { "my-alias": "npm:left-pad@^1.3.0" } },
+ *       "packages/web": { "name": "web", "dependencies": { "left-pad": "^1.3.0" } },
+ *     },
+ *     "packages": {
+ *       "my-alias": ["left-pad@1.3.0", "", {}, "sha512-..."],
+ *       "web/left-pad": ["left-pad@1.2.0", "", {}, "sha512-..."],
+ *     },
+ *   }
+ *
+ * Package keys are install paths (the dependency name, prefixed by its parent
+ * when not hoisted); the first array item is the resolved "name@version".
+ *
+ * bun.lockb (before Bun 1.2) is binary. Its string table holds the registry
+ * tarball URL of every npm package, which gives name and version; aliases and
+ * workspaces are not recovered. `bun bun.lockb` prints the full lockfile.
+ */
+
+const BUN_LOCKB_HEADER = 'bun-lockfile-format-v0';
+const TARBALL_URL_PATTERN = /https?:\/\/[^\s"'\0]+?\/((?:@[a-z0-9][\w.~-]*(?:\/|%2[fF]))?[a-z0-9][\w.~-]*)\/-\/(?:@[\w.~-]+\/)?[\w.~-]+?-(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)\.tgz/g;
+
+/**
+ * Parse bun.lock content
+ *
+ * @param {string} content - bun.lock content (JSONC)
+ * @returns {{lockfileVersion: string, packages: Array<{name: string, version: string, integrity: string|null, importers: Array<string>, aliases: Array<string>}>}}
+ *   importers are the workspace paths depending on the package directly ("." for the root)
+ * @throws {Error} If the content is not a bun.lock
+ */
+function parseBunLock(content) {
+  const lock = JSON.parse(stripJsonc(content));
+  if (!lock || lock.lockfileVersion === undefined || typeof lock.packages !== 'object') {
+    throw new Error('Not a bun.lock file (no lockfileVersion)');
+  }
+
+  const resolved = new Map();
+  const packages = new Map();
+
+  for (const [key, value] of Object.entries(lock.packages)) {
+    const id = Array.isArray(value) ? parseResolution(value[0]) : null;
+    if (!id) continue;
+
+    const pkgKey = `${id.name}@${id.version}`;
+    if (!packages.has(pkgKey)) {
+      const integrity = value.find((item, i) => i > 0 && typeof item === 'string' && /^sha\d+-/.test(item));
+      packages.set(pkgKey, { ...id, integrity: integrity || null, importers: [], aliases: [] });
+    }
+    const pkg = packages.get(pkgKey);
+    resolved.set(key, pkg);
+
+    // The installed name is the last segment of the key
+    const installedAs = key.match(/((?:@[^/]+\/)?[^/]+)$/)[1];
+    if (installedAs !== id.name && !pkg.aliases.includes(installedAs)) {
+      pkg.aliases.push(installedAs);
+    }
+  }
+
+  for (const [workspacePath, workspace] of Object.entries(lock.workspaces || {})) {
+    const importer = workspacePath || '.';
+    const dependencies = {
+      ...workspace.dependencies,
+      ...workspace.devDependencies,
+      ...workspace.optionalDependencies,
+    };
+    for (const name of Object.keys(dependencies)) {
+      const pkg = resolved.get(`${workspace.name}/${name}`) || resolved.get(name);
+      if (pkg && !pkg.importers.includes(importer)) pkg.importers.push(importer);
+    }
+  }
+
+  return { lockfileVersion: String(lock.lockfileVersion), packages: [...packages.values()] };
+}
+
+/**
+ * Read and parse a bun.lock or bun.lockb file
+ *
+ * @param {string} filePath - Path to bun.lock or bun.lockb
+ * @returns {{lockfileVersion: string, packages: Array<Object>}} See parseBunLock
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function readBunLockfile(filePath) {
+  if (path.basename(filePath) === 'bun.lockb') {
+    return parseBunLockb(fs.readFileSync(filePath));
+  }
+  return parseBunLock(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Parse a resolution ("left-pad@1.3.0", "@scope/pkg@npm:2.0.0")
+ *
+ * @returns {{name: string, version: string}|null} Null for workspace, git, file and link packages
+ */
+function parseResolution(resolution) {
+  if (typeof resolution !== 'string') return null;
+  const at = resolution.indexOf('@', resolution.startsWith('@') ? 1 : 0);
+  if (at === -1) return null;
+
+  const name = resolution.slice(0, at);
+  const version = resolution.slice(at + 1).replace(/^npm:/, '');
+  return semver.isVersion(version) ? { name, version } : null;
+}
+
+/**
+ * Parse a binary bun.lockb (best effort, from its registry tarball URLs)
+ *
+ * @param {Buffer} buffer - bun.lockb content
+ * @returns {{lockfileVersion: string, packages: Array<{name: string, version: string, integrity: null, importers: Array<string>, aliases: Array<string>}>}}
+ * @throws {Error} If the content is not a bun.lockb
+ */
+function parseBunLockb(buffer) {
+  const text = buffer.toString('latin1');
+  if (!text.slice(0, 64).includes(BUN_LOCKB_HEADER)) {
+    throw new Error('Not a bun.lockb file (missing header)');
+  }
+
+  const packages = new Map();
+  for (const match of text.matchAll(TARBALL_URL_PATTERN)) {
+    const name = decodeURIComponent(match[1]);
+    const version = match[2];
+    if (!semver.isVersion(version)) continue;
+    const key = `${name}@${version}`;
+    if (!packages.has(key)) {
+      packages.set(key, { name, version, integrity: null, importers: [], aliases: [] });
+    }
+  }
+
+  return { lockfileVersion: 'binary', packages: [...packages.values()] };
+}
+
+/**
+ * Remove comments and trailing commas from JSONC, leaving strings untouched
+ *
+ * @param {string} content - JSONC content
+ * @returns {string} JSON content
+ */
+function stripJsonc(content) {
+  let output = '';
+  // A comma is only written once the next token shows it is not trailing
+  let pendingComma = false;
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '/' && content[i + 1] === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+      continue;
+    }
+    if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 2;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      output += char;
+      i++;
+      continue;
+    }
+
+    if (pendingComma && char !== '}' && char !== ']') output += ',';
+    pendingComma = char === ',';
+
+    if (char === '"') {
+      // Copy the string, including escaped quotes
+      let end = i + 1;
+      while (end < content.length && content[end] !== '"') {
+        end += content[end] === '\\' ? 2 : 1;
+      }
+      output += content.slice(i, end + 1);
+      i = end + 1;
+    } else {
+      if (!pendingComma) output += char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+module.exports = {
+  readBunLockfile,
+  parseBunLock,
+  parseBunLockb,
+  stripJsonc,
+};
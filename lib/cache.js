@@ -0,0 +1,236 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { sha256File } = require('./integrity');
+const { findInstalledPackages, LOCKFILE_NAMES } = require('./scanner');
+
+/**
+ * Persistent scan result cache (--cache)
+ *
+ * The results of package.json, lockfile and node_modules tasks (see
+ * lib/worker.js) are stored with the fingerprint of what was read: size,
+ * modification time and SHA256 of the file. node_modules directories are
+ * fingerprinted by the files at the root of each installed package (name,
+ * size and modification time), where their package.json, payload files and
+ * root JavaScript files live.
+ *
+ * The other files a detector reads are fingerprinted too (`reads`): script
+ * files run by lifecycle scripts, the package.json next to a
+ * package-lock.json. Files looked for but missing are recorded as null, so
+ * creating them also invalidates the result.
+ *
+ * A result is reused only when the fingerprint is unchanged. The whole cache
+ * is discarded when its stamp differs: IOC database digest, worm-buster
+ * version or verbose mode (which adds parse errors to the results).
+ */
+
+const CACHE_VERSION = 2;
+const CACHEABLE_TYPES = ['package.json', 'node_modules', ...LOCKFILE_NAMES];
+const TOOL_VERSION = require('../package.json').version;
+
+/**
+ * Default cache file ($XDG_CACHE_HOME/worm-buster/scan-cache.json)
+ *
+ * @returns {string} Cache file path
+ */
+function defaultCacheFile() {
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'worm-buster', 'scan-cache.json');
+}
+
+/**
+ * Stamp of the results a scan produces: a cache with another stamp is discarded
+ *
+ * @param {string} databaseDigest - IOC database digest (see lib/integrity.js)
+ * @param {Object} options - Scan options
+ * @returns {{version: number, tool: string, database: string, verbose: boolean}}
+ */
+function createCacheStamp(databaseDigest, options = {}) {
+  return {
+    version: CACHE_VERSION,
+    tool: TOOL_VERSION,
+    database: databaseDigest,
+    verbose: Boolean(options.verbose),
+  };
+}
+
+/**
+ * Load a cache file
+ *
+ * @param {string} file - Cache file
+ * @param {Object} stamp - Stamp of the current scan (see createCacheStamp)
+ * @returns {{file: string, stamp: Object, entries: Map, invalidated: string|null}} Cache, empty when
+ *   missing or unreadable, or when its stamp differs (invalidated gives the reason)
+ */
+function loadCache(file, stamp) {
+  const cache = { file, stamp, entries: new Map(), invalidated: null };
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') cache.invalidated = `unreadable cache: ${err.message}`;
+    return cache;
+  }
+
+  const previous = content.stamp || {};
+  const changed = Object.keys(stamp).find(key => previous[key] !== stamp[key]);
+  if (changed) {
+    cache.invalidated = changed === 'database' ? 'IOC database changed' : `${changed} changed`;
+    return cache;
+  }
+
+  cache.entries = new Map(Object.entries(content.entries || {}));
+  return cache;
+}
+
+/**
+ * Save a cache file (written to a temporary file, then renamed)
+ *
+ * @param {{file: string, stamp: Object, entries: Map}} cache - Cache
+ */
+function saveCache(cache) {
+  fs.mkdirSync(path.dirname(cache.file), { recursive: true });
+  const tempFile = `${cache.file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ stamp: cache.stamp, entries: Object.fromEntries(cache.entries) }));
+  fs.renameSync(tempFile, cache.file);
+}
+
+/**
+ * Cache key of a task
+ *
+ * @param {{type: string, path: string}} task - Task
+ * @returns {string} Key
+ */
+function cacheKey(task) {
+  return `${task.type}:${task.path}`;
+}
+
+/**
+ * Whether the result of a task can be cached
+ *
+ * @param {{type: string}} task - Task
+ * @returns {boolean} True for package.json, lockfile and node_modules tasks
+ */
+function isCacheable(task) {
+  return CACHEABLE_TYPES.includes(task.type);
+}
+
+/**
+ * Fingerprint what a task reads
+ *
+ * @param {{type: string, path: string}} task - Cacheable task
+ * @param {Iterable<string>} reads - Other files the task read (see lib/worker.js)
+ * @returns {{size: number, mtimeMs: number, sha256: string, reads: Object}|null} Fingerprint (for
+ *   node_modules: package count, latest modification time and digest of the listing; reads: the
+ *   fingerprint of each other file, null if missing), or null if unreadable
+ */
+function fingerprintTask(task, reads = []) {
+  let fingerprint;
+  try {
+    fingerprint = task.type === 'node_modules' ? fingerprintNodeModules(task.path) : fingerprintFile(task.path);
+  } catch (err) {
+    return null;
+  }
+
+  fingerprint.reads = {};
+  for (const filePath of [...reads].sort()) {
+    try {
+      fingerprint.reads[filePath] = fingerprintFile(filePath);
+    } catch (err) {
+      fingerprint.reads[filePath] = null;
+    }
+  }
+  return fingerprint;
+}
+
+function fingerprintFile(filePath) {
+  const stats = fs.statSync(filePath);
+  return { size: stats.size, mtimeMs: stats.mtimeMs, sha256: sha256File(filePath) };
+}
+
+/**
+ * Fingerprint the files at the root of each package installed in node_modules
+ */
+function fingerprintNodeModules(nodeModulesPath) {
+  const hash = crypto.createHash('sha256');
+  const packages = findInstalledPackages(nodeModulesPath).sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  let mtimeMs = 0;
+
+  for (const { path: pkgPath } of packages) {
+    hash.update(`${path.relative(nodeModulesPath, pkgPath)}\0`);
+    let entries;
+    try {
+      entries = fs.readdirSync(pkgPath, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+    for (const entry of entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
+      if (entry.isDirectory()) continue;
+      try {
+        const stats = fs.statSync(path.join(pkgPath, entry.name));
+        mtimeMs = Math.max(mtimeMs, stats.mtimeMs);
+        hash.update(`${entry.name}\0${stats.size}\0${stats.mtimeMs}\n`);
+      } catch (err) {
+        hash.update(`${entry.name}\0unreadable\n`);
+      }
+    }
+  }
+
+  return { size: packages.length, mtimeMs, sha256: hash.digest('hex') };
+}
+
+/**
+ * Whether two fingerprints are the same
+ *
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {boolean} True if size, modification time and digest match, for the other files read too
+ */
+function sameFingerprint(a, b) {
+  return sameFile(a, b) && sameReads(a.reads || {}, b.reads || {});
+}
+
+function sameFile(a, b) {
+  return Boolean(a && b) && a.size === b.size && a.mtimeMs === b.mtimeMs && a.sha256 === b.sha256;
+}
+
+function sameReads(a, b) {
+  const files = Object.keys(a);
+  if (files.length !== Object.keys(b).length) return false;
+  return files.every(file => Object.prototype.hasOwnProperty.call(b, file)
+    && (a[file] === null ? b[file] === null : sameFile(a[file], b[file])));
+}
+
+/**
+ * Drop the entries of files under scanned roots that were not seen again
+ * (deleted or now excluded); entries of other roots are kept
+ *
+ * @param {{entries: Map}} cache - Cache (modified in place)
+ * @param {Array<string>} roots - Scanned directories
+ * @param {Set<string>} seen - Keys of the tasks of this scan
+ */
+function pruneCache(cache, roots, seen) {
+  for (const [key, entry] of cache.entries) {
+    if (seen.has(key)) continue;
+    if (roots.some(root => entry.path === root || entry.path.startsWith(root.endsWith(path.sep) ? root : root + path.sep))) {
+      cache.entries.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  CACHE_VERSION,
+  defaultCacheFile,
+  createCacheStamp,
+  loadCache,
+  saveCache,
+  cacheKey,
+  isCacheable,
+  fingerprintTask,
+  sameFingerprint,
+  pruneCache,
+};
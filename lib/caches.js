@@ -0,0 +1,588 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { getDefaultIocs } = require('./packs');
+const { matchPackage, buildIntegrityIndex, matchIntegrity, iocDetails } = require('./matcher');
+
+/**
+ * Package manager cache scan (--caches)
+ *
+ * Infected tarballs stay in the local caches long after node_modules is
+ * deleted, and offline or cached installs reinstall them. Each cache is
+ * indexed offline:
+ *
+ *   cache        location                           entries read
+ *   npm          ~/.npm/_cacache                    index-v5 tarball keys, tarball contents
+ *   yarn         ~/.cache/yarn/v6 (Yarn classic)    npm-<name>-<version>-* folders
+ *   yarn-berry   ~/.yarn/berry/cache                <name>-npm-<version>-*.zip archives
+ *   pnpm         ~/.local/share/pnpm/store/v*       package index files
+ *
+ * Cached packages are matched against the infected packages (by name and
+ * version, or tarball integrity), and searched for payload files (the
+ * artifacts with known hashes) at their root. Archives (npm tarballs, Yarn
+ * Berry zips) are only unpacked for packages named in the database: a cache
+ * holds thousands of them. Each finding lists the commands removing exactly
+ * that entry.
+ */
+
+// Archives larger than this are not unpacked
+const MAX_ARCHIVE_SIZE = 32 * 1024 * 1024;
+// npm cache keys of registry tarballs
+const NPM_TARBALL_KEY = /^make-fetch-happen:request-cache:(.+\.tgz)$/;
+const TARBALL_URL_PATTERN = /\/((?:@[^/]+(?:\/|%2[fF]))?[^/@]+)\/-\/(?:@[^/]+\/)?[^/]+?-(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)\.tgz$/;
+const YARN_FOLDER_PATTERN = /^npm-(.+)-(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)-[0-9a-f]{40}(?:-integrity)?$/;
+const BERRY_ARCHIVE_PATTERN = /^(.+)-npm-(\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?)-[0-9a-f]{10}-[0-9a-f]+\.zip$/;
+
+/**
+ * Locate the package manager caches of the current user
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @param {string} home - Home directory (default: os.homedir())
+ * @param {string} platform - Platform (default: process.platform)
+ * @returns {Array<{cache: string, path: string}>} Existing cache directories
+ */
+function findCacheLocations(env = process.env, home = os.homedir(), platform = process.platform) {
+  const localAppData = env.LOCALAPPDATA || path.join(home, 'AppData', 'Local');
+  const xdgCache = env.XDG_CACHE_HOME || path.join(home, '.cache');
+  const xdgData = env.XDG_DATA_HOME || path.join(home, '.local', 'share');
+
+  const npmCache = env.npm_config_cache || (platform === 'win32' ? path.join(localAppData, 'npm-cache') : path.join(home, '.npm'));
+  const yarnRoot = platform === 'darwin' ? path.join(home, 'Library', 'Caches', 'Yarn')
+    : platform === 'win32' ? path.join(localAppData, 'Yarn', 'Cache') : path.join(xdgCache, 'yarn');
+  const pnpmStore = platform === 'darwin' ? path.join(home, 'Library', 'pnpm', 'store')
+    : platform === 'win32' ? path.join(localAppData, 'pnpm', 'store') : path.join(xdgData, 'pnpm', 'store');
+
+  const candidates = [
+    { cache: 'npm', path: path.join(npmCache, '_cacache') },
+    ...(env.YARN_CACHE_FOLDER
+      ? [{ cache: 'yarn', path: env.YARN_CACHE_FOLDER }]
+      : listVersionDirs(yarnRoot).map(dir => ({ cache: 'yarn', path: dir }))),
+    { cache: 'yarn-berry', path: path.join(env.YARN_GLOBAL_FOLDER || path.join(home, '.yarn', 'berry'), 'cache') },
+    ...listVersionDirs(pnpmStore).map(dir => ({ cache: 'pnpm', path: dir })),
+  ];
+
+  return candidates.filter(location => isDirectory(location.path));
+}
+
+/**
+ * Versioned subdirectories of a cache root (v6, v3, v10, ...)
+ */
+function listVersionDirs(root) {
+  try {
+    return fs.readdirSync(root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && /^v\d+$/.test(entry.name))
+      .map(entry => path.join(root, entry.name));
+  } catch (err) {
+    return [];
+  }
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check package manager caches for infected packages and payload files
+ *
+ * @param {Array<{cache: string, path: string}>} locations - Caches (see findCacheLocations)
+ * @param {Map} infectedPackages - Infected packages database
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @param {Object} options - Scan options
+ * @param {boolean} options.verbose - Report unreadable cache entries
+ * @returns {Array} CACHED_INFECTED_PACKAGE and CACHED_TAMPERED_PACKAGE findings
+ */
+function checkCaches(locations, infectedPackages, iocs = null, options = {}) {
+  const findings = [];
+  const { hashes } = iocs || getDefaultIocs();
+  const integrityIndex = buildIntegrityIndex(infectedPackages);
+  const indexers = { npm: indexNpmCache, yarn: indexYarnCache, 'yarn-berry': indexBerryCache, pnpm: indexPnpmStore };
+
+  for (const location of locations) {
+    const indexer = indexers[location.cache];
+    if (!indexer) continue;
+
+    for (const entry of indexer(location.path, infectedPackages)) {
+      const record = matchPackage(infectedPackages, entry.name, entry.version)
+        || matchIntegrity(integrityIndex, entry.integrity || null);
+
+      let payloads = [];
+      try {
+        if (record || !entry.archive || infectedPackages.has(entry.name)) {
+          payloads = entry.readPayloads(Object.keys(hashes));
+        }
+      } catch (err) {
+        if (options.verbose) {
+          findings.push({
+            type: 'PARSE_ERROR',
+            severity: 'INFO',
+            file: entry.path,
+            message: `Failed to read cached package: ${err.message}`,
+          });
+        }
+      }
+      const tampering = describePayloads(payloads, hashes);
+      if (!record && !tampering) continue;
+
+      const finding = {
+        type: record ? 'CACHED_INFECTED_PACKAGE' : 'CACHED_TAMPERED_PACKAGE',
+        severity: 'CRITICAL',
+        package: entry.name,
+        version: entry.version,
+        cache: location.cache,
+        path: entry.path,
+        campaign: (record && record.campaign) || (tampering && tampering.campaign) || null,
+        purge: entry.purge,
+        note: 'Cached for offline and cached installs: purge it, it was downloaded on this machine and may have been installed.',
+      };
+      if (record) finding.ioc = iocDetails(record);
+      if (tampering) finding.indicators = tampering.indicators;
+      findings.push(finding);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Indicators of payload files found in a cached package
+ */
+function describePayloads(payloads, hashes) {
+  if (payloads.length === 0) return null;
+
+  const indicators = [];
+  const campaigns = [];
+  for (const { file, sha256 } of payloads) {
+    const sample = Object.values(hashes).flat().find(h => h.sha256 === sha256);
+    if (sample) {
+      indicators.push(`${file} is a known malware sample (SHA256 ${sha256})`);
+      campaigns.push(sample.campaign);
+    } else {
+      indicators.push(`contains ${file} (SHA256 ${sha256}, not a known sample)`);
+      campaigns.push(hashes[file][0].campaign);
+    }
+  }
+  return { indicators, campaign: campaigns[0] || null };
+}
+
+/**
+ * Hash the payload files among files at the root of a package
+ */
+function hashPayloads(files, payloadNames) {
+  return files
+    .filter(({ file }) => payloadNames.includes(file))
+    .map(({ file, read }) => ({ file, sha256: crypto.createHash('sha256').update(read()).digest('hex') }));
+}
+
+/**
+ * Index the registry tarballs of an npm cache (_cacache)
+ */
+function indexNpmCache(cacheDir) {
+  const entries = [];
+
+  for (const bucket of listFiles(path.join(cacheDir, 'index-v5'))) {
+    let lines;
+    try {
+      lines = fs.readFileSync(bucket, 'utf8').split('\n');
+    } catch (err) {
+      continue;
+    }
+
+    // Bucket lines: "<sha1 of the JSON>\t<JSON>"; the last entry of a key wins
+    const byKey = new Map();
+    for (const line of lines) {
+      const tab = line.indexOf('\t');
+      if (tab === -1) continue;
+      try {
+        const entry = JSON.parse(line.slice(tab + 1));
+        if (entry && typeof entry.key === 'string') byKey.set(entry.key, entry);
+      } catch (err) {
+        // Partially written line
+      }
+    }
+
+    for (const { key, integrity } of byKey.values()) {
+      if (!integrity) continue;
+      const url = key.match(NPM_TARBALL_KEY);
+      const pkg = url && parseTarballUrl(url[1]);
+      if (!pkg) continue;
+
+      const contentPath = npmContentPath(cacheDir, integrity);
+      entries.push({
+        ...pkg,
+        integrity,
+        archive: true,
+        path: contentPath || bucket,
+        readPayloads: payloadNames => (contentPath ? hashPayloads(readTarball(contentPath), payloadNames) : []),
+        purge: [`rm -f ${shellQuote(bucket)}${contentPath ? ` ${shellQuote(contentPath)}` : ''}`],
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Package name and version of a registry tarball URL
+ *
+ * @param {string} url - e.g. https://registry.npmjs.org/@scope/pkg/-/pkg-1.0.0.tgz
+ * @returns {{name: string, version: string}|null} Null if not a registry tarball URL
+ */
+function parseTarballUrl(url) {
+  const match = url.split(/[?#]/)[0].match(TARBALL_URL_PATTERN);
+  if (!match) return null;
+  return { name: decodeURIComponent(match[1]), version: match[2] };
+}
+
+/**
+ * Content file of an npm cache integrity (content-v2/<algorithm>/<hex digest>)
+ */
+function npmContentPath(cacheDir, integrity) {
+  const [algorithm, digest] = String(integrity).split(/\s+/)[0].split('-');
+  if (!algorithm || !digest) return null;
+  const hex = Buffer.from(digest, 'base64').toString('hex');
+  const contentPath = path.join(cacheDir, 'content-v2', algorithm, hex.slice(0, 2), hex.slice(2, 4), hex.slice(4));
+  return fs.existsSync(contentPath) ? contentPath : null;
+}
+
+/**
+ * Files at the root of a package tarball (.tgz)
+ *
+ * @param {string} tarballPath - Gzipped tar archive
+ * @returns {Array<{file: string, read: Function}>} Root file names, with a reader of their content
+ */
+function readTarball(tarballPath) {
+  if (fs.statSync(tarballPath).size > MAX_ARCHIVE_SIZE) return [];
+  const tar = zlib.gunzipSync(fs.readFileSync(tarballPath));
+  const files = [];
+  let longName = null;
+
+  for (let offset = 0; offset + 512 <= tar.length;) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156]);
+    const dataStart = offset + 512;
+    const data = () => tar.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = readString(data(), 0, size);
+      continue;
+    }
+    if (type === 'x') {
+      const pax = data().toString('utf8').match(/\d+ path=([^\n]*)\n/);
+      if (pax) longName = pax[1];
+      continue;
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = longName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+    longName = null;
+    if (type !== '0' && type !== '\0') continue;
+
+    // Package root: the first directory of the archive (package/ for npm pack)
+    const parts = name.replace(/^\.\//, '').split('/');
+    if (parts.length === 2) {
+      const buffer = Buffer.from(data());
+      files.push({ file: parts[1], read: () => buffer });
+    }
+  }
+
+  return files;
+}
+
+function readString(buffer, start, length) {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+/**
+ * Index the package folders of a Yarn classic cache
+ */
+function indexYarnCache(cacheDir, infectedPackages) {
+  const entries = [];
+
+  let folders;
+  try {
+    folders = fs.readdirSync(cacheDir, { withFileTypes: true });
+  } catch (err) {
+    return entries;
+  }
+
+  for (const folder of folders) {
+    if (!folder.isDirectory() || !folder.name.startsWith('npm-')) continue;
+    const folderPath = path.join(cacheDir, folder.name);
+
+    // .yarn-metadata.json or package.json give the real name and version; the folder name is a fallback
+    let pkg = null;
+    let integrity = null;
+    for (const pkgDir of listPackageFolders(path.join(folderPath, 'node_modules'))) {
+      const metadata = readJson(path.join(pkgDir, '.yarn-metadata.json'));
+      const manifest = (metadata && metadata.manifest) || readJson(path.join(pkgDir, 'package.json'));
+      if (!manifest || typeof manifest.name !== 'string' || typeof manifest.version !== 'string') continue;
+      pkg = { name: manifest.name, version: manifest.version, dir: pkgDir };
+      integrity = (metadata && metadata.remote && metadata.remote.integrity) || null;
+      break;
+    }
+    if (!pkg) {
+      const match = folder.name.match(YARN_FOLDER_PATTERN);
+      if (!match) continue;
+      const name = unflattenName(match[1], infectedPackages);
+      pkg = { name, version: match[2], dir: path.join(folderPath, 'node_modules', name) };
+    }
+
+    entries.push({
+      name: pkg.name,
+      version: pkg.version,
+      integrity,
+      path: folderPath,
+      readPayloads: payloadNames => hashPayloads(
+        payloadNames
+          .filter(file => fs.existsSync(path.join(pkg.dir, file)))
+          .map(file => ({ file, read: () => fs.readFileSync(path.join(pkg.dir, file)) })),
+        payloadNames,
+      ),
+      purge: [`rm -rf ${shellQuote(folderPath)}`],
+    });
+  }
+
+  return entries;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Package name of a name flattened into a cache file name ("@scope-name")
+ *
+ * Scopes contain hyphens too (@dev-blinq/...), so each split is looked up in
+ * the database; the first one is the fallback.
+ *
+ * @param {string} flatName - Flattened name, e.g. @dev-blinq-playwright
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
+ * @returns {string} Package name, e.g. @dev-blinq/playwright
+ */
+function unflattenName(flatName, infectedPackages) {
+  if (!flatName.startsWith('@')) return flatName;
+  const names = [];
+  for (let i = flatName.indexOf('-'); i !== -1; i = flatName.indexOf('-', i + 1)) {
+    names.push(`${flatName.slice(0, i)}/${flatName.slice(i + 1)}`);
+  }
+  return names.find(name => infectedPackages.has(name)) || names[0] || flatName;
+}
+
+/**
+ * Package directories under a node_modules folder (scoped ones included)
+ */
+function listPackageFolders(nodeModulesPath) {
+  const dirs = [];
+  try {
+    for (const entry of fs.readdirSync(nodeModulesPath, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const entryPath = path.join(nodeModulesPath, entry.name);
+      if (entry.name.startsWith('@')) {
+        dirs.push(...fs.readdirSync(entryPath).map(name => path.join(entryPath, name)));
+      } else {
+        dirs.push(entryPath);
+      }
+    }
+  } catch (err) {
+    // Incomplete cache entry
+  }
+  return dirs;
+}
+
+/**
+ * Index the archives of a Yarn Berry cache
+ */
+function indexBerryCache(cacheDir, infectedPackages) {
+  const entries = [];
+
+  for (const file of listFiles(cacheDir, false)) {
+    const match = path.basename(file).match(BERRY_ARCHIVE_PATTERN);
+    if (!match) continue;
+    // Scoped archives are named "@scope-name-npm-..."
+    const name = unflattenName(match[1], infectedPackages);
+
+    entries.push({
+      name,
+      version: match[2],
+      integrity: null,
+      archive: true,
+      path: file,
+      readPayloads: payloadNames => hashPayloads(readZipRoot(file, `node_modules/${name}/`), payloadNames),
+      purge: [`rm -f ${shellQuote(file)}`],
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Files directly under a directory of a zip archive
+ *
+ * @param {string} zipPath - Zip archive
+ * @param {string} root - Directory inside the archive (with a trailing "/")
+ * @returns {Array<{file: string, read: Function}>} File names, with a reader of their content
+ */
+function readZipRoot(zipPath, root) {
+  if (fs.statSync(zipPath).size > MAX_ARCHIVE_SIZE) return [];
+  const zip = fs.readFileSync(zipPath);
+
+  // End of central directory record, at most 64 KB of comment from the end
+  let eocd = -1;
+  for (let offset = zip.length - 22; offset >= Math.max(0, zip.length - 22 - 0xffff); offset--) {
+    if (zip.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive');
+
+  const files = [];
+  const count = zip.readUInt16LE(eocd + 10);
+  let offset = zip.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count && zip.readUInt32LE(offset) === 0x02014b50; i++) {
+    const method = zip.readUInt16LE(offset + 10);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const extraLength = zip.readUInt16LE(offset + 30);
+    const commentLength = zip.readUInt16LE(offset + 32);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const file = name.startsWith(root) ? name.slice(root.length) : null;
+    if (!file || file.includes('/')) continue;
+
+    files.push({
+      file,
+      read: () => {
+        const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+        const data = zip.subarray(dataStart, dataStart + compressedSize);
+        return method === 8 ? zlib.inflateRawSync(data) : data;
+      },
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Index the packages of a pnpm content-addressable store
+ */
+function indexPnpmStore(storeDir) {
+  const entries = [];
+
+  for (const indexFile of listPnpmIndexFiles(storeDir)) {
+    let index;
+    try {
+      index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    } catch (err) {
+      continue;
+    }
+    if (!index || typeof index.name !== 'string' || typeof index.version !== 'string' || !index.files) continue;
+
+    entries.push({
+      name: index.name,
+      version: index.version,
+      integrity: null,
+      path: indexFile,
+      readPayloads: payloadNames => hashPayloads(
+        Object.entries(index.files)
+          .filter(([file]) => payloadNames.includes(file))
+          .map(([file, { integrity }]) => ({ file, read: () => fs.readFileSync(pnpmContentPath(storeDir, integrity)) })),
+        payloadNames,
+      ),
+      purge: [`rm -f ${shellQuote(indexFile)}`, 'pnpm store prune'],
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Package index files of a pnpm store, without listing content files
+ *
+ * pnpm 10 keeps them in index/<xx>/*.json; older stores next to the content
+ * files, as files/<xx>/<hash>-index.json.
+ */
+function listPnpmIndexFiles(storeDir) {
+  const indexDir = path.join(storeDir, 'index');
+  if (isDirectory(indexDir)) {
+    return listDirs(indexDir).flatMap(bucket => listFiles(bucket, false).filter(file => file.endsWith('.json')));
+  }
+  return listDirs(path.join(storeDir, 'files')).flatMap(bucket => listFiles(bucket, false).filter(file => file.endsWith('-index.json')));
+}
+
+function listDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(dir, entry.name));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Content file of a pnpm store integrity (files/<hex digest>)
+ */
+function pnpmContentPath(storeDir, integrity) {
+  const hex = Buffer.from(String(integrity).split('-')[1] || '', 'base64').toString('hex');
+  const base = path.join(storeDir, 'files', hex.slice(0, 2), hex.slice(2));
+  // Executable files are stored with an -exec suffix
+  return fs.existsSync(base) ? base : `${base}-exec`;
+}
+
+/**
+ * Files under a directory (recursively, or only its own)
+ */
+function listFiles(dir, recursive = true) {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return files;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) files.push(...listFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Quote a path for a POSIX shell
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+module.exports = {
+  findCacheLocations,
+  checkCaches,
+  parseTarballUrl,
+  readTarball,
+  readZipRoot,
+};
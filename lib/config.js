@@ -1,62 +1,35 @@
 'use strict';
 
+const path = require('path');
+
 /**
  * Configuration constants for Worm Buster scanner
  *
- * IOCs sourced from:
- * - Wiz Security Research: https://www.wiz.io/blog/shai-hulud-2-0-ongoing-supply-chain-attack
- * - Datadog Security Labs: https://securitylabs.datadoghq.com/articles/shai-hulud-2.0-npm-worm/
- * - Check Point Research: https://blog.checkpoint.com/research/shai-hulud-2-0-inside-the-second-coming
+ * Campaign-specific IOCs (packages, artifacts, hashes, patterns, remediation)
+ * live in IOC packs under packs/ (see lib/packs.js). The constants below are
+ * derived from the bundled Shai-Hulud 2 pack for code that predates packs.
  */
 
+// Directory of bundled IOC packs, all loaded by default
+const PACKS_DIR = path.join(__dirname, '..', 'packs');
+
+// Bundled pack of the Shai-Hulud 2 campaign (raw pack JSON)
+const DEFAULT_PACK = require('../packs/shai-hulud-2.json');
+
 // Known malicious artifact files (Indicators of Compromise)
-const MALICIOUS_ARTIFACTS = [
-  // GitHub Actions malicious workflow
-  '.github/workflows/discussion.yaml',
-  '.github/workflows/discussion.yml',
-  // Exfiltrated data files (double base64 encoded)
-  'cloud.json',
-  'contents.json',
-  'environment.json',
-  'truffleSecrets.json',
-  'actionsSecrets.json',
-  // Malware payload files
-  'setup_bun.js',
-  'bun_environment.js',
-];
+const MALICIOUS_ARTIFACTS = DEFAULT_PACK.artifacts;
 
 // Known SHA256 hashes of malware files
-const MALWARE_HASHES = {
-  'bun_environment.js': [
-    '62ee164b9b306250c1172583f138c9614139264f889fa99614903c12755468d0',
-    'f099c5d9ec417d4445a0328ac0ada9cde79fc37410914103ae9c609cbc0ee068',
-    'cbb9bc5a8496243e02f3cc080efbe3e4a1430ba0671f2e43a202bf45b05479cd',
-  ],
-  'setup_bun.js': [
-    'a3894003ad1d293ba96d77881ccd2071446dc3f65f434669b49b3da92421901a',
-  ],
-};
+const MALWARE_HASHES = DEFAULT_PACK.hashes;
 
 // Pattern for suspicious workflow files (formatter_*.yml)
-const SUSPICIOUS_WORKFLOW_PATTERN = /formatter_\d+\.ya?ml$/;
+const SUSPICIOUS_WORKFLOW_PATTERN = new RegExp(DEFAULT_PACK.workflowPatterns[0]);
 
 // Suspicious process patterns to detect running malware
-const SUSPICIOUS_PROCESS_PATTERNS = [
-  /bun.*environment/i,
-  /bun_environment/i,
-  /setup_bun/i,
-  /bun.*detach/i,
-];
+const SUSPICIOUS_PROCESS_PATTERNS = DEFAULT_PACK.processPatterns.map(p => new RegExp(p, 'i'));
 
-// GitHub-based IOC markers
-const GITHUB_IOC_MARKERS = {
-  repoDescriptions: [
-    'Sha1-Hulud: The Second Coming',
-    'Shai-Hulud Migration',
-  ],
-  runnerName: 'SHA1HULUD',
-  migrationSuffix: '-migration',
-};
+// GitHub-based IOC markers (checked against local repositories by lib/git.js, through IOC packs)
+const GITHUB_IOC_MARKERS = DEFAULT_PACK.githubMarkers;
 
 // Credential files that may have been exfiltrated
 const CREDENTIAL_FILES = [
@@ -90,13 +63,12 @@ const DEPENDENCY_TYPES = [
   'optionalDependencies',
 ];
 
-// Suspicious install script names
-const SUSPICIOUS_SCRIPTS = ['preinstall', 'postinstall', 'prepare'];
-
-// Patterns in scripts that indicate possible malware
-const SUSPICIOUS_SCRIPT_PATTERNS = ['bun', 'setup_', 'curl', 'wget', 'eval'];
+// Lifecycle scripts analyzed for suspicious behavior (see lib/scripts.js)
+const SUSPICIOUS_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare'];
 
 module.exports = {
+  PACKS_DIR,
+  DEFAULT_PACK,
   MALICIOUS_ARTIFACTS,
   MALWARE_HASHES,
   SUSPICIOUS_WORKFLOW_PATTERN,
@@ -106,5 +78,4 @@ module.exports = {
   COMMON_PROJECT_DIRS,
   DEPENDENCY_TYPES,
   SUSPICIOUS_SCRIPTS,
-  SUSPICIOUS_SCRIPT_PATTERNS,
 };
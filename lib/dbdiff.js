@@ -0,0 +1,135 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { addPackage } = require('./loader');
+const { loadFeed } = require('./feeds');
+const { loadPack } = require('./packs');
+const { listInfectedRecords } = require('./matcher');
+const { checkInventory } = require('./inventory');
+
+/**
+ * Infected packages database diffs and targeted re-scans
+ *
+ * `db diff <old> <new>` compares two snapshots of the database (worm.md,
+ * any feed format, or an IOC pack) entry by entry. Saved JSON reports can
+ * then be re-checked against only the added entries, using the package
+ * inventory recorded in the report, instead of re-scanning every project.
+ */
+
+/**
+ * Load a database snapshot to diff
+ *
+ * @param {string} file - worm.md-style file, IOC feed, feed directory or IOC pack
+ * @returns {Map<string, Map<string, Object>>} Infected packages database
+ */
+function loadSnapshot(file) {
+  if (path.extname(file).toLowerCase() === '.json' && isPackFile(file)) {
+    return loadPack(file).packages;
+  }
+  return loadFeed(file);
+}
+
+/**
+ * Check whether a JSON file is an IOC pack rather than a package feed
+ */
+function isPackFile(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Boolean(data && !Array.isArray(data) && typeof data.campaign === 'string');
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Compare two infected packages databases
+ *
+ * Entries are compared by package name and version entry (exact version,
+ * range or wildcard), so a range replacing exact versions shows up as
+ * one added and several removed entries.
+ *
+ * @param {Map} oldPackages - Previous database
+ * @param {Map} newPackages - Updated database
+ * @returns {{added: Array<Object>, removed: Array<Object>}} IOC records, sorted by package and version
+ */
+function diffDatabases(oldPackages, newPackages) {
+  return {
+    added: missingRecords(newPackages, oldPackages),
+    removed: missingRecords(oldPackages, newPackages),
+  };
+}
+
+/**
+ * List the records of `from` whose version entry is not in `other`
+ */
+function missingRecords(from, other) {
+  const records = [];
+  for (const [name, versions] of from) {
+    const otherVersions = other.get(name);
+    for (const record of listInfectedRecords(versions)) {
+      if (!otherVersions || !otherVersions.has(record.version)) {
+        records.push({ package: name, ...record });
+      }
+    }
+  }
+  return records.sort((a, b) => a.package.localeCompare(b.package) || a.version.localeCompare(b.version));
+}
+
+/**
+ * Build a database from a list of IOC records (e.g. the added entries of a diff)
+ *
+ * @param {Array<Object>} records - IOC records
+ * @returns {Map<string, Map<string, Object>>} Infected packages database
+ */
+function recordsToDatabase(records) {
+  const packages = new Map();
+  for (const record of records) {
+    addPackage(packages, record);
+  }
+  return packages;
+}
+
+/**
+ * Re-check saved JSON reports against a set of IOC records
+ *
+ * Uses the package inventory recorded in each report. Reports written
+ * before inventories were recorded cannot be re-checked and get an error.
+ *
+ * @param {Array<string>} reportFiles - Paths to worm-buster-report.json files
+ * @param {Array<Object>} records - IOC records to check (usually the added entries)
+ * @returns {Array<{file: string, scanDate: string|null, directories: Array<string>, packages: number, findings: Array<Object>, error: string|null}>}
+ */
+function rescanReports(reportFiles, records) {
+  const infectedPackages = recordsToDatabase(records);
+
+  return reportFiles.map(file => {
+    const result = { file, scanDate: null, directories: [], packages: 0, findings: [], error: null };
+
+    let report;
+    try {
+      report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      result.error = `Failed to read report: ${err.message}`;
+      return result;
+    }
+
+    result.scanDate = (report.meta && report.meta.scanDate) || null;
+    result.directories = (report.scan && report.scan.directories) || [];
+    if (!Array.isArray(report.inventory)) {
+      result.error = 'Report has no package inventory; run a full scan to record one';
+      return result;
+    }
+
+    result.packages = report.inventory.length;
+    result.findings = checkInventory(report.inventory, infectedPackages);
+    return result;
+  });
+}
+
+module.exports = {
+  loadSnapshot,
+  diffDatabases,
+  recordsToDatabase,
+  rescanReports,
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Exfiltration dump analysis
+ *
+ * The worm uploads what it harvested as base64-encoded (twice) JSON files:
+ * cloud.json, contents.json, environment.json, truffleSecrets.json and
+ * actionsSecrets.json. Found locally (or in a downloaded copy of an
+ * exfiltration repository), they are decoded and summarized by credential
+ * category so rotation can be scoped.
+ *
+ * Secret values are never returned: only counts and identifiers (key paths,
+ * environment variable names, and tokens reduced to their type prefix and
+ * last 4 characters).
+ */
+
+const EXFIL_FILES = ['cloud.json', 'contents.json', 'environment.json', 'truffleSecrets.json', 'actionsSecrets.json'];
+
+// Dumps larger than this are not decoded
+const MAX_DUMP_SIZE = 32 * 1024 * 1024;
+// Encoding layers tried before giving up
+const MAX_LAYERS = 4;
+// Identifiers listed per category
+const MAX_IDENTIFIERS = 10;
+
+// Credentials recognized by their value
+const SECRET_PATTERNS = [
+  { category: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { category: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { category: 'npm token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { category: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { category: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+  { category: 'Private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/g },
+];
+
+// Credentials recognized by their key (or environment variable) name
+const SECRET_NAME_PATTERNS = [
+  { category: 'AWS secret key', pattern: /aws.*secret|secret.*access.*key/i },
+  { category: 'Azure credential', pattern: /^azure_.*(secret|key|password|token)/i },
+  { category: 'npm token', pattern: /npm.*token/i },
+  { category: 'GitHub token', pattern: /(github|gh).*token/i },
+  { category: 'Named secret', pattern: /token|secret|password|passwd|credential|api.?key|private.?key|auth_?token|authorization/i },
+];
+
+// Token prefixes kept when redacting
+const TOKEN_PREFIX_PATTERN = /^(?:gh[pousr]_|github_pat_|npm_|AKIA|ASIA|AIza|xox[abprs]-)/;
+
+/**
+ * Whether a file name is one of the worm's exfiltration dumps
+ *
+ * @param {string} filePath - File path
+ * @returns {boolean} True for cloud.json, contents.json, ...
+ */
+function isExfilFile(filePath) {
+  return EXFIL_FILES.includes(path.basename(filePath));
+}
+
+/**
+ * Decode an exfiltration dump: base64 layers down to JSON
+ *
+ * @param {string} content - File content
+ * @returns {{layers: number, data: *}|null} Decoded JSON and the number of
+ *   base64 layers removed, or null if the content is not an encoded JSON dump
+ */
+function decodeDump(content) {
+  let current = content.trim();
+
+  for (let layers = 0; layers <= MAX_LAYERS; layers++) {
+    let parsed;
+    try {
+      parsed = JSON.parse(current);
+    } catch (err) {
+      parsed = undefined;
+    }
+
+    if (parsed !== null && typeof parsed === 'object') {
+      return layers > 0 ? { layers, data: parsed } : null;
+    }
+    // A JSON string holding the next layer
+    if (typeof parsed === 'string') current = parsed.trim();
+
+    const compact = current.replace(/\s+/g, '');
+    if (!compact || compact.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) return null;
+    current = Buffer.from(compact, 'base64').toString('utf8').trim();
+  }
+
+  return null;
+}
+
+/**
+ * Summarize the credentials in decoded dump data
+ *
+ * @param {*} data - Decoded dump
+ * @param {string} fileName - Dump file name (environment.json lists variable names)
+ * @returns {Array<{category: string, count: number, identifiers: Array<string>}>}
+ *   Categories by decreasing count; identifiers never contain secret values
+ */
+function summarizeSecrets(data, fileName = '') {
+  const categories = new Map();
+  const add = (category, value, identifier) => {
+    if (!categories.has(category)) categories.set(category, { values: new Set(), identifiers: new Set() });
+    const entry = categories.get(category);
+    entry.values.add(value);
+    entry.identifiers.add(identifier);
+  };
+
+  // environment.json: variable names are identifiers, whatever the values
+  if (path.basename(fileName) === 'environment.json' && isObject(data)) {
+    for (const name of Object.keys(data)) add('Environment variable', name, name);
+  }
+
+  const walk = (value, keyPath) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, [...keyPath, String(index)]));
+    } else if (isObject(value)) {
+      // TruffleHog results: { DetectorName, Raw, Verified, ... }
+      if (typeof value.DetectorName === 'string' && typeof value.Raw === 'string') {
+        add(`TruffleHog: ${value.DetectorName}`, value.Raw, `${redact(value.Raw)}${value.Verified ? ' (verified)' : ''}`);
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) walk(child, [...keyPath, key]);
+    } else if (typeof value === 'string' && value) {
+      classifyString(value, keyPath, add);
+    }
+  };
+  walk(data, []);
+
+  return [...categories.entries()]
+    .map(([category, { values, identifiers }]) => ({
+      category,
+      count: values.size,
+      identifiers: identifiers.size > MAX_IDENTIFIERS
+        ? [...[...identifiers].slice(0, MAX_IDENTIFIERS), `+${identifiers.size - MAX_IDENTIFIERS} more`]
+        : [...identifiers],
+    }))
+    .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+}
+
+/**
+ * Classify a string by value pattern, else by its key name
+ */
+function classifyString(value, keyPath, add) {
+  const key = keyPath.length > 0 ? keyPath[keyPath.length - 1] : '';
+  let matched = false;
+
+  for (const { category, pattern } of SECRET_PATTERNS) {
+    for (const [token] of value.matchAll(pattern)) {
+      matched = true;
+      add(category, token, category === 'Private key' ? keyPath.join('.') : redact(token));
+    }
+  }
+  if (matched) return;
+
+  const named = SECRET_NAME_PATTERNS.find(({ pattern }) => pattern.test(key));
+  if (named) add(named.category, value, keyPath.join('.'));
+}
+
+/**
+ * Reduce a secret to an identifier: its token type prefix and last 4 characters
+ *
+ * @param {string} secret - Secret value
+ * @returns {string} e.g. "ghp_…a1b2", or "[redacted]" for short values
+ */
+function redact(secret) {
+  if (secret.length < 12) return '[redacted]';
+  const prefix = secret.match(TOKEN_PREFIX_PATTERN);
+  return `${prefix ? prefix[0] : ''}…${secret.slice(-4)}`;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Decode an exfiltration dump file and summarize what leaked
+ *
+ * @param {string} filePath - Path to the dump
+ * @returns {{layers: number, leaked: Array<{category: string, count: number, identifiers: Array<string>}>}|null}
+ *   null if the file is not an encoded dump (or unreadable)
+ */
+function analyzeExfilFile(filePath) {
+  let content;
+  try {
+    if (fs.statSync(filePath).size > MAX_DUMP_SIZE) return null;
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    return null;
+  }
+
+  const decoded = decodeDump(content);
+  if (!decoded) return null;
+  return { layers: decoded.layers, leaked: summarizeSecrets(decoded.data, filePath) };
+}
+
+/**
+ * Format a leaked credential category for display
+ *
+ * @param {{category: string, count: number, identifiers: Array<string>}} leak - Category summary
+ * @returns {string} e.g. "GitHub token: 2 (ghp_…a1b2, GITHUB_TOKEN)"
+ */
+function formatLeak({ category, count, identifiers }) {
+  return `${category}: ${count}${identifiers.length > 0 ? ` (${identifiers.join(', ')})` : ''}`;
+}
+
+module.exports = {
+  EXFIL_FILES,
+  isExfilFile,
+  decodeDump,
+  summarizeSecrets,
+  analyzeExfilFile,
+  formatLeak,
+  redact,
+};
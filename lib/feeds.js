@@ -0,0 +1,318 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadInfectedPackages, createRecord, addPackage } = require('./loader');
+
+/**
+ * Additional IOC feeds merged with the worm.md database
+ *
+ * Supported formats (detected from the file extension, then content):
+ * - Markdown / tab-separated (.md, .txt, .tsv) - same format as worm.md
+ * - JSON list (.json): [{ "name": "pkg", "version": "1.0.0", "status": ..., "timestamp": ..., "id": ... }]
+ *   or { "packages": [...] }; "versions": [...] may replace "version"; "integrity"
+ *   lists known-bad tarball digests ("sha512-..." or a list of them)
+ * - CSV (.csv): header row with package/name, version, status, timestamp, id and
+ *   optional integrity columns
+ * - OSV (.json): a single advisory, an array of advisories or { "vulns": [...] }
+ * - A directory: every supported file directly inside it
+ *
+ * Every record keeps the name of the feed file it came from in `source`
+ * (for a directory, the file inside it).
+ */
+
+const FEED_EXTENSIONS = ['.md', '.txt', '.tsv', '.json', '.csv'];
+
+/**
+ * Load a single IOC feed
+ *
+ * @param {string} feedPath - Path to a feed file or directory of feed files
+ * @returns {Map<string, Map<string, Object>>} Infected packages database
+ * @throws {Error} If the feed cannot be read or its format is not recognized
+ */
+function loadFeed(feedPath) {
+  const source = path.basename(feedPath);
+
+  if (fs.statSync(feedPath).isDirectory()) {
+    const packages = new Map();
+    const files = fs.readdirSync(feedPath)
+      .filter(name => FEED_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .sort();
+    for (const name of files) {
+      mergeInfectedPackages(packages, loadFeed(path.join(feedPath, name)));
+    }
+    return packages;
+  }
+
+  switch (path.extname(feedPath).toLowerCase()) {
+  case '.json':
+    return parseJsonFeed(fs.readFileSync(feedPath, 'utf8'), source);
+  case '.csv':
+    return parseCsvFeed(fs.readFileSync(feedPath, 'utf8'), source);
+  case '.md':
+  case '.txt':
+  case '.tsv':
+    return loadInfectedPackages(feedPath);
+  default:
+    throw new Error(`Unsupported IOC feed format: ${feedPath} (expected ${FEED_EXTENSIONS.join(', ')})`);
+  }
+}
+
+/**
+ * Load and merge several IOC feeds
+ *
+ * Feeds are merged in order; when two feeds list the same version, the
+ * record of the first one is kept.
+ *
+ * @param {Array<string>} feedPaths - Paths to feed files or directories
+ * @returns {Map<string, Map<string, Object>>} Merged infected packages database
+ */
+function loadDatabases(feedPaths) {
+  const packages = new Map();
+  for (const feedPath of feedPaths) {
+    mergeInfectedPackages(packages, loadFeed(feedPath));
+  }
+  return packages;
+}
+
+/**
+ * Merge one infected packages database into another
+ *
+ * @param {Map} target - Database to merge into (modified in place)
+ * @param {Map} other - Database to merge from
+ * @returns {Map} The target database
+ */
+function mergeInfectedPackages(target, other) {
+  for (const [name, versions] of other) {
+    for (const version of versions.keys()) {
+      const record = versions instanceof Map
+        ? versions.get(version)
+        : createRecord([name, version]);
+      addPackage(target, record);
+    }
+  }
+  return target;
+}
+
+/**
+ * Parse a JSON feed (plain package list or OSV advisories)
+ *
+ * @param {string} content - File content
+ * @param {string} source - Feed name
+ * @returns {Map} Infected packages database
+ */
+function parseJsonFeed(content, source) {
+  const data = JSON.parse(content);
+  const packages = new Map();
+
+  const entries = Array.isArray(data) ? data : (data.vulns || data.packages || [data]);
+  const list = [];
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') continue;
+
+    if (Array.isArray(entry.affected)) {
+      addOsvAdvisory(packages, entry, source);
+    } else {
+      list.push(entry);
+    }
+  }
+
+  return mergeInfectedPackages(packages, parsePackageList(list, source));
+}
+
+/**
+ * Parse a JSON package list
+ *
+ * @param {Array<Object>} entries - [{ name|package, version|versions|range, status, timestamp|published, id, integrity }]
+ * @param {string} source - Feed name
+ * @returns {Map} Infected packages database
+ */
+function parsePackageList(entries, source) {
+  const packages = new Map();
+
+  for (const entry of entries) {
+    const name = entry.name || entry.package;
+    // "versions": "1.2.3" is one version, not a list of characters
+    const listed = entry.versions !== undefined ? entry.versions : [entry.version || entry.range];
+    const versions = Array.isArray(listed) ? listed : [listed];
+    for (const version of versions) {
+      if (!name || !version) continue;
+      addPackage(packages, createRecord([
+        name,
+        String(version),
+        entry.status,
+        entry.timestamp || entry.published,
+        entry.id !== undefined ? String(entry.id) : null,
+        entry.integrity,
+      ], source));
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Add the npm packages of an OSV advisory
+ *
+ * Listed versions become exact entries. SEMVER and ECOSYSTEM ranges become
+ * semver range entries (introduced/fixed/last_affected events). Withdrawn
+ * advisories are skipped.
+ *
+ * @see https://ossf.github.io/osv-schema/
+ */
+function addOsvAdvisory(packages, advisory, source) {
+  if (advisory.withdrawn) return;
+
+  for (const affected of advisory.affected) {
+    const pkg = affected.package || {};
+    if (!pkg.name || String(pkg.ecosystem).toLowerCase() !== 'npm') continue;
+
+    const versions = [...(affected.versions || [])];
+    for (const range of affected.ranges || []) {
+      if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') continue;
+      const converted = osvEventsToRange(range.events || []);
+      if (converted) versions.push(converted);
+    }
+
+    for (const version of versions) {
+      addPackage(packages, createRecord([
+        pkg.name,
+        version,
+        null,
+        advisory.published || advisory.modified,
+        advisory.id,
+      ], source));
+    }
+  }
+}
+
+/**
+ * Convert OSV range events to a semver range string
+ *
+ * @param {Array<Object>} events - e.g. [{ introduced: "1.4.2" }, { fixed: "1.4.6" }]
+ * @returns {string|null} e.g. ">=1.4.2 <1.4.6", or null if no interval is opened
+ */
+function osvEventsToRange(events) {
+  const intervals = [];
+  let lower = null;
+
+  for (const event of events) {
+    if (event.introduced !== undefined) {
+      lower = event.introduced === '0' ? '' : `>=${event.introduced}`;
+    } else if (lower !== null) {
+      let upper = null;
+      if (event.fixed !== undefined) upper = `<${event.fixed}`;
+      else if (event.last_affected !== undefined) upper = `<=${event.last_affected}`;
+      else if (event.limit !== undefined && event.limit !== '*') upper = `<${event.limit}`;
+      if (upper === null) continue;
+      intervals.push([lower, upper].filter(Boolean).join(' '));
+      lower = null;
+    }
+  }
+
+  if (lower !== null) {
+    intervals.push(lower || '*');
+  }
+
+  return intervals.length > 0 ? intervals.join(' || ') : null;
+}
+
+/**
+ * Parse a CSV feed
+ *
+ * The header row names the columns (case-insensitive): package or name,
+ * version, status, timestamp or published, id, integrity. Without a recognizable
+ * header, columns are taken in worm.md order.
+ *
+ * @param {string} content - File content
+ * @param {string} source - Feed name
+ * @returns {Map} Infected packages database
+ */
+function parseCsvFeed(content, source) {
+  const rows = parseCsv(content).filter(row => row.some(cell => cell.trim()));
+  const packages = new Map();
+  if (rows.length === 0) return packages;
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const column = (...names) => header.findIndex(cell => names.includes(cell));
+  const nameIndex = column('package', 'name', 'package_name');
+  const hasHeader = nameIndex !== -1;
+
+  const indexes = hasHeader
+    ? [
+      nameIndex,
+      column('version', 'versions', 'range'),
+      column('status'),
+      column('timestamp', 'published', 'date'),
+      column('id', 'advisory', 'advisory_id'),
+      column('integrity'),
+    ]
+    : [0, 1, 2, 3, 4, 5];
+
+  for (const row of hasHeader ? rows.slice(1) : rows) {
+    const parts = indexes.map(i => (i === -1 || row[i] === undefined ? '' : row[i].trim()));
+    if (parts[0] && parts[1]) {
+      addPackage(packages, createRecord(parts, source));
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Split CSV content into rows of cells (RFC 4180 quoting)
+ *
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell.replace(/\r$/, ''));
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell.replace(/\r$/, ''));
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = {
+  FEED_EXTENSIONS,
+  loadFeed,
+  loadDatabases,
+  mergeInfectedPackages,
+  parseJsonFeed,
+  parsePackageList,
+  parseCsvFeed,
+  osvEventsToRange,
+};
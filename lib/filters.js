@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Walk rules: exclude/include globs, ignore file, depth limit and symlink policy
+ *
+ * Globs follow .gitignore conventions:
+ * - a glob without "/" matches a name at any depth (`dist`, `*.min.js`)
+ * - a glob with "/" is relative to the scanned root (`vendor/legacy`, `/build`)
+ * - `*` and `?` do not match "/", `**` matches any number of directories
+ * - a trailing "/" only matches directories (`cache/`)
+ *
+ * An excluded directory is not entered, so nothing under it can be included
+ * again. The last matching rule wins: rules from the root's .wormbusterignore
+ * (where "!glob" includes), then --exclude, then --include. Included entries
+ * are scanned even when hidden: dot-directories other than .github are
+ * otherwise only searched for artifacts.
+ */
+
+const IGNORE_FILE = '.wormbusterignore';
+
+/**
+ * Convert a glob to a regular expression matched against root-relative paths
+ *
+ * @param {string} glob - Glob (see above)
+ * @returns {{regexp: RegExp, directoryOnly: boolean}} Matcher
+ */
+function globToRegExp(glob) {
+  let pattern = glob.trim();
+  const directoryOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return {
+    regexp: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`),
+    directoryOnly,
+  };
+}
+
+/**
+ * Parse an ignore file: one glob per line, "!glob" to include, "#" comments
+ *
+ * @param {string} content - Ignore file content
+ * @returns {Array<{glob: string, include: boolean}>} Rules in file order
+ */
+function parseIgnoreFile(content) {
+  const rules = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    rules.push(line.startsWith('!') ? { glob: line.slice(1), include: true } : { glob: line, include: false });
+  }
+  return rules;
+}
+
+/**
+ * Create the walk rules of a scanned root
+ *
+ * @param {string} root - Scanned root directory (its .wormbusterignore is read)
+ * @param {Object} options - Scan options
+ * @param {Array<string>} options.exclude - Globs of entries to skip
+ * @param {Array<string>} options.include - Globs of entries to scan even if excluded or hidden
+ * @param {number} options.maxDepth - Directory levels entered below the root (default: unlimited)
+ * @param {boolean} options.followSymlinks - Enter symlinked directories
+ * @returns {{root: string, match: Function, maxDepth: number, followSymlinks: boolean}} Rules:
+ *   match(fullPath, isDirectory) returns 'exclude', 'include' or null
+ */
+function createWalkRules(root, options = {}) {
+  let ignoreRules = [];
+  try {
+    ignoreRules = parseIgnoreFile(fs.readFileSync(path.join(root, IGNORE_FILE), 'utf8'));
+  } catch (err) {
+    // No ignore file
+  }
+
+  const rules = [
+    ...ignoreRules,
+    ...(options.exclude || []).map(glob => ({ glob, include: false })),
+    ...(options.include || []).map(glob => ({ glob, include: true })),
+  ].map(rule => ({ ...rule, ...globToRegExp(rule.glob) }));
+
+  const match = (fullPath, isDirectory) => {
+    if (rules.length === 0) return null;
+    const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const { regexp, directoryOnly, include } = rules[i];
+      if ((!directoryOnly || isDirectory) && regexp.test(relativePath)) {
+        return include ? 'include' : 'exclude';
+      }
+    }
+    return null;
+  };
+
+  return {
+    root,
+    match,
+    maxDepth: Number.isInteger(options.maxDepth) && options.maxDepth >= 0 ? options.maxDepth : Infinity,
+    followSymlinks: Boolean(options.followSymlinks),
+  };
+}
+
+module.exports = {
+  IGNORE_FILE,
+  globToRegExp,
+  parseIgnoreFile,
+  createWalkRules,
+};
@@ -0,0 +1,393 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getDefaultIocs } = require('./packs');
+
+/**
+ * Local git repository inspection (no network access)
+ *
+ * Checks a project's .git directory against the GitHub markers of IOC packs:
+ * - remotes pointing at repositories with the migration suffix (`<repo>-migration`,
+ *   the public copies the worm makes of private repositories)
+ * - `.git/description` containing a marker repository description
+ * - commits, on any branch, adding the malicious workflows (artifact paths
+ *   such as .github/workflows/discussion.yaml, or workflow name patterns)
+ * - self-hosted runner registrations (`.runner`) under the marker runner name
+ *
+ * Commit history is read with the git CLI; it is skipped when git is not installed.
+ */
+
+// Time limit for each git command
+const GIT_TIMEOUT = 30000;
+// Output limit of git commands (objects read with cat-file --batch: the sum of their sizes)
+const MAX_OUTPUT = 64 * 1024 * 1024;
+const MAX_BATCH_OUTPUT = 512 * 1024 * 1024;
+// Config of scanned repositories that makes git run programs, overridden on every call
+const SAFE_CONFIG = [
+  'core.quotePath=false',
+  'log.showSignature=false',
+  'gpg.program=false',
+  'gpg.ssh.program=false',
+  'gpg.x509.program=false',
+  'core.fsmonitor=false',
+  'core.hooksPath=/dev/null',
+  'core.pager=cat',
+  'diff.external=',
+  'core.sshCommand=false',
+  'credential.helper=',
+];
+// Directories of a project where a self-hosted runner may be registered
+const RUNNER_DIRS = ['.', '.dev-env', 'actions-runner'];
+
+/**
+ * Inspect the git repository of a project
+ *
+ * @param {string} gitPath - Path to the .git directory (or .git file of worktrees and submodules)
+ * @param {Object} options - Scan options
+ * @param {boolean} options.verbose - Report unreadable repositories
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @returns {Array} Array of findings
+ */
+function checkGitRepository(gitPath, options = {}, iocs = null) {
+  const findings = [];
+  const { githubMarkers, artifacts, workflowPatterns } = iocs || getDefaultIocs();
+  const projectDir = path.dirname(gitPath);
+
+  let gitDir;
+  try {
+    gitDir = resolveGitDir(gitPath);
+  } catch (err) {
+    if (options.verbose) {
+      findings.push({
+        type: 'PARSE_ERROR',
+        severity: 'INFO',
+        file: gitPath,
+        message: `Failed to read git repository: ${err.message}`,
+      });
+    }
+    return findings;
+  }
+
+  findings.push(...checkRemotes(gitDir, githubMarkers));
+  findings.push(...checkDescription(gitDir, githubMarkers));
+  findings.push(...checkWorkflowCommits(gitDir, projectDir, artifacts, workflowPatterns));
+  for (const dir of RUNNER_DIRS) {
+    findings.push(...checkRunnerRegistration(path.join(projectDir, dir), iocs));
+  }
+
+  return findings;
+}
+
+/**
+ * Resolve the git directory: .git itself, or the "gitdir:" a .git file points to
+ */
+function resolveGitDir(gitPath) {
+  if (fs.statSync(gitPath).isDirectory()) return gitPath;
+
+  const match = fs.readFileSync(gitPath, 'utf8').match(/^gitdir:\s*(.+)$/m);
+  if (!match) throw new Error('Not a git directory or gitdir file');
+  return path.resolve(path.dirname(gitPath), match[1].trim());
+}
+
+/**
+ * Parse the remotes of a git config file
+ *
+ * @param {string} content - .git/config content
+ * @returns {Array<{name: string, urls: Array<string>}>} Remotes with their fetch and push URLs
+ */
+function parseRemotes(content) {
+  const remotes = [];
+  let current = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+    const section = line.match(/^\[\s*([^\s\]"]+)(?:\s+"((?:\\.|[^"\\])*)")?\s*\]$/);
+    if (section) {
+      current = section[1].toLowerCase() === 'remote' && section[2] !== undefined ? { name: section[2], urls: [] } : null;
+      if (current) remotes.push(current);
+      continue;
+    }
+
+    const entry = line.match(/^(url|pushurl)\s*=\s*(.*)$/i);
+    if (current && entry) {
+      current.urls.push(entry[2].replace(/^"(.*)"$/, '$1'));
+    }
+  }
+
+  return remotes;
+}
+
+/**
+ * Repository name of a remote URL (https://github.com/o/repo.git, git@github.com:o/repo)
+ */
+function repositoryName(url) {
+  const parts = url.replace(/\/+$/, '').replace(/\.git$/, '').split(/[/:]/);
+  return parts[parts.length - 1];
+}
+
+/**
+ * Remotes pointing at migration repositories
+ */
+function checkRemotes(gitDir, githubMarkers) {
+  const findings = [];
+  const configPath = path.join(gitDir, 'config');
+
+  let remotes;
+  try {
+    remotes = parseRemotes(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    return findings;
+  }
+
+  for (const { name, urls } of remotes) {
+    for (const url of urls) {
+      for (const { migrationSuffix, campaign } of githubMarkers) {
+        if (!migrationSuffix || !repositoryName(url).toLowerCase().endsWith(migrationSuffix.toLowerCase())) continue;
+        findings.push({
+          type: 'GIT_MIGRATION_REMOTE',
+          severity: 'WARNING',
+          file: configPath,
+          remote: name,
+          url,
+          campaign,
+          note: `Remote points at a "*${migrationSuffix}" repository, the name used for the public copies the worm makes of private repositories. Check that you own it and that it is private.`,
+        });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * .git/description containing a marker repository description
+ */
+function checkDescription(gitDir, githubMarkers) {
+  const findings = [];
+  const descriptionPath = path.join(gitDir, 'description');
+
+  let description;
+  try {
+    description = fs.readFileSync(descriptionPath, 'utf8').toLowerCase();
+  } catch (err) {
+    return findings;
+  }
+
+  for (const { repoDescriptions, campaign } of githubMarkers) {
+    for (const marker of repoDescriptions || []) {
+      if (!description.includes(marker.toLowerCase())) continue;
+      findings.push({
+        type: 'GIT_DESCRIPTION_MARKER',
+        severity: 'CRITICAL',
+        file: descriptionPath,
+        campaign,
+        note: `Repository description contains "${marker}".`,
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Commits (on any branch) adding malicious workflow files
+ */
+function checkWorkflowCommits(gitDir, projectDir, artifacts, workflowPatterns) {
+  const findings = [];
+
+  let log;
+  try {
+    log = git(gitDir, [
+      'log', '--all', '--no-show-signature', '--diff-filter=A', '--name-only', '--format=%x00%H%x1f%an <%ae>%x1f%aI%x1f%s',
+      '--', '.github/workflows',
+    ]);
+  } catch (err) {
+    // git not installed, or not a repository it can read
+    return findings;
+  }
+
+  for (const record of log.split('\0').slice(1)) {
+    const [header, ...files] = record.split('\n').filter(Boolean);
+    const [commit, author, date, subject] = header.split('\x1f');
+    // Branches are listed once per commit, for its first matching file
+    let branches = null;
+
+    for (const file of files) {
+      const artifact = artifacts.find(({ name }) => name.includes('/') && file.endsWith(name));
+      const pattern = workflowPatterns.find(({ pattern }) => pattern.test(path.posix.basename(file)));
+      const match = artifact || pattern;
+      if (!match) continue;
+
+      branches = branches || listBranchesContaining(gitDir, commit);
+      findings.push({
+        type: 'GIT_MALICIOUS_WORKFLOW_COMMIT',
+        severity: 'CRITICAL',
+        path: path.join(projectDir, file),
+        commit,
+        author,
+        date,
+        subject,
+        branches,
+        campaign: match.campaign,
+        note: 'Commit adds a workflow matching the worm\'s backdoor or exfiltration workflows. Even if deleted since, it may have run.',
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Local and remote-tracking branches containing a commit
+ *
+ * @param {string} gitDir - Git directory
+ * @param {string} commit - Commit hash
+ * @returns {Array<string>} Branch names (empty if git fails)
+ */
+function listBranchesContaining(gitDir, commit) {
+  try {
+    return git(gitDir, ['branch', '--all', '--contains', commit, '--format=%(refname:short)'])
+      .split('\n')
+      .filter(Boolean);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Self-hosted runner registration (.runner) under a marker runner name
+ *
+ * @param {string} runnerDir - Directory the runner may be installed in
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @returns {Array} Array of findings
+ */
+function checkRunnerRegistration(runnerDir, iocs = null) {
+  const findings = [];
+  const { githubMarkers } = iocs || getDefaultIocs();
+  const runnerPath = path.join(runnerDir, '.runner');
+
+  let runner;
+  try {
+    // The runner writes .runner with a byte order mark
+    runner = JSON.parse(fs.readFileSync(runnerPath, 'utf8').replace(/^\uFEFF/, ''));
+  } catch (err) {
+    return findings;
+  }
+
+  for (const { runnerName, campaign } of githubMarkers) {
+    if (!runnerName || String(runner.agentName || '').toLowerCase() !== runnerName.toLowerCase()) continue;
+    findings.push({
+      type: 'GIT_RUNNER_REGISTRATION',
+      severity: 'CRITICAL',
+      file: path.normalize(runnerPath),
+      url: runner.gitHubUrl || null,
+      campaign,
+      note: `Self-hosted GitHub Actions runner registered as "${runner.agentName}".`,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Run a git command against a git directory
+ *
+ * @param {string} gitDir - Git directory
+ * @param {Array<string>} args - git arguments
+ * @returns {string} Standard output
+ * @throws {Error} If git is not installed, fails or times out
+ */
+function git(gitDir, args) {
+  return runGit([`--git-dir=${gitDir}`, ...args]);
+}
+
+/**
+ * Read objects with a single git process (cat-file --batch)
+ *
+ * Contents are read raw: cat-file applies no textconv drivers or filters.
+ *
+ * @param {string} gitDir - Git directory
+ * @param {Array<string>} names - Object names, e.g. "<commit>:<path>"
+ * @returns {Array<string|null>} Contents in the order of names (null for missing objects)
+ * @throws {Error} If git is not installed, fails or times out
+ */
+function readObjects(gitDir, names) {
+  if (names.length === 0) return [];
+  const output = runGit([`--git-dir=${gitDir}`, 'cat-file', '--batch'], undefined, {
+    input: `${names.join('\n')}\n`,
+    maxBuffer: MAX_BATCH_OUTPUT,
+  });
+
+  // "<oid> <type> <size>\n<content>\n" per object, "<name> missing\n" for others
+  const contents = [];
+  let offset = 0;
+  for (let i = 0; i < names.length; i++) {
+    const end = output.indexOf(0x0a, offset);
+    if (end === -1) throw new Error('Truncated git cat-file output');
+    const header = output.toString('utf8', offset, end).match(/^[0-9a-f]{40,64} \w+ (\d+)$/);
+    offset = end + 1;
+    if (!header) {
+      contents.push(null);
+      continue;
+    }
+    const size = Number(header[1]);
+    contents.push(output.toString('utf8', offset, offset + size));
+    offset += size + 1;
+  }
+  return contents;
+}
+
+/**
+ * Run a git command (in a working directory)
+ *
+ * Scanned repositories are untrusted: their config can name programs git
+ * runs (gpg.program through log.showSignature, core.fsmonitor, core.pager,
+ * hooks). Those settings are overridden on every call, repositories owned by
+ * other users are refused as git does by default, and the GIT_* variables of
+ * the environment (GIT_DIR, GIT_CONFIG_*, ...) are not passed on.
+ *
+ * @param {Array<string>} args - git arguments
+ * @param {string} cwd - Working directory (default: current directory)
+ * @param {Object} options - Command options
+ * @param {string} options.input - Standard input; the output is then returned as a Buffer
+ * @param {number} options.maxBuffer - Output limit (default: MAX_OUTPUT)
+ * @returns {string|Buffer} Standard output
+ * @throws {Error} If git is not installed, fails or times out
+ */
+function runGit(args, cwd, options = {}) {
+  const { input = null, maxBuffer = MAX_OUTPUT } = options;
+  return execFileSync('git', ['--no-pager', ...SAFE_CONFIG.flatMap(setting => ['-c', setting]), ...args], {
+    cwd,
+    env: gitEnvironment(),
+    encoding: input === null ? 'utf8' : undefined,
+    input: input === null ? undefined : input,
+    timeout: GIT_TIMEOUT,
+    maxBuffer,
+    stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'ignore'],
+  });
+}
+
+/**
+ * Environment of git commands: without GIT_* variables, system config and prompts
+ */
+function gitEnvironment() {
+  const env = {};
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!name.startsWith('GIT_')) env[name] = value;
+  }
+  return { ...env, GIT_CONFIG_NOSYSTEM: '1', GIT_TERMINAL_PROMPT: '0', GIT_PAGER: 'cat' };
+}
+
+module.exports = {
+  checkGitRepository,
+  checkRunnerRegistration,
+  parseRemotes,
+  listBranchesContaining,
+  readObjects,
+  git,
+  runGit,
+};
@@ -0,0 +1,256 @@
+'use strict';
+
+const path = require('path');
+const { git, runGit, listBranchesContaining, readObjects } = require('./git');
+const { matchLockedPackage } = require('./analyzer');
+const { buildIntegrityIndex, iocDetails } = require('./matcher');
+const { parsePackageLock } = require('./packagelock');
+const { parseYarnLock } = require('./yarn');
+const { parsePnpmLock } = require('./pnpm');
+const { parseBunLock } = require('./bun');
+
+/**
+ * Lockfile git history scan (--history)
+ *
+ * A lockfile clean today may have locked an infected version in the past:
+ * every CI run and install of those commits installed it. Each version of a
+ * lockfile in the local history (all branches) is parsed, and the commits
+ * where an infected version appears and disappears are reported:
+ *
+ * - introduced: the commit adding it (present there, in none of its parents)
+ * - removed: the first later commit, descending from the introducing one,
+ *   dropping it (null while the newest commits still lock it)
+ *
+ * Only commits changing the lockfile are read, newest first, up to
+ * MAX_COMMITS per lockfile, BATCH_SIZE lockfile versions per git process.
+ * Ancestry is followed in the parent graph git log returns with them. The
+ * git CLI is required; lockfiles outside a git
+ * repository are skipped. git runs with the settings of the scanned
+ * repository that run programs overridden (see runGit in lib/git.js), and
+ * lockfiles are read raw, without textconv drivers.
+ */
+
+// Commits read per lockfile (the newest ones)
+const MAX_COMMITS = 1000;
+// Lockfile versions read per git cat-file process
+const BATCH_SIZE = 32;
+
+// Lockfile parsers by file name (bun.lockb is binary, not read from history)
+const HISTORY_PARSERS = {
+  'package-lock.json': content => parsePackageLock(content),
+  'yarn.lock': parseYarnLock,
+  'pnpm-lock.yaml': parsePnpmLock,
+  'bun.lock': parseBunLock,
+};
+
+/**
+ * Whether the history of a lockfile can be scanned
+ *
+ * @param {string} filePath - Lockfile path
+ * @returns {boolean} True for package-lock.json, yarn.lock, pnpm-lock.yaml and bun.lock
+ */
+function isHistoryLockfile(filePath) {
+  return Object.prototype.hasOwnProperty.call(HISTORY_PARSERS, path.basename(filePath));
+}
+
+/**
+ * Scan the git history of a lockfile for infected versions
+ *
+ * @param {string} lockfilePath - Path to the lockfile (in a git working tree)
+ * @param {Map<string, Map<string, Object>>} infectedPackages - Infected packages database
+ * @param {Object} options - Scan options
+ * @param {boolean} options.verbose - Report unreadable history
+ * @returns {Array} LOCKFILE_HISTORY_EXPOSURE findings, one per range
+ */
+function checkLockfileHistory(lockfilePath, infectedPackages, options = {}) {
+  const findings = [];
+  const parse = HISTORY_PARSERS[path.basename(lockfilePath)];
+  if (!parse) return findings;
+
+  let gitDir;
+  let relativePath;
+  let commits;
+  try {
+    const [dir, prefix] = runGit(['rev-parse', '--absolute-git-dir', '--show-prefix'], path.dirname(lockfilePath)).split('\n');
+    gitDir = dir;
+    relativePath = `${prefix}${path.basename(lockfilePath)}`;
+    commits = listCommits(gitDir, relativePath);
+  } catch (err) {
+    // Not in a git repository, or git not installed
+    return findings;
+  }
+
+  const integrityIndex = buildIntegrityIndex(infectedPackages);
+  const locked = new Map();
+  for (let start = 0; start < commits.length; start += BATCH_SIZE) {
+    const batch = commits.slice(start, start + BATCH_SIZE);
+    let contents;
+    try {
+      contents = readObjects(gitDir, batch.map(({ commit }) => `${commit}:${relativePath}`));
+    } catch (err) {
+      if (options.verbose) {
+        findings.push({
+          type: 'PARSE_ERROR',
+          severity: 'INFO',
+          file: lockfilePath,
+          message: `Failed to read the history of ${relativePath}: ${err.message}`,
+        });
+      }
+      return findings;
+    }
+
+    for (const [index, commit] of batch.entries()) {
+      // Missing: deleted in this commit
+      const content = contents[index];
+      try {
+        locked.set(commit.commit, content === null ? new Map() : lockedInfected(parse(content), infectedPackages, integrityIndex));
+      } catch (err) {
+        locked.set(commit.commit, new Map());
+        if (options.verbose) {
+          findings.push({
+            type: 'PARSE_ERROR',
+            severity: 'INFO',
+            file: lockfilePath,
+            message: `Failed to parse ${relativePath} at ${commit.commit}: ${err.message}`,
+          });
+        }
+      }
+    }
+  }
+
+  // Oldest first: parents are read before their children
+  const changes = [];
+  for (const commit of [...commits].reverse()) {
+    const current = locked.get(commit.commit);
+    const parents = commit.parents.filter(parent => locked.has(parent)).map(parent => locked.get(parent));
+
+    for (const [key, entry] of current) {
+      if (!parents.some(parent => parent.has(key))) changes.push({ kind: 'introduced', key, entry, commit });
+    }
+    const removed = new Map();
+    for (const parent of parents) {
+      for (const [key, entry] of parent) {
+        if (!current.has(key)) removed.set(key, entry);
+      }
+    }
+    for (const [key, entry] of removed) {
+      changes.push({ kind: 'removed', key, entry, commit });
+    }
+  }
+
+  // Descendants and branches of each introducing commit, computed once
+  const children = listChildren(commits);
+  const descendants = new Map();
+  const branches = new Map();
+  for (const [index, change] of changes.entries()) {
+    if (change.kind !== 'introduced') continue;
+    const { commit } = change.commit;
+    if (!descendants.has(commit)) {
+      descendants.set(commit, listDescendants(children, commit));
+      branches.set(commit, listBranchesContaining(gitDir, commit));
+    }
+    const later = descendants.get(commit);
+    const removal = changes.slice(index + 1).find(c => c.kind === 'removed' && c.key === change.key && later.has(c.commit.commit));
+    const { pkg, match } = change.entry;
+    findings.push({
+      type: 'LOCKFILE_HISTORY_EXPOSURE',
+      severity: 'CRITICAL',
+      package: pkg.name,
+      version: pkg.version,
+      file: lockfilePath,
+      campaign: match.record.campaign || null,
+      ioc: iocDetails(match.record),
+      ...match.integrityMatch,
+      introduced: describeCommit(change.commit),
+      removed: removal ? describeCommit(removal.commit) : null,
+      branches: branches.get(commit),
+      note: removal
+        ? `Locked from ${change.commit.date} until ${removal.commit.date}: CI runs and installs of these commits installed it.`
+        : `Locked since ${change.commit.date}: CI runs and installs of these commits installed it.`,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Commits changing a file, on all branches, newest first (with the parents
+ * that changed it, as rewritten by git log)
+ */
+function listCommits(gitDir, relativePath) {
+  const log = git(gitDir, [
+    'log', '--all', '--no-show-signature', '--full-history', '--parents', '--topo-order', `--max-count=${MAX_COMMITS}`,
+    '--format=%x00%H%x1f%P%x1f%an <%ae>%x1f%cI%x1f%s', '--', relativePath,
+  ]);
+
+  return log.split('\0').slice(1).map(record => {
+    const [commit, parents, author, date, subject] = record.replace(/\n+$/, '').split('\x1f');
+    return { commit, parents: parents ? parents.split(' ') : [], author, date, subject };
+  });
+}
+
+/**
+ * Infected packages locked in a parsed lockfile, by "name@version"
+ */
+function lockedInfected(lockfile, infectedPackages, integrityIndex) {
+  const infected = new Map();
+  for (const pkg of lockfile.packages) {
+    const match = matchLockedPackage(infectedPackages, integrityIndex, pkg);
+    if (match) infected.set(`${pkg.name}@${pkg.version}`, { pkg, match });
+  }
+  return infected;
+}
+
+/**
+ * Children of each listed commit (the listed commits having it as a parent)
+ */
+function listChildren(commits) {
+  const children = new Map(commits.map(({ commit }) => [commit, []]));
+  for (const { commit, parents } of commits) {
+    for (const parent of parents) {
+      if (children.has(parent)) children.get(parent).push(commit);
+    }
+  }
+  return children;
+}
+
+/**
+ * A listed commit and the listed commits descending from it
+ *
+ * git log rewrites the parents of the commits it lists to their nearest
+ * listed ancestors, so ancestry among them is kept.
+ */
+function listDescendants(children, commit) {
+  const descendants = new Set([commit]);
+  const pending = [commit];
+  while (pending.length > 0) {
+    for (const child of children.get(pending.pop()) || []) {
+      if (!descendants.has(child)) {
+        descendants.add(child);
+        pending.push(child);
+      }
+    }
+  }
+  return descendants;
+}
+
+function describeCommit({ commit, author, date, subject }) {
+  return { commit, author, date, subject };
+}
+
+/**
+ * Format a commit of a history range for display
+ *
+ * @param {{commit: string, author: string, date: string, subject: string}} commit - Commit
+ * @returns {string} e.g. "3f2a9c1d0b7e by Jane <jane@example.com> on 2025-11-24T10:00:00Z: Update deps"
+ */
+function formatCommit({ commit, author, date, subject }) {
+  return `${commit.slice(0, 12)} by ${author} on ${date}: ${subject}`;
+}
+
+module.exports = {
+  MAX_COMMITS,
+  isHistoryLockfile,
+  checkLockfileHistory,
+  formatCommit,
+};
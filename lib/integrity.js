@@ -0,0 +1,233 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FEED_EXTENSIONS } = require('./feeds');
+
+/**
+ * Integrity verification of the IOC database files (packs and feeds)
+ *
+ * A file is verified by, in order:
+ * 1. A detached signature next to it (`worm.md.sig`), checked against a
+ *    local public key (--db-key). Base64 or raw binary signatures.
+ * 2. A pinned checksum manifest in the same directory (`SHA256SUMS`, in
+ *    `sha256sum` format). If the manifest has its own detached signature
+ *    (`SHA256SUMS.sig`) and a key is given, the signature is checked too.
+ *
+ * Checksums alone catch edits made without updating the manifest; only a
+ * signature checked against a key the attacker cannot write protects
+ * against someone who can rewrite both.
+ *
+ * Statuses: 'signed', 'pinned', 'unverified' and 'failed'.
+ */
+
+const MANIFEST_NAME = 'SHA256SUMS';
+const SIGNATURE_EXTENSION = '.sig';
+
+/**
+ * Compute the SHA256 digest of a file
+ * @param {string} file - File path
+ * @returns {string} Hex digest
+ */
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Load a PEM public key (Ed25519, RSA or ECDSA)
+ *
+ * @param {string} keyFile - Path to the PEM file
+ * @returns {crypto.KeyObject} Public key
+ * @throws {Error} If the key cannot be read or parsed
+ */
+function loadPublicKey(keyFile) {
+  try {
+    return crypto.createPublicKey(fs.readFileSync(keyFile));
+  } catch (err) {
+    throw new Error(`Cannot load public key ${keyFile}: ${err.message}`);
+  }
+}
+
+/**
+ * Check a detached signature over some data
+ *
+ * @param {Buffer} data - Signed content
+ * @param {string} signatureFile - Path to the signature (base64 text or raw bytes)
+ * @param {crypto.KeyObject} publicKey - Public key
+ * @returns {boolean} True if the signature is valid
+ */
+function verifySignature(data, signatureFile, publicKey) {
+  const raw = fs.readFileSync(signatureFile);
+  const text = raw.toString('utf8').trim();
+  const signature = /^[A-Za-z0-9+/=\s]+$/.test(text) ? Buffer.from(text, 'base64') : raw;
+
+  // Ed25519/Ed448 sign the message itself; RSA/ECDSA signatures are over SHA256
+  const algorithm = ['ed25519', 'ed448'].includes(publicKey.asymmetricKeyType) ? null : 'sha256';
+  try {
+    return crypto.verify(algorithm, data, publicKey, signature);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Parse a sha256sum-style manifest
+ *
+ * @param {string} content - Manifest content ("<digest>  <file>" per line)
+ * @returns {Map<string, string>} File name to digest
+ */
+function parseManifest(content) {
+  const entries = new Map();
+  for (const line of content.split('\n')) {
+    const match = line.trim().match(/^([0-9a-fA-F]{64})\s+\*?(.+)$/);
+    if (match) {
+      entries.set(match[2].trim(), match[1].toLowerCase());
+    }
+  }
+  return entries;
+}
+
+/**
+ * Verify one database file
+ *
+ * @param {string} file - Database file (pack or feed)
+ * @param {Object} options - Verification options
+ * @param {crypto.KeyObject} options.publicKey - Trusted public key
+ * @returns {{file: string, sha256: string, status: string, method: string|null, reason: string|null}}
+ */
+function verifyFile(file, options = {}) {
+  const { publicKey = null } = options;
+  const data = fs.readFileSync(file);
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  const result = { file, sha256, status: 'unverified', method: null, reason: null };
+
+  // 1. Detached signature next to the file
+  const signatureFile = file + SIGNATURE_EXTENSION;
+  if (fs.existsSync(signatureFile)) {
+    result.method = 'signature';
+    if (!publicKey) {
+      result.reason = `signature ${path.basename(signatureFile)} present but no public key given (--db-key)`;
+      return result;
+    }
+    if (verifySignature(data, signatureFile, publicKey)) {
+      result.status = 'signed';
+    } else {
+      result.status = 'failed';
+      result.reason = `invalid signature ${path.basename(signatureFile)}`;
+    }
+    return result;
+  }
+
+  // 2. Pinned checksum manifest in the same directory
+  const manifestFile = path.join(path.dirname(file), MANIFEST_NAME);
+  if (!fs.existsSync(manifestFile)) {
+    result.reason = `no ${path.basename(signatureFile)} or ${MANIFEST_NAME} manifest`;
+    return result;
+  }
+
+  const manifestData = fs.readFileSync(manifestFile);
+  const pinned = parseManifest(manifestData.toString('utf8')).get(path.basename(file));
+  result.method = 'checksum';
+  if (!pinned) {
+    result.reason = `not listed in ${manifestFile}`;
+    return result;
+  }
+  if (pinned !== sha256) {
+    result.status = 'failed';
+    result.reason = `checksum mismatch: pinned ${pinned}, got ${sha256}`;
+    return result;
+  }
+
+  result.status = 'pinned';
+  const manifestSignature = manifestFile + SIGNATURE_EXTENSION;
+  if (publicKey && fs.existsSync(manifestSignature)) {
+    if (verifySignature(manifestData, manifestSignature, publicKey)) {
+      result.status = 'signed';
+      result.method = 'signed-checksum';
+    } else {
+      result.status = 'failed';
+      result.reason = `invalid signature ${path.basename(manifestSignature)}`;
+    }
+  }
+  return result;
+}
+
+/**
+ * Verify all files making up the IOC database
+ *
+ * Directories (feed directories) are expanded to the files they contain.
+ *
+ * @param {Array<string>} files - Pack and feed files
+ * @param {Object} options - Verification options
+ * @param {string} options.keyFile - PEM public key for signatures
+ * @param {boolean} options.strict - Require every file to verify
+ * @param {Array<string>} options.bundled - Files shipped with worm-buster, which must verify even without --strict-db
+ * @returns {{ok: boolean, digest: string, files: Array<Object>, failures: Array<Object>}}
+ *   `digest` is a SHA256 over all file digests, identifying the exact database used
+ */
+function verifyDatabases(files, options = {}) {
+  const publicKey = options.keyFile ? loadPublicKey(options.keyFile) : null;
+  const bundled = expandFiles(options.bundled || []);
+  const results = [];
+
+  for (const file of expandFiles(files)) {
+    results.push(verifyFile(file, { publicKey }));
+  }
+
+  // With a key, every file must be signed: a deleted signature would otherwise
+  // silently downgrade a file to its (rewritable) pinned checksum. Bundled
+  // files are always pinned, so a deleted manifest is a failure too
+  const failures = results.filter(r => {
+    if (r.status === 'failed') return true;
+    if (publicKey) return r.status !== 'signed';
+    return r.status === 'unverified' && (Boolean(options.strict) || bundled.includes(r.file));
+  });
+  for (const failure of failures) {
+    if (failure.status === 'pinned') {
+      failure.reason = `not signed (only pinned in ${MANIFEST_NAME}) although a public key was given (--db-key)`;
+    } else if (failure.status === 'unverified' && bundled.includes(failure.file)) {
+      failure.reason = `bundled database file not pinned: ${failure.reason}`;
+    }
+  }
+
+  const digest = crypto.createHash('sha256');
+  for (const r of results) {
+    digest.update(`${r.sha256}  ${path.basename(r.file)}\n`);
+  }
+
+  return {
+    ok: failures.length === 0,
+    digest: digest.digest('hex'),
+    files: results,
+    failures,
+  };
+}
+
+/**
+ * Expand feed directories into the feed files directly inside them
+ */
+function expandFiles(files) {
+  const expanded = [];
+  for (const file of files) {
+    if (fs.statSync(file).isDirectory()) {
+      for (const name of fs.readdirSync(file).sort()) {
+        if (FEED_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+          expanded.push(path.join(file, name));
+        }
+      }
+    } else if (!expanded.includes(file)) {
+      expanded.push(file);
+    }
+  }
+  return expanded;
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  sha256File,
+  loadPublicKey,
+  parseManifest,
+  verifyFile,
+  verifyDatabases,
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+const { matchPackage, buildIntegrityIndex, iocDetails } = require('./matcher');
+const {
+  checkPackageJson,
+  checkLockfile,
+  checkNodeModules,
+  checkDeclaredDependency,
+  matchLockedPackage,
+  LOCKFILE_TYPES,
+} = require('./analyzer');
+
+/**
+ * Package inventory: every package a scan saw, recorded in JSON reports
+ *
+ * Entries are { package, version, kind, file|path } where kind is:
+ * - 'declared'  - dependency in a package.json (version is the declared spec, with depType)
+ * - 'locked'    - package resolved in a lockfile (with its tarball integrity, when recorded)
+ * - 'installed' - package installed in node_modules (path is the package directory,
+ *                 nesting the packages a nested copy is installed under)
+ *
+ * A saved inventory can be re-checked against new IOC entries without
+ * walking the file system again (see lib/dbdiff.js).
+ */
+
+// Finding type for locked and installed packages, as reported by a full scan
+const FINDING_TYPES = {
+  locked: 'INFECTED_LOCKED_PACKAGE',
+  installed: 'INSTALLED_INFECTED_PACKAGE',
+};
+
+/**
+ * Read the packages of a file found by findPackageFiles
+ *
+ * The analyzers collect the entries while checking a file (`options.inventory`):
+ * this runs them against an empty database. Unreadable or malformed files
+ * yield no entries.
+ *
+ * @param {{type: string, path: string}} packageFile - Found package file
+ * @returns {Array<Object>} Inventory entries
+ */
+function readInventory({ type, path: filePath }) {
+  const inventory = [];
+  const options = { inventory };
+
+  if (type === 'package.json') {
+    checkPackageJson(filePath, new Map(), options);
+  } else if (type === 'node_modules') {
+    checkNodeModules(filePath, new Map(), options);
+  } else if (LOCKFILE_TYPES.includes(type)) {
+    checkLockfile(filePath, new Map(), options, type);
+  }
+  return inventory;
+}
+
+/**
+ * Check inventory entries against an infected packages database
+ *
+ * Produces the findings a full scan would for these packages, except
+ * KNOWN_TARGET warnings: declared dependencies are infected packages or
+ * ranges allowing infected versions (see checkDeclaredDependency).
+ *
+ * @param {Array<Object>} inventory - Inventory entries
+ * @param {Map} infectedPackages - Infected packages database
+ * @returns {Array<Object>} Findings
+ */
+function checkInventory(inventory, infectedPackages) {
+  const findings = [];
+  const integrityIndex = buildIntegrityIndex(infectedPackages);
+
+  for (const entry of inventory) {
+    if (entry.kind === 'declared') {
+      const finding = checkDeclaredDependency(entry.package, entry.version, infectedPackages);
+      if (finding && finding.type !== 'KNOWN_TARGET') {
+        findings.push({ ...finding, depType: entry.depType, file: entry.file });
+      }
+      continue;
+    }
+
+    const type = FINDING_TYPES[entry.kind];
+    const match = type === 'INFECTED_LOCKED_PACKAGE'
+      ? matchLockedPackage(infectedPackages, integrityIndex, { name: entry.package, version: entry.version, integrity: entry.integrity })
+      : type && { record: matchPackage(infectedPackages, entry.package, entry.version), integrityMatch: {} };
+    if (!match || !match.record) continue;
+    const { record } = match;
+
+    const finding = {
+      type,
+      severity: 'CRITICAL',
+      package: entry.package,
+      version: entry.version,
+    };
+    if (entry.file) finding.file = entry.file;
+    if (entry.path) finding.path = entry.path;
+    if (entry.nesting) finding.nesting = entry.nesting;
+    finding.campaign = record.campaign || null;
+    finding.ioc = iocDetails(record);
+    Object.assign(finding, match.integrityMatch);
+    findings.push(finding);
+  }
+
+  return findings;
+}
+
+module.exports = {
+  readInventory,
+  checkInventory,
+};
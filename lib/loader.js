@@ -1,20 +1,44 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
+const { isNamePattern, isRangeEntry } = require('./matcher');
+
+/**
+ * An entry of the infected packages database
+ *
+ * @typedef {Object} IocRecord
+ * @property {string} package - Package name
+ * @property {string} version - Infected version
+ * @property {string|null} status - Registry status ("online" = still published, "offline" = pulled)
+ * @property {string|null} timestamp - When the infected version was published (ISO 8601)
+ * @property {string|null} id - Advisory / database ID
+ * @property {string|null} source - Name of the feed the record was loaded from
+ * @property {Array<string>} [integrity] - Known-bad tarball digests (SRI, e.g. "sha512-..."), when the feed lists them
+ */
 
 /**
  * Load infected packages database from worm.md
  *
  * Supports two formats:
- * 1. Markdown table: | package | version | status | ... |
- * 2. Tab-separated: package\tversion\tstatus...
+ * 1. Markdown table: | package | version | status | timestamp | id |
+ * 2. Tab-separated: package\tversion\tstatus\ttimestamp\tid
+ *
+ * Only package and version are required; missing columns are recorded as null.
+ * An optional sixth column lists tarball integrity digests (space-separated SRI).
+ *
+ * The version column may hold an exact version, a semver range
+ * (">=1.4.2 <1.4.6"; write "||" as "\|\|" inside a markdown table) or "*"
+ * for every version. The package column may use "*" to cover a whole
+ * namespace ("@evil-scope/*"). See lib/matcher.js.
  *
  * @param {string} wormFile - Path to worm.md file
- * @returns {Map<string, Set<string>>} Map of package name to Set of infected versions
+ * @returns {Map<string, Map<string, IocRecord>>} Map of package name to infected versions and their records
  * @throws {Error} If file cannot be read
  */
 function loadInfectedPackages(wormFile) {
   const content = fs.readFileSync(wormFile, 'utf8');
+  const source = path.basename(wormFile);
   const packages = new Map();
   const lines = content.split('\n');
   let inTable = false;
@@ -27,23 +51,24 @@ function loadInfectedPackages(wormFile) {
     }
 
     if (inTable && line.startsWith('|')) {
-      // Parse markdown table row: | package | version | status | ... |
-      const parts = line.split('|').map(p => p.trim()).filter(p => p);
+      // Parse markdown table row: | package | version | status | timestamp | id |
+      // Empty cells are kept so the columns stay aligned, escaped pipes are not separators
+      const parts = line.trim().replace(/^\||(?<!\\)\|$/g, '')
+        .split(/(?<!\\)\|/)
+        .map(p => p.replace(/\\\|/g, '|').trim());
       if (parts.length >= 2) {
-        const name = parts[0];
-        const version = parts[1];
+        const [name, version] = parts;
         if (name && version && !name.includes('Package')) {
-          addPackage(packages, name, version);
+          addPackage(packages, createRecord(parts, source));
         }
       }
     } else if (line.includes('\t')) {
       // Fallback: tab-separated format
-      const parts = line.trim().split('\t');
+      const parts = line.trim().split('\t').map(p => p.trim());
       if (parts.length >= 2) {
-        const name = parts[0].trim();
-        const version = parts[1].trim();
+        const [name, version] = parts;
         if (name && version) {
-          addPackage(packages, name, version);
+          addPackage(packages, createRecord(parts, source));
         }
       }
     }
@@ -53,13 +78,70 @@ function loadInfectedPackages(wormFile) {
 }
 
 /**
- * Helper to add a package to the map
+ * Build an IOC record from the columns of a database row
+ *
+ * @param {Array<string>} parts - [package, version, status, timestamp, id, integrity]
+ * @param {string|null} source - Feed name
+ * @returns {IocRecord}
+ */
+function createRecord(parts, source = null) {
+  const record = {
+    package: parts[0],
+    version: parts[1],
+    status: parts[2] || null,
+    timestamp: parts[3] || null,
+    id: parts[4] || null,
+    source,
+  };
+  const integrity = parseIntegrity(parts[5]);
+  if (integrity.length > 0) record.integrity = integrity;
+  return record;
+}
+
+/**
+ * Split integrity digests (SRI strings, space-separated or a list)
+ *
+ * @param {string|Array<string>|undefined} value - e.g. "sha512-abc== sha1-def="
+ * @returns {Array<string>} Digests like "sha512-abc=="
+ */
+function parseIntegrity(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => (typeof v === 'string' ? v.split(/\s+/) : []))
+    .map(v => v.replace(/\?.*$/, ''))
+    .filter(v => /^sha\d+-[A-Za-z0-9+/]+=*$/.test(v));
+}
+
+/**
+ * Helper to add a record to the map
+ *
+ * When the same version is listed twice, the first record wins but
+ * any columns it left empty are filled in from the later one, and
+ * integrity digests are combined.
+ *
+ * @param {Map<string, Map<string, IocRecord>>} packages - Database to add to
+ * @param {IocRecord} record - Record to add
  */
-function addPackage(packages, name, version) {
-  if (!packages.has(name)) {
-    packages.set(name, new Set());
+function addPackage(packages, record) {
+  if (!packages.has(record.package)) {
+    packages.set(record.package, new Map());
+  }
+
+  const versions = packages.get(record.package);
+  const existing = versions.get(record.version);
+  if (!existing) {
+    versions.set(record.version, record);
+    return;
+  }
+
+  for (const key of ['status', 'timestamp', 'id']) {
+    if (existing[key] === null && record[key] !== null) {
+      existing[key] = record[key];
+    }
+  }
+  if (record.integrity) {
+    existing.integrity = [...new Set([...(existing.integrity || []), ...record.integrity])];
   }
-  packages.get(name).add(version);
 }
 
 /**
@@ -69,17 +151,31 @@ function addPackage(packages, name, version) {
  */
 function getPackageStats(packages) {
   let totalVersions = 0;
-  for (const versions of packages.values()) {
+  let onlineVersions = 0;
+  let rangeEntries = 0;
+  for (const [name, versions] of packages) {
     totalVersions += versions.size;
+    for (const version of versions.keys()) {
+      if (isNamePattern(name) || isRangeEntry(version)) rangeEntries++;
+    }
+    if (versions instanceof Map) {
+      for (const record of versions.values()) {
+        if (record.status === 'online') onlineVersions++;
+      }
+    }
   }
 
   return {
     uniquePackages: packages.size,
     totalVersions,
+    onlineVersions,
+    rangeEntries,
   };
 }
 
 module.exports = {
   loadInfectedPackages,
+  createRecord,
+  addPackage,
   getPackageStats,
 };
@@ -0,0 +1,207 @@
+'use strict';
+
+const semver = require('./semver');
+
+/**
+ * Matching of package names and versions against the infected packages database
+ *
+ * Database entries may use:
+ * - exact versions: "1.4.3"
+ * - semver ranges: ">=1.4.2 <1.4.6", "^2.0.0", "1.x"
+ * - "*" for every version of a package
+ * - "*" in the package name to cover a whole namespace: "@evil-scope/*"
+ */
+
+// Per-database cache of name patterns, rebuilt when the database grows
+const patternCache = new WeakMap();
+
+/**
+ * Check whether a database key is a package name pattern
+ * @param {string} name - Package name from the database
+ * @returns {boolean}
+ */
+function isNamePattern(name) {
+  return name.includes('*');
+}
+
+/**
+ * Compile the name patterns of a database
+ */
+function getNamePatterns(infectedPackages) {
+  const cached = patternCache.get(infectedPackages);
+  if (cached && cached.size === infectedPackages.size) return cached.patterns;
+
+  const patterns = [];
+  for (const name of infectedPackages.keys()) {
+    if (!isNamePattern(name)) continue;
+    const source = name.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('[^/]*');
+    patterns.push({ name, regex: new RegExp(`^${source}$`) });
+  }
+
+  patternCache.set(infectedPackages, { size: infectedPackages.size, patterns });
+  return patterns;
+}
+
+/**
+ * Get the infected version entries that apply to a package
+ *
+ * Combines the entries listed under the exact name with those of any
+ * matching name pattern.
+ *
+ * @param {Map<string, Map<string, Object>|Set<string>>} infectedPackages - Infected packages database
+ * @param {string} name - Package name
+ * @returns {Map<string, Object>|Set<string>|null} Infected versions of the package, or null if not listed
+ */
+function getInfectedVersions(infectedPackages, name) {
+  if (!name) return null;
+
+  const exact = infectedPackages.get(name) || null;
+  const matching = getNamePatterns(infectedPackages).filter(p => p.regex.test(name));
+  if (matching.length === 0) return exact;
+
+  const merged = new Map();
+  for (const versions of [exact, ...matching.map(p => infectedPackages.get(p.name))]) {
+    if (!versions) continue;
+    for (const version of versions.keys()) {
+      if (!merged.has(version)) {
+        merged.set(version, findInfectedRecord(versions, version));
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Look up the IOC record for an infected version
+ *
+ * Exact entries are checked first, then ranges and wildcards. Ranges
+ * include prereleases: ">=1.4.2 <1.4.6" also covers 1.4.5-beta.
+ *
+ * Accepts both the record maps returned by loadInfectedPackages and
+ * plain Sets of version strings (as built by programmatic callers).
+ *
+ * @param {Map<string, Object>|Set<string>} infectedVersions - Infected versions of one package
+ * @param {string} version - Version to look up
+ * @returns {Object|null} Matching IOC record, or null if the version is not infected
+ */
+function findInfectedRecord(infectedVersions, version) {
+  if (!infectedVersions || !version) return null;
+
+  if (infectedVersions.has(version)) {
+    return infectedVersions instanceof Map ? infectedVersions.get(version) : { version };
+  }
+
+  for (const entry of infectedVersions.keys()) {
+    if (!isRangeEntry(entry)) continue;
+    if (semver.satisfies(version, entry, { includePrerelease: true })) {
+      return infectedVersions instanceof Map ? infectedVersions.get(entry) : { version: entry };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Look up an infected package version in the database
+ *
+ * @param {Map} infectedPackages - Infected packages database
+ * @param {string} name - Package name
+ * @param {string} version - Package version
+ * @returns {Object|null} Matching IOC record, or null if not infected
+ */
+function matchPackage(infectedPackages, name, version) {
+  return findInfectedRecord(getInfectedVersions(infectedPackages, name), version);
+}
+
+/**
+ * Index the known-bad tarball digests of a database
+ *
+ * @param {Map} infectedPackages - Infected packages database
+ * @returns {Map<string, Object>} IOC record by digest ("sha512-...")
+ */
+function buildIntegrityIndex(infectedPackages) {
+  const index = new Map();
+  for (const versions of infectedPackages.values()) {
+    if (!(versions instanceof Map)) continue;
+    for (const record of versions.values()) {
+      for (const digest of record.integrity || []) {
+        if (!index.has(digest)) index.set(digest, record);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Look up a lockfile integrity value in an integrity index
+ *
+ * Digests are compared as written (algorithm and base64 value); a lockfile
+ * value may hold several space-separated digests.
+ *
+ * @param {Map<string, Object>} integrityIndex - Result of buildIntegrityIndex
+ * @param {string|null} integrity - Integrity value of a locked package
+ * @returns {Object|null} Matching IOC record, or null
+ */
+function matchIntegrity(integrityIndex, integrity) {
+  if (!integrity || integrityIndex.size === 0) return null;
+  for (const digest of integrity.split(/\s+/)) {
+    const record = integrityIndex.get(digest.replace(/\?.*$/, ''));
+    if (record) return record;
+  }
+  return null;
+}
+
+/**
+ * Check whether a database version entry is a range or wildcard rather than an exact version
+ * @param {string} entry - Version entry from the database
+ * @returns {boolean}
+ */
+function isRangeEntry(entry) {
+  return !semver.isVersion(entry) && semver.validRange(entry);
+}
+
+/**
+ * List all IOC records for a package
+ *
+ * @param {Map<string, Object>|Set<string>} infectedVersions - Infected versions of one package
+ * @returns {Array<Object>} IOC records
+ */
+function listInfectedRecords(infectedVersions) {
+  return Array.from(infectedVersions.keys(), v =>
+    infectedVersions instanceof Map ? infectedVersions.get(v) : { version: v },
+  );
+}
+
+/**
+ * Extract the triage details of an IOC record that are attached to findings
+ *
+ * When the record is a range or wildcard entry, the matched entry is
+ * included as `range`.
+ *
+ * @param {Object} record - IOC record
+ * @returns {{status: string|null, timestamp: string|null, id: string|null, source: string|null, range?: string}}
+ */
+function iocDetails(record) {
+  const details = {
+    status: record.status || null,
+    timestamp: record.timestamp || null,
+    id: record.id || null,
+    source: record.source || null,
+  };
+  if (record.version && isRangeEntry(record.version)) {
+    details.range = record.version;
+  }
+  return details;
+}
+
+module.exports = {
+  isNamePattern,
+  isRangeEntry,
+  getInfectedVersions,
+  findInfectedRecord,
+  matchPackage,
+  buildIntegrityIndex,
+  matchIntegrity,
+  listInfectedRecords,
+  iocDetails,
+};
@@ -1,5 +1,12 @@
 'use strict';
 
+const { DEFAULT_PACK } = require('./config');
+const { formatBehavior } = require('./scripts');
+const { formatLeak } = require('./exfil');
+const { formatSignal } = require('./payloads');
+const { formatCommit } = require('./history');
+const { campaignsForFindings } = require('./packs');
+
 /**
  * Output formatting functions for Worm Buster
  */
@@ -46,8 +53,9 @@ Examples:
  *
  * @param {Object} findings - Object with critical, warning, info arrays
  * @param {Object} options - Display options
+ * @param {Array<Object>} packs - IOC packs used (for remediation steps)
  */
-function printResults(findings, options = {}) {
+function printResults(findings, options = {}, packs = [DEFAULT_PACK]) {
   console.log('\n' + '='.repeat(65));
   console.log('  SCAN RESULTS');
   console.log('='.repeat(65) + '\n');
@@ -105,7 +113,7 @@ function printResults(findings, options = {}) {
 
   // Print recommended actions if critical issues found
   if (findings.critical.length > 0) {
-    printRecommendedActions();
+    printRecommendedActions(campaignsForFindings(findings, packs));
   }
 }
 
@@ -115,25 +123,116 @@ function printResults(findings, options = {}) {
 function printFinding(finding) {
   console.log(`\n  Type: ${finding.type}`);
 
+  if (finding.campaign) {
+    console.log(`  Campaign: ${finding.campaign}`);
+  }
+
   if (finding.package) {
     console.log(`  Package: ${finding.package}@${finding.version}`);
+    if (finding.aliases) {
+      console.log(`  Installed as: ${finding.aliases.join(', ')}`);
+    }
+    if (finding.matchedBy === 'integrity') {
+      console.log(`  Matched by tarball integrity: ${finding.integrity} (known as ${finding.knownAs})`);
+    }
+    if (finding.importers && finding.importers.length > 0) {
+      console.log(`  Direct dependency of: ${finding.importers.join(', ')}`);
+    }
+    if (finding.nesting) {
+      console.log(`  Nested under: ${finding.nesting.join(' > ')}`);
+    }
+    if (finding.dependencyPaths) {
+      console.log('  Dependency paths:');
+      for (const dependencyPath of finding.dependencyPaths) {
+        console.log(`    ${dependencyPath.join(' -> ')}`);
+      }
+    }
     if (finding.infectedVersions) {
       console.log(`  Known infected versions: ${finding.infectedVersions.join(', ')}`);
     }
+    if (finding.allowedVersions) {
+      console.log(`  Declared range allows infected: ${finding.allowedVersions.join(', ')}`);
+    }
+    if (finding.ioc) {
+      console.log(`  IOC: ${formatIoc(finding.ioc)}`);
+    }
   }
 
   if (finding.file) {
     console.log(`  File: ${finding.file}`);
   }
 
+  if (finding.job) {
+    console.log(`  Workflow: job ${finding.job}${finding.step ? `, step ${finding.step}` : ''}${finding.line ? ` (line ${finding.line})` : ''}`);
+  }
+
+  if (finding.runsOn) {
+    console.log(`  Runs on: ${finding.runsOn.join(', ')}`);
+  }
+
+  if (finding.url) {
+    console.log(`  ${finding.remote ? `Remote: ${finding.remote} ` : 'URL: '}${finding.url}`);
+  }
+
+  if (finding.commit) {
+    console.log(`  Commit: ${finding.commit} by ${finding.author} on ${finding.date}: ${finding.subject}`);
+    if (finding.branches.length > 0) {
+      console.log(`  Branches: ${finding.branches.join(', ')}`);
+    }
+  }
+
+  if (finding.introduced) {
+    console.log(`  Locked in: ${formatCommit(finding.introduced)}`);
+    console.log(`  Removed in: ${finding.removed ? formatCommit(finding.removed) : 'still locked on the newest commits'}`);
+    if (finding.branches.length > 0) {
+      console.log(`  Branches: ${finding.branches.join(', ')}`);
+    }
+  }
+
+  if (finding.cache) {
+    console.log(`  Cache: ${finding.cache}`);
+  }
+
   if (finding.path && !finding.file) {
     console.log(`  Path: ${finding.path}`);
   }
 
+  if (finding.purge) {
+    console.log('  Purge:');
+    for (const command of finding.purge) {
+      console.log(`    $ ${command}`);
+    }
+  }
+
   if (finding.artifact) {
     console.log(`  Artifact: ${finding.artifact}`);
   }
 
+  if (finding.sha256) {
+    console.log(`  SHA256: ${finding.sha256}`);
+  }
+
+  if (finding.signals) {
+    console.log(`  Heuristic score: ${finding.score}`);
+    for (const signal of finding.signals) {
+      console.log(`    - ${formatSignal(signal)}`);
+    }
+  }
+
+  if (finding.leaked) {
+    console.log(`  Leaked credentials (decoded ${finding.layers} base64 layers):`);
+    for (const leak of finding.leaked) {
+      console.log(`    - ${formatLeak(leak)}`);
+    }
+  }
+
+  if (finding.indicators) {
+    console.log('  Indicators:');
+    for (const indicator of finding.indicators) {
+      console.log(`    - ${indicator}`);
+    }
+  }
+
   if (finding.process) {
     console.log(`  Process: ${finding.process}`);
   }
@@ -143,23 +242,108 @@ function printFinding(finding) {
     console.log(`  Content: ${finding.content}`);
   }
 
+  if (finding.behaviors) {
+    console.log(`  Behaviors (${finding.confidence} confidence):`);
+    for (const behavior of finding.behaviors) {
+      console.log(`    - ${formatBehavior(behavior)}`);
+    }
+  }
+
   if (finding.note) {
     console.log(`  Note: ${finding.note}`);
   }
 }
 
+/**
+ * Format the IOC record details of a finding for display
+ *
+ * @param {Object} ioc - IOC details ({ status, timestamp, id, range, source })
+ * @returns {string} e.g. "ONLINE (still published), published 2025-11-24T09:24:17.367Z, ID 364, feed worm.md"
+ */
+function formatIoc(ioc) {
+  const parts = [];
+  if (ioc.status === 'online') {
+    parts.push('ONLINE (still published)');
+  } else if (ioc.status) {
+    parts.push(ioc.status);
+  }
+  if (ioc.timestamp) parts.push(`published ${ioc.timestamp}`);
+  if (ioc.id) parts.push(`ID ${ioc.id}`);
+  if (ioc.range) parts.push(`matched ${ioc.range}`);
+  if (ioc.source) parts.push(`feed ${ioc.source}`);
+  return parts.length > 0 ? parts.join(', ') : 'no registry details';
+}
+
 /**
  * Print recommended actions for remediation
+ *
+ * @param {Array<Object>} packs - Packs whose remediation steps to print
  */
-function printRecommendedActions() {
-  console.log('\n  RECOMMENDED ACTIONS:');
-  console.log('  1. DO NOT run npm install in affected projects');
-  console.log('  2. Remove infected packages from package.json');
-  console.log('  3. Delete node_modules and package-lock.json');
-  console.log('  4. Check .github/workflows for suspicious files');
-  console.log('  5. Rotate ALL credentials (AWS, GCP, Azure, GitHub, npm)');
-  console.log('  6. Review GitHub Actions for unauthorized workflows');
-  console.log('  7. Check for Bun runtime: which bun');
+function printRecommendedActions(packs = [DEFAULT_PACK]) {
+  for (const pack of packs) {
+    console.log(`\n  RECOMMENDED ACTIONS (${pack.name}):`);
+    pack.remediation.forEach((step, i) => {
+      // Remediation steps are written in markdown for the reports
+      console.log(`  ${i + 1}. ${step.replace(/\*\*|`/g, '')}`);
+    });
+  }
+}
+
+/**
+ * Print the entries added to and removed from the infected packages database
+ *
+ * @param {{added: Array<Object>, removed: Array<Object>}} diff - Result of diffDatabases
+ * @param {string} oldFile - Previous database
+ * @param {string} newFile - Updated database
+ */
+function printDatabaseDiff(diff, oldFile, newFile) {
+  console.log(`[*] Comparing ${oldFile} -> ${newFile}\n`);
+
+  console.log(`  ADDED: ${diff.added.length} entr${diff.added.length === 1 ? 'y' : 'ies'}`);
+  for (const record of diff.added) {
+    console.log(`    + ${record.package}@${record.version}  (${formatIoc(record)})`);
+  }
+
+  console.log(`\n  REMOVED: ${diff.removed.length} entr${diff.removed.length === 1 ? 'y' : 'ies'}`);
+  for (const record of diff.removed) {
+    console.log(`    - ${record.package}@${record.version}`);
+  }
+}
+
+/**
+ * Print the results of re-checking saved reports against new database entries
+ *
+ * @param {Array<Object>} results - Result of rescanReports
+ * @param {Array<Object>} packs - IOC packs used (for remediation steps)
+ */
+function printRescanResults(results, packs = [DEFAULT_PACK]) {
+  console.log('\n' + '='.repeat(65));
+  console.log('  RE-SCAN AGAINST NEW ENTRIES');
+  console.log('='.repeat(65));
+
+  for (const result of results) {
+    console.log(`\n  Report: ${result.file}`);
+    if (result.error) {
+      console.log(`  [!] ${result.error}`);
+      continue;
+    }
+    console.log(`  Scanned: ${result.scanDate || 'unknown date'} (${result.directories.join(', ') || 'no directories'})`);
+    console.log(`  Packages checked: ${result.packages}`);
+    if (result.findings.length === 0) {
+      console.log('  [OK] Not affected by the new entries.');
+      continue;
+    }
+    console.log(`  [!] ${result.findings.length} package(s) match new entries:`);
+    console.log('-'.repeat(65));
+    for (const finding of result.findings) {
+      printFinding(finding);
+    }
+  }
+
+  const findings = { critical: results.flatMap(r => r.findings).filter(f => f.severity === 'CRITICAL') };
+  if (findings.critical.length > 0) {
+    printRecommendedActions(campaignsForFindings(findings, packs));
+  }
 }
 
 /**
@@ -178,5 +362,8 @@ module.exports = {
   printHelp,
   printResults,
   printRecommendedActions,
+  printDatabaseDiff,
+  printRescanResults,
+  formatIoc,
   formatJson,
 };
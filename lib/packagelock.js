@@ -0,0 +1,221 @@
+'use strict';
+
+const semver = require('./semver');
+
+/**
+ * package-lock.json / npm-shrinkwrap.json parser (lockfile v1, v2 and v3)
+ *
+ * Packages are identified by install location, as in v2/v3 `packages` keys:
+ *   node_modules/eslint-plugin-x
+ *   node_modules/eslint-plugin-x/node_modules/infected-pkg
+ *   packages/app (workspace; linked from node_modules/app)
+ *
+ * v1 nested `dependencies` map to the same locations. Dependencies are
+ * resolved like Node does: the nearest node_modules going up from the
+ * dependent package, then the root.
+ */
+
+// Dependencies installed for the root project and workspaces
+const ROOT_DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+// Dependencies installed for packages (devDependencies are not)
+const PACKAGE_DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Dependency paths reported per package
+const MAX_DEPENDENCY_PATHS = 5;
+
+/**
+ * Parse package-lock.json content
+ *
+ * v2 lockfiles also carry the v1 `dependencies` tree; only `packages` is read.
+ * v1 lockfiles do not record the root project's dependencies: pass them
+ * (e.g. from the package.json next to the lockfile), or top-level packages
+ * nothing else requires are assumed to be direct dependencies.
+ *
+ * @param {string} content - package-lock.json content
+ * @param {Array<string>|null} rootDependencies - Root dependency names (v1 only)
+ * @returns {{lockfileVersion: number, name: string|null, nodes: Map<string, Object>, packages: Array<{location: string, name: string, version: string, integrity: string|null, aliases: Array<string>}>}}
+ *   nodes holds every location ('' for the root) with its resolved `dependencies` locations
+ * @throws {Error} If the content is not a package-lock.json
+ */
+function parsePackageLock(content, rootDependencies = null) {
+  const lock = JSON.parse(content);
+  if (!lock || typeof lock !== 'object' || (!lock.packages && !lock.dependencies)) {
+    throw new Error('Not a package-lock.json file (no packages or dependencies)');
+  }
+
+  const nodes = lock.packages ? readPackages(lock.packages) : readDependenciesV1(lock.dependencies, rootDependencies);
+  for (const node of nodes.values()) {
+    node.dependencies = (node.requires || [])
+      .map(name => resolveDependency(nodes, node.location, name))
+      .filter(location => location !== null);
+  }
+
+  // v1 without known root dependencies: top-level packages no other package resolves to
+  const root = nodes.get('');
+  if (!root.requires) {
+    const resolved = new Set([...nodes.values()].flatMap(node => node.dependencies));
+    root.dependencies = [...nodes.keys()].filter(location => /^node_modules\/(@[^/]+\/)?[^/]+$/.test(location) && !resolved.has(location));
+  }
+
+  // Tarball URL dependencies (v1 records the URL as version) are kept for integrity matching
+  const packages = [];
+  for (const node of nodes.values()) {
+    if (!node.location.includes('node_modules/') || node.link) continue;
+    if (!semver.isVersion(node.version || '') && !(node.version && node.integrity)) continue;
+    packages.push({
+      location: node.location,
+      name: node.name,
+      version: node.version,
+      integrity: node.integrity,
+      aliases: node.installedAs !== node.name ? [node.installedAs] : [],
+    });
+  }
+
+  return { lockfileVersion: lock.lockfileVersion || 1, name: lock.name || null, nodes, packages };
+}
+
+/**
+ * Read v2/v3 `packages` into nodes
+ */
+function readPackages(entries) {
+  const nodes = new Map();
+  if (!entries['']) entries = { '': {}, ...entries };
+
+  // The root project depends on its workspaces (linked from node_modules/<name>)
+  const workspaces = Object.keys(entries)
+    .filter(location => entries[location].link && /^node_modules\/(@[^/]+\/)?[^/]+$/.test(location))
+    .map(location => location.slice(13));
+
+  for (const [location, info] of Object.entries(entries)) {
+    const installedAs = location.includes('node_modules/') ? location.slice(location.lastIndexOf('node_modules/') + 13) : null;
+    const fields = location.includes('node_modules/') ? PACKAGE_DEPENDENCY_FIELDS : ROOT_DEPENDENCY_FIELDS;
+    nodes.set(location, {
+      location,
+      // Aliased packages ("my-alias": "npm:real@1.0.0") record their real name
+      name: info.name || installedAs,
+      installedAs,
+      version: info.version || null,
+      integrity: info.integrity || null,
+      link: info.link ? info.resolved : null,
+      requires: [...new Set([
+        ...fields.flatMap(field => Object.keys(info[field] || {})),
+        ...(location === '' ? workspaces : []),
+      ])],
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Read the v1 `dependencies` tree into nodes at the matching install locations
+ */
+function readDependenciesV1(dependencies, rootDependencies) {
+  const nodes = new Map();
+
+  const walk = (deps, parent) => {
+    for (const [installedAs, info] of Object.entries(deps)) {
+      const location = `${parent ? `${parent}/` : ''}node_modules/${installedAs}`;
+      // Aliases: "version": "npm:real@1.0.0"
+      const alias = String(info.version || '').match(/^npm:((?:@[^/@]+\/)?[^/@]+)@(.+)$/);
+      nodes.set(location, {
+        location,
+        name: alias ? alias[1] : installedAs,
+        installedAs,
+        version: alias ? alias[2] : info.version || null,
+        integrity: info.integrity || null,
+        link: null,
+        requires: Object.keys(info.requires || {}),
+      });
+      if (info.dependencies) walk(info.dependencies, location);
+    }
+  };
+  walk(dependencies || {}, '');
+
+  nodes.set('', {
+    location: '',
+    name: null,
+    installedAs: null,
+    version: null,
+    integrity: null,
+    link: null,
+    requires: rootDependencies,
+  });
+
+  return nodes;
+}
+
+/**
+ * Resolve a dependency from a location: the nearest node_modules going up,
+ * following workspace links
+ *
+ * @returns {string|null} Location of the dependency, or null if not in the lockfile
+ */
+function resolveDependency(nodes, from, name) {
+  let base = from;
+
+  for (;;) {
+    const candidate = `${base ? `${base}/` : ''}node_modules/${name}`;
+    const node = nodes.get(candidate);
+    if (node) return node.link && nodes.has(node.link) ? node.link : candidate;
+    if (!base) return null;
+
+    const parent = base.lastIndexOf('/node_modules/');
+    base = parent === -1 ? '' : base.slice(0, parent);
+  }
+}
+
+/**
+ * Find dependency paths from the root project to a package
+ *
+ * Returns the shortest path through each package that depends on it
+ * (up to 5), so every top-level dependency pulling it in is listed.
+ *
+ * @param {Object} lockfile - Result of parsePackageLock
+ * @param {string} location - Install location of the package
+ * @returns {Array<Array<string>>} Paths of labels: the root project name, then
+ *   name@version of each package (workspaces by name)
+ */
+function findDependencyPaths(lockfile, location) {
+  const { nodes } = lockfile;
+
+  // Breadth-first from the root: shortest path to every reachable location
+  const previous = new Map([['', null]]);
+  const queue = [''];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const dependency of nodes.get(current).dependencies) {
+      if (!previous.has(dependency)) {
+        previous.set(dependency, current);
+        queue.push(dependency);
+      }
+    }
+  }
+  if (!previous.has(location)) return [];
+
+  const chainTo = target => {
+    const chain = [];
+    for (let current = target; current !== null; current = previous.get(current)) {
+      chain.unshift(current);
+    }
+    return chain;
+  };
+
+  const dependents = [...nodes.values()]
+    .filter(node => previous.has(node.location) && node.location !== location && node.dependencies.includes(location))
+    .map(node => chainTo(node.location))
+    .sort((a, b) => a.length - b.length)
+    .slice(0, MAX_DEPENDENCY_PATHS);
+
+  const label = loc => {
+    const node = nodes.get(loc);
+    if (loc === '') return nodes.get('').name || lockfile.name || '(root)';
+    return node.version && loc.includes('node_modules/') ? `${node.name}@${node.version}` : node.name || loc;
+  };
+  return dependents.map(chain => [...chain, location].map(label));
+}
+
+module.exports = {
+  parsePackageLock,
+  findDependencyPaths,
+};
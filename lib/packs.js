@@ -0,0 +1,256 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { PACKS_DIR } = require('./config');
+const { loadFeed, mergeInfectedPackages, parsePackageList } = require('./feeds');
+
+/**
+ * IOC packs: self-contained campaign definitions
+ *
+ * A pack is a JSON file describing one campaign:
+ *
+ *   {
+ *     "campaign": "shai-hulud-2",            // required, unique ID used to tag findings
+ *     "name": "Shai-Hulud 2.0",
+ *     "version": "2025-11-24",               // database version, recorded in reports
+ *     "description": "...",
+ *     "references": [{ "title": "...", "url": "..." }],
+ *     "feeds": ["../worm.md"],               // package feeds, relative to the pack file
+ *     "packages": [{ "name": "pkg", "version": "1.0.0" }],   // inline package list
+ *     "artifacts": ["setup_bun.js", ".github/workflows/discussion.yaml"],
+ *     "hashes": { "setup_bun.js": ["<sha256>"] },
+ *     "workflowPatterns": ["formatter_\\d+\\.ya?ml$"],        // workflow file name regexes
+ *     "processPatterns": ["setup_bun"],      // process regexes (case-insensitive)
+ *     "githubMarkers": { "repoDescriptions": [], "runnerName": "", "migrationSuffix": "" },
+ *     "remediation": ["Steps, `markdown` and **bold** allowed"]
+ *   }
+ *
+ * Packs are merged into an IOC set. When several packs share an indicator
+ * (same artifact name, package version, ...), the first pack loaded owns it.
+ */
+
+const CAMPAIGN_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Load and validate a single IOC pack
+ *
+ * @param {string} packFile - Path to the pack JSON file
+ * @returns {Object} Loaded pack, with compiled patterns and its packages database
+ * @throws {Error} If the pack cannot be read or is invalid
+ */
+function loadPack(packFile) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(packFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid IOC pack ${packFile}: ${err.message}`);
+  }
+
+  if (!raw || typeof raw.campaign !== 'string' || !CAMPAIGN_ID_PATTERN.test(raw.campaign)) {
+    throw new Error(`Invalid IOC pack ${packFile}: "campaign" must be an ID like "shai-hulud-2"`);
+  }
+
+  const campaign = raw.campaign;
+  const baseDir = path.dirname(packFile);
+
+  // Packages: referenced feeds first, then the inline list
+  const feedFiles = (raw.feeds || []).map(feed => path.resolve(baseDir, feed));
+  const packages = new Map();
+  for (const feedFile of feedFiles) {
+    mergeInfectedPackages(packages, loadFeed(feedFile));
+  }
+  mergeInfectedPackages(packages, parsePackageList(raw.packages || [], path.basename(packFile)));
+  for (const versions of packages.values()) {
+    for (const record of versions.values()) {
+      record.campaign = campaign;
+    }
+  }
+
+  return {
+    campaign,
+    name: raw.name || campaign,
+    version: raw.version || null,
+    description: raw.description || '',
+    references: raw.references || [],
+    file: packFile,
+    feedFiles,
+    packages,
+    artifacts: raw.artifacts || [],
+    hashes: raw.hashes || {},
+    workflowPatterns: (raw.workflowPatterns || []).map(p => compilePattern(p, '', packFile)),
+    processPatterns: (raw.processPatterns || []).map(p => compilePattern(p, 'i', packFile)),
+    githubMarkers: raw.githubMarkers || null,
+    remediation: raw.remediation || [],
+  };
+}
+
+/**
+ * Compile a regex from a pack, reporting which pack is at fault
+ */
+function compilePattern(source, flags, packFile) {
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`Invalid IOC pack ${packFile}: ${err.message}`);
+  }
+}
+
+/**
+ * Create an empty IOC set
+ *
+ * @returns {Object} IOC set: { packs, infectedPackages, artifacts, hashes,
+ *   workflowPatterns, processPatterns, githubMarkers }
+ */
+function createIocSet() {
+  return {
+    packs: [],
+    infectedPackages: new Map(),
+    artifacts: [],
+    hashes: {},
+    workflowPatterns: [],
+    processPatterns: [],
+    githubMarkers: [],
+  };
+}
+
+/**
+ * Add a loaded pack to an IOC set
+ *
+ * @param {Object} iocs - IOC set (modified in place)
+ * @param {Object} pack - Pack returned by loadPack
+ * @returns {Object} The IOC set
+ * @throws {Error} If a pack with the same campaign ID is already loaded
+ */
+function addPack(iocs, pack) {
+  if (iocs.packs.some(p => p.campaign === pack.campaign)) {
+    throw new Error(`Duplicate IOC pack for campaign "${pack.campaign}": ${pack.file}`);
+  }
+
+  const { campaign } = pack;
+  iocs.packs.push(pack);
+  mergeInfectedPackages(iocs.infectedPackages, pack.packages);
+
+  for (const name of pack.artifacts) {
+    if (!iocs.artifacts.some(a => a.name === name)) {
+      iocs.artifacts.push({ name, campaign });
+    }
+  }
+
+  for (const [file, digests] of Object.entries(pack.hashes)) {
+    const known = iocs.hashes[file] || (iocs.hashes[file] = []);
+    for (const digest of digests) {
+      const sha256 = digest.toLowerCase();
+      if (!known.some(h => h.sha256 === sha256)) {
+        known.push({ sha256, campaign });
+      }
+    }
+  }
+
+  iocs.workflowPatterns.push(...pack.workflowPatterns.map(pattern => ({ pattern, campaign })));
+  iocs.processPatterns.push(...pack.processPatterns.map(pattern => ({ pattern, campaign })));
+  if (pack.githubMarkers) {
+    iocs.githubMarkers.push({ ...pack.githubMarkers, campaign });
+  }
+
+  return iocs;
+}
+
+/**
+ * Load several packs into one IOC set
+ *
+ * @param {Array<string>} packFiles - Paths to pack files, in priority order
+ * @returns {Object} IOC set
+ */
+function loadPacks(packFiles) {
+  const iocs = createIocSet();
+  for (const packFile of packFiles) {
+    addPack(iocs, loadPack(packFile));
+  }
+  return iocs;
+}
+
+/**
+ * List the pack files in a directory
+ *
+ * @param {string} dir - Directory containing *.json packs
+ * @returns {Array<string>} Sorted pack file paths
+ */
+function listPackFiles(dir = PACKS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+let defaultIocs = null;
+
+/**
+ * Get the IOC set of the bundled packs (loaded once)
+ *
+ * Used by detectors when no IOC set is passed in.
+ *
+ * @returns {Object} IOC set
+ */
+function getDefaultIocs() {
+  if (!defaultIocs) {
+    defaultIocs = loadPacks(listPackFiles(PACKS_DIR));
+  }
+  return defaultIocs;
+}
+
+/**
+ * Pick the campaigns whose remediation applies to a set of findings
+ *
+ * Returns the packs of the campaigns tagged on critical findings; if no
+ * critical finding is tagged (e.g. matches from --db feeds), all packs.
+ *
+ * @param {Object} findings - Findings object ({ critical, warning, info })
+ * @param {Array<Object>} packs - Loaded packs (or report campaign summaries)
+ * @returns {Array<Object>} Relevant packs
+ */
+function campaignsForFindings(findings, packs) {
+  const tagged = new Set(findings.critical.map(f => f.campaign).filter(Boolean));
+  const relevant = packs.filter(p => tagged.has(p.campaign));
+  return relevant.length > 0 ? relevant : packs;
+}
+
+/**
+ * Describe the database version of a set of packs ("shai-hulud-2@2025-11-24, ...")
+ *
+ * @param {Array<Object>} packs - Loaded packs
+ * @returns {string}
+ */
+function describeVersion(packs) {
+  return packs.map(p => (p.version ? `${p.campaign}@${p.version}` : p.campaign)).join(', ');
+}
+
+/**
+ * Summarize a pack for reports (no package database or compiled patterns)
+ *
+ * @param {Object} pack - Loaded or raw pack
+ * @returns {{campaign: string, name: string, version: string|null, description: string, references: Array, remediation: Array}}
+ */
+function summarizePack(pack) {
+  return {
+    campaign: pack.campaign,
+    name: pack.name || pack.campaign,
+    version: pack.version || null,
+    description: pack.description || '',
+    references: pack.references || [],
+    remediation: pack.remediation || [],
+  };
+}
+
+module.exports = {
+  loadPack,
+  loadPacks,
+  listPackFiles,
+  createIocSet,
+  addPack,
+  getDefaultIocs,
+  campaignsForFindings,
+  describeVersion,
+  summarizePack,
+};
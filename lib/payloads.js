@@ -0,0 +1,188 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getDefaultIocs } = require('./packs');
+
+/**
+ * Heuristic JavaScript payload detection
+ *
+ * Hashes and file names only catch known samples. JavaScript files at the
+ * root of installed packages and projects (where the worm drops its payload)
+ * are scored on the worm's behaviors instead:
+ *
+ *   signal                 weight
+ *   obfuscated             2      javascript-obfuscator style _0x identifiers
+ *   large-single-line      1      a line of 500K+ characters (also minified bundles)
+ *   bun-install            2      downloads or installs the Bun runtime
+ *   trufflehog             3      runs TruffleHog
+ *   npmrc-publish          3      reads .npmrc, then publishes to npm
+ *   github-repo-creation   1      creates GitHub repositories (also Octokit)
+ *   campaign-marker        3      contains a marker string (repo description, runner name)
+ *
+ * Files scoring REPORT_THRESHOLD or more are reported as warnings: they are
+ * early indicators of unknown variants, not confirmed malware.
+ */
+
+const REPORT_THRESHOLD = 3;
+
+// Files larger than this are not scored (the Shai-Hulud 2 payload is about 10 MB)
+const MAX_FILE_SIZE = 32 * 1024 * 1024;
+const JS_FILE_PATTERN = /\.(c|m)?js$/;
+
+const OBFUSCATED_IDENTIFIER_PATTERN = /\b_0x[0-9a-f]{4,6}\b/g;
+const OBFUSCATED_IDENTIFIER_COUNT = 50;
+const LARGE_LINE_LENGTH = 500000;
+
+const BUN_INSTALL_PATTERN = /bun\.sh\/install|github\.com\/oven-sh\/bun\/releases|npm\s+(?:i|install)\s+(?:-g|--global)\s+bun\b/;
+const TRUFFLEHOG_PATTERN = /trufflehog/i;
+const NPMRC_PATTERN = /\.npmrc/;
+const PUBLISH_PATTERN = /\bnpm\s+publish\b|['"`]publish['"`]/g;
+const REPO_CREATION_PATTERN = /api\.github\.com\/user\/repos|\/user\/repos['"`]|createForAuthenticatedUser/;
+
+/**
+ * Score JavaScript source on the worm's behaviors
+ *
+ * @param {string} source - JavaScript source
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @returns {{score: number, signals: Array<{signal: string, weight: number, detail: string}>}}
+ */
+function scoreJavaScript(source, iocs = null) {
+  const signals = [];
+  const add = (signal, weight, detail) => signals.push({ signal, weight, detail });
+
+  const obfuscated = (source.match(OBFUSCATED_IDENTIFIER_PATTERN) || []).length;
+  if (obfuscated >= OBFUSCATED_IDENTIFIER_COUNT) {
+    add('obfuscated', 2, `${obfuscated} _0x identifiers`);
+  }
+
+  const longestLine = longestLineLength(source);
+  if (longestLine >= LARGE_LINE_LENGTH) {
+    add('large-single-line', 1, `line of ${longestLine} characters`);
+  }
+
+  const bun = source.match(BUN_INSTALL_PATTERN);
+  if (bun) add('bun-install', 2, bun[0]);
+
+  if (TRUFFLEHOG_PATTERN.test(source)) add('trufflehog', 3, 'references TruffleHog');
+
+  // Token theft then publishing: .npmrc is read before a publish call
+  const npmrc = source.search(NPMRC_PATTERN);
+  if (npmrc !== -1) {
+    const publish = [...source.matchAll(PUBLISH_PATTERN)].find(match => match.index > npmrc);
+    if (publish) add('npmrc-publish', 3, `.npmrc read before ${publish[0]}`);
+  }
+
+  const repo = source.match(REPO_CREATION_PATTERN);
+  if (repo) add('github-repo-creation', 1, repo[0]);
+
+  for (const { repoDescriptions, runnerName } of (iocs || getDefaultIocs()).githubMarkers) {
+    const marker = [...(repoDescriptions || []), runnerName].find(m => m && source.includes(m));
+    if (marker) {
+      add('campaign-marker', 3, `contains "${marker}"`);
+      break;
+    }
+  }
+
+  return { score: signals.reduce((sum, { weight }) => sum + weight, 0), signals };
+}
+
+/**
+ * Length of the longest line
+ */
+function longestLineLength(source) {
+  let longest = 0;
+  let start = 0;
+  for (;;) {
+    const end = source.indexOf('\n', start);
+    longest = Math.max(longest, (end === -1 ? source.length : end) - start);
+    if (end === -1) return longest;
+    start = end + 1;
+  }
+}
+
+/**
+ * Score the JavaScript files at the root of a directory
+ *
+ * @param {string} dir - Package or project directory
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @returns {Array<{path: string, score: number, signals: Array}>} Files scoring
+ *   at least REPORT_THRESHOLD
+ */
+function scanJavaScriptFiles(dir, iocs = null) {
+  const results = [];
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return results;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isFile() || !JS_FILE_PATTERN.test(entry.name)) continue;
+    const filePath = path.join(dir, entry.name);
+
+    let source;
+    try {
+      if (fs.statSync(filePath).size > MAX_FILE_SIZE) continue;
+      source = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      continue;
+    }
+
+    const { score, signals } = scoreJavaScript(source, iocs);
+    if (score >= REPORT_THRESHOLD) {
+      results.push({ path: filePath, score, signals });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Check the JavaScript files at the root of a project
+ *
+ * @param {string} dir - Project directory
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @returns {Array} SUSPICIOUS_PAYLOAD warnings
+ */
+function checkPayloads(dir, iocs = null) {
+  return scanJavaScriptFiles(dir, iocs).map(payloadFinding);
+}
+
+/**
+ * Build the finding of a scored file
+ *
+ * @param {{path: string, score: number, signals: Array}} result - Result of scanJavaScriptFiles
+ * @returns {Object} SUSPICIOUS_PAYLOAD warning
+ */
+function payloadFinding({ path: filePath, score, signals }) {
+  return {
+    type: 'SUSPICIOUS_PAYLOAD',
+    severity: 'WARNING',
+    path: filePath,
+    score,
+    signals,
+    note: 'Heuristic match on the worm\'s behaviors: review this file, it is not a known sample.',
+  };
+}
+
+/**
+ * Format a signal for display
+ *
+ * @param {{signal: string, weight: number, detail: string}} signal - Signal
+ * @returns {string} e.g. "trufflehog (+3): references TruffleHog"
+ */
+function formatSignal({ signal, weight, detail }) {
+  return `${signal} (+${weight}): ${detail}`;
+}
+
+module.exports = {
+  REPORT_THRESHOLD,
+  scoreJavaScript,
+  scanJavaScriptFiles,
+  checkPayloads,
+  payloadFinding,
+  formatSignal,
+};
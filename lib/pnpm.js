@@ -0,0 +1,201 @@
+'use strict';
+
+const semver = require('./semver');
+
+/**
+ * pnpm-lock.yaml parser (lockfile v5, v6 and v9)
+ *
+ * Resolved packages are the keys of `packages`:
+ *   v5: /left-pad/1.3.0, /@scope/pkg/2.0.0_react@18.2.0
+ *   v6: /left-pad@1.3.0, /@scope/pkg@2.0.0(react@18.2.0)
+ *   v9: left-pad@1.3.0, '@scope/pkg@2.0.0'
+ *
+ * Direct dependencies are listed per workspace package under `importers`
+ * (or at the top level for single-package v5/v6 lockfiles):
+ *   importers:
+ *     packages/app:
+ *       dependencies:
+ *         my-alias:
+ *           specifier: npm:left-pad@^1.3.0
+ *           version: left-pad@1.3.0        (v6: /left-pad@1.3.0)
+ *
+ * Only the subset of YAML written by pnpm is supported.
+ */
+
+const IMPORTER_DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+/**
+ * Parse pnpm-lock.yaml content
+ *
+ * @param {string} content - pnpm-lock.yaml content
+ * @returns {{lockfileVersion: string, packages: Array<{name: string, version: string, integrity: string|null, importers: Array<string>, aliases: Array<string>}>}}
+ *   importers are the workspace paths depending on the package directly
+ * @throws {Error} If the content is not a pnpm lockfile
+ */
+function parsePnpmLock(content) {
+  const lock = parseYaml(content);
+  if (!lock || lock.lockfileVersion === undefined) {
+    throw new Error('Not a pnpm-lock.yaml file (no lockfileVersion)');
+  }
+
+  const packages = new Map();
+  const getPackage = (name, version) => {
+    const key = `${name}@${version}`;
+    if (!packages.has(key)) {
+      packages.set(key, { name, version, integrity: null, importers: [], aliases: [] });
+    }
+    return packages.get(key);
+  };
+
+  for (const [key, info] of Object.entries(lock.packages || {})) {
+    const integrity = info && typeof info.resolution === 'string' && info.resolution.match(/integrity:\s*([^,}\s]+)/);
+    // Tarball URL packages record their name and version as fields; kept when their integrity is known
+    const resolved = parsePackageKey(key) || (integrity && info.name && info.version ? { name: info.name, version: String(info.version) } : null);
+    if (!resolved) continue;
+    const pkg = getPackage(resolved.name, resolved.version);
+    if (integrity) pkg.integrity = integrity[1];
+  }
+
+  // Single-package v5/v6 lockfiles keep the root importer at the top level
+  const importers = lock.importers || { '.': lock };
+  for (const [importer, manifest] of Object.entries(importers)) {
+    for (const depType of IMPORTER_DEPENDENCY_TYPES) {
+      for (const [name, ref] of Object.entries((manifest && manifest[depType]) || {})) {
+        const resolved = resolveImporterDependency(name, ref);
+        if (!resolved) continue;
+        const pkg = getPackage(resolved.name, resolved.version);
+        if (!pkg.importers.includes(importer)) pkg.importers.push(importer);
+        if (resolved.name !== name && !pkg.aliases.includes(name)) pkg.aliases.push(name);
+      }
+    }
+  }
+
+  return { lockfileVersion: String(lock.lockfileVersion), packages: [...packages.values()] };
+}
+
+/**
+ * Parse a `packages` key into name and version
+ *
+ * @param {string} key - Package key (any lockfile version)
+ * @returns {{name: string, version: string}|null} Null for non-registry packages (git, tarballs, links)
+ */
+function parsePackageKey(key) {
+  const id = key.replace(/^\//, '').replace(/\(.*$/, '');
+
+  // v5: name/version, with peer suffixes after "_"
+  const v5 = id.match(/^((?:@[^/@]+\/)?[^/@]+)\/([^/]+)$/);
+  if (v5) {
+    const version = v5[2].replace(/_.*$/, '');
+    return semver.isVersion(version) ? { name: v5[1], version } : null;
+  }
+
+  // v6/v9: name@version
+  const at = id.lastIndexOf('@');
+  if (at <= 0) return null;
+  const name = id.slice(0, at);
+  const version = id.slice(at + 1);
+  return semver.isVersion(version) ? { name, version } : null;
+}
+
+/**
+ * Resolve an importer dependency to the package it is locked to
+ */
+function resolveImporterDependency(name, ref) {
+  // v6/v9: { specifier, version }; v5: the version itself
+  const version = String(ref && typeof ref === 'object' ? ref.version : ref).replace(/\(.*$/, '').replace(/_.*$/, '');
+  if (/^(link|file|workspace):/.test(version)) return null;
+
+  // Aliases point to another package: "/real@1.0.0" (v6), "real@1.0.0" (v9), "/real/1.0.0" (v5)
+  if (version.startsWith('/') || version.lastIndexOf('@') > 0) {
+    return parsePackageKey(version);
+  }
+  return semver.isVersion(version) ? { name, version } : null;
+}
+
+/**
+ * Parse the block-style YAML subset used by pnpm lockfiles
+ *
+ * Supports nested mappings, quoted keys and values and block sequences.
+ * Flow collections ({integrity: ...}, [darwin]) are kept as strings.
+ *
+ * @param {string} content - YAML content
+ * @returns {Object} Parsed document
+ */
+function parseYaml(content) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    if (!rawLine.trim() || rawLine.trimStart().startsWith('#') || rawLine.startsWith('---')) continue;
+
+    const indent = rawLine.length - rawLine.trimStart().length;
+    const line = rawLine.trim();
+    const isItem = line.startsWith('- ') || line === '-';
+    // Sequence items may be indented at the same level as their key
+    while (stack.length > 1 && (stack[stack.length - 1].indent > indent || (!isItem && stack[stack.length - 1].indent === indent))) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+
+    if (isItem) {
+      // Block sequence item: turn the (still empty) parent mapping into a list
+      if (!Array.isArray(parent.value)) {
+        if (!parent.owner || Object.keys(parent.value).length > 0) continue;
+        parent.value = [];
+        parent.owner[parent.key] = parent.value;
+      }
+      parent.value.push(parseScalar(line.slice(1).trim()));
+      continue;
+    }
+
+    const entry = splitKey(line);
+    if (!entry || Array.isArray(parent.value)) continue;
+
+    if (entry.value === '') {
+      const child = {};
+      parent.value[entry.key] = child;
+      stack.push({ indent, value: child, owner: parent.value, key: entry.key });
+    } else {
+      parent.value[entry.key] = parseScalar(entry.value);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Split "key: value" (key possibly quoted)
+ */
+function splitKey(line) {
+  let key;
+  let rest;
+  if (line.startsWith('\'') || line.startsWith('"')) {
+    const end = line.indexOf(line[0], 1);
+    if (end === -1) return null;
+    key = line.slice(1, end);
+    rest = line.slice(end + 1);
+  } else {
+    const colon = line.search(/:(\s|$)/);
+    if (colon === -1) return null;
+    key = line.slice(0, colon);
+    rest = line.slice(colon);
+  }
+  if (!rest.startsWith(':')) return null;
+  return { key, value: rest.slice(1).trim() };
+}
+
+/**
+ * Parse a scalar value, removing quotes
+ */
+function parseScalar(value) {
+  if (value.length >= 2 && (value[0] === '\'' || value[0] === '"') && value.endsWith(value[0])) {
+    return value.slice(1, -1);
+  }
+  return value;
+}
+
+module.exports = {
+  parsePnpmLock,
+  parsePackageKey,
+  parseYaml,
+};
@@ -3,6 +3,12 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { DEFAULT_PACK } = require('./config');
+const { formatBehavior } = require('./scripts');
+const { formatLeak } = require('./exfil');
+const { formatSignal } = require('./payloads');
+const { formatCommit } = require('./history');
+const { campaignsForFindings, summarizePack } = require('./packs');
 
 /**
  * Generate scan reports in various formats (JSON, Markdown, HTML)
@@ -14,9 +20,14 @@ const os = require('os');
  * @param {Object} findings - Scan findings
  * @param {Object} options - Scan options used
  * @param {Array<string>} directories - Directories that were scanned
+ * @param {Object} context - Scan context
+ * @param {Array<Object>} context.packs - IOC packs used (default: bundled Shai-Hulud 2 pack)
+ * @param {Object} context.database - IOC database version, digest and integrity status
+ * @param {Array<Object>} context.inventory - Packages seen during the scan (see lib/inventory.js)
+ * @param {Object} context.performance - Measured walk and detector throughput (see lib/walker.js)
  * @returns {Object} Complete report object
  */
-function createReport(findings, options = {}, directories = []) {
+function createReport(findings, options = {}, directories = [], context = {}) {
   return {
     meta: {
       tool: 'Worm Buster',
@@ -26,6 +37,7 @@ function createReport(findings, options = {}, directories = []) {
       hostname: os.hostname(),
       platform: os.platform(),
       nodeVersion: process.version,
+      database: context.database || null,
     },
     scan: {
       directories,
@@ -33,6 +45,11 @@ function createReport(findings, options = {}, directories = []) {
         verbose: options.verbose || false,
         checkProcesses: options.checkProcesses || false,
         checkCredentials: options.checkCredentials || false,
+        databases: options.databases || [],
+        exclude: options.exclude || [],
+        include: options.include || [],
+        maxDepth: Number.isInteger(options.maxDepth) ? options.maxDepth : null,
+        followSymlinks: options.followSymlinks || false,
       },
     },
     summary: {
@@ -41,7 +58,10 @@ function createReport(findings, options = {}, directories = []) {
       info: findings.info.length,
       status: findings.critical.length > 0 ? 'INFECTED' : 'CLEAN',
     },
+    campaigns: (context.packs || [DEFAULT_PACK]).map(summarizePack),
     findings,
+    inventory: context.inventory || [],
+    performance: context.performance || null,
   };
 }
 
@@ -90,6 +110,16 @@ function generateMarkdown(report) {
   lines.push(`- **Hostname:** ${report.meta.hostname}`);
   lines.push(`- **Platform:** ${report.meta.platform}`);
   lines.push(`- **Node Version:** ${report.meta.nodeVersion}`);
+  if (report.meta.database) {
+    const { version, digest, verified } = report.meta.database;
+    lines.push(`- **IOC Database:** ${version} (SHA256 \`${digest}\`)`);
+    if (!verified) {
+      lines.push('- **Database Integrity:** **FAILED** - entries may have been removed or altered');
+    }
+  }
+  if (report.inventory && report.inventory.length > 0) {
+    lines.push(`- **Packages Inventoried:** ${report.inventory.length}`);
+  }
   lines.push('');
   lines.push('### Scanned Directories');
   lines.push('');
@@ -110,29 +140,116 @@ function generateMarkdown(report) {
       lines.push(`### ${i + 1}. ${finding.type}`);
       lines.push('');
 
+      if (finding.campaign) {
+        lines.push(`- **Campaign:** ${finding.campaign}`);
+      }
+
       if (finding.package) {
         lines.push(`- **Package:** \`${finding.package}@${finding.version}\``);
+        if (finding.aliases) {
+          lines.push(`- **Installed As:** ${finding.aliases.map(a => `\`${a}\``).join(', ')}`);
+        }
+        if (finding.matchedBy === 'integrity') {
+          lines.push(`- **Matched By Tarball Integrity:** \`${finding.integrity}\` (known as \`${finding.knownAs}\`)`);
+        }
+        if (finding.importers && finding.importers.length > 0) {
+          lines.push(`- **Direct Dependency Of:** ${finding.importers.map(i => `\`${i}\``).join(', ')}`);
+        }
+        if (finding.nesting) {
+          lines.push(`- **Nested Under:** ${finding.nesting.map(n => `\`${n}\``).join(' > ')}`);
+        }
+        if (finding.dependencyPaths) {
+          lines.push('- **Dependency Paths:**');
+          for (const dependencyPath of finding.dependencyPaths) {
+            lines.push(`  - \`${dependencyPath.join(' -> ')}\``);
+          }
+        }
         if (finding.depType) {
           lines.push(`- **Dependency Type:** ${finding.depType}`);
         }
+        if (finding.allowedVersions) {
+          lines.push(`- **Range Allows Infected:** ${finding.allowedVersions.join(', ')}`);
+        }
+        lines.push(...markdownIocLines(finding.ioc));
       }
 
       if (finding.file) {
         lines.push(`- **File:** \`${finding.file}\``);
       }
 
+      if (finding.job) {
+        lines.push(`- **Workflow:** job \`${finding.job}\`${finding.step ? `, step \`${finding.step}\`` : ''}${finding.line ? ` (line ${finding.line})` : ''}`);
+      }
+
+      if (finding.runsOn) {
+        lines.push(`- **Runs On:** ${finding.runsOn.map(label => `\`${label}\``).join(', ')}`);
+      }
+
+      if (finding.url) {
+        lines.push(`- **${finding.remote ? `Remote \`${finding.remote}\`` : 'URL'}:** \`${finding.url}\``);
+      }
+
+      if (finding.commit) {
+        lines.push(`- **Commit:** \`${finding.commit}\` by ${finding.author} on ${finding.date}: ${finding.subject}`);
+        if (finding.branches.length > 0) {
+          lines.push(`- **Branches:** ${finding.branches.map(branch => `\`${branch}\``).join(', ')}`);
+        }
+      }
+
+      if (finding.introduced) {
+        lines.push(`- **Locked In:** ${formatCommit(finding.introduced)}`);
+        lines.push(`- **Removed In:** ${finding.removed ? formatCommit(finding.removed) : 'still locked on the newest commits'}`);
+        if (finding.branches.length > 0) {
+          lines.push(`- **Branches:** ${finding.branches.map(branch => `\`${branch}\``).join(', ')}`);
+        }
+      }
+
+      if (finding.cache) {
+        lines.push(`- **Cache:** ${finding.cache}`);
+      }
+
       if (finding.path && !finding.file) {
         lines.push(`- **Path:** \`${finding.path}\``);
       }
 
+      if (finding.purge) {
+        lines.push('- **Purge:**');
+        lines.push('');
+        lines.push('```sh');
+        lines.push(...finding.purge);
+        lines.push('```');
+      }
+
       if (finding.artifact) {
         lines.push(`- **Artifact:** \`${finding.artifact}\``);
       }
 
+      if (finding.sha256) {
+        lines.push(`- **SHA256:** \`${finding.sha256}\``);
+      }
+
+      if (finding.leaked) {
+        lines.push(`- **Leaked Credentials (decoded ${finding.layers} base64 layers):**`);
+        for (const leak of finding.leaked) {
+          lines.push(`  - ${formatLeak(leak)}`);
+        }
+      }
+
+      if (finding.indicators) {
+        lines.push('- **Indicators:**');
+        for (const indicator of finding.indicators) {
+          lines.push(`  - ${indicator}`);
+        }
+      }
+
       if (finding.process) {
         lines.push(`- **Process:** \`${finding.process}\``);
       }
 
+      if (finding.note) {
+        lines.push(`- **Note:** ${finding.note}`);
+      }
+
       lines.push('');
     }
   }
@@ -148,9 +265,30 @@ function generateMarkdown(report) {
 
       if (finding.package) {
         lines.push(`- **Package:** \`${finding.package}@${finding.version}\``);
+        if (finding.aliases) {
+          lines.push(`- **Installed As:** ${finding.aliases.map(a => `\`${a}\``).join(', ')}`);
+        }
+        if (finding.matchedBy === 'integrity') {
+          lines.push(`- **Matched By Tarball Integrity:** \`${finding.integrity}\` (known as \`${finding.knownAs}\`)`);
+        }
+        if (finding.importers && finding.importers.length > 0) {
+          lines.push(`- **Direct Dependency Of:** ${finding.importers.map(i => `\`${i}\``).join(', ')}`);
+        }
+        if (finding.nesting) {
+          lines.push(`- **Nested Under:** ${finding.nesting.map(n => `\`${n}\``).join(' > ')}`);
+        }
+        if (finding.dependencyPaths) {
+          lines.push('- **Dependency Paths:**');
+          for (const dependencyPath of finding.dependencyPaths) {
+            lines.push(`  - \`${dependencyPath.join(' -> ')}\``);
+          }
+        }
         if (finding.infectedVersions) {
           lines.push(`- **Known infected versions:** ${finding.infectedVersions.join(', ')}`);
         }
+        if (finding.allowedVersions) {
+          lines.push(`- **Range Allows Infected:** ${finding.allowedVersions.join(', ')}`);
+        }
       }
 
       if (finding.script) {
@@ -158,10 +296,79 @@ function generateMarkdown(report) {
         lines.push(`- **Content:** \`${finding.content}\``);
       }
 
+      if (finding.behaviors) {
+        lines.push(`- **Behaviors (${finding.confidence} confidence):**`);
+        for (const behavior of finding.behaviors) {
+          lines.push(`  - \`${formatBehavior(behavior)}\``);
+        }
+      }
+
+      if (finding.signals) {
+        lines.push(`- **Heuristic Score:** ${finding.score}`);
+        for (const signal of finding.signals) {
+          lines.push(`  - ${formatSignal(signal)}`);
+        }
+      }
+
       if (finding.file) {
         lines.push(`- **File:** \`${finding.file}\``);
       }
 
+      if (finding.job) {
+        lines.push(`- **Workflow:** job \`${finding.job}\`${finding.step ? `, step \`${finding.step}\`` : ''}${finding.line ? ` (line ${finding.line})` : ''}`);
+      }
+
+      if (finding.runsOn) {
+        lines.push(`- **Runs On:** ${finding.runsOn.map(label => `\`${label}\``).join(', ')}`);
+      }
+
+      if (finding.url) {
+        lines.push(`- **${finding.remote ? `Remote \`${finding.remote}\`` : 'URL'}:** \`${finding.url}\``);
+      }
+
+      if (finding.commit) {
+        lines.push(`- **Commit:** \`${finding.commit}\` by ${finding.author} on ${finding.date}: ${finding.subject}`);
+        if (finding.branches.length > 0) {
+          lines.push(`- **Branches:** ${finding.branches.map(branch => `\`${branch}\``).join(', ')}`);
+        }
+      }
+
+      if (finding.introduced) {
+        lines.push(`- **Locked In:** ${formatCommit(finding.introduced)}`);
+        lines.push(`- **Removed In:** ${finding.removed ? formatCommit(finding.removed) : 'still locked on the newest commits'}`);
+        if (finding.branches.length > 0) {
+          lines.push(`- **Branches:** ${finding.branches.map(branch => `\`${branch}\``).join(', ')}`);
+        }
+      }
+
+      if (finding.cache) {
+        lines.push(`- **Cache:** ${finding.cache}`);
+      }
+
+      if (finding.path && !finding.file) {
+        lines.push(`- **Path:** \`${finding.path}\``);
+      }
+
+      if (finding.purge) {
+        lines.push('- **Purge:**');
+        lines.push('');
+        lines.push('```sh');
+        lines.push(...finding.purge);
+        lines.push('```');
+      }
+
+      if (finding.artifact) {
+        lines.push(`- **Artifact:** \`${finding.artifact}\``);
+      }
+
+      if (finding.sha256) {
+        lines.push(`- **SHA256:** \`${finding.sha256}\``);
+      }
+
+      if (finding.note) {
+        lines.push(`- **Note:** ${finding.note}`);
+      }
+
       lines.push('');
     }
   }
@@ -181,32 +388,28 @@ function generateMarkdown(report) {
     lines.push('');
   }
 
-  // Recommended Actions
+  // Recommended Actions (remediation of the campaigns involved)
   if (report.summary.critical > 0) {
     lines.push('## Recommended Actions');
     lines.push('');
-    lines.push('1. **DO NOT** run `npm install` in affected projects');
-    lines.push('2. Remove infected packages from `package.json`');
-    lines.push('3. Delete `node_modules` and `package-lock.json`');
-    lines.push('4. Check `.github/workflows` for suspicious files (especially `discussion.yaml`)');
-    lines.push('5. **Rotate ALL credentials immediately:**');
-    lines.push('   - AWS credentials');
-    lines.push('   - Azure credentials');
-    lines.push('   - Google Cloud credentials');
-    lines.push('   - GitHub tokens');
-    lines.push('   - npm tokens');
-    lines.push('6. Review GitHub Actions for unauthorized workflows and self-hosted runners named `SHA1HULUD`');
-    lines.push('7. Check for Bun runtime: `which bun`');
-    lines.push('8. Review GitHub for repositories with suspicious descriptions containing "Shai-Hulud"');
-    lines.push('');
+
+    const campaigns = campaignsForFindings(report.findings, report.campaigns);
+    for (const campaign of campaigns) {
+      if (campaigns.length > 1) {
+        lines.push(`### ${campaign.name}`);
+        lines.push('');
+      }
+      campaign.remediation.forEach((step, i) => lines.push(`${i + 1}. ${step}`));
+      lines.push('');
+    }
   }
 
   // References
   lines.push('## References');
   lines.push('');
-  lines.push('- [Wiz Security - Shai-Hulud 2.0 Analysis](https://www.wiz.io/blog/shai-hulud-2-0-ongoing-supply-chain-attack)');
-  lines.push('- [Datadog Security Labs - npm Worm Analysis](https://securitylabs.datadoghq.com/articles/shai-hulud-2.0-npm-worm/)');
-  lines.push('- [Check Point Research - Technical Deep Dive](https://blog.checkpoint.com/research/shai-hulud-2-0-inside-the-second-coming)');
+  for (const ref of collectReferences(report.campaigns)) {
+    lines.push(`- [${ref.title}](${ref.url})`);
+  }
   lines.push('');
 
   // Footer
@@ -216,6 +419,54 @@ function generateMarkdown(report) {
   return lines.join('\n');
 }
 
+/**
+ * References of all campaigns in a report, without duplicates
+ *
+ * @param {Array<Object>} campaigns - Report campaign summaries
+ * @returns {Array<{title: string, url: string}>}
+ */
+function collectReferences(campaigns) {
+  const seen = new Set();
+  const references = [];
+  for (const campaign of campaigns) {
+    for (const ref of campaign.references) {
+      if (seen.has(ref.url)) continue;
+      seen.add(ref.url);
+      references.push(ref);
+    }
+  }
+  return references;
+}
+
+/**
+ * Render the inline markdown used in pack remediation steps (`code`, **bold**) as HTML
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} HTML
+ */
+function inlineMarkdownToHtml(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+}
+
+/**
+ * Markdown lines describing the IOC record a finding matched
+ *
+ * @param {Object} ioc - IOC details ({ status, timestamp, id, range, source })
+ * @returns {Array<string>} Markdown list items (empty if no details)
+ */
+function markdownIocLines(ioc) {
+  if (!ioc) return [];
+  const lines = [];
+  if (ioc.status) lines.push(`- **Registry Status:** ${ioc.status === 'online' ? '**online** (still published)' : ioc.status}`);
+  if (ioc.timestamp) lines.push(`- **Published:** ${ioc.timestamp}`);
+  if (ioc.id) lines.push(`- **Advisory ID:** ${ioc.id}`);
+  if (ioc.range) lines.push(`- **Matched Entry:** \`${ioc.range}\``);
+  if (ioc.source) lines.push(`- **Feed:** ${ioc.source}`);
+  return lines;
+}
+
 /**
  * Generate HTML report content
  *
@@ -320,6 +571,7 @@ function generateHtml(report) {
         <div><strong>Hostname:</strong> ${report.meta.hostname}</div>
         <div><strong>Platform:</strong> ${report.meta.platform}</div>
         <div><strong>Node:</strong> ${report.meta.nodeVersion}</div>
+        ${report.meta.database ? `<div><strong>IOC Database:</strong> ${escapeHtml(report.meta.database.version)} <code>${report.meta.database.digest.slice(0, 16)}</code>${report.meta.database.verified ? '' : ' <strong style="color: var(--critical);">INTEGRITY CHECK FAILED</strong>'}</div>` : ''}
       </div>
       <h4 style="margin-top: 1rem;">Scanned Directories</h4>
       <ul>
@@ -346,24 +598,17 @@ function generateHtml(report) {
     ${report.summary.critical > 0 ? `
     <div class="actions">
       <h3>Recommended Actions</h3>
+      ${campaignsForFindings(report.findings, report.campaigns).map(campaign => `
+      <h4>${escapeHtml(campaign.name)}</h4>
       <ol>
-        <li><strong>DO NOT</strong> run <code>npm install</code> in affected projects</li>
-        <li>Remove infected packages from <code>package.json</code></li>
-        <li>Delete <code>node_modules</code> and <code>package-lock.json</code></li>
-        <li>Check <code>.github/workflows</code> for suspicious files</li>
-        <li><strong>Rotate ALL credentials immediately</strong> (AWS, Azure, GCP, GitHub, npm)</li>
-        <li>Review GitHub Actions for unauthorized workflows and runners named <code>SHA1HULUD</code></li>
-        <li>Check for Bun runtime: <code>which bun</code></li>
-        <li>Review GitHub for repositories with "Shai-Hulud" in description</li>
-      </ol>
+        ${campaign.remediation.map(step => `<li>${inlineMarkdownToHtml(step)}</li>`).join('\n        ')}
+      </ol>`).join('')}
     </div>
     ` : ''}
 
     <h2>References</h2>
     <ul>
-      <li><a href="https://www.wiz.io/blog/shai-hulud-2-0-ongoing-supply-chain-attack" target="_blank">Wiz Security - Shai-Hulud 2.0 Analysis</a></li>
-      <li><a href="https://securitylabs.datadoghq.com/articles/shai-hulud-2.0-npm-worm/" target="_blank">Datadog Security Labs - npm Worm Analysis</a></li>
-      <li><a href="https://blog.checkpoint.com/research/shai-hulud-2-0-inside-the-second-coming" target="_blank">Check Point Research - Technical Deep Dive</a></li>
+      ${collectReferences(report.campaigns).map(ref => `<li><a href="${escapeHtml(ref.url)}" target="_blank">${escapeHtml(ref.title)}</a></li>`).join('\n      ')}
     </ul>
 
     <div class="footer">
@@ -379,26 +624,117 @@ function renderFinding(finding, severity) {
 
   if (finding.package) {
     details += `<div class="finding-detail"><strong>Package:</strong> <code>${escapeHtml(finding.package)}@${escapeHtml(finding.version)}</code></div>`;
+    if (finding.aliases) {
+      details += `<div class="finding-detail"><strong>Installed as:</strong> <code>${escapeHtml(finding.aliases.join(', '))}</code></div>`;
+    }
+    if (finding.matchedBy === 'integrity') {
+      details += `<div class="finding-detail"><strong>Matched by tarball integrity:</strong> <code>${escapeHtml(finding.integrity)}</code> (known as <code>${escapeHtml(finding.knownAs)}</code>)</div>`;
+    }
+    if (finding.importers && finding.importers.length > 0) {
+      details += `<div class="finding-detail"><strong>Direct dependency of:</strong> <code>${escapeHtml(finding.importers.join(', '))}</code></div>`;
+    }
+    if (finding.nesting) {
+      details += `<div class="finding-detail"><strong>Nested under:</strong> <code>${escapeHtml(finding.nesting.join(' > '))}</code></div>`;
+    }
+    if (finding.dependencyPaths) {
+      const dependencyPaths = finding.dependencyPaths.map(p => `<code>${escapeHtml(p.join(' -> '))}</code>`).join('<br>');
+      details += `<div class="finding-detail"><strong>Dependency paths:</strong><br>${dependencyPaths}</div>`;
+    }
     if (finding.depType) {
       details += `<div class="finding-detail"><strong>Dependency Type:</strong> ${escapeHtml(finding.depType)}</div>`;
     }
     if (finding.infectedVersions) {
       details += `<div class="finding-detail"><strong>Known infected:</strong> ${finding.infectedVersions.join(', ')}</div>`;
     }
+    if (finding.allowedVersions) {
+      details += `<div class="finding-detail"><strong>Range allows infected:</strong> ${escapeHtml(finding.allowedVersions.join(', '))}</div>`;
+    }
+    if (finding.ioc) {
+      if (finding.ioc.status) {
+        details += `<div class="finding-detail"><strong>Registry Status:</strong> ${escapeHtml(finding.ioc.status === 'online' ? 'online (still published)' : finding.ioc.status)}</div>`;
+      }
+      if (finding.ioc.timestamp) {
+        details += `<div class="finding-detail"><strong>Published:</strong> ${escapeHtml(finding.ioc.timestamp)}</div>`;
+      }
+      if (finding.ioc.id) {
+        details += `<div class="finding-detail"><strong>Advisory ID:</strong> ${escapeHtml(finding.ioc.id)}</div>`;
+      }
+      if (finding.ioc.range) {
+        details += `<div class="finding-detail"><strong>Matched Entry:</strong> <code>${escapeHtml(finding.ioc.range)}</code></div>`;
+      }
+      if (finding.ioc.source) {
+        details += `<div class="finding-detail"><strong>Feed:</strong> ${escapeHtml(finding.ioc.source)}</div>`;
+      }
+    }
+  }
+
+  if (finding.campaign) {
+    details += `<div class="finding-detail"><strong>Campaign:</strong> ${escapeHtml(finding.campaign)}</div>`;
   }
 
   if (finding.file) {
     details += `<div class="finding-detail"><strong>File:</strong> <code>${escapeHtml(finding.file)}</code></div>`;
   }
 
+  if (finding.job) {
+    details += `<div class="finding-detail"><strong>Workflow:</strong> job <code>${escapeHtml(finding.job)}</code>${finding.step ? `, step <code>${escapeHtml(finding.step)}</code>` : ''}${finding.line ? ` (line ${finding.line})` : ''}</div>`;
+  }
+
+  if (finding.runsOn) {
+    details += `<div class="finding-detail"><strong>Runs On:</strong> ${finding.runsOn.map(label => `<code>${escapeHtml(label)}</code>`).join(', ')}</div>`;
+  }
+
+  if (finding.url) {
+    details += `<div class="finding-detail"><strong>${finding.remote ? `Remote <code>${escapeHtml(finding.remote)}</code>` : 'URL'}:</strong> <code>${escapeHtml(finding.url)}</code></div>`;
+  }
+
+  if (finding.commit) {
+    details += `<div class="finding-detail"><strong>Commit:</strong> <code>${escapeHtml(finding.commit)}</code> by ${escapeHtml(finding.author)} on ${escapeHtml(finding.date)}: ${escapeHtml(finding.subject)}</div>`;
+    if (finding.branches.length > 0) {
+      details += `<div class="finding-detail"><strong>Branches:</strong> ${finding.branches.map(branch => `<code>${escapeHtml(branch)}</code>`).join(', ')}</div>`;
+    }
+  }
+
+  if (finding.introduced) {
+    details += `<div class="finding-detail"><strong>Locked In:</strong> ${escapeHtml(formatCommit(finding.introduced))}</div>`;
+    details += `<div class="finding-detail"><strong>Removed In:</strong> ${escapeHtml(finding.removed ? formatCommit(finding.removed) : 'still locked on the newest commits')}</div>`;
+    if (finding.branches.length > 0) {
+      details += `<div class="finding-detail"><strong>Branches:</strong> ${finding.branches.map(branch => `<code>${escapeHtml(branch)}</code>`).join(', ')}</div>`;
+    }
+  }
+
+  if (finding.cache) {
+    details += `<div class="finding-detail"><strong>Cache:</strong> ${escapeHtml(finding.cache)}</div>`;
+  }
+
   if (finding.path && !finding.file) {
     details += `<div class="finding-detail"><strong>Path:</strong> <code>${escapeHtml(finding.path)}</code></div>`;
   }
 
+  if (finding.purge) {
+    details += `<div class="finding-detail"><strong>Purge:</strong><pre><code>${escapeHtml(finding.purge.join('\n'))}</code></pre></div>`;
+  }
+
   if (finding.artifact) {
     details += `<div class="finding-detail"><strong>Artifact:</strong> <code>${escapeHtml(finding.artifact)}</code></div>`;
   }
 
+  if (finding.sha256) {
+    details += `<div class="finding-detail"><strong>SHA256:</strong> <code>${escapeHtml(finding.sha256)}</code></div>`;
+  }
+
+  if (finding.signals) {
+    details += `<div class="finding-detail"><strong>Heuristic Score:</strong> ${finding.score}<br>${finding.signals.map(signal => escapeHtml(formatSignal(signal))).join('<br>')}</div>`;
+  }
+
+  if (finding.leaked) {
+    details += `<div class="finding-detail"><strong>Leaked Credentials (decoded ${finding.layers} base64 layers):</strong><br>${finding.leaked.map(leak => escapeHtml(formatLeak(leak))).join('<br>')}</div>`;
+  }
+
+  if (finding.indicators) {
+    details += `<div class="finding-detail"><strong>Indicators:</strong><br>${finding.indicators.map(escapeHtml).join('<br>')}</div>`;
+  }
+
   if (finding.process) {
     details += `<div class="finding-detail"><strong>Process:</strong> <code>${escapeHtml(finding.process)}</code></div>`;
   }
@@ -408,6 +744,10 @@ function renderFinding(finding, severity) {
     details += `<div class="finding-detail"><strong>Content:</strong> <code>${escapeHtml(finding.content)}</code></div>`;
   }
 
+  if (finding.behaviors) {
+    details += `<div class="finding-detail"><strong>Behaviors (${escapeHtml(finding.confidence)} confidence):</strong><br>${finding.behaviors.map(b => escapeHtml(formatBehavior(b))).join('<br>')}</div>`;
+  }
+
   if (finding.note) {
     details += `<div class="finding-detail"><em>${escapeHtml(finding.note)}</em></div>`;
   }
@@ -2,117 +2,388 @@
 
 const fs = require('fs');
 const path = require('path');
-const { MALICIOUS_ARTIFACTS, SUSPICIOUS_WORKFLOW_PATTERN } = require('./config');
+const { getDefaultIocs } = require('./packs');
+const { sha256File } = require('./integrity');
+const { walk, walkSync } = require('./walker');
+const { createWalkRules } = require('./filters');
+
+// Lockfiles recognized by findPackageFiles (see LOCKFILE_ANALYZERS in lib/analyzer.js)
+const LOCKFILE_NAMES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lock', 'bun.lockb'];
 
 /**
- * Find package.json, package-lock.json, and node_modules directories
+ * Find package.json, lockfiles, node_modules directories, GitHub Actions
+ * workflows (type 'workflow') and git repositories (type 'git': .git
+ * directories, or .git files of worktrees and submodules)
  *
  * @param {string} dir - Directory to scan
- * @param {Object} options - Scan options
+ * @param {Object} options - Scan options, including the walk rules (see lib/filters.js)
  * @param {boolean} options.verbose - Enable verbose error output
  * @param {Function} onError - Optional error callback (path, error)
  * @returns {Array<{type: string, path: string}>} Found items
  */
 function findPackageFiles(dir, options = {}, onError = null) {
-  const results = [];
-
-  function scan(currentDir) {
-    let entries;
-    try {
-      entries = fs.readdirSync(currentDir, { withFileTypes: true });
-    } catch (err) {
-      if (onError) onError(currentDir, err);
-      return;
+  const results = { packageFiles: [], artifacts: [] };
+  const rules = walkRules(dir, options, onError);
+
+  walkSync(dir, (currentDir, entries, context) => visitEntries(currentDir, entries, context, results, null, rules), {
+    context: { packageFiles: true, artifacts: false, depth: 0 },
+    onError,
+  });
+  return results.packageFiles;
+}
+
+/**
+ * Find package files and artifact candidates in a single asynchronous pass
+ *
+ * Artifact candidates are not hashed yet: name matches are returned without
+ * `match` (see verifyArtifact), workflow pattern matches with match 'pattern'.
+ * Results are sorted by path.
+ *
+ * @param {string} dir - Directory to scan
+ * @param {Object} options - Scan options, including the walk rules (see lib/filters.js)
+ * @param {number} options.concurrency - Maximum directories read at the same time
+ * @param {Function} onError - Optional error callback (path, error)
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @returns {Promise<{packageFiles: Array<{type: string, path: string}>, artifacts: Array<Object>, stats: Object}>}
+ *   Found items and walk statistics (directories, entries, durationMs)
+ */
+async function scanTree(dir, options = {}, onError = null, iocs = null) {
+  const results = { packageFiles: [], artifacts: [] };
+  const iocSet = iocs || getDefaultIocs();
+
+  const rules = walkRules(dir, options, onError);
+
+  const stats = await walk(dir, (currentDir, entries, context) => visitEntries(currentDir, entries, context, results, iocSet, rules), {
+    concurrency: options.concurrency,
+    context: { packageFiles: true, artifacts: true, depth: 0 },
+    onError,
+  });
+
+  const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+  return {
+    packageFiles: results.packageFiles.sort(byPath),
+    artifacts: results.artifacts.sort(byPath),
+    stats,
+  };
+}
+
+/**
+ * Walk rules of a scanned root, with the error callback, the symlink
+ * targets entered so far and the real path of the root (once resolved)
+ */
+function walkRules(dir, options, onError) {
+  return { ...createWalkRules(dir, options), onError, symlinkTargets: new Set(), realRoot: null };
+}
+
+/**
+ * Visit the entries of a directory, collecting package files and artifact
+ * candidates, and return the subdirectories to walk
+ *
+ * node_modules and .git are recorded but not entered. Hidden entries (except
+ * .github, or when included) hold no package files, but are searched for
+ * artifacts. Excluded entries are skipped; symlinked directories are only
+ * entered with followSymlinks (see isSymlinkLoop).
+ *
+ * @param {{packageFiles: boolean, artifacts: boolean, depth: number}} context - What to look for in this directory
+ * @param {Object} rules - Walk rules (see walkRules)
+ */
+function visitEntries(currentDir, entries, context, results, iocs, rules) {
+  const subdirectories = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(currentDir, entry.name);
+    const symlink = entry.isSymbolicLink();
+    const isDirectory = entry.isDirectory() || (symlink && rules.followSymlinks && isDirectoryTarget(fullPath));
+
+    const rule = rules.match(fullPath, isDirectory);
+    if (rule === 'exclude') continue;
+
+    // Handle node_modules specially - record but don't recurse into it
+    if (entry.name === 'node_modules') {
+      if (context.packageFiles && fs.existsSync(fullPath)) {
+        results.packageFiles.push({ type: 'node_modules', path: fullPath });
+      }
+      continue;
     }
 
-    for (const entry of entries) {
-      const fullPath = path.join(currentDir, entry.name);
+    // Record git repositories, but don't recurse into them
+    if (entry.name === '.git') {
+      if (context.packageFiles) {
+        results.packageFiles.push({ type: 'git', path: fullPath });
+      }
+      continue;
+    }
 
-      // Handle node_modules specially - record but don't recurse into it
-      if (entry.name === 'node_modules') {
-        if (fs.existsSync(fullPath)) {
-          results.push({ type: 'node_modules', path: fullPath });
-        }
-        continue;
+    const hidden = entry.name.startsWith('.') && entry.name !== '.github' && rule !== 'include';
+    const packageFiles = context.packageFiles && !hidden;
+
+    if (isDirectory) {
+      if ((packageFiles || context.artifacts) && context.depth < rules.maxDepth && !(symlink && isSymlinkLoop(currentDir, fullPath, rules))) {
+        subdirectories.push({ dir: fullPath, context: { packageFiles, artifacts: context.artifacts, depth: context.depth + 1 } });
       }
+      continue;
+    }
+
+    if (packageFiles) {
+      const type = packageFileType(currentDir, entry.name);
+      if (type) results.packageFiles.push({ type, path: fullPath });
+    }
+    if (context.artifacts) {
+      results.artifacts.push(...matchArtifacts(fullPath, entry.name, iocs));
+    }
+  }
+
+  return subdirectories;
+}
+
+/**
+ * Whether a symlink points to a directory
+ */
+function isDirectoryTarget(linkPath) {
+  try {
+    return fs.statSync(linkPath).isDirectory();
+  } catch (err) {
+    // Dangling link
+    return false;
+  }
+}
+
+/**
+ * Whether a symlinked directory must not be entered: it points to the
+ * directory holding it or one of its ancestors (a loop), inside the scanned
+ * root (walked anyway), or to a target already entered through another
+ * symlink (which also breaks loops between symlinks). Loops and unreadable
+ * links are reported through the error callback.
+ */
+function isSymlinkLoop(currentDir, linkPath, rules) {
+  let target;
+  let current;
+  try {
+    target = fs.realpathSync(linkPath);
+    current = fs.realpathSync(currentDir);
+    if (!rules.realRoot) rules.realRoot = fs.realpathSync(rules.root);
+  } catch (err) {
+    if (rules.onError) rules.onError(linkPath, err);
+    return true;
+  }
+
+  if (isWithin(current, target)) {
+    if (rules.onError) rules.onError(linkPath, new Error(`Symlink loop: points to enclosing directory ${target}`));
+    return true;
+  }
+  if (isWithin(target, rules.realRoot) || rules.symlinkTargets.has(target)) {
+    return true;
+  }
+  rules.symlinkTargets.add(target);
+  return false;
+}
+
+/**
+ * Whether a path is a directory or inside it
+ */
+function isWithin(filePath, dir) {
+  return filePath === dir || filePath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+/**
+ * Type of a package file (package.json, a lockfile name, 'workflow'), or null
+ */
+function packageFileType(dir, name) {
+  if (name === 'package.json' || LOCKFILE_NAMES.includes(name)) return name;
+  if (isWorkflowFile(dir, name)) return 'workflow';
+  return null;
+}
+
+/**
+ * Whether a file is a GitHub Actions workflow (.github/workflows/*.yml)
+ */
+function isWorkflowFile(dir, name) {
+  return /\.ya?ml$/.test(name) && path.basename(dir) === 'workflows' && path.basename(path.dirname(dir)) === '.github';
+}
+
+/**
+ * List the packages installed in a node_modules directory, recursively
+ *
+ * Covers the flat npm/Yarn layout (node_modules/<name>, node_modules/@scope/<name>),
+ * copies nested under other packages (node_modules/foo/node_modules/bar, e.g.
+ * after a hoisting conflict) and the pnpm virtual store
+ * (node_modules/.pnpm/<name>@<version>/node_modules/<name>).
+ *
+ * Symlinked packages are skipped: with pnpm, top-level entries link into the
+ * store, and workspace links point to projects scanned on their own. Each
+ * node_modules directory is read once (by real path), so symlinked
+ * node_modules directories cannot loop.
+ *
+ * @param {string} nodeModulesPath - Path to node_modules directory
+ * @returns {Array<{name: string, path: string, nesting: Array<string>}>} Package names (as installed),
+ *   directories and the packages each copy is nested under (outermost first, empty when top-level)
+ * @throws {Error} If the node_modules directory cannot be read
+ */
+function findInstalledPackages(nodeModulesPath) {
+  const packages = [];
+  const visited = new Set();
+
+  walkNodeModules(nodeModulesPath, [], packages, visited, true);
+
+  const storePath = path.join(nodeModulesPath, '.pnpm');
+  let storeEntries = [];
+  try {
+    storeEntries = fs.readdirSync(storePath, { withFileTypes: true });
+  } catch (err) {
+    return packages;
+  }
+
+  for (const entry of storeEntries) {
+    if (!entry.isDirectory() || entry.name === 'node_modules') continue;
+    walkNodeModules(path.join(storePath, entry.name, 'node_modules'), [], packages, visited);
+  }
+
+  return packages;
+}
+
+/**
+ * Collect the packages of a node_modules directory and of the node_modules
+ * directories nested in them
+ *
+ * @param {boolean} mustExist - Throw if the directory cannot be read (top level only)
+ */
+function walkNodeModules(nodeModulesPath, nesting, packages, visited, mustExist = false) {
+  let entries;
+  try {
+    const realPath = fs.realpathSync(nodeModulesPath);
+    if (visited.has(realPath)) return;
+    visited.add(realPath);
+    entries = fs.readdirSync(nodeModulesPath, { withFileTypes: true });
+  } catch (err) {
+    if (mustExist) throw err;
+    return;
+  }
 
-      // Skip hidden directories except .github
-      if (entry.name.startsWith('.') && entry.name !== '.github') {
+  for (const pkg of listPackageDirs(nodeModulesPath, entries)) {
+    packages.push({ ...pkg, nesting });
+    walkNodeModules(path.join(pkg.path, 'node_modules'), [...nesting, pkg.name], packages, visited);
+  }
+}
+
+/**
+ * List package directories (including scoped ones) among node_modules entries
+ */
+function listPackageDirs(nodeModulesPath, entries) {
+  const packages = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+    // Handle scoped packages (@scope/package)
+    if (entry.name.startsWith('@')) {
+      const scopePath = path.join(nodeModulesPath, entry.name);
+      let scopedEntries;
+      try {
+        scopedEntries = fs.readdirSync(scopePath, { withFileTypes: true });
+      } catch (err) {
         continue;
       }
 
-      if (entry.isDirectory()) {
-        scan(fullPath);
-      } else if (entry.name === 'package.json') {
-        results.push({ type: 'package.json', path: fullPath });
-      } else if (entry.name === 'package-lock.json') {
-        results.push({ type: 'package-lock.json', path: fullPath });
+      for (const scopedEntry of scopedEntries) {
+        if (!scopedEntry.isDirectory()) continue;
+        packages.push({ name: `${entry.name}/${scopedEntry.name}`, path: path.join(scopePath, scopedEntry.name) });
       }
+    } else {
+      packages.push({ name: entry.name, path: path.join(nodeModulesPath, entry.name) });
     }
   }
 
-  scan(dir);
-  return results;
+  return packages;
 }
 
 /**
  * Find malicious artifact files (Indicators of Compromise)
  *
+ * Files matching an artifact name are hashed: `match` is 'hash' when the
+ * SHA256 digest is a known malware sample (IOC pack `hashes`), 'name' when
+ * only the name matches. Workflow files matching a pattern have match 'pattern'.
+ *
  * @param {string} dir - Directory to scan
  * @param {Function} onError - Optional error callback (path, error)
- * @returns {Array<{artifact: string, path: string}>} Found artifacts
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @param {Object} options - Walk rules (see lib/filters.js)
+ * @returns {Array<{artifact: string, path: string, campaign: string, match: string, sha256: string|null}>} Found artifacts
+ *   (sha256 is null for pattern matches and unreadable files)
+ */
+function findMaliciousArtifacts(dir, onError = null, iocs = null, options = {}) {
+  const results = { packageFiles: [], artifacts: [] };
+  const iocSet = iocs || getDefaultIocs();
+  const rules = walkRules(dir, options, onError);
+
+  walkSync(dir, (currentDir, entries, context) => visitEntries(currentDir, entries, context, results, iocSet, rules), {
+    context: { packageFiles: false, artifacts: true, depth: 0 },
+    onError,
+  });
+
+  return results.artifacts.map(artifact => (artifact.match ? artifact : { ...artifact, ...verifyArtifact(artifact.path, iocSet.hashes, onError) }));
+}
+
+/**
+ * Match a file against the artifact names and workflow patterns
  */
-function findMaliciousArtifacts(dir, onError = null) {
-  const results = [];
-
-  function scan(currentDir) {
-    let entries;
-    try {
-      entries = fs.readdirSync(currentDir, { withFileTypes: true });
-    } catch (err) {
-      if (onError) onError(currentDir, err);
-      return;
+function matchArtifacts(fullPath, name, iocs) {
+  const matches = [];
+
+  for (const { name: artifact, campaign } of iocs.artifacts) {
+    // For path-based artifacts (contain /), check if path ends with artifact
+    // For simple filenames, require exact name match to avoid false positives
+    // (e.g., "environment.json" shouldn't match "foo.postman_environment.json")
+    const isPathArtifact = artifact.includes('/');
+    const matched = isPathArtifact
+      ? fullPath.endsWith(artifact)
+      : name === artifact;
+    if (matched) {
+      matches.push({ artifact, path: fullPath, campaign });
     }
+  }
 
-    for (const entry of entries) {
-      const fullPath = path.join(currentDir, entry.name);
-
-      // Skip node_modules
-      if (entry.name === 'node_modules') continue;
-
-      if (entry.isDirectory()) {
-        scan(fullPath);
-      } else {
-        // Check against known malicious artifacts
-        for (const artifact of MALICIOUS_ARTIFACTS) {
-          // For path-based artifacts (contain /), check if path ends with artifact
-          // For simple filenames, require exact name match to avoid false positives
-          // (e.g., "environment.json" shouldn't match "foo.postman_environment.json")
-          const isPathArtifact = artifact.includes('/');
-          const matches = isPathArtifact
-            ? fullPath.endsWith(artifact)
-            : entry.name === artifact;
-          if (matches) {
-            results.push({ artifact, path: fullPath });
-          }
-        }
-
-        // Check for suspicious workflow files (formatter_*.yml pattern)
-        if (
-          fullPath.includes('.github/workflows/') &&
-          SUSPICIOUS_WORKFLOW_PATTERN.test(entry.name)
-        ) {
-          results.push({ artifact: 'suspicious_workflow', path: fullPath });
-        }
-      }
+  // Check for suspicious workflow files (e.g. formatter_*.yml pattern)
+  if (fullPath.includes('.github/workflows/')) {
+    const workflow = iocs.workflowPatterns.find(({ pattern }) => pattern.test(name));
+    if (workflow) {
+      matches.push({ artifact: 'suspicious_workflow', path: fullPath, campaign: workflow.campaign, match: 'pattern', sha256: null });
     }
   }
 
-  scan(dir);
-  return results;
+  return matches;
+}
+
+/**
+ * Hash an artifact file and look the digest up in the known malware hashes
+ *
+ * A known digest confirms the file whatever its name (and gives its campaign).
+ *
+ * @param {string} filePath - Artifact file
+ * @param {Object} hashes - Known malware hashes of an IOC set ({ file: [{sha256, campaign}] })
+ * @param {Function} onError - Optional error callback (path, error)
+ * @returns {{match: string, sha256: string|null, campaign?: string}} 'hash' or 'name' match
+ */
+function verifyArtifact(filePath, hashes, onError = null) {
+  let sha256;
+  try {
+    sha256 = sha256File(filePath);
+  } catch (err) {
+    if (onError) onError(filePath, err);
+    return { match: 'name', sha256: null };
+  }
+
+  for (const known of Object.values(hashes || {})) {
+    const sample = known.find(h => h.sha256 === sha256);
+    if (sample) return { match: 'hash', sha256, campaign: sample.campaign };
+  }
+  return { match: 'name', sha256 };
 }
 
 module.exports = {
+  LOCKFILE_NAMES,
   findPackageFiles,
+  findInstalledPackages,
   findMaliciousArtifacts,
+  scanTree,
+  verifyArtifact,
 };
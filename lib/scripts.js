@@ -0,0 +1,445 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getDefaultIocs } = require('./packs');
+
+/**
+ * Lifecycle script analysis
+ *
+ * Scripts are tokenized as shell commands (quotes, escapes, pipelines,
+ * `&&`/`||`/`;`/`&`, redirections, $(...) and backtick substitutions), then
+ * each command is classified. Local script files run by a command
+ * (`node ./install.js`, `sh scripts/setup.sh`) are read and analyzed too.
+ *
+ * Behaviors reported, each with a confidence ('high', 'medium' or 'low'):
+ * - download            - fetches content from the network (curl, wget, http requests)
+ * - pipe-to-shell       - executes downloaded or decoded content (curl ... | sh, bash -c "$(curl ...)")
+ * - detached-process    - starts a process in the background (nohup, setsid, &, spawn detached)
+ * - node-modules-script - runs a script from inside node_modules
+ * - payload-reference   - references a known payload file (setup_bun.js, bun_environment.js)
+ * - eval                - evaluates dynamically built code (eval, new Function)
+ *
+ * Running a bundler or a git hook installer (`rollup --bundle`, `husky install`)
+ * is none of these.
+ */
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+const DOWNLOADERS = ['curl', 'wget', 'iwr', 'irm', 'invoke-webrequest', 'invoke-restmethod'];
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'pwsh', 'powershell', 'iex', 'invoke-expression'];
+const RUNTIMES = ['node', 'bun', 'deno', 'python', 'python3', 'perl', 'ruby'];
+// Commands that run the rest of the command line
+const WRAPPERS = ['sudo', 'env', 'exec', 'command', 'time', 'nice'];
+const DETACHING_WRAPPERS = ['nohup', 'setsid', 'disown'];
+const DECODERS = ['base64', 'xxd', 'openssl'];
+
+// Local script files are analyzed up to this size and nesting depth
+const MAX_SCRIPT_FILE_SIZE = 512 * 1024;
+const MAX_DEPTH = 3;
+
+const URL_PATTERN = /^https?:\/\//i;
+
+/**
+ * Analyze a lifecycle script
+ *
+ * @param {string} script - Script command line
+ * @param {Object} options - Analysis options
+ * @param {string} options.baseDir - Directory the script runs in (the package directory)
+ * @param {Array<string>} options.payloads - Known payload file names (default: artifacts with known hashes)
+ * @param {Set<string>} options.reads - Collects the script files read (or looked for)
+ * @returns {Array<{behavior: string, confidence: string, evidence: string, file?: string}>} Behaviors found
+ */
+function analyzeScript(script, options = {}) {
+  const context = {
+    baseDir: options.baseDir || process.cwd(),
+    payloads: options.payloads || Object.keys(getDefaultIocs().hashes),
+    behaviors: [],
+    visited: new Set(),
+    reads: options.reads || null,
+  };
+  analyzeShell(script, context, 0, null);
+  return context.behaviors;
+}
+
+/**
+ * Highest confidence among behaviors
+ *
+ * @param {Array<{confidence: string}>} behaviors - Behaviors
+ * @returns {string|null} 'high', 'medium', 'low', or null without behaviors
+ */
+function highestConfidence(behaviors) {
+  let highest = -1;
+  for (const { confidence } of behaviors) {
+    highest = Math.max(highest, CONFIDENCE_LEVELS.indexOf(confidence));
+  }
+  return highest === -1 ? null : CONFIDENCE_LEVELS[highest];
+}
+
+/**
+ * Format a behavior for display
+ *
+ * @param {{behavior: string, confidence: string, evidence: string, file?: string}} behavior - Behavior
+ * @returns {string} e.g. "download (high confidence): curl https://x.sh [in /app/install.js]"
+ */
+function formatBehavior({ behavior, confidence, evidence, file }) {
+  return `${behavior} (${confidence} confidence): ${evidence}${file ? ` [in ${file}]` : ''}`;
+}
+
+/**
+ * Record a behavior (once per behavior, evidence and file)
+ */
+function report(context, behavior, confidence, evidence, file) {
+  const exists = context.behaviors.some(b => b.behavior === behavior && b.evidence === evidence && (b.file || null) === (file || null));
+  if (exists) return;
+  const entry = { behavior, confidence, evidence };
+  if (file) entry.file = file;
+  context.behaviors.push(entry);
+}
+
+/**
+ * Split a shell command line into commands
+ *
+ * @param {string} input - Shell source
+ * @returns {Array<{argv: Array<string>, separator: string|null, substitutions: Array<string>, raw: string}>}
+ *   separator is the operator following the command ('|', '||', '&&', ';', '&' or null)
+ */
+function tokenizeShell(input) {
+  const commands = [];
+  let command = newCommand();
+  let word = '';
+  let inWord = false;
+  let skipRedirectTarget = false;
+  let start = 0;
+  let i = 0;
+
+  const endWord = () => {
+    if (inWord) {
+      if (skipRedirectTarget) skipRedirectTarget = false;
+      else command.argv.push(word);
+    }
+    word = '';
+    inWord = false;
+  };
+  const endCommand = (separator, end) => {
+    endWord();
+    command.separator = separator;
+    command.raw = input.slice(start, end).trim();
+    if (command.argv.length > 0 || command.substitutions.length > 0) commands.push(command);
+    command = newCommand();
+    start = end + (separator ? separator.length : 0);
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    const next = input[i + 1];
+
+    if (char === '\\' && next !== undefined) {
+      if (next !== '\n') word += next;
+      inWord = inWord || next !== '\n';
+      i += 2;
+    } else if (char === '\'') {
+      const end = input.indexOf('\'', i + 1);
+      const stop = end === -1 ? input.length : end;
+      word += input.slice(i + 1, stop);
+      inWord = true;
+      i = stop + 1;
+    } else if (char === '"') {
+      i = readDoubleQuoted(input, i + 1, command, text => { word += text; });
+      inWord = true;
+    } else if (char === '$' && next === '(') {
+      const end = findClosingParen(input, i + 2);
+      command.substitutions.push(input.slice(i + 2, end));
+      word += input.slice(i, end + 1);
+      inWord = true;
+      i = end + 1;
+    } else if (char === '`') {
+      const end = input.indexOf('`', i + 1);
+      const stop = end === -1 ? input.length : end;
+      command.substitutions.push(input.slice(i + 1, stop));
+      word += input.slice(i, stop + 1);
+      inWord = true;
+      i = stop + 1;
+    } else if (char === '#' && !inWord) {
+      while (i < input.length && input[i] !== '\n') i++;
+    } else if (char === '|' || char === '&' || char === ';' || char === '\n') {
+      const double = (char === '|' || char === '&') && next === char;
+      const separator = double ? char + char : (char === '\n' ? ';' : char);
+      endCommand(separator, i);
+      i += double ? 2 : 1;
+    } else if (char === '>' || char === '<') {
+      // Redirections: "2>&1", "> /dev/null", "<file"; the target is not an argument
+      if (!/^\d*$/.test(word)) endWord();
+      word = '';
+      inWord = false;
+      while (i < input.length && /[<>&\d-]/.test(input[i])) i++;
+      skipRedirectTarget = !/&\d*$/.test(input.slice(0, i));
+    } else if (/\s/.test(char)) {
+      endWord();
+      i++;
+    } else {
+      word += char;
+      inWord = true;
+      i++;
+    }
+  }
+  endCommand(null, input.length);
+
+  return commands;
+}
+
+function newCommand() {
+  return { argv: [], separator: null, substitutions: [], raw: '' };
+}
+
+/**
+ * Read a double-quoted string from `start` (after the quote), collecting substitutions
+ *
+ * @returns {number} Index after the closing quote
+ */
+function readDoubleQuoted(input, start, command, append) {
+  let i = start;
+  while (i < input.length && input[i] !== '"') {
+    if (input[i] === '\\' && i + 1 < input.length) {
+      append(input[i + 1]);
+      i += 2;
+    } else if (input[i] === '$' && input[i + 1] === '(') {
+      const end = findClosingParen(input, i + 2);
+      command.substitutions.push(input.slice(i + 2, end));
+      append(input.slice(i, end + 1));
+      i = end + 1;
+    } else if (input[i] === '`') {
+      const end = input.indexOf('`', i + 1);
+      const stop = end === -1 ? input.length : end;
+      command.substitutions.push(input.slice(i + 1, stop));
+      append(input.slice(i, stop + 1));
+      i = stop + 1;
+    } else {
+      append(input[i]);
+      i++;
+    }
+  }
+  return i + 1;
+}
+
+/**
+ * Find the parenthesis closing a $( substitution
+ */
+function findClosingParen(input, start) {
+  let depth = 1;
+  for (let i = start; i < input.length; i++) {
+    if (input[i] === '(') depth++;
+    else if (input[i] === ')' && --depth === 0) return i;
+  }
+  return input.length;
+}
+
+/**
+ * Analyze shell source: every command, pipelines and substitutions
+ */
+function analyzeShell(source, context, depth, file) {
+  if (depth > MAX_DEPTH) return;
+  const commands = tokenizeShell(source);
+
+  for (let index = 0; index < commands.length; index++) {
+    const command = commands[index];
+    const previous = index > 0 && commands[index - 1].separator === '|' ? commands[index - 1] : null;
+    const info = analyzeCommand(command, context, depth, file);
+
+    // Pipelines into an interpreter execute what the previous command produced
+    if (previous && info && (SHELLS.includes(info.program) || RUNTIMES.includes(info.program)) && info.args.length === 0) {
+      const producer = describeCommand(previous);
+      if (producer.downloads) {
+        report(context, 'pipe-to-shell', 'high', `${previous.raw} | ${command.raw}`, file);
+      } else if (producer.decodes) {
+        report(context, 'pipe-to-shell', 'medium', `${previous.raw} | ${command.raw}`, file);
+      }
+    }
+
+    for (const substitution of command.substitutions) {
+      analyzeShell(substitution, context, depth + 1, file);
+      // bash -c "$(curl ...)", eval "$(wget -O- ...)"
+      if (info && (SHELLS.includes(info.program) || info.program === 'eval') && tokenizeShell(substitution).some(c => describeCommand(c).downloads)) {
+        report(context, 'pipe-to-shell', 'high', command.raw, file);
+      }
+    }
+  }
+}
+
+/**
+ * Unwrap a command: environment assignments and wrappers (sudo, nohup, ...)
+ *
+ * @returns {{program: string, args: Array<string>, detached: boolean}|null}
+ */
+function unwrapCommand(argv) {
+  let i = 0;
+  let detached = false;
+
+  while (i < argv.length) {
+    const name = path.basename(argv[i]).toLowerCase();
+    if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(argv[i])) {
+      i++;
+    } else if (DETACHING_WRAPPERS.includes(name)) {
+      detached = true;
+      i++;
+    } else if (WRAPPERS.includes(name)) {
+      i++;
+      while (i < argv.length && argv[i].startsWith('-')) i++;
+    } else {
+      break;
+    }
+  }
+
+  if (i >= argv.length) return null;
+  return { program: path.basename(argv[i]).toLowerCase().replace(/\.exe$/, ''), command: argv[i], args: argv.slice(i + 1), detached };
+}
+
+/**
+ * Classify a command without recursion (used for pipeline sources)
+ */
+function describeCommand(command) {
+  const info = unwrapCommand(command.argv);
+  if (!info) return { downloads: false, decodes: false };
+  return {
+    downloads: DOWNLOADERS.includes(info.program),
+    decodes: DECODERS.includes(info.program) && info.args.some(arg => /^-(d|D|-decode|r)$/.test(arg)),
+  };
+}
+
+/**
+ * Analyze a single command
+ *
+ * @returns {{program: string, args: Array<string>}|null}
+ */
+function analyzeCommand(command, context, depth, file) {
+  const info = unwrapCommand(command.argv);
+  if (!info) return null;
+  const { program, args } = info;
+
+  if (DOWNLOADERS.includes(program)) {
+    const url = args.find(arg => URL_PATTERN.test(arg));
+    report(context, 'download', url ? 'high' : 'medium', command.raw, file);
+  }
+
+  if (program === 'eval') {
+    report(context, 'eval', 'medium', command.raw, file);
+  }
+
+  if (info.detached || command.separator === '&') {
+    report(context, 'detached-process', RUNTIMES.includes(program) ? 'high' : 'medium', command.raw, file);
+  }
+
+  for (const arg of [info.command, ...args]) {
+    const name = path.basename(arg);
+    if (context.payloads.includes(name)) {
+      report(context, 'payload-reference', 'high', command.raw, file);
+    }
+    if (/(^|\/)node_modules\//.test(arg) && /\.(c|m)?js$|\.sh$/.test(arg)) {
+      report(context, 'node-modules-script', 'medium', command.raw, file);
+    }
+  }
+
+  // Inline code: sh -c "...", node -e "..."
+  const inline = args.findIndex(arg => arg === '-c' || arg === '-e' || arg === '--eval' || arg === '-p' || arg === '--print');
+  if (inline !== -1 && args[inline + 1] !== undefined) {
+    if (SHELLS.includes(program)) {
+      analyzeShell(args[inline + 1], context, depth + 1, file);
+    } else if (RUNTIMES.includes(program)) {
+      analyzeJavaScript(args[inline + 1], context, depth + 1, file);
+    }
+  }
+
+  // Local script files run by the command
+  const scriptFile = findScriptFile(info);
+  if (scriptFile) analyzeScriptFile(scriptFile, context, depth + 1);
+
+  return info;
+}
+
+/**
+ * Find the local script file a command runs (node ./x.js, bun run x.js, sh x.sh, ./x.sh)
+ */
+function findScriptFile({ program, command, args }) {
+  if (RUNTIMES.includes(program) || SHELLS.includes(program)) {
+    let rest = args.filter(arg => !arg.startsWith('-'));
+    if (program === 'bun' && rest[0] === 'run') rest = rest.slice(1);
+    const candidate = rest[0];
+    return candidate && /\.(c|m)?js$|\.ts$|\.sh$|\.py$/.test(candidate) ? candidate : null;
+  }
+  return /^\.{0,2}\//.test(command) || /\.(sh|js)$/.test(command) ? command : null;
+}
+
+/**
+ * Read and analyze a local script file (shell or JavaScript)
+ */
+function analyzeScriptFile(relativePath, context, depth) {
+  if (depth > MAX_DEPTH) return;
+  const filePath = path.resolve(context.baseDir, relativePath);
+  if (context.visited.has(filePath)) return;
+  context.visited.add(filePath);
+  if (context.reads) context.reads.add(filePath);
+
+  let source;
+  try {
+    const stat = fs.statSync(filePath);
+    if (!stat.isFile() || stat.size > MAX_SCRIPT_FILE_SIZE) return;
+    source = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    return;
+  }
+
+  if (/\.sh$/.test(filePath) || /^#!.*\b(ba|z|da|k)?sh\b/.test(source)) {
+    analyzeShell(source.replace(/^#!.*\n/, ''), context, depth, filePath);
+  } else {
+    analyzeJavaScript(source, context, depth, filePath);
+  }
+}
+
+/**
+ * Analyze JavaScript source (script files and node -e code)
+ *
+ * Command strings passed to child_process are analyzed as shell commands.
+ */
+function analyzeJavaScript(source, context, depth, file) {
+  const snippet = match => match.replace(/\s+/g, ' ').slice(0, 120);
+
+  const request = source.match(/\b(?:https?\.(?:get|request)|fetch|axios(?:\.get)?|got|needle)\s*\([^)]*/);
+  if (request) {
+    const url = /['"`]https?:\/\/[^'"`\s]+/.test(source);
+    report(context, 'download', url ? 'high' : 'medium', snippet(request[0]), file);
+  }
+
+  for (const call of source.matchAll(/\b(?:exec|execSync|spawn|spawnSync|execFile|execFileSync)\s*\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1/g)) {
+    analyzeShell(call[2], context, depth + 1, file);
+  }
+
+  const detached = source.match(/\bspawn(?:Sync)?\s*\([^;]*?detached\s*:\s*true/);
+  if (detached) {
+    const runtime = /process\.execPath|['"`](?:bun|node|deno)['"`]/.test(detached[0]);
+    report(context, 'detached-process', runtime ? 'high' : 'medium', snippet(detached[0]), file);
+  }
+
+  const evaluation = source.match(/\beval\s*\([^)]*|\bnew\s+Function\s*\([^)]*/);
+  if (evaluation) {
+    report(context, 'eval', 'medium', snippet(evaluation[0]), file);
+  }
+
+  for (const payload of context.payloads) {
+    if (source.includes(payload)) {
+      report(context, 'payload-reference', 'high', payload, file);
+    }
+  }
+
+  for (const required of source.matchAll(/\brequire\s*\(\s*['"`](\.{1,2}\/[^'"`]+)['"`]\s*\)/g)) {
+    if (file) {
+      analyzeScriptFile(path.relative(context.baseDir, path.resolve(path.dirname(file), required[1])), context, depth + 1);
+    }
+  }
+}
+
+module.exports = {
+  analyzeScript,
+  highestConfidence,
+  formatBehavior,
+  tokenizeShell,
+};
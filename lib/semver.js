@@ -0,0 +1,360 @@
+'use strict';
+
+/**
+ * Minimal semver implementation (no dependencies)
+ *
+ * Covers the subset of node-semver needed to match IOC entries and
+ * declared dependency ranges: parsing, comparison, and npm range syntax
+ * (comparators, ^, ~, x-ranges, hyphen ranges and || unions).
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-.]+)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-.]+)?$/;
+const COMPARATOR_PATTERN = /^(<=|>=|<|>|=|\^|~>?)?\s*(.*)$/;
+
+/**
+ * Parse a full version string
+ *
+ * @param {string} version - Version string (e.g. "1.2.3", "1.2.3-beta.1")
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array<string|number>}|null}
+ *   Parsed version, or null if the string is not a full semver version
+ */
+function parse(version) {
+  if (typeof version !== 'string') return null;
+  const match = version.trim().match(VERSION_PATTERN);
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+  };
+}
+
+/**
+ * Check whether a string is a single, full version (not a range)
+ * @param {string} version - Version string
+ * @returns {boolean}
+ */
+function isVersion(version) {
+  return parse(version) !== null;
+}
+
+/**
+ * Compare two versions
+ *
+ * @param {string|Object} a - Version string or parsed version
+ * @param {string|Object} b - Version string or parsed version
+ * @returns {number} -1, 0 or 1
+ */
+function compare(a, b) {
+  const va = typeof a === 'string' ? parse(a) : a;
+  const vb = typeof b === 'string' ? parse(b) : b;
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (va[key] !== vb[key]) return va[key] < vb[key] ? -1 : 1;
+  }
+
+  // A version without prerelease tags has higher precedence
+  if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+    return Math.sign(vb.prerelease.length - va.prerelease.length);
+  }
+
+  const length = Math.max(va.prerelease.length, vb.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    const x = va.prerelease[i];
+    const y = vb.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    if (typeof x === 'number' && typeof y !== 'number') return -1;
+    if (typeof x !== 'number' && typeof y === 'number') return 1;
+    return x < y ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Parse a range into comparator sets
+ *
+ * The result is a union (||) of intersections: a version satisfies the
+ * range if it satisfies every comparator of at least one set.
+ *
+ * @param {string} range - Range string (e.g. "^1.2.0", ">=1.4.2 <1.4.6 || 2.x", "*")
+ * @returns {Array<Array<{operator: string, version: Object}>>|null} Comparator sets, or null if invalid
+ */
+function parseRange(range) {
+  if (typeof range !== 'string') return null;
+
+  const sets = [];
+  for (const part of range.split('||')) {
+    const set = parseComparatorSet(part.trim());
+    if (!set) return null;
+    sets.push(set);
+  }
+  return sets;
+}
+
+/**
+ * Parse one side of a || union
+ */
+function parseComparatorSet(text) {
+  // Hyphen range: "1.2.3 - 2.3.4"
+  const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    const from = parsePartial(hyphen[1]);
+    const to = parsePartial(hyphen[2]);
+    if (!from || !to) return null;
+    return [...lowerBound('>=', from), ...upperBound('<=', to)];
+  }
+
+  // Join operators separated from their version by spaces ("> = 1.2" is not valid, ">= 1.2" is)
+  const tokens = text.replace(/(<=|>=|<|>|=|\^|~>?)\s+/g, '$1').split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  const comparators = [];
+  for (const token of tokens) {
+    const desugared = desugar(token);
+    if (!desugared) return null;
+    comparators.push(...desugared);
+  }
+  return comparators;
+}
+
+/**
+ * Parse a possibly partial version ("1", "1.2", "1.x", "*")
+ * Missing or wildcard parts are returned as null.
+ */
+function parsePartial(text) {
+  if (text === '' || text === '*' || text.toLowerCase() === 'x') {
+    return { major: null, minor: null, patch: null, prerelease: [] };
+  }
+  const match = text.match(PARTIAL_PATTERN);
+  if (!match) return null;
+
+  const part = value => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease: patch !== null && match[4]
+      ? match[4].split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id))
+      : [],
+  };
+}
+
+/**
+ * Build a concrete version object, filling missing parts with 0
+ */
+function fill(partial, prerelease = partial.prerelease) {
+  return {
+    major: partial.major || 0,
+    minor: partial.minor || 0,
+    patch: partial.patch || 0,
+    prerelease,
+  };
+}
+
+/**
+ * Smallest version above every version matching the partial ("1.2" -> 1.3.0-0)
+ */
+function bumpPartial(partial) {
+  if (partial.minor === null) return { major: partial.major + 1, minor: 0, patch: 0, prerelease: [0] };
+  if (partial.patch === null) return { major: partial.major, minor: partial.minor + 1, patch: 0, prerelease: [0] };
+  return null;
+}
+
+/**
+ * Lower bound comparators for a partial version
+ */
+function lowerBound(operator, partial) {
+  if (partial.major === null) return [];
+  if (operator === '>' && partial.patch === null) {
+    // ">1.2" means ">=1.3.0"
+    return [{ operator: '>=', version: { ...bumpPartial(partial), prerelease: [] } }];
+  }
+  return [{ operator, version: fill(partial) }];
+}
+
+/**
+ * Upper bound comparators for a partial version
+ */
+function upperBound(operator, partial) {
+  if (partial.major === null) {
+    return operator === '<' ? [{ operator: '<', version: { major: 0, minor: 0, patch: 0, prerelease: [0] } }] : [];
+  }
+  if (partial.patch === null) {
+    const bump = bumpPartial(partial);
+    return [{ operator: '<', version: operator === '<' ? fill(partial, [0]) : bump }];
+  }
+  return [{ operator, version: fill(partial) }];
+}
+
+/**
+ * Expand one range token into primitive comparators
+ */
+function desugar(token) {
+  const match = token.match(COMPARATOR_PATTERN);
+  const operator = match[1] || '';
+  const partial = parsePartial(match[2]);
+  if (!partial) return null;
+
+  switch (operator) {
+  case '':
+  case '=':
+    if (partial.patch === null) {
+      return [...lowerBound('>=', partial), ...upperBound('<=', partial)];
+    }
+    return [{ operator: '=', version: fill(partial) }];
+  case '>=':
+  case '>':
+    return lowerBound(operator, partial);
+  case '<':
+  case '<=':
+    return upperBound(operator, partial);
+  case '~':
+  case '~>': {
+    if (partial.major === null) return [];
+    const upper = partial.minor === null
+      ? { major: partial.major + 1, minor: 0, patch: 0, prerelease: [0] }
+      : { major: partial.major, minor: partial.minor + 1, patch: 0, prerelease: [0] };
+    return [{ operator: '>=', version: fill(partial) }, { operator: '<', version: upper }];
+  }
+  case '^': {
+    if (partial.major === null) return [];
+    let upper;
+    if (partial.major > 0 || partial.minor === null) {
+      upper = { major: partial.major + 1, minor: 0, patch: 0, prerelease: [0] };
+    } else if (partial.minor > 0 || partial.patch === null) {
+      upper = { major: 0, minor: partial.minor + 1, patch: 0, prerelease: [0] };
+    } else {
+      upper = { major: 0, minor: 0, patch: partial.patch + 1, prerelease: [0] };
+    }
+    return [{ operator: '>=', version: fill(partial) }, { operator: '<', version: upper }];
+  }
+  default:
+    return null;
+  }
+}
+
+/**
+ * Test a parsed version against a single comparator
+ */
+function testComparator(version, { operator, version: bound }) {
+  const cmp = compare(version, bound);
+  switch (operator) {
+  case '=': return cmp === 0;
+  case '>': return cmp > 0;
+  case '>=': return cmp >= 0;
+  case '<': return cmp < 0;
+  case '<=': return cmp <= 0;
+  default: return false;
+  }
+}
+
+/**
+ * Test a parsed version against a comparator set
+ */
+function testSet(version, set, includePrerelease) {
+  if (!set.every(comparator => testComparator(version, comparator))) return false;
+  if (version.prerelease.length === 0 || includePrerelease) return true;
+
+  // Like npm, prereleases only match when a comparator in the set names a
+  // prerelease of the same major.minor.patch ("^1.2.3-beta.1" allows 1.2.3-beta.2)
+  return set.some(({ version: bound }) =>
+    bound.prerelease.length > 0 &&
+    bound.prerelease[0] !== 0 &&
+    bound.major === version.major &&
+    bound.minor === version.minor &&
+    bound.patch === version.patch,
+  );
+}
+
+/**
+ * Check whether a version satisfies a range
+ *
+ * @param {string} version - Full version string
+ * @param {string} range - Range string
+ * @param {Object} options - Match options
+ * @param {boolean} options.includePrerelease - Let prerelease versions match any range that covers them
+ * @returns {boolean} True if the version is in the range (false for invalid input)
+ */
+function satisfies(version, range, options = {}) {
+  const parsed = parse(version);
+  const sets = parseRange(range);
+  if (!parsed || !sets) return false;
+  return sets.some(set => testSet(parsed, set, options.includePrerelease));
+}
+
+/**
+ * Check whether a string is a valid range
+ * @param {string} range - Range string
+ * @returns {boolean}
+ */
+function validRange(range) {
+  return parseRange(range) !== null;
+}
+
+/**
+ * Check whether two ranges have at least one version in common
+ *
+ * Prerelease restrictions are ignored: "^1.2.0" and ">=1.3.0-beta <1.3.0"
+ * are reported as intersecting.
+ *
+ * @param {string} a - Range string
+ * @param {string} b - Range string
+ * @returns {boolean} True if some version satisfies both (false for invalid input)
+ */
+function intersects(a, b) {
+  const setsA = parseRange(a);
+  const setsB = parseRange(b);
+  if (!setsA || !setsB) return false;
+  return setsA.some(setA => setsB.some(setB => isSatisfiable([...setA, ...setB])));
+}
+
+/**
+ * Check whether a comparator set (an intersection) matches any version
+ */
+function isSatisfiable(set) {
+  let lower = null;
+  let upper = null;
+
+  // Keep the tightest bound; on equal versions the exclusive bound is tighter
+  const tighter = (current, bound, direction) => {
+    if (!current) return bound;
+    const cmp = compare(bound.version, current.version) * direction;
+    if (cmp > 0 || (cmp === 0 && !bound.inclusive)) return bound;
+    return current;
+  };
+
+  for (const { operator, version } of set) {
+    const inclusive = operator.length !== 1 || operator === '=';
+    if (operator === '=' || operator[0] === '>') lower = tighter(lower, { version, inclusive }, 1);
+    if (operator === '=' || operator[0] === '<') upper = tighter(upper, { version, inclusive }, -1);
+  }
+
+  // "<0.0.0-0" is the lowest possible version: nothing is below it
+  if (upper && !upper.inclusive && compare(upper.version, { major: 0, minor: 0, patch: 0, prerelease: [0] }) === 0) {
+    return false;
+  }
+  if (!lower || !upper) return true;
+
+  const cmp = compare(lower.version, upper.version);
+  return cmp < 0 || (cmp === 0 && lower.inclusive && upper.inclusive);
+}
+
+module.exports = {
+  parse,
+  isVersion,
+  compare,
+  parseRange,
+  satisfies,
+  validRange,
+  intersects,
+};
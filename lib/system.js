@@ -4,15 +4,18 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const os = require('os');
-const { SUSPICIOUS_PROCESS_PATTERNS, CREDENTIAL_FILES } = require('./config');
+const { CREDENTIAL_FILES } = require('./config');
+const { getDefaultIocs } = require('./packs');
 
 /**
  * Check for suspicious running processes that may indicate active malware
  *
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
  * @returns {Array} Array of findings for suspicious processes
  */
-function checkRunningProcesses() {
+function checkRunningProcesses(iocs = null) {
   const findings = [];
+  const { processPatterns } = iocs || getDefaultIocs();
 
   try {
     // Use ps on Unix, tasklist on Windows
@@ -23,12 +26,13 @@ function checkRunningProcesses() {
 
     const lines = psOutput.split('\n');
     for (const line of lines) {
-      for (const pattern of SUSPICIOUS_PROCESS_PATTERNS) {
+      for (const { pattern, campaign } of processPatterns) {
         if (pattern.test(line)) {
           findings.push({
             type: 'SUSPICIOUS_PROCESS',
             severity: 'CRITICAL',
             process: line.trim(),
+            campaign,
           });
         }
       }
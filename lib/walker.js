@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Directory tree walkers
+ *
+ * A visitor decides what each directory holds and which subdirectories to
+ * walk next, each with its own context:
+ *
+ *   visit(dir, entries, context) => [{ dir, context }, ...]
+ *
+ * `walk` reads directories asynchronously, a bounded number at a time;
+ * `walkSync` reads them depth-first on the calling thread.
+ */
+
+// Directories read at the same time by default
+const DEFAULT_CONCURRENCY = 32;
+
+/**
+ * Walk a directory tree asynchronously
+ *
+ * @param {string} root - Directory to walk
+ * @param {Function} visit - Visitor (dir, entries, context) returning the subdirectories to walk
+ * @param {Object} options - Walk options
+ * @param {number} options.concurrency - Maximum directories read at the same time
+ * @param {*} options.context - Context of the root directory
+ * @param {Function} options.onError - Optional error callback (path, error)
+ * @returns {Promise<{directories: number, entries: number, durationMs: number}>} Walk statistics
+ */
+function walk(root, visit, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const stats = { directories: 0, entries: 0, durationMs: 0 };
+  const started = process.hrtime.bigint();
+  const pending = [{ dir: root, context: options.context }];
+  let active = 0;
+
+  return new Promise((resolve, reject) => {
+    const next = () => {
+      if (pending.length === 0 && active === 0) {
+        stats.durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+        resolve(stats);
+        return;
+      }
+
+      while (active < concurrency && pending.length > 0) {
+        const { dir, context } = pending.pop();
+        active++;
+        fs.promises.readdir(dir, { withFileTypes: true })
+          .then(entries => {
+            stats.directories++;
+            stats.entries += entries.length;
+            pending.push(...visit(dir, entries, context));
+          }, err => {
+            if (options.onError) options.onError(dir, err);
+          })
+          .then(() => {
+            active--;
+            next();
+          })
+          .catch(reject);
+      }
+    };
+
+    next();
+  });
+}
+
+/**
+ * Walk a directory tree synchronously (depth-first)
+ *
+ * @param {string} root - Directory to walk
+ * @param {Function} visit - Visitor (dir, entries, context) returning the subdirectories to walk
+ * @param {Object} options - Walk options
+ * @param {*} options.context - Context of the root directory
+ * @param {Function} options.onError - Optional error callback (path, error)
+ */
+function walkSync(root, visit, options = {}) {
+  const step = (dir, context) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      if (options.onError) options.onError(dir, err);
+      return;
+    }
+
+    for (const child of visit(dir, entries, context)) {
+      step(child.dir, child.context);
+    }
+  };
+
+  step(root, options.context);
+}
+
+/**
+ * Describe the throughput of walks and detector work
+ *
+ * @param {{directories: number, entries: number, durationMs: number}} walkStats - Summed walk statistics
+ * @param {{tasks: number, durationMs: number, workers: number}} taskStats - Summed detector statistics
+ * @returns {Object} Statistics with rates per second
+ */
+function measureThroughput(walkStats, taskStats) {
+  const perSecond = (count, durationMs) => (durationMs > 0 ? Math.round(count / (durationMs / 1000)) : count);
+  return {
+    directories: walkStats.directories,
+    entries: walkStats.entries,
+    walkMs: Math.round(walkStats.durationMs),
+    directoriesPerSecond: perSecond(walkStats.directories, walkStats.durationMs),
+    tasks: taskStats.tasks,
+    taskMs: Math.round(taskStats.durationMs),
+    tasksPerSecond: perSecond(taskStats.tasks, taskStats.durationMs),
+    workers: taskStats.workers,
+  };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  walk,
+  walkSync,
+  measureThroughput,
+};
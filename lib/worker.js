@@ -0,0 +1,254 @@
+'use strict';
+
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { checkPackageJson, checkLockfile, checkNodeModules, LOCKFILE_TYPES } = require('./analyzer');
+const { checkWorkflow } = require('./workflows');
+const { checkGitRepository } = require('./git');
+const { checkLockfileHistory } = require('./history');
+const { isExfilFile, analyzeExfilFile } = require('./exfil');
+const { checkPayloads } = require('./payloads');
+const { verifyArtifact } = require('./scanner');
+const { fingerprintTask, sameFingerprint } = require('./cache');
+
+/**
+ * Detector tasks, run inline or on a pool of worker threads
+ *
+ * The directory walk only finds files; parsing lockfiles, reading
+ * node_modules, hashing artifacts and running git are tasks:
+ *
+ *   { type: 'package.json' | <lockfile name> | 'node_modules' | 'workflow' | 'git', path }
+ *   { type: 'payloads', path }       JavaScript files at the root of a project
+ *   { type: 'history', path }        git history of a lockfile (--history)
+ *   { type: 'artifact', path, artifact }   artifact candidate returned by scanTree
+ *
+ * Each task yields its findings, the inventory of the file (see
+ * lib/inventory.js, collected by the analyzers while checking it; empty in
+ * --json mode, which saves no report) and the errors met. Workers receive the
+ * infected packages, IOC set and options once, when they start.
+ *
+ * With --cache, cacheable tasks carry `cache: true` and their cached entry
+ * (`cached`, or null): the result also holds the fingerprint of what the task
+ * read, and whether the cached result was reused (see lib/cache.js). The
+ * detectors add the other files they read to `options.reads`.
+ */
+
+/**
+ * Run a detector task
+ *
+ * @param {Object} task - Task ({type, path}, or {type: 'artifact', path, artifact})
+ * @param {Object} context - Scan context
+ * @param {Map} context.infectedPackages - Infected packages database
+ * @param {Object} context.iocs - IOC set from lib/packs.js
+ * @param {Object} context.options - Scan options
+ * @returns {{findings: Array, inventory: Array, errors: Array<{path: string, message: string}>, cache?: Object}}
+ */
+function runTask(task, context) {
+  if (task.cache) return runCachedTask(task, context);
+  return runDetector(task, context, !context.options.json);
+}
+
+/**
+ * Run the detector of a task, collecting the inventory of the file if asked
+ */
+function runDetector(task, context, withInventory) {
+  const { infectedPackages, iocs } = context;
+  const inventory = [];
+  const options = withInventory ? { ...context.options, inventory } : context.options;
+  const errors = [];
+  const onError = (filePath, err) => errors.push({ path: filePath, message: err.message });
+  let findings;
+
+  switch (task.type) {
+  case 'package.json':
+    findings = checkPackageJson(task.path, infectedPackages, options);
+    break;
+  case 'payloads':
+    findings = checkPayloads(task.path, iocs);
+    break;
+  case 'node_modules':
+    findings = checkNodeModules(task.path, infectedPackages, options, iocs);
+    break;
+  case 'workflow':
+    findings = checkWorkflow(task.path, options, iocs);
+    break;
+  case 'git':
+    findings = checkGitRepository(task.path, options, iocs);
+    break;
+  case 'history':
+    findings = checkLockfileHistory(task.path, infectedPackages, options);
+    break;
+  case 'artifact':
+    findings = checkArtifact(task.artifact, iocs, onError);
+    break;
+  default:
+    if (!LOCKFILE_TYPES.includes(task.type)) {
+      throw new Error(`Unknown task type: ${task.type}`);
+    }
+    findings = checkLockfile(task.path, infectedPackages, options);
+  }
+
+  return { findings, inventory, errors };
+}
+
+/**
+ * Run a cacheable task, reusing the cached result when what it reads is unchanged
+ */
+function runCachedTask({ type, path: filePath, cached }, context) {
+  const task = { type, path: filePath };
+  if (cached && cached.fingerprint) {
+    const fingerprint = fingerprintTask(task, Object.keys(cached.fingerprint.reads || {}));
+    if (sameFingerprint(cached.fingerprint, fingerprint)) {
+      return { ...cached.result, cache: { fingerprint, hit: true } };
+    }
+  }
+
+  // Cached results keep the inventory, for the scans that save a report
+  const reads = new Set();
+  const result = runDetector(task, { ...context, options: { ...context.options, reads } }, true);
+  return { ...result, cache: { fingerprint: fingerprintTask(task, reads), hit: false } };
+}
+
+/**
+ * Verify an artifact candidate: known malware hashes are confirmed,
+ * name-only matches (e.g. any environment.json) need review
+ */
+function checkArtifact(candidate, iocs, onError) {
+  const { match, ...artifact } = candidate.match ? candidate : { ...candidate, ...verifyArtifact(candidate.path, iocs.hashes, onError) };
+
+  if (match === 'hash') {
+    return [{ type: 'CONFIRMED_MALWARE', severity: 'CRITICAL', ...artifact }];
+  }
+
+  // Exfiltration dumps are decoded to list what leaked (never the values)
+  const dump = match === 'name' && isExfilFile(artifact.path) ? analyzeExfilFile(artifact.path) : null;
+  if (dump) {
+    return [{
+      type: 'EXFILTRATION_DUMP',
+      severity: 'CRITICAL',
+      ...artifact,
+      ...dump,
+      note: 'Decoded exfiltration dump. Rotate the credentials listed: identifiers only, secret values are not shown.',
+    }];
+  }
+  if (match === 'name') {
+    return [{
+      type: 'NAME_MATCH',
+      severity: 'WARNING',
+      ...artifact,
+      note: 'File name matches a known artifact, but its SHA256 is not a known malware sample. Review its content.',
+    }];
+  }
+  return [{ type: 'MALICIOUS_ARTIFACT', severity: 'CRITICAL', ...artifact }];
+}
+
+/**
+ * Number of worker threads for a --workers value
+ *
+ * @param {number|string} value - Worker count, or 'auto' (one per CPU core but one)
+ * @returns {number} Worker count (0: run tasks on the main thread)
+ */
+function resolveWorkerCount(value) {
+  if (value === 'auto') {
+    return Math.max(1, os.cpus().length - 1);
+  }
+  const count = parseInt(value, 10);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+/**
+ * Create a task runner
+ *
+ * @param {Object} context - Scan context (see runTask)
+ * @param {number} workers - Worker threads (0: run tasks inline)
+ * @returns {{workers: number, run: Function, close: Function}} Runner: run(tasks)
+ *   resolves to the task results in order, close() stops the workers
+ */
+function createTaskRunner(context, workers = 0) {
+  if (workers <= 0) {
+    return {
+      workers: 0,
+      run: async tasks => tasks.map(task => runTask(task, context)),
+      close: async () => {},
+    };
+  }
+
+  const pool = Array.from({ length: workers }, () => new Worker(__filename, {
+    workerData: { wormBusterWorker: true, context },
+  }));
+
+  return {
+    workers,
+    run: tasks => runOnPool(pool, tasks),
+    close: () => Promise.all(pool.map(worker => worker.terminate())).then(() => {}),
+  };
+}
+
+/**
+ * Hand tasks to idle workers, one at a time each
+ */
+function runOnPool(pool, tasks) {
+  const results = new Array(tasks.length);
+  let nextTask = 0;
+  let done = 0;
+
+  return new Promise((resolve, reject) => {
+    if (tasks.length === 0) {
+      resolve(results);
+      return;
+    }
+
+    const cleanup = () => {
+      for (const worker of pool) {
+        worker.removeAllListeners('message');
+        worker.removeAllListeners('error');
+      }
+    };
+    const fail = err => {
+      cleanup();
+      reject(err);
+    };
+    const dispatch = worker => {
+      if (nextTask < tasks.length) {
+        const id = nextTask++;
+        worker.postMessage({ id, task: tasks[id] });
+      }
+    };
+
+    for (const worker of pool) {
+      worker.on('message', ({ id, result, error }) => {
+        if (error) {
+          fail(new Error(`Task ${tasks[id].type} ${tasks[id].path} failed: ${error}`));
+          return;
+        }
+        results[id] = result;
+        if (++done === tasks.length) {
+          cleanup();
+          resolve(results);
+        } else {
+          dispatch(worker);
+        }
+      });
+      worker.on('error', fail);
+      dispatch(worker);
+    }
+  });
+}
+
+// Worker thread: run the tasks posted by the main thread
+if (!isMainThread && workerData && workerData.wormBusterWorker) {
+  const { context } = workerData;
+  parentPort.on('message', ({ id, task }) => {
+    try {
+      parentPort.postMessage({ id, result: runTask(task, context) });
+    } catch (err) {
+      parentPort.postMessage({ id, error: err.message });
+    }
+  });
+}
+
+module.exports = {
+  runTask,
+  resolveWorkerCount,
+  createTaskRunner,
+};
@@ -0,0 +1,404 @@
+'use strict';
+
+const fs = require('fs');
+const { getDefaultIocs } = require('./packs');
+
+/**
+ * GitHub Actions workflow analysis
+ *
+ * Workflows under .github/workflows are parsed and inspected for the
+ * techniques used by the worm, whatever the file is called:
+ * - jobs running on the self-hosted runner it registers (`runs-on: SHA1HULUD`)
+ * - discussion-triggered workflows interpolating the discussion body into
+ *   `run:` (a backdoor: opening a discussion runs commands on the runner)
+ * - steps serializing every secret (`${{ toJSON(secrets) }}`), critical when
+ *   the job uploads artifacts the secrets can be read from
+ */
+
+const DISCUSSION_TRIGGERS = ['discussion', 'discussion_comment'];
+const DISCUSSION_BODY_PATTERN = /\$\{\{[^}]*github\.event\.(?:discussion|comment)\.body[^}]*\}\}/;
+const SECRETS_DUMP_PATTERN = /\$\{\{\s*toJSON\(\s*secrets\s*\)\s*\}\}/i;
+const UPLOAD_ARTIFACT_PATTERN = /^actions\/upload-artifact@/;
+
+/**
+ * Check a workflow file for the worm's techniques
+ *
+ * @param {string} filePath - Path to the workflow (.github/workflows/*.yml)
+ * @param {Object} options - Scan options
+ * @param {boolean} options.verbose - Report unreadable workflows
+ * @param {Object} iocs - IOC set from lib/packs.js (default: bundled packs)
+ * @returns {Array} Findings, with the job id, step (name, id, action or
+ *   position) and line they point at
+ */
+function checkWorkflow(filePath, options = {}, iocs = null) {
+  const findings = [];
+  let workflow;
+
+  try {
+    workflow = parseWorkflowYaml(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (options.verbose) {
+      findings.push({
+        type: 'PARSE_ERROR',
+        severity: 'INFO',
+        file: filePath,
+        message: `Failed to parse: ${err.message}`,
+      });
+    }
+    return findings;
+  }
+
+  const { document, lineOf } = workflow;
+  if (!isMapping(document) || !isMapping(document.jobs)) return findings;
+
+  const { githubMarkers } = iocs || getDefaultIocs();
+  const discussionTriggered = listTriggers(document.on).some(trigger => DISCUSSION_TRIGGERS.includes(trigger));
+
+  for (const [jobId, job] of Object.entries(document.jobs)) {
+    if (!isMapping(job)) continue;
+    const location = { file: filePath, job: jobId, line: lineOf(job) };
+
+    const labels = listRunnerLabels(job['runs-on']);
+    for (const { runnerName, campaign } of githubMarkers) {
+      if (!runnerName || !labels.some(label => label.toLowerCase() === runnerName.toLowerCase())) continue;
+      findings.push({
+        type: 'WORKFLOW_MALICIOUS_RUNNER',
+        severity: 'CRITICAL',
+        ...location,
+        campaign,
+        runsOn: labels,
+        note: `Job runs on the self-hosted runner "${runnerName}" registered by the worm.`,
+      });
+    }
+
+    const steps = Array.isArray(job.steps) ? job.steps : [];
+    const uploadsArtifacts = steps.some(step => isMapping(step) && typeof step.uses === 'string' && UPLOAD_ARTIFACT_PATTERN.test(step.uses));
+
+    steps.forEach((step, index) => {
+      if (!isMapping(step)) return;
+      const stepLocation = { ...location, step: describeStep(step, index), line: lineOf(step) };
+
+      if (discussionTriggered && typeof step.run === 'string' && DISCUSSION_BODY_PATTERN.test(step.run)) {
+        findings.push({
+          type: 'WORKFLOW_DISCUSSION_INJECTION',
+          severity: 'CRITICAL',
+          ...stepLocation,
+          note: 'Discussion-triggered step interpolates the discussion body into run: anyone opening a discussion can run commands on the runner.',
+        });
+      }
+
+      if (collectStrings([step.run, step.with, step.env]).some(value => SECRETS_DUMP_PATTERN.test(value))) {
+        findings.push({
+          type: 'WORKFLOW_SECRETS_DUMP',
+          severity: uploadsArtifacts ? 'CRITICAL' : 'WARNING',
+          ...stepLocation,
+          note: uploadsArtifacts
+            ? 'Step serializes every repository secret (toJSON(secrets)) in a job that uploads artifacts.'
+            : 'Step serializes every repository secret (toJSON(secrets)).',
+        });
+      }
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Event names a workflow is triggered by (`on:` as a name, list or mapping)
+ */
+function listTriggers(on) {
+  if (typeof on === 'string') return [on];
+  if (Array.isArray(on)) return on.filter(trigger => typeof trigger === 'string');
+  if (isMapping(on)) return Object.keys(on);
+  return [];
+}
+
+/**
+ * Runner labels of a job (`runs-on:` as a label, list, or { group, labels })
+ */
+function listRunnerLabels(runsOn) {
+  if (typeof runsOn === 'string') return [runsOn];
+  if (Array.isArray(runsOn)) return runsOn.filter(label => typeof label === 'string');
+  if (isMapping(runsOn)) return [...listRunnerLabels(runsOn.labels), ...listRunnerLabels(runsOn.group)];
+  return [];
+}
+
+/**
+ * Name a step: its name, id, action, or position in the job
+ */
+function describeStep(step, index) {
+  const label = [step.name, step.id, step.uses].find(value => typeof value === 'string' && value);
+  return label || `step ${index + 1}`;
+}
+
+/**
+ * All strings in nested values
+ */
+function collectStrings(values) {
+  const strings = [];
+  for (const value of values) {
+    if (typeof value === 'string') strings.push(value);
+    else if (Array.isArray(value)) strings.push(...collectStrings(value));
+    else if (isMapping(value)) strings.push(...collectStrings(Object.values(value)));
+  }
+  return strings;
+}
+
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse workflow YAML
+ *
+ * Supports the subset of YAML used by workflows: nested mappings, block
+ * sequences (of scalars or mappings), literal and folded block scalars
+ * (`run: |`), flow collections (`[a, b]`, `{ a: b }`), quoted scalars and
+ * comments. Scalars are kept as strings.
+ *
+ * @param {string} content - Workflow content
+ * @returns {{document: *, lineOf: Function}} Parsed document, and a function
+ *   giving the line (1-based) of a mapping: its key, or its first entry for
+ *   sequence items
+ */
+function parseWorkflowYaml(content) {
+  const state = {
+    lines: content.split(/\r?\n/).map((raw, index) => ({
+      raw,
+      text: raw.trim(),
+      indent: raw.length - raw.trimStart().length,
+      line: index + 1,
+    })),
+    index: 0,
+    lineNumbers: new WeakMap(),
+  };
+
+  const first = peek(state);
+  const document = first ? parseBlock(state, first.indent) : null;
+  return { document, lineOf: value => state.lineNumbers.get(value) || null };
+}
+
+/**
+ * Next significant line (skipping blank lines, comments and document markers)
+ */
+function peek(state) {
+  while (state.index < state.lines.length) {
+    const { text } = state.lines[state.index];
+    if (text && !text.startsWith('#') && text !== '---' && text !== '...') return state.lines[state.index];
+    state.index++;
+  }
+  return null;
+}
+
+function isItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+function parseBlock(state, indent) {
+  return isItem(peek(state).text) ? parseSequence(state, indent) : parseMapping(state, indent);
+}
+
+function parseMapping(state, indent) {
+  const mapping = {};
+
+  for (let line = peek(state); line && line.indent === indent && !isItem(line.text); line = peek(state)) {
+    if (!state.lineNumbers.has(mapping)) state.lineNumbers.set(mapping, line.line);
+    state.index++;
+
+    const entry = splitKey(line.text);
+    if (!entry) continue;
+    mapping[entry.key] = parseValue(state, stripComment(entry.value), indent);
+    // Nested mappings are located at their key ("build:" rather than its first entry)
+    if (isMapping(mapping[entry.key])) state.lineNumbers.set(mapping[entry.key], line.line);
+  }
+
+  return mapping;
+}
+
+function parseSequence(state, indent) {
+  const sequence = [];
+
+  for (let line = peek(state); line && line.indent === indent && isItem(line.text); line = peek(state)) {
+    const rest = line.text.slice(1).trim();
+
+    if (!rest) {
+      state.index++;
+      const next = peek(state);
+      sequence.push(next && next.indent > indent ? parseBlock(state, next.indent) : null);
+    } else if (splitKey(rest) && !/^[[{]/.test(rest)) {
+      // "- key: value": a mapping whose keys are aligned with the first one
+      const offset = line.raw.indexOf(rest, line.indent + 1);
+      state.lines[state.index] = { ...line, text: rest, indent: offset };
+      sequence.push(parseMapping(state, offset));
+    } else {
+      state.index++;
+      sequence.push(parseInline(stripComment(rest)));
+    }
+  }
+
+  return sequence;
+}
+
+/**
+ * Parse the value of a "key: value" line (and the lines nested under it)
+ */
+function parseValue(state, value, indent) {
+  if (value === '') {
+    const next = peek(state);
+    if (next && next.indent > indent) return parseBlock(state, next.indent);
+    // Sequences may be indented at the same level as their key
+    if (next && next.indent === indent && isItem(next.text)) return parseSequence(state, indent);
+    return null;
+  }
+
+  if (/^[|>][-+0-9]*$/.test(value)) {
+    return readBlockScalar(state, indent, value[0] === '>');
+  }
+
+  return parseInline(value);
+}
+
+/**
+ * Read a literal (|) or folded (>) block scalar: the lines indented deeper than its key
+ */
+function readBlockScalar(state, indent, folded) {
+  const lines = [];
+  let blockIndent = null;
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.text && line.indent <= indent) break;
+    if (line.text && blockIndent === null) blockIndent = line.indent;
+    lines.push(line.text ? line.raw.slice(blockIndent) : '');
+    state.index++;
+  }
+
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines.join(folded ? ' ' : '\n');
+}
+
+/**
+ * Parse an inline value: flow collection or scalar
+ */
+function parseInline(value) {
+  return /^[[{]/.test(value) ? parseFlow(value) : parseScalar(value);
+}
+
+/**
+ * Parse a flow collection ([a, b], { a: b }, nested)
+ */
+function parseFlow(text) {
+  let pos = 0;
+
+  const skipSpaces = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const isKeyEnd = () => text[pos] === ':' && (pos + 1 >= text.length || /[\s,\]}]/.test(text[pos + 1]));
+
+  const readScalar = isKey => {
+    skipSpaces();
+    if (text[pos] === '\'' || text[pos] === '"') {
+      const end = text.indexOf(text[pos], pos + 1);
+      const stop = end === -1 ? text.length : end;
+      const value = text.slice(pos + 1, stop);
+      pos = stop + 1;
+      return value;
+    }
+    const start = pos;
+    while (pos < text.length && !/[,\]}]/.test(text[pos]) && !(isKey && isKeyEnd())) pos++;
+    return text.slice(start, pos).trim();
+  };
+
+  const readCollection = (close, readEntry) => {
+    pos++;
+    skipSpaces();
+    while (pos < text.length && text[pos] !== close) {
+      const before = pos;
+      readEntry();
+      skipSpaces();
+      if (text[pos] === ',') pos++;
+      skipSpaces();
+      if (pos === before) pos++;
+    }
+    pos++;
+  };
+
+  const readNode = () => {
+    skipSpaces();
+    if (text[pos] === '[') {
+      const sequence = [];
+      readCollection(']', () => sequence.push(readNode()));
+      return sequence;
+    }
+    if (text[pos] === '{') {
+      const mapping = {};
+      readCollection('}', () => {
+        const key = readScalar(true);
+        skipSpaces();
+        let value = null;
+        if (isKeyEnd()) {
+          pos++;
+          value = readNode();
+        }
+        mapping[key] = value;
+      });
+      return mapping;
+    }
+    return readScalar(false);
+  };
+
+  return readNode();
+}
+
+/**
+ * Split "key: value" (key possibly quoted)
+ */
+function splitKey(line) {
+  let key;
+  let rest;
+  if (line.startsWith('\'') || line.startsWith('"')) {
+    const end = line.indexOf(line[0], 1);
+    if (end === -1) return null;
+    key = line.slice(1, end);
+    rest = line.slice(end + 1);
+  } else {
+    const colon = line.search(/:(\s|$)/);
+    if (colon === -1) return null;
+    key = line.slice(0, colon);
+    rest = line.slice(colon);
+  }
+  if (!rest.startsWith(':')) return null;
+  return { key, value: rest.slice(1).trim() };
+}
+
+/**
+ * Remove a trailing comment (" # ...") outside quotes
+ */
+function stripComment(value) {
+  let start = 0;
+  if (value.startsWith('\'') || value.startsWith('"')) {
+    const end = value.indexOf(value[0], 1);
+    if (end === -1) return value;
+    start = end + 1;
+  }
+  const comment = value.slice(start).search(/(^|\s)#/);
+  return comment === -1 ? value : value.slice(0, start + comment).trim();
+}
+
+/**
+ * Parse a scalar value, removing quotes
+ */
+function parseScalar(value) {
+  if (value.length >= 2 && value[0] === '\'' && value.endsWith('\'')) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (value.length >= 2 && value[0] === '"' && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  }
+  return value;
+}
+
+module.exports = {
+  checkWorkflow,
+  parseWorkflowYaml,
+};
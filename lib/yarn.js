@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * yarn.lock parser (Yarn classic v1 and Berry v2+)
+ *
+ * Both formats are blocks of descriptors (the dependency specs that resolve
+ * to one package) followed by indented fields:
+ *
+ *   # yarn lockfile v1
+ *   "my-alias@npm:left-pad@^1.0.0", left-pad@^1.3.0:
+ *     version "1.3.0"
+ *     resolved "https://registry.yarnpkg.com/left-pad/-/left-pad-1.3.0.tgz#..."
+ *     integrity sha512-...
+ *
+ *   # Berry (YAML)
+ *   "left-pad@npm:^1.3.0, my-alias@npm:left-pad@^1.0.0":
+ *     version: 1.3.0
+ *     resolution: "left-pad@npm:1.3.0"
+ *
+ * Only packages resolved from the npm registry are returned: workspace,
+ * link, portal, file and git resolutions are local or unversioned code.
+ * Classic v1 tarball URL dependencies are returned when they carry an
+ * integrity digest.
+ */
+
+const LOCAL_PROTOCOLS = /^(workspace|link|portal|file|git|git\+[a-z]+|github|https?|exec):/;
+
+/**
+ * Parse yarn.lock content
+ *
+ * @param {string} content - yarn.lock content
+ * @returns {{format: string, packages: Array<{name: string, version: string, aliases: Array<string>, integrity: string|null}>}}
+ *   format is 'v1' or 'berry'; aliases are the other names the package is installed under
+ * @throws {Error} If the content is not a yarn.lock
+ */
+function parseYarnLock(content) {
+  const blocks = parseBlocks(content);
+  const berry = blocks.some(block => block.descriptors.includes('__metadata'));
+  if (!berry && !/^# yarn lockfile v1/m.test(content) && blocks.every(block => !block.fields.version)) {
+    throw new Error('Not a yarn.lock file');
+  }
+
+  const packages = [];
+  for (const { descriptors, fields } of blocks) {
+    if (descriptors.includes('__metadata') || !fields.version) continue;
+    const resolved = berry ? resolveBerry(descriptors, fields) : resolveV1(descriptors, fields);
+    if (resolved) packages.push(resolved);
+  }
+
+  return { format: berry ? 'berry' : 'v1', packages };
+}
+
+/**
+ * Split a yarn.lock into blocks of descriptors and top-level fields
+ */
+function parseBlocks(content) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+
+    if (!/^\s/.test(line)) {
+      // v1 quotes each descriptor ("a@^1", "a@^2":), Berry the whole list ("a@npm:^1, a@npm:^2":)
+      const descriptors = line.replace(/:\s*$/, '')
+        .split(/,\s*/)
+        .map(descriptor => descriptor.trim().replace(/^"|"$/g, ''))
+        .filter(Boolean);
+      current = { descriptors, fields: {} };
+      blocks.push(current);
+      continue;
+    }
+
+    // Only fields indented one level belong to the package (not its dependencies)
+    const field = line.match(/^ {2}([^\s:"]+|"[^"]+"):?\s+(.*)$/);
+    if (current && field) {
+      current.fields[unquote(field[1])] = unquote(field[2].trim());
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Remove surrounding double quotes
+ */
+function unquote(value) {
+  return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+/**
+ * Split a descriptor or resolution into name and range ("@scope/pkg@^1.0.0")
+ *
+ * @param {string} descriptor - Descriptor
+ * @returns {{name: string, range: string}}
+ */
+function splitDescriptor(descriptor) {
+  const at = descriptor.indexOf('@', descriptor.startsWith('@') ? 1 : 0);
+  if (at === -1) return { name: descriptor, range: '' };
+  return { name: descriptor.slice(0, at), range: descriptor.slice(at + 1) };
+}
+
+/**
+ * Resolve a classic v1 block: the package name comes from the descriptors,
+ * following npm: aliases ("alias@npm:real@^1.0.0")
+ */
+function resolveV1(descriptors, fields) {
+  const names = new Set();
+  const aliases = new Set();
+
+  for (const descriptor of descriptors) {
+    const { name, range } = splitDescriptor(descriptor);
+    // Tarball URLs are kept when their integrity is recorded (see checkYarnLock)
+    if (LOCAL_PROTOCOLS.test(range) && !(/^https?:/.test(range) && fields.integrity)) return null;
+    if (range.startsWith('npm:')) {
+      const target = splitDescriptor(range.slice(4));
+      names.add(target.name);
+      if (target.name !== name) aliases.add(name);
+    } else {
+      names.add(name);
+    }
+  }
+
+  const [name] = names;
+  if (!name) return null;
+  aliases.delete(name);
+
+  return {
+    name,
+    version: fields.version,
+    aliases: [...aliases],
+    integrity: fields.integrity || null,
+  };
+}
+
+/**
+ * Resolve a Berry block: the package name and source come from its resolution
+ * ("left-pad@npm:1.3.0"); patch: resolutions point to the patched npm package
+ */
+function resolveBerry(descriptors, fields) {
+  let { name, range } = splitDescriptor(fields.resolution || '');
+
+  const patch = range.match(/^patch:(.+?)(?:#|$)/);
+  if (patch) {
+    ({ name, range } = splitDescriptor(decodeURIComponent(patch[1])));
+  }
+  if (!name || !range.startsWith('npm:')) return null;
+
+  const aliases = new Set(descriptors.map(descriptor => splitDescriptor(descriptor).name));
+  aliases.delete(name);
+
+  return {
+    name,
+    version: fields.version,
+    aliases: [...aliases],
+    integrity: null,
+  };
+}
+
+module.exports = {
+  parseYarnLock,
+  splitDescriptor,
+};
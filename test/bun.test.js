@@ -0,0 +1,98 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseBunLock, parseBunLockb, stripJsonc } = require('../lib/bun');
+
+const WORKSPACE_LOCKFILE = `{
+  "lockfileVersion": 1,
+  "workspaces": {
+    "": {
+      "name": "app",
+      "dependencies": {
+        "my-alias": "npm:left-pad@^1.3.0",
+      },
+    },
+    "packages/web": {
+      "name": "web",
+      "dependencies": {
+        "@scope/pkg": "^2.0.0",
+        "left-pad": "^1.2.0",
+        "shared": "workspace:*",
+      },
+    },
+  },
+  "packages": {
+    "@scope/pkg": ["@scope/pkg@2.0.0", "", { "dependencies": { "left-pad": "^1.3.0" } }, "sha512-abc=="],
+    "my-alias": ["left-pad@1.3.0", "", {}, "sha512-def=="],
+    "shared": ["shared@workspace:packages/shared"],
+    "web/left-pad": ["left-pad@1.2.0", "", {}, "sha512-ghi=="],
+    "from-git": ["from-git@github:user/repo#abc123", {}, "abc123"],
+  },
+}
+`;
+
+describe('bun', () => {
+  describe('parseBunLock', () => {
+    it('should list registry packages with integrity', () => {
+      const { lockfileVersion, packages } = parseBunLock(WORKSPACE_LOCKFILE);
+
+      assert.strictEqual(lockfileVersion, '1');
+      assert.deepStrictEqual(packages.map(pkg => `${pkg.name}@${pkg.version}`), [
+        '@scope/pkg@2.0.0',
+        'left-pad@1.3.0',
+        'left-pad@1.2.0',
+      ]);
+      assert.strictEqual(packages[0].integrity, 'sha512-abc==');
+    });
+
+    it('should record aliases and the workspaces depending on each package', () => {
+      const { packages } = parseBunLock(WORKSPACE_LOCKFILE);
+      const byId = new Map(packages.map(pkg => [`${pkg.name}@${pkg.version}`, pkg]));
+
+      assert.deepStrictEqual(byId.get('left-pad@1.3.0').aliases, ['my-alias']);
+      assert.deepStrictEqual(byId.get('left-pad@1.3.0').importers, ['.']);
+      assert.deepStrictEqual(byId.get('left-pad@1.2.0').aliases, []);
+      assert.deepStrictEqual(byId.get('left-pad@1.2.0').importers, ['packages/web']);
+      assert.deepStrictEqual(byId.get('@scope/pkg@2.0.0').importers, ['packages/web']);
+    });
+
+    it('should reject other JSON files', () => {
+      assert.throws(() => parseBunLock('{"name": "app"}'), /Not a bun.lock file/);
+    });
+  });
+
+  describe('parseBunLockb', () => {
+    it('should read packages from registry tarball URLs', () => {
+      const buffer = Buffer.concat([
+        Buffer.from('#!/usr/bin/env bun\nbun-lockfile-format-v0\n'),
+        Buffer.from([2, 0, 0, 0, 0x10, 0x00]),
+        Buffer.from('https://registry.npmjs.org/left-pad/-/left-pad-1.3.0.tgz'),
+        Buffer.from('https://registry.npmjs.org/@scope/pkg/-/pkg-2.0.0-beta.1.tgz'),
+        Buffer.from([0]),
+        Buffer.from('https://registry.npmjs.org/left-pad/-/left-pad-1.3.0.tgz'),
+      ]);
+
+      const { lockfileVersion, packages } = parseBunLockb(buffer);
+
+      assert.strictEqual(lockfileVersion, 'binary');
+      assert.deepStrictEqual(packages.map(pkg => `${pkg.name}@${pkg.version}`), [
+        'left-pad@1.3.0',
+        '@scope/pkg@2.0.0-beta.1',
+      ]);
+    });
+
+    it('should reject files without the bun lockfile header', () => {
+      assert.throws(() => parseBunLockb(Buffer.from('# yarn lockfile v1\n')), /Not a bun.lockb file/);
+    });
+  });
+
+  describe('stripJsonc', () => {
+    it('should remove comments and trailing commas outside strings', () => {
+      const json = stripJsonc('{\n  // comment\n  "url": "https://x/*y*/",\n  "a": [1, 2,], /* block */\n}');
+
+      assert.deepStrictEqual(JSON.parse(json), { url: 'https://x/*y*/', a: [1, 2] });
+    });
+  });
+});
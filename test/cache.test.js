@@ -0,0 +1,170 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  createCacheStamp,
+  loadCache,
+  saveCache,
+  cacheKey,
+  isCacheable,
+  fingerprintTask,
+  sameFingerprint,
+  pruneCache,
+} = require('../lib/cache');
+
+describe('cache', () => {
+  let tempDir;
+  let cacheFile;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+    cacheFile = path.join(tempDir, 'cache', 'scan-cache.json');
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  const entry = (filePath, result = { findings: [], inventory: [], errors: [] }) => ({
+    path: filePath,
+    fingerprint: { size: 2, mtimeMs: 1, sha256: 'abc' },
+    result,
+  });
+
+  describe('loadCache / saveCache', () => {
+    it('should start empty without a cache file', () => {
+      const cache = loadCache(cacheFile, createCacheStamp('digest'));
+
+      assert.strictEqual(cache.entries.size, 0);
+      assert.strictEqual(cache.invalidated, null);
+    });
+
+    it('should reload saved entries', () => {
+      const stamp = createCacheStamp('digest');
+      const cache = loadCache(cacheFile, stamp);
+      cache.entries.set('package.json:/p/package.json', entry('/p/package.json'));
+
+      saveCache(cache);
+      const reloaded = loadCache(cacheFile, createCacheStamp('digest'));
+
+      assert.deepStrictEqual(reloaded.entries.get('package.json:/p/package.json'), entry('/p/package.json'));
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(cacheFile)), ['scan-cache.json']);
+    });
+
+    it('should discard the cache when the IOC database changes', () => {
+      const cache = loadCache(cacheFile, createCacheStamp('old-digest'));
+      cache.entries.set('package.json:/p/package.json', entry('/p/package.json'));
+      saveCache(cache);
+
+      const reloaded = loadCache(cacheFile, createCacheStamp('new-digest'));
+
+      assert.strictEqual(reloaded.entries.size, 0);
+      assert.strictEqual(reloaded.invalidated, 'IOC database changed');
+    });
+
+    it('should discard the cache when verbose mode changes', () => {
+      saveCache(loadCache(cacheFile, createCacheStamp('digest', { verbose: false })));
+
+      assert.strictEqual(loadCache(cacheFile, createCacheStamp('digest', { verbose: true })).invalidated, 'verbose changed');
+    });
+
+    it('should ignore unreadable cache files', () => {
+      fs.mkdirSync(path.dirname(cacheFile));
+      fs.writeFileSync(cacheFile, '{not json');
+
+      const cache = loadCache(cacheFile, createCacheStamp('digest'));
+
+      assert.strictEqual(cache.entries.size, 0);
+      assert.match(cache.invalidated, /^unreadable cache/);
+    });
+  });
+
+  describe('isCacheable', () => {
+    it('should cache package.json, lockfile and node_modules tasks', () => {
+      assert.ok(isCacheable({ type: 'package.json' }));
+      assert.ok(isCacheable({ type: 'pnpm-lock.yaml' }));
+      assert.ok(isCacheable({ type: 'node_modules' }));
+      assert.ok(!isCacheable({ type: 'git' }));
+      assert.ok(!isCacheable({ type: 'artifact' }));
+      assert.strictEqual(cacheKey({ type: 'yarn.lock', path: '/p/yarn.lock' }), 'yarn.lock:/p/yarn.lock');
+    });
+  });
+
+  describe('fingerprintTask', () => {
+    it('should change with the content of a file', () => {
+      const filePath = path.join(tempDir, 'yarn.lock');
+      fs.writeFileSync(filePath, 'a');
+      const task = { type: 'yarn.lock', path: filePath };
+      const before = fingerprintTask(task);
+
+      assert.ok(sameFingerprint(before, fingerprintTask(task)));
+
+      fs.writeFileSync(filePath, 'b');
+      fs.utimesSync(filePath, new Date(before.mtimeMs), new Date(before.mtimeMs));
+      const after = fingerprintTask(task);
+
+      assert.strictEqual(after.size, before.size);
+      assert.ok(!sameFingerprint(before, after));
+    });
+
+    it('should change when a file is added to an installed package', () => {
+      const pkgPath = path.join(tempDir, 'node_modules', 'pkg');
+      fs.mkdirSync(pkgPath, { recursive: true });
+      fs.writeFileSync(path.join(pkgPath, 'package.json'), '{"name":"pkg","version":"1.0.0"}');
+      const task = { type: 'node_modules', path: path.join(tempDir, 'node_modules') };
+      const before = fingerprintTask(task);
+
+      assert.strictEqual(before.size, 1);
+      assert.ok(sameFingerprint(before, fingerprintTask(task)));
+
+      fs.writeFileSync(path.join(pkgPath, 'setup_bun.js'), '');
+
+      assert.ok(!sameFingerprint(before, fingerprintTask(task)));
+    });
+
+    it('should change with the other files a task read', () => {
+      const filePath = path.join(tempDir, 'package.json');
+      const scriptPath = path.join(tempDir, 'install.js');
+      fs.writeFileSync(filePath, '{}');
+      const task = { type: 'package.json', path: filePath };
+      const before = fingerprintTask(task, [scriptPath]);
+
+      assert.deepStrictEqual(before.reads, { [scriptPath]: null });
+      assert.ok(sameFingerprint(before, fingerprintTask(task, [scriptPath])));
+      assert.ok(!sameFingerprint(before, fingerprintTask(task)));
+
+      fs.writeFileSync(scriptPath, 'payload()');
+
+      assert.ok(!sameFingerprint(before, fingerprintTask(task, [scriptPath])));
+    });
+
+    it('should return null for unreadable files', () => {
+      assert.strictEqual(fingerprintTask({ type: 'package.json', path: path.join(tempDir, 'missing.json') }), null);
+      assert.ok(!sameFingerprint(null, null));
+    });
+  });
+
+  describe('pruneCache', () => {
+    it('should drop unseen entries under the scanned roots only', () => {
+      const cache = { entries: new Map() };
+      for (const filePath of ['/code/app/package.json', '/code/old/package.json', '/other/package.json', '/code-other/package.json']) {
+        cache.entries.set(`package.json:${filePath}`, entry(filePath));
+      }
+
+      pruneCache(cache, ['/code'], new Set(['package.json:/code/app/package.json']));
+
+      assert.deepStrictEqual([...cache.entries.keys()], [
+        'package.json:/code/app/package.json',
+        'package.json:/other/package.json',
+        'package.json:/code-other/package.json',
+      ]);
+    });
+  });
+});
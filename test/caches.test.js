@@ -0,0 +1,346 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+const { findCacheLocations, checkCaches, parseTarballUrl, readTarball, readZipRoot } = require('../lib/caches');
+
+// Build a tar archive (ustar headers) of files
+function makeTar(files) {
+  const blocks = [];
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+// Build a zip archive (stored entries) of files
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const nameBuffer = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += 30 + nameBuffer.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+const sri = content => `sha512-${crypto.createHash('sha512').update(content).digest('base64')}`;
+
+describe('caches', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const record = { package: 'evil-pkg', version: '1.0.1', status: 'online', timestamp: null, id: null, campaign: 'shai-hulud-2' };
+  const scopedRecord = { ...record, package: '@dev-blinq/ai-qa-logic', version: '1.0.19' };
+  const infectedPackages = new Map([
+    ['evil-pkg', new Map([['1.0.1', record]])],
+    ['@dev-blinq/ai-qa-logic', new Map([['1.0.19', scopedRecord]])],
+  ]);
+  const payload = 'malicious payload';
+  const iocs = {
+    hashes: {
+      'bun_environment.js': [{ sha256: sha256(payload), campaign: 'shai-hulud-2' }],
+      'setup_bun.js': [{ sha256: 'a'.repeat(64), campaign: 'shai-hulud-2' }],
+    },
+  };
+
+  // Add a registry tarball to an npm cache (_cacache)
+  function addNpmTarball(cacheDir, name, version, files) {
+    const tarball = zlib.gzipSync(makeTar(files));
+    const integrity = sri(tarball);
+    const hex = Buffer.from(integrity.slice(7), 'base64').toString('hex');
+    const contentPath = path.join(cacheDir, 'content-v2', 'sha512', hex.slice(0, 2), hex.slice(2, 4), hex.slice(4));
+    fs.mkdirSync(path.dirname(contentPath), { recursive: true });
+    fs.writeFileSync(contentPath, tarball);
+
+    const key = `make-fetch-happen:request-cache:https://registry.npmjs.org/${name}/-/${name.split('/').pop()}-${version}.tgz`;
+    const entry = JSON.stringify({ key, integrity, time: 0, size: tarball.length, metadata: {} });
+    const bucket = path.join(cacheDir, 'index-v5', 'ab', 'cd', sha256(key).slice(4));
+    fs.mkdirSync(path.dirname(bucket), { recursive: true });
+    fs.appendFileSync(bucket, `\n${sha256(entry).slice(0, 40)}\t${entry}`);
+    return { bucket, contentPath };
+  }
+
+  describe('parseTarballUrl', () => {
+    it('should parse registry tarball URLs', () => {
+      assert.deepStrictEqual(parseTarballUrl('https://registry.npmjs.org/evil-pkg/-/evil-pkg-1.0.1.tgz'), { name: 'evil-pkg', version: '1.0.1' });
+      assert.deepStrictEqual(parseTarballUrl('https://registry.npmjs.org/@scope/pkg/-/pkg-2.0.0-beta.1.tgz'), { name: '@scope/pkg', version: '2.0.0-beta.1' });
+      assert.deepStrictEqual(parseTarballUrl('https://registry.npmjs.org/@scope%2fpkg/-/pkg-2.0.0.tgz'), { name: '@scope/pkg', version: '2.0.0' });
+    });
+
+    it('should return null for other URLs', () => {
+      assert.strictEqual(parseTarballUrl('https://registry.npmjs.org/evil-pkg'), null);
+    });
+  });
+
+  describe('readTarball', () => {
+    it('should list the files at the package root', () => {
+      const file = path.join(tempDir, 'pkg.tgz');
+      fs.writeFileSync(file, zlib.gzipSync(makeTar({ 'package/index.js': 'x', 'package/lib/a.js': 'y' })));
+      const files = readTarball(file);
+      assert.deepStrictEqual(files.map(f => f.file), ['index.js']);
+      assert.strictEqual(files[0].read().toString(), 'x');
+    });
+  });
+
+  describe('readZipRoot', () => {
+    it('should list the files directly under a directory', () => {
+      const file = path.join(tempDir, 'pkg.zip');
+      fs.writeFileSync(file, makeZip({ 'node_modules/pkg/index.js': 'x', 'node_modules/pkg/lib/a.js': 'y' }));
+      const files = readZipRoot(file, 'node_modules/pkg/');
+      assert.deepStrictEqual(files.map(f => f.file), ['index.js']);
+      assert.strictEqual(files[0].read().toString(), 'x');
+    });
+
+    it('should throw for files that are not zip archives', () => {
+      const file = path.join(tempDir, 'pkg.zip');
+      fs.writeFileSync(file, 'not a zip archive');
+      assert.throws(() => readZipRoot(file, 'node_modules/pkg/'), /Not a zip archive/);
+    });
+  });
+
+  describe('findCacheLocations', () => {
+    it('should find the existing caches of a home directory', () => {
+      fs.mkdirSync(path.join(tempDir, '.npm', '_cacache'), { recursive: true });
+      fs.mkdirSync(path.join(tempDir, '.cache', 'yarn', 'v6'), { recursive: true });
+      fs.mkdirSync(path.join(tempDir, '.yarn', 'berry', 'cache'), { recursive: true });
+      fs.mkdirSync(path.join(tempDir, '.local', 'share', 'pnpm', 'store', 'v3'), { recursive: true });
+
+      assert.deepStrictEqual(findCacheLocations({}, tempDir, 'linux'), [
+        { cache: 'npm', path: path.join(tempDir, '.npm', '_cacache') },
+        { cache: 'yarn', path: path.join(tempDir, '.cache', 'yarn', 'v6') },
+        { cache: 'yarn-berry', path: path.join(tempDir, '.yarn', 'berry', 'cache') },
+        { cache: 'pnpm', path: path.join(tempDir, '.local', 'share', 'pnpm', 'store', 'v3') },
+      ]);
+    });
+
+    it('should honor cache environment variables', () => {
+      const npmCache = path.join(tempDir, 'npm');
+      fs.mkdirSync(path.join(npmCache, '_cacache'), { recursive: true });
+      fs.mkdirSync(path.join(tempDir, 'yarn'));
+
+      assert.deepStrictEqual(findCacheLocations({ npm_config_cache: npmCache, YARN_CACHE_FOLDER: path.join(tempDir, 'yarn') }, tempDir, 'linux'), [
+        { cache: 'npm', path: path.join(npmCache, '_cacache') },
+        { cache: 'yarn', path: path.join(tempDir, 'yarn') },
+      ]);
+    });
+
+    it('should return nothing without caches', () => {
+      assert.deepStrictEqual(findCacheLocations({}, tempDir, 'linux'), []);
+    });
+  });
+
+  describe('checkCaches', () => {
+    it('should detect infected tarballs in the npm cache', () => {
+      const cacheDir = path.join(tempDir, '_cacache');
+      const { bucket, contentPath } = addNpmTarball(cacheDir, 'evil-pkg', '1.0.1', { 'package/package.json': '{}' });
+      addNpmTarball(cacheDir, 'safe-pkg', '1.0.0', { 'package/package.json': '{}' });
+
+      const findings = checkCaches([{ cache: 'npm', path: cacheDir }], infectedPackages, iocs);
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'CACHED_INFECTED_PACKAGE');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+      assert.strictEqual(findings[0].package, 'evil-pkg');
+      assert.strictEqual(findings[0].version, '1.0.1');
+      assert.strictEqual(findings[0].cache, 'npm');
+      assert.strictEqual(findings[0].path, contentPath);
+      assert.strictEqual(findings[0].campaign, 'shai-hulud-2');
+      assert.deepStrictEqual(findings[0].purge, [`rm -f '${bucket}' '${contentPath}'`]);
+    });
+
+    it('should detect payload files in cached npm tarballs', () => {
+      const cacheDir = path.join(tempDir, '_cacache');
+      addNpmTarball(cacheDir, 'evil-pkg', '2.0.0', { 'package/package.json': '{}', 'package/bun_environment.js': payload });
+
+      const findings = checkCaches([{ cache: 'npm', path: cacheDir }], infectedPackages, iocs);
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'CACHED_TAMPERED_PACKAGE');
+      assert.strictEqual(findings[0].package, 'evil-pkg');
+      assert.strictEqual(findings[0].campaign, 'shai-hulud-2');
+      assert.match(findings[0].indicators[0], /bun_environment\.js is a known malware sample/);
+    });
+
+    it('should report payload files with unknown hashes', () => {
+      const cacheDir = path.join(tempDir, '_cacache');
+      addNpmTarball(cacheDir, 'evil-pkg', '2.0.0', { 'package/setup_bun.js': 'changed loader' });
+
+      const findings = checkCaches([{ cache: 'npm', path: cacheDir }], infectedPackages, iocs);
+      assert.strictEqual(findings.length, 1);
+      assert.match(findings[0].indicators[0], /contains setup_bun\.js .*not a known sample/);
+    });
+
+    it('should not unpack tarballs of packages outside the database', () => {
+      const cacheDir = path.join(tempDir, '_cacache');
+      const { contentPath } = addNpmTarball(cacheDir, 'other-pkg', '2.0.0', { 'package/bun_environment.js': payload });
+      fs.writeFileSync(contentPath, 'not gzipped');
+
+      assert.deepStrictEqual(checkCaches([{ cache: 'npm', path: cacheDir }], infectedPackages, iocs, { verbose: true }), []);
+    });
+
+    it('should detect infected packages in the Yarn classic cache', () => {
+      const cacheDir = path.join(tempDir, 'v6');
+      const folder = path.join(cacheDir, `npm-evil-pkg-1.0.1-${'b'.repeat(40)}-integrity`);
+      const pkgDir = path.join(folder, 'node_modules', 'evil-pkg');
+      fs.mkdirSync(pkgDir, { recursive: true });
+      fs.writeFileSync(path.join(pkgDir, '.yarn-metadata.json'), JSON.stringify({ manifest: { name: 'evil-pkg', version: '1.0.1' }, remote: {} }));
+      fs.writeFileSync(path.join(pkgDir, 'bun_environment.js'), payload);
+
+      const findings = checkCaches([{ cache: 'yarn', path: cacheDir }], infectedPackages, iocs);
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'CACHED_INFECTED_PACKAGE');
+      assert.strictEqual(findings[0].cache, 'yarn');
+      assert.strictEqual(findings[0].path, folder);
+      assert.strictEqual(findings[0].indicators.length, 1);
+      assert.deepStrictEqual(findings[0].purge, [`rm -rf '${folder}'`]);
+    });
+
+    it('should read names of hyphenated scopes in the Yarn classic cache', () => {
+      const cacheDir = path.join(tempDir, 'v6');
+      const withManifest = path.join(cacheDir, `npm-@dev-blinq-ai-qa-logic-1.0.19-${'b'.repeat(40)}-integrity`);
+      fs.mkdirSync(path.join(withManifest, 'node_modules', '@dev-blinq', 'ai-qa-logic'), { recursive: true });
+      fs.writeFileSync(path.join(withManifest, 'node_modules', '@dev-blinq', 'ai-qa-logic', 'package.json'), JSON.stringify({ name: '@dev-blinq/ai-qa-logic', version: '1.0.19' }));
+      const withoutManifest = path.join(cacheDir, `npm-@dev-blinq-ai-qa-logic-1.0.19-${'c'.repeat(40)}`);
+      fs.mkdirSync(withoutManifest);
+
+      const findings = checkCaches([{ cache: 'yarn', path: cacheDir }], infectedPackages, iocs);
+      assert.deepStrictEqual(findings.map(f => [f.path, f.package, f.version]).sort(), [
+        [withManifest, '@dev-blinq/ai-qa-logic', '1.0.19'],
+        [withoutManifest, '@dev-blinq/ai-qa-logic', '1.0.19'],
+      ]);
+    });
+
+    it('should detect infected archives in the Yarn Berry cache', () => {
+      const cacheDir = path.join(tempDir, 'cache');
+      fs.mkdirSync(cacheDir);
+      const archive = path.join(cacheDir, 'evil-pkg-npm-1.0.1-0123456789-abcdef.zip');
+      fs.writeFileSync(archive, makeZip({ 'node_modules/evil-pkg/package.json': '{}' }));
+      fs.writeFileSync(path.join(cacheDir, '@dev-blinq-ai-qa-logic-npm-1.0.19-0123456789-abcdef.zip'), makeZip({ 'node_modules/@dev-blinq/ai-qa-logic/bun_environment.js': payload }));
+
+      const findings = checkCaches([{ cache: 'yarn-berry', path: cacheDir }], infectedPackages, iocs);
+      assert.deepStrictEqual(findings.map(f => [f.type, f.package]).sort(), [
+        ['CACHED_INFECTED_PACKAGE', '@dev-blinq/ai-qa-logic'],
+        ['CACHED_INFECTED_PACKAGE', 'evil-pkg'],
+      ]);
+      assert.strictEqual(findings.find(f => f.package === '@dev-blinq/ai-qa-logic').indicators.length, 1);
+      assert.deepStrictEqual(findings.find(f => f.package === 'evil-pkg').purge, [`rm -f '${archive}'`]);
+    });
+
+    it('should detect infected packages in the pnpm store', () => {
+      const storeDir = path.join(tempDir, 'v3');
+      const integrity = sri(payload);
+      const hex = Buffer.from(integrity.slice(7), 'base64').toString('hex');
+      fs.mkdirSync(path.join(storeDir, 'files', hex.slice(0, 2)), { recursive: true });
+      fs.writeFileSync(path.join(storeDir, 'files', hex.slice(0, 2), hex.slice(2)), payload);
+      const indexFile = path.join(storeDir, 'files', 'cd', 'ef-index.json');
+      fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+      fs.writeFileSync(indexFile, JSON.stringify({ name: 'evil-pkg', version: '1.0.1', files: { 'bun_environment.js': { integrity, mode: 420, size: payload.length } } }));
+
+      const findings = checkCaches([{ cache: 'pnpm', path: storeDir }], infectedPackages, iocs);
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'CACHED_INFECTED_PACKAGE');
+      assert.strictEqual(findings[0].cache, 'pnpm');
+      assert.match(findings[0].indicators[0], /known malware sample/);
+      assert.deepStrictEqual(findings[0].purge, [`rm -f '${indexFile}'`, 'pnpm store prune']);
+    });
+
+    it('should read the index directory of pnpm 10 stores', () => {
+      const storeDir = path.join(tempDir, 'v10');
+      const indexFile = path.join(storeDir, 'index', 'cd', 'ef-evil-pkg@1.0.1.json');
+      fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+      fs.writeFileSync(indexFile, JSON.stringify({ name: 'evil-pkg', version: '1.0.1', files: {} }));
+
+      const findings = checkCaches([{ cache: 'pnpm', path: storeDir }], infectedPackages, iocs);
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].path, indexFile);
+    });
+
+    it('should report unreadable archives only in verbose mode', () => {
+      const cacheDir = path.join(tempDir, 'cache');
+      fs.mkdirSync(cacheDir);
+      fs.writeFileSync(path.join(cacheDir, 'evil-pkg-npm-1.0.0-0123456789-abcdef.zip'), 'truncated');
+
+      assert.deepStrictEqual(checkCaches([{ cache: 'yarn-berry', path: cacheDir }], infectedPackages, iocs), []);
+      const findings = checkCaches([{ cache: 'yarn-berry', path: cacheDir }], infectedPackages, iocs, { verbose: true });
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'PARSE_ERROR');
+      assert.strictEqual(findings[0].severity, 'INFO');
+    });
+
+    it('should re-read caches changed between two --caches --cache scans', () => {
+      // The Yarn cache is inside the scanned directory: its node_modules are in the scan cache too
+      const yarnCache = path.join(tempDir, 'yarn-cache');
+      const pkgDir = path.join(yarnCache, `npm-safe-pkg-1.0.0-${'c'.repeat(40)}-integrity`, 'node_modules', 'safe-pkg');
+      fs.mkdirSync(pkgDir, { recursive: true });
+      fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({ name: 'safe-pkg', version: '1.0.0' }));
+      fs.writeFileSync(path.join(pkgDir, '.yarn-metadata.json'), JSON.stringify({ manifest: { name: 'safe-pkg', version: '1.0.0' }, remote: {} }));
+      const env = { ...process.env, HOME: tempDir, XDG_CACHE_HOME: path.join(tempDir, '.cache'), XDG_DATA_HOME: path.join(tempDir, '.local', 'share') };
+      env.YARN_CACHE_FOLDER = yarnCache;
+      for (const name of ['npm_config_cache', 'YARN_GLOBAL_FOLDER']) delete env[name];
+      const scan = () => {
+        const { stdout } = spawnSync(process.execPath, [
+          path.join(__dirname, '..', 'index.js'), '--json', '--caches', '--cache-file', path.join(tempDir, 'scan-cache.json'), tempDir,
+        ], { env, encoding: 'utf8', timeout: 60000 });
+        return JSON.parse(stdout).critical.filter(f => f.cache);
+      };
+
+      assert.deepStrictEqual(scan(), []);
+      const { entries } = JSON.parse(fs.readFileSync(path.join(tempDir, 'scan-cache.json'), 'utf8'));
+      assert.ok(Object.keys(entries).some(key => key.startsWith('node_modules:')));
+
+      fs.writeFileSync(path.join(pkgDir, 'setup_bun.js'), 'payload()');
+      const findings = scan();
+
+      assert.deepStrictEqual(findings.map(f => `${f.type} ${f.package}@${f.version}`), ['CACHED_TAMPERED_PACKAGE safe-pkg@1.0.0']);
+    });
+
+    it('should return nothing for clean caches', () => {
+      const cacheDir = path.join(tempDir, '_cacache');
+      addNpmTarball(cacheDir, 'safe-pkg', '1.0.0', { 'package/index.js': 'x' });
+      assert.deepStrictEqual(checkCaches([{ cache: 'npm', path: cacheDir }], infectedPackages, iocs), []);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { loadSnapshot, diffDatabases, rescanReports } = require('../lib/dbdiff');
+const { readInventory } = require('../lib/inventory');
+
+describe('dbdiff', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  function writeDatabase(name, rows) {
+    const filePath = path.join(tempDir, name);
+    const lines = ['| Package | Version | Status | Timestamp | ID |', '|---|---|---|---|---|'];
+    for (const [pkg, version] of rows) {
+      lines.push(`| ${pkg} | ${version} | online | | |`);
+    }
+    fs.writeFileSync(filePath, lines.join('\n'));
+    return filePath;
+  }
+
+  function writeReport(name, inventory) {
+    const filePath = path.join(tempDir, name);
+    const report = {
+      meta: { scanDate: '2025-11-25T10:00:00.000Z' },
+      scan: { directories: ['/project'] },
+      findings: { critical: [], warning: [], info: [] },
+    };
+    if (inventory) report.inventory = inventory;
+    fs.writeFileSync(filePath, JSON.stringify(report));
+    return filePath;
+  }
+
+  describe('diffDatabases', () => {
+    it('should list added and removed versions', () => {
+      const oldDb = loadSnapshot(writeDatabase('old.md', [['kept', '1.0.0'], ['dropped', '1.0.0'], ['grown', '1.0.0']]));
+      const newDb = loadSnapshot(writeDatabase('new.md', [['kept', '1.0.0'], ['grown', '1.0.0'], ['grown', '1.0.1'], ['fresh', '2.0.0']]));
+
+      const diff = diffDatabases(oldDb, newDb);
+
+      assert.deepStrictEqual(diff.added.map(r => `${r.package}@${r.version}`), ['fresh@2.0.0', 'grown@1.0.1']);
+      assert.deepStrictEqual(diff.removed.map(r => `${r.package}@${r.version}`), ['dropped@1.0.0']);
+      assert.strictEqual(diff.added[0].status, 'online');
+    });
+
+    it('should be empty for identical databases', () => {
+      const file = writeDatabase('db.md', [['pkg', '1.0.0']]);
+
+      assert.deepStrictEqual(diffDatabases(loadSnapshot(file), loadSnapshot(file)), { added: [], removed: [] });
+    });
+
+    it('should load the packages of an IOC pack', () => {
+      const packFile = path.join(tempDir, 'pack.json');
+      fs.writeFileSync(packFile, JSON.stringify({ campaign: 'test', packages: [{ name: 'pkg', version: '1.0.0' }] }));
+
+      const diff = diffDatabases(new Map(), loadSnapshot(packFile));
+
+      assert.strictEqual(diff.added.length, 1);
+      assert.strictEqual(diff.added[0].campaign, 'test');
+    });
+  });
+
+  describe('rescanReports', () => {
+    const added = [{ package: 'fresh', version: '2.0.0', status: 'online', timestamp: null, id: null, source: 'new.md' }];
+
+    it('should find inventory packages matching only the added entries', () => {
+      const reportFile = writeReport('report.json', [
+        { package: 'fresh', version: '2.0.0', kind: 'locked', file: '/project/package-lock.json' },
+        { package: 'kept', version: '1.0.0', kind: 'locked', file: '/project/package-lock.json' },
+      ]);
+
+      const [result] = rescanReports([reportFile], added);
+
+      assert.strictEqual(result.error, null);
+      assert.strictEqual(result.packages, 2);
+      assert.strictEqual(result.scanDate, '2025-11-25T10:00:00.000Z');
+      assert.deepStrictEqual(result.findings.map(f => `${f.type} ${f.package}@${f.version}`), [
+        'INFECTED_LOCKED_PACKAGE fresh@2.0.0',
+      ]);
+    });
+
+    it('should find aliased packages of a package-lock.json inventory', () => {
+      const lockPath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(lockPath, JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app', dependencies: { myalias: 'npm:fresh@2.0.0' } },
+          'node_modules/myalias': { name: 'fresh', version: '2.0.0' },
+        },
+      }));
+      const reportFile = writeReport('report.json', readInventory({ type: 'package-lock.json', path: lockPath }));
+
+      const [result] = rescanReports([reportFile], added);
+
+      assert.deepStrictEqual(result.findings.map(f => `${f.type} ${f.package}@${f.version}`), [
+        'INFECTED_LOCKED_PACKAGE fresh@2.0.0',
+      ]);
+    });
+
+    it('should report reports without inventory or unreadable reports', () => {
+      const [noInventory, missing] = rescanReports([
+        writeReport('old-report.json', null),
+        path.join(tempDir, 'missing.json'),
+      ], added);
+
+      assert.match(noInventory.error, /no package inventory/);
+      assert.match(missing.error, /Failed to read report/);
+    });
+  });
+});
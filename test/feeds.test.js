@@ -0,0 +1,175 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { loadFeed, loadDatabases, osvEventsToRange } = require('../lib/feeds');
+
+describe('feeds', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  describe('loadFeed', () => {
+    it('should load a JSON package list', () => {
+      const feedPath = path.join(tempDir, 'blocklist.json');
+      fs.writeFileSync(feedPath, JSON.stringify([
+        { name: 'bad-package', version: '1.0.0', status: 'online', id: 7 },
+        { package: 'other-package', versions: ['2.0.0', '2.0.1'] },
+      ]));
+
+      const packages = loadFeed(feedPath);
+
+      const record = packages.get('bad-package').get('1.0.0');
+      assert.strictEqual(record.status, 'online');
+      assert.strictEqual(record.id, '7');
+      assert.strictEqual(record.source, 'blocklist.json');
+      assert.strictEqual(packages.get('other-package').size, 2);
+    });
+
+    it('should read a string "versions" as a single version', () => {
+      const feedPath = path.join(tempDir, 'blocklist.json');
+      fs.writeFileSync(feedPath, JSON.stringify([{ name: 'bad-package', versions: '1.2.3' }]));
+
+      assert.deepStrictEqual([...loadFeed(feedPath).get('bad-package').keys()], ['1.2.3']);
+    });
+
+    it('should load a CSV export with a header row', () => {
+      const feedPath = path.join(tempDir, 'export.csv');
+      fs.writeFileSync(feedPath, [
+        'ID,Name,Version,Published',
+        '1,bad-package,1.0.0,2025-11-24T09:24:17.367Z',
+        '2,"@scope/pkg",">=2.0.0 <2.0.3",',
+      ].join('\r\n'));
+
+      const packages = loadFeed(feedPath);
+
+      const record = packages.get('bad-package').get('1.0.0');
+      assert.strictEqual(record.id, '1');
+      assert.strictEqual(record.timestamp, '2025-11-24T09:24:17.367Z');
+      assert.strictEqual(record.source, 'export.csv');
+      assert.ok(packages.get('@scope/pkg').has('>=2.0.0 <2.0.3'));
+    });
+
+    it('should load tarball integrity digests from JSON and CSV feeds', () => {
+      const jsonPath = path.join(tempDir, 'tarballs.json');
+      const csvPath = path.join(tempDir, 'tarballs.csv');
+      fs.writeFileSync(jsonPath, JSON.stringify([
+        { name: 'bad-package', version: '1.0.0', integrity: 'sha512-abc== sha1-def=' },
+        { name: 'other-package', version: '2.0.0', integrity: ['sha512-ghi=='] },
+        { name: 'plain-package', version: '3.0.0', integrity: 'not a digest' },
+      ]));
+      fs.writeFileSync(csvPath, 'package,version,integrity\nbad-package,1.0.0,sha512-jkl==\n');
+
+      const packages = loadDatabases([jsonPath, csvPath]);
+
+      assert.deepStrictEqual(packages.get('bad-package').get('1.0.0').integrity, ['sha512-abc==', 'sha1-def=', 'sha512-jkl==']);
+      assert.deepStrictEqual(packages.get('other-package').get('2.0.0').integrity, ['sha512-ghi==']);
+      assert.strictEqual(packages.get('plain-package').get('3.0.0').integrity, undefined);
+    });
+
+    it('should load OSV advisories', () => {
+      const feedPath = path.join(tempDir, 'GHSA-xxxx.json');
+      fs.writeFileSync(feedPath, JSON.stringify({
+        id: 'MAL-2025-1234',
+        published: '2025-11-24T00:00:00Z',
+        affected: [
+          {
+            package: { ecosystem: 'npm', name: 'osv-package' },
+            versions: ['0.0.7'],
+            ranges: [{ type: 'SEMVER', events: [{ introduced: '1.4.2' }, { fixed: '1.4.6' }] }],
+          },
+          {
+            package: { ecosystem: 'PyPI', name: 'not-npm' },
+            versions: ['1.0.0'],
+          },
+        ],
+      }));
+
+      const packages = loadFeed(feedPath);
+
+      assert.strictEqual(packages.size, 1);
+      const versions = packages.get('osv-package');
+      assert.ok(versions.has('0.0.7'));
+      assert.ok(versions.has('>=1.4.2 <1.4.6'));
+      assert.strictEqual(versions.get('0.0.7').id, 'MAL-2025-1234');
+      assert.strictEqual(versions.get('0.0.7').timestamp, '2025-11-24T00:00:00Z');
+    });
+
+    it('should skip withdrawn OSV advisories', () => {
+      const feedPath = path.join(tempDir, 'withdrawn.json');
+      fs.writeFileSync(feedPath, JSON.stringify({
+        id: 'MAL-2025-1',
+        withdrawn: '2025-11-25T00:00:00Z',
+        affected: [{ package: { ecosystem: 'npm', name: 'pkg' }, versions: ['1.0.0'] }],
+      }));
+
+      assert.strictEqual(loadFeed(feedPath).size, 0);
+    });
+
+    it('should load every feed in a directory', () => {
+      const feedDir = path.join(tempDir, 'osv');
+      fs.mkdirSync(feedDir);
+      fs.writeFileSync(path.join(feedDir, 'a.json'), JSON.stringify({
+        id: 'A',
+        affected: [{ package: { ecosystem: 'npm', name: 'pkg-a' }, versions: ['1.0.0'] }],
+      }));
+      fs.writeFileSync(path.join(feedDir, 'b.csv'), 'package,version\npkg-b,2.0.0\n');
+      fs.writeFileSync(path.join(feedDir, 'README'), 'not a feed');
+
+      const packages = loadFeed(feedDir);
+
+      assert.strictEqual(packages.size, 2);
+      assert.strictEqual(packages.get('pkg-a').get('1.0.0').source, 'a.json');
+      assert.strictEqual(packages.get('pkg-b').get('2.0.0').source, 'b.csv');
+    });
+
+    it('should reject unsupported formats', () => {
+      const feedPath = path.join(tempDir, 'feed.xml');
+      fs.writeFileSync(feedPath, '<feed/>');
+
+      assert.throws(() => loadFeed(feedPath), /Unsupported IOC feed format/);
+    });
+  });
+
+  describe('loadDatabases', () => {
+    it('should merge feeds and keep the first source of duplicates', () => {
+      const mdPath = path.join(tempDir, 'worm.md');
+      const csvPath = path.join(tempDir, 'internal.csv');
+      fs.writeFileSync(mdPath, '| Package | Version | Status |\n|---|---|---|\n| shared | 1.0.0 | | \n');
+      fs.writeFileSync(csvPath, 'package,version,status\nshared,1.0.0,offline\nonly-internal,3.0.0,\n');
+
+      const packages = loadDatabases([mdPath, csvPath]);
+
+      const shared = packages.get('shared').get('1.0.0');
+      assert.strictEqual(shared.source, 'worm.md');
+      assert.strictEqual(shared.status, 'offline');
+      assert.strictEqual(packages.get('only-internal').get('3.0.0').source, 'internal.csv');
+    });
+  });
+
+  describe('osvEventsToRange', () => {
+    it('should convert introduced/fixed pairs', () => {
+      assert.strictEqual(osvEventsToRange([{ introduced: '1.0.0' }, { fixed: '1.0.5' }]), '>=1.0.0 <1.0.5');
+    });
+
+    it('should convert last_affected and open-ended intervals', () => {
+      assert.strictEqual(
+        osvEventsToRange([{ introduced: '0' }, { last_affected: '1.2.0' }, { introduced: '2.0.0' }]),
+        '<=1.2.0 || >=2.0.0',
+      );
+      assert.strictEqual(osvEventsToRange([{ introduced: '0' }]), '*');
+    });
+  });
+});
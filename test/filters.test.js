@@ -0,0 +1,93 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { globToRegExp, parseIgnoreFile, createWalkRules, IGNORE_FILE } = require('../lib/filters');
+
+describe('filters', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  describe('globToRegExp', () => {
+    const matches = (glob, relativePath) => globToRegExp(glob).regexp.test(relativePath);
+
+    it('should match names without a slash at any depth', () => {
+      assert.ok(matches('dist', 'dist'));
+      assert.ok(matches('dist', 'packages/app/dist'));
+      assert.ok(matches('*.min.js', 'public/vendor.min.js'));
+      assert.ok(!matches('dist', 'distribution'));
+    });
+
+    it('should anchor globs with a slash to the root', () => {
+      assert.ok(matches('vendor/legacy', 'vendor/legacy'));
+      assert.ok(!matches('vendor/legacy', 'app/vendor/legacy'));
+      assert.ok(matches('/build', 'build'));
+      assert.ok(!matches('/build', 'app/build'));
+    });
+
+    it('should match directories with ** but not with *', () => {
+      assert.ok(matches('vendor/**', 'vendor/a/b.js'));
+      assert.ok(matches('**/fixtures', 'test/unit/fixtures'));
+      assert.ok(matches('**/fixtures', 'fixtures'));
+      assert.ok(!matches('src/*.js', 'src/lib/a.js'));
+      assert.ok(matches('file?.txt', 'file1.txt'));
+    });
+
+    it('should escape regular expression characters', () => {
+      assert.ok(matches('a+b(1).js', 'a+b(1).js'));
+      assert.ok(!matches('a.js', 'abjs'));
+    });
+
+    it('should flag directory-only globs', () => {
+      assert.deepStrictEqual(globToRegExp('cache/').directoryOnly, true);
+      assert.ok(matches('cache/', 'app/cache'));
+    });
+  });
+
+  describe('parseIgnoreFile', () => {
+    it('should parse globs, includes and comments', () => {
+      assert.deepStrictEqual(parseIgnoreFile('# build output\ndist\n\n!dist/keep\r\n  coverage/  \n'), [
+        { glob: 'dist', include: false },
+        { glob: 'dist/keep', include: true },
+        { glob: 'coverage/', include: false },
+      ]);
+    });
+  });
+
+  describe('createWalkRules', () => {
+    it('should not match anything without rules', () => {
+      const rules = createWalkRules(tempDir);
+
+      assert.strictEqual(rules.match(path.join(tempDir, 'dist'), true), null);
+      assert.strictEqual(rules.maxDepth, Infinity);
+      assert.strictEqual(rules.followSymlinks, false);
+    });
+
+    it('should let the last matching rule win', () => {
+      fs.writeFileSync(path.join(tempDir, IGNORE_FILE), 'dist\n!.cache\nlogs/\n');
+      const rules = createWalkRules(tempDir, { exclude: ['.cache', '*.log'], include: ['important.log'], maxDepth: 2, followSymlinks: true });
+
+      assert.strictEqual(rules.match(path.join(tempDir, 'app', 'dist'), true), 'exclude');
+      assert.strictEqual(rules.match(path.join(tempDir, '.cache'), true), 'exclude');
+      assert.strictEqual(rules.match(path.join(tempDir, 'debug.log'), false), 'exclude');
+      assert.strictEqual(rules.match(path.join(tempDir, 'important.log'), false), 'include');
+      assert.strictEqual(rules.match(path.join(tempDir, 'logs'), false), null);
+      assert.strictEqual(rules.match(path.join(tempDir, 'logs'), true), 'exclude');
+      assert.strictEqual(rules.maxDepth, 2);
+      assert.strictEqual(rules.followSymlinks, true);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { checkGitRepository, checkRunnerRegistration, parseRemotes, readObjects } = require('../lib/git');
+
+const hasGit = (() => {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+describe('git', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Dev', '-c', 'user.email=dev@example.com', '-c', 'init.defaultBranch=main', ...args], {
+    cwd: tempDir,
+    stdio: 'ignore',
+  });
+
+  const writeGitDir = files => {
+    const gitDir = path.join(tempDir, '.git');
+    fs.mkdirSync(gitDir);
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(gitDir, name), content);
+    }
+    return gitDir;
+  };
+
+  describe('parseRemotes', () => {
+    it('should parse remote sections and their URLs', () => {
+      const remotes = parseRemotes([
+        '[core]',
+        '\tbare = false',
+        '[remote "origin"]',
+        '\turl = git@github.com:acme/app.git',
+        '\tfetch = +refs/heads/*:refs/remotes/origin/*',
+        '\tpushurl = https://github.com/acme/app-push.git',
+        '[branch "main"]',
+        '\tremote = origin',
+        '[remote "backup"]',
+        '\turl = https://example.com/acme/app-migration',
+      ].join('\n'));
+
+      assert.deepStrictEqual(remotes, [
+        { name: 'origin', urls: ['git@github.com:acme/app.git', 'https://github.com/acme/app-push.git'] },
+        { name: 'backup', urls: ['https://example.com/acme/app-migration'] },
+      ]);
+    });
+  });
+
+  describe('checkGitRepository', () => {
+    it('should report remotes pointing at migration repositories', () => {
+      const gitDir = writeGitDir({
+        config: '[remote "origin"]\n\turl = git@github.com:acme/app.git\n[remote "copy"]\n\turl = https://github.com/attacker/app-migration.git\n',
+      });
+
+      const findings = checkGitRepository(gitDir);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'GIT_MIGRATION_REMOTE');
+      assert.strictEqual(findings[0].severity, 'WARNING');
+      assert.strictEqual(findings[0].remote, 'copy');
+      assert.strictEqual(findings[0].url, 'https://github.com/attacker/app-migration.git');
+      assert.strictEqual(findings[0].campaign, 'shai-hulud-2');
+    });
+
+    it('should report marker descriptions', () => {
+      const gitDir = writeGitDir({ description: 'Sha1-Hulud: The Second Coming.\n' });
+
+      const findings = checkGitRepository(gitDir);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'GIT_DESCRIPTION_MARKER');
+      assert.strictEqual(findings[0].file, path.join(gitDir, 'description'));
+    });
+
+    it('should not report ordinary repositories', () => {
+      const gitDir = writeGitDir({
+        config: '[remote "origin"]\n\turl = https://github.com/acme/app.git\n',
+        description: 'Unnamed repository; edit this file \'description\' to name the repository.\n',
+      });
+
+      assert.deepStrictEqual(checkGitRepository(gitDir), []);
+    });
+
+    it('should follow gitdir files', () => {
+      const gitDir = path.join(tempDir, 'modules', 'app');
+      fs.mkdirSync(gitDir, { recursive: true });
+      fs.writeFileSync(path.join(gitDir, 'description'), 'Shai-Hulud Migration');
+      fs.writeFileSync(path.join(tempDir, '.git'), 'gitdir: modules/app\n');
+
+      const findings = checkGitRepository(path.join(tempDir, '.git'));
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].file, path.join(gitDir, 'description'));
+    });
+
+    it('should report unreadable repositories in verbose mode', () => {
+      fs.writeFileSync(path.join(tempDir, '.git'), 'not a gitdir file');
+
+      assert.deepStrictEqual(checkGitRepository(path.join(tempDir, '.git')), []);
+      assert.strictEqual(checkGitRepository(path.join(tempDir, '.git'), { verbose: true })[0].type, 'PARSE_ERROR');
+    });
+
+    it('should report commits adding malicious workflows on any branch', { skip: !hasGit }, () => {
+      git('init', '-q');
+      fs.writeFileSync(path.join(tempDir, 'README.md'), 'app');
+      git('add', '.');
+      git('commit', '-q', '-m', 'Initial commit');
+      git('checkout', '-q', '-b', 'shai-hulud');
+      fs.mkdirSync(path.join(tempDir, '.github', 'workflows'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, '.github', 'workflows', 'discussion.yaml'), 'on: discussion\n');
+      fs.writeFileSync(path.join(tempDir, '.github', 'workflows', 'ci.yml'), 'on: push\n');
+      git('add', '.');
+      git('commit', '-q', '-m', 'Add Discussion');
+      git('checkout', '-q', 'main');
+
+      const findings = checkGitRepository(path.join(tempDir, '.git'));
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'GIT_MALICIOUS_WORKFLOW_COMMIT');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+      assert.strictEqual(findings[0].path, path.join(tempDir, '.github', 'workflows', 'discussion.yaml'));
+      assert.match(findings[0].commit, /^[0-9a-f]{40}$/);
+      assert.strictEqual(findings[0].author, 'Dev <dev@example.com>');
+      assert.strictEqual(findings[0].subject, 'Add Discussion');
+      assert.deepStrictEqual(findings[0].branches, ['shai-hulud']);
+    });
+
+    it('should report each malicious workflow of a commit with its branches', { skip: !hasGit }, () => {
+      git('init', '-q');
+      fs.mkdirSync(path.join(tempDir, '.github', 'workflows'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, '.github', 'workflows', 'discussion.yaml'), 'on: discussion\n');
+      fs.writeFileSync(path.join(tempDir, '.github', 'workflows', 'formatter_123456789.yml'), 'on: push\n');
+      git('add', '.');
+      git('commit', '-q', '-m', 'Add workflows');
+      git('branch', 'copy');
+
+      const findings = checkGitRepository(path.join(tempDir, '.git'));
+
+      assert.strictEqual(findings.length, 2);
+      assert.strictEqual(findings[0].commit, findings[1].commit);
+      assert.ok(findings.every(f => f.branches.join() === 'copy,main'));
+    });
+
+    it('should report workflows matching name patterns', { skip: !hasGit }, () => {
+      git('init', '-q');
+      fs.mkdirSync(path.join(tempDir, '.github', 'workflows'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, '.github', 'workflows', 'formatter_123456789.yml'), 'on: push\n');
+      git('add', '.');
+      git('commit', '-q', '-m', 'Add formatter');
+
+      const findings = checkGitRepository(path.join(tempDir, '.git'));
+
+      assert.strictEqual(findings.length, 1);
+      assert.deepStrictEqual(findings[0].branches, ['main']);
+    });
+
+    it('should not run programs set in the scanned repository config', { skip: !hasGit }, () => {
+      git('init', '-q');
+      fs.mkdirSync(path.join(tempDir, '.github', 'workflows'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, '.github', 'workflows', 'discussion.yaml'), 'on: discussion\n');
+      git('add', '.');
+      git('commit', '-q', '-m', 'Add Discussion');
+
+      // Sign the commit, so that log.showSignature runs gpg.program
+      const commit = execFileSync('git', ['cat-file', 'commit', 'HEAD'], { cwd: tempDir, encoding: 'utf8' })
+        .replace(/^(committer .*\n)/m, '$1gpgsig -----BEGIN PGP SIGNATURE-----\n \n iQEzBAABCAAdFiEE\n -----END PGP SIGNATURE-----\n');
+      const signed = execFileSync('git', ['hash-object', '-t', 'commit', '-w', '--stdin'], { cwd: tempDir, input: commit, encoding: 'utf8' }).trim();
+      git('update-ref', 'refs/heads/main', signed);
+
+      const marker = path.join(tempDir, 'PWNED');
+      const evil = path.join(tempDir, 'evil.sh');
+      fs.writeFileSync(evil, `#!/bin/sh\ntouch '${marker}'\n`, { mode: 0o755 });
+      for (const key of ['gpg.program', 'gpg.ssh.program', 'gpg.x509.program', 'core.fsmonitor', 'core.pager']) {
+        git('config', key, evil);
+      }
+      git('config', 'log.showSignature', 'true');
+
+      const findings = checkGitRepository(path.join(tempDir, '.git'));
+
+      assert.strictEqual(fs.existsSync(marker), false);
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].commit, signed);
+    });
+  });
+
+  describe('readObjects', () => {
+    it('should read objects in order, with null for missing ones', { skip: !hasGit }, () => {
+      git('init', '-q');
+      fs.writeFileSync(path.join(tempDir, 'a file.txt'), 'first\nline');
+      fs.writeFileSync(path.join(tempDir, 'b.txt'), 'ünïcode');
+      git('add', '.');
+      git('commit', '-q', '-m', 'Add files');
+
+      const contents = readObjects(path.join(tempDir, '.git'), ['HEAD:b.txt', 'HEAD:missing.txt', 'HEAD:a file.txt']);
+
+      assert.deepStrictEqual(contents, ['ünïcode', null, 'first\nline']);
+      assert.deepStrictEqual(readObjects(path.join(tempDir, '.git'), []), []);
+    });
+  });
+
+  describe('checkRunnerRegistration', () => {
+    it('should report runners registered under the marker name', () => {
+      fs.writeFileSync(path.join(tempDir, '.runner'), '\uFEFF' + JSON.stringify({
+        agentName: 'SHA1HULUD',
+        gitHubUrl: 'https://github.com/acme/app',
+      }));
+
+      const findings = checkRunnerRegistration(tempDir);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'GIT_RUNNER_REGISTRATION');
+      assert.strictEqual(findings[0].url, 'https://github.com/acme/app');
+    });
+
+    it('should ignore other runners', () => {
+      fs.writeFileSync(path.join(tempDir, '.runner'), JSON.stringify({ agentName: 'build-01' }));
+
+      assert.deepStrictEqual(checkRunnerRegistration(tempDir), []);
+    });
+
+    it('should be checked in the project of a repository', () => {
+      const gitDir = writeGitDir({});
+      fs.mkdirSync(path.join(tempDir, '.dev-env'));
+      fs.writeFileSync(path.join(tempDir, '.dev-env', '.runner'), JSON.stringify({ agentName: 'sha1hulud' }));
+
+      const findings = checkGitRepository(gitDir);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].file, path.join(tempDir, '.dev-env', '.runner'));
+    });
+  });
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const { checkLockfileHistory, isHistoryLockfile, formatCommit } = require('../lib/history');
+
+const hasGit = (() => {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+})();
+
+describe('history', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const record = { package: 'evil-pkg', version: '1.0.1', status: 'online', timestamp: null, id: null, campaign: 'shai-hulud-2' };
+  const infectedPackages = new Map([['evil-pkg', new Map([['1.0.1', record]])]]);
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Dev', '-c', 'user.email=dev@example.com', '-c', 'init.defaultBranch=main', ...args], {
+    cwd: tempDir,
+    stdio: 'ignore',
+  });
+
+  // Commit yarn.lock in app/ locking evil-pkg at a version
+  const commitLock = (version, message, date) => {
+    fs.mkdirSync(path.join(tempDir, 'app'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'app', 'yarn.lock'), [
+      '"left-pad@^1.0.0":',
+      '  version "1.3.0"',
+      '',
+      '"evil-pkg@^1.0.0":',
+      `  version "${version}"`,
+      '',
+    ].join('\n'));
+    git('add', '-A');
+    execFileSync('git', ['-c', 'user.name=Dev', '-c', 'user.email=dev@example.com', 'commit', '-q', '-m', message], {
+      cwd: tempDir,
+      env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+      stdio: 'ignore',
+    });
+  };
+
+  describe('isHistoryLockfile', () => {
+    it('should accept text lockfiles', () => {
+      assert.ok(isHistoryLockfile('/p/package-lock.json'));
+      assert.ok(isHistoryLockfile('/p/pnpm-lock.yaml'));
+      assert.ok(!isHistoryLockfile('/p/bun.lockb'));
+      assert.ok(!isHistoryLockfile('/p/package.json'));
+    });
+  });
+
+  describe('checkLockfileHistory', () => {
+    it('should report the range an infected version was locked in', { skip: !hasGit }, () => {
+      git('init', '-q');
+      commitLock('1.0.0', 'Add evil-pkg', '2025-11-01T10:00:00Z');
+      commitLock('1.0.1', 'Bump evil-pkg', '2025-11-24T10:00:00Z');
+      commitLock('1.0.2', 'Bump evil-pkg again', '2025-11-26T10:00:00Z');
+
+      const findings = checkLockfileHistory(path.join(tempDir, 'app', 'yarn.lock'), infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'LOCKFILE_HISTORY_EXPOSURE');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+      assert.strictEqual(findings[0].package, 'evil-pkg');
+      assert.strictEqual(findings[0].version, '1.0.1');
+      assert.strictEqual(findings[0].campaign, 'shai-hulud-2');
+      assert.strictEqual(findings[0].introduced.subject, 'Bump evil-pkg');
+      assert.strictEqual(findings[0].introduced.author, 'Dev <dev@example.com>');
+      assert.match(findings[0].introduced.date, /^2025-11-24T10:00:00/);
+      assert.strictEqual(findings[0].removed.subject, 'Bump evil-pkg again');
+      assert.deepStrictEqual(findings[0].branches, ['main']);
+      assert.match(findings[0].note, /until 2025-11-26/);
+    });
+
+    it('should report ranges still open and on other branches', { skip: !hasGit }, () => {
+      git('init', '-q');
+      commitLock('1.0.0', 'Add evil-pkg', '2025-11-01T10:00:00Z');
+      git('checkout', '-q', '-b', 'renovate/evil-pkg');
+      commitLock('1.0.1', 'Update evil-pkg', '2025-11-24T10:00:00Z');
+      git('checkout', '-q', 'main');
+
+      const findings = checkLockfileHistory(path.join(tempDir, 'app', 'yarn.lock'), infectedPackages);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].removed, null);
+      assert.deepStrictEqual(findings[0].branches, ['renovate/evil-pkg']);
+      assert.match(findings[0].note, /^Locked since 2025-11-24/);
+    });
+
+    it('should only close ranges with removals descending from their introduction', { skip: !hasGit }, () => {
+      git('init', '-q');
+      commitLock('1.0.0', 'Add evil-pkg', '2025-11-01T10:00:00Z');
+      git('checkout', '-q', '-b', 'fix');
+      commitLock('1.0.1', 'Bump evil-pkg on fix', '2025-11-24T10:00:00Z');
+      commitLock('1.0.2', 'Drop evil-pkg 1.0.1 on fix', '2025-11-25T10:00:00Z');
+      git('checkout', '-q', 'main');
+      commitLock('1.0.1', 'Bump evil-pkg on main', '2025-11-26T10:00:00Z');
+
+      const findings = checkLockfileHistory(path.join(tempDir, 'app', 'yarn.lock'), infectedPackages);
+      const ranges = findings.map(f => [f.introduced.subject, f.removed && f.removed.subject, f.branches]).sort();
+
+      assert.deepStrictEqual(ranges, [
+        ['Bump evil-pkg on fix', 'Drop evil-pkg 1.0.1 on fix', ['fix']],
+        ['Bump evil-pkg on main', null, ['main']],
+      ]);
+    });
+
+    it('should not run programs set in the scanned repository config', { skip: !hasGit }, () => {
+      git('init', '-q');
+      fs.writeFileSync(path.join(tempDir, '.gitattributes'), '*.lock diff=evil filter=evil\n');
+      commitLock('1.0.1', 'Add evil-pkg', '2025-11-24T10:00:00Z');
+
+      // Sign the commit, so that log.showSignature runs gpg.program
+      const commit = execFileSync('git', ['cat-file', 'commit', 'HEAD'], { cwd: tempDir, encoding: 'utf8' })
+        .replace(/^(committer .*\n)/m, '$1gpgsig -----BEGIN PGP SIGNATURE-----\n \n iQEzBAABCAAdFiEE\n -----END PGP SIGNATURE-----\n');
+      const signed = execFileSync('git', ['hash-object', '-t', 'commit', '-w', '--stdin'], { cwd: tempDir, input: commit, encoding: 'utf8' }).trim();
+      git('update-ref', 'refs/heads/main', signed);
+
+      const marker = path.join(tempDir, 'PWNED');
+      const evil = path.join(tempDir, 'evil.sh');
+      fs.writeFileSync(evil, `#!/bin/sh\ntouch '${marker}'\ncat\n`, { mode: 0o755 });
+      for (const key of ['gpg.program', 'core.fsmonitor', 'core.pager', 'diff.evil.textconv', 'diff.evil.command', 'filter.evil.smudge']) {
+        git('config', key, evil);
+      }
+      git('config', 'log.showSignature', 'true');
+
+      const findings = checkLockfileHistory(path.join(tempDir, 'app', 'yarn.lock'), infectedPackages);
+
+      assert.strictEqual(fs.existsSync(marker), false);
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].introduced.commit, signed);
+    });
+
+    it('should report nothing outside a git repository', () => {
+      fs.writeFileSync(path.join(tempDir, 'yarn.lock'), '"evil-pkg@^1.0.0":\n  version "1.0.1"\n');
+
+      assert.deepStrictEqual(checkLockfileHistory(path.join(tempDir, 'yarn.lock'), infectedPackages), []);
+    });
+  });
+
+  describe('formatCommit', () => {
+    it('should shorten the commit hash', () => {
+      const commit = { commit: '3f2a9c1d0b7e5a6b', author: 'Dev <dev@example.com>', date: '2025-11-24T10:00:00Z', subject: 'Update deps' };
+
+      assert.strictEqual(formatCommit(commit), '3f2a9c1d0b7e by Dev <dev@example.com> on 2025-11-24T10:00:00Z: Update deps');
+    });
+  });
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const { sha256File, parseManifest, verifyFile, verifyDatabases } = require('../lib/integrity');
+
+describe('integrity', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  function writeFeed(name = 'feed.md', content = '| Package | Version |\n|---|---|\n| bad-package | 1.0.0 |\n') {
+    const file = path.join(tempDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  function pin(file) {
+    fs.appendFileSync(path.join(tempDir, 'SHA256SUMS'), `${sha256File(file)}  ${path.basename(file)}\n`);
+  }
+
+  function createKeys() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const keyFile = path.join(tempDir, 'db-key.pub.pem');
+    fs.writeFileSync(keyFile, publicKey.export({ type: 'spki', format: 'pem' }));
+    return { keyFile, privateKey };
+  }
+
+  function sign(file, privateKey) {
+    const signature = crypto.sign(null, fs.readFileSync(file), privateKey);
+    fs.writeFileSync(file + '.sig', signature.toString('base64') + '\n');
+  }
+
+  describe('parseManifest', () => {
+    it('should parse sha256sum output, including binary mode markers', () => {
+      const digest = 'a'.repeat(64);
+      const entries = parseManifest(`${digest}  worm.md\n${digest.toUpperCase()} *packs.json\n\nnot a line\n`);
+
+      assert.strictEqual(entries.get('worm.md'), digest);
+      assert.strictEqual(entries.get('packs.json'), digest);
+      assert.strictEqual(entries.size, 2);
+    });
+  });
+
+  describe('verifyFile', () => {
+    it('should accept a file matching its pinned checksum', () => {
+      const file = writeFeed();
+      pin(file);
+
+      const result = verifyFile(file);
+
+      assert.strictEqual(result.status, 'pinned');
+      assert.strictEqual(result.method, 'checksum');
+      assert.strictEqual(result.sha256, sha256File(file));
+    });
+
+    it('should fail a file edited after pinning', () => {
+      const file = writeFeed();
+      pin(file);
+      fs.writeFileSync(file, '| Package | Version |\n|---|---|\n');
+
+      const result = verifyFile(file);
+
+      assert.strictEqual(result.status, 'failed');
+      assert.match(result.reason, /checksum mismatch/);
+    });
+
+    it('should report files without manifest entry or signature as unverified', () => {
+      const file = writeFeed();
+      assert.strictEqual(verifyFile(file).status, 'unverified');
+
+      pin(writeFeed('other.md'));
+      const result = verifyFile(file);
+      assert.strictEqual(result.status, 'unverified');
+      assert.match(result.reason, /not listed/);
+    });
+
+    it('should check detached signatures against the public key', () => {
+      const file = writeFeed();
+      const { keyFile, privateKey } = createKeys();
+      sign(file, privateKey);
+
+      const publicKey = crypto.createPublicKey(fs.readFileSync(keyFile));
+      assert.strictEqual(verifyFile(file, { publicKey }).status, 'signed');
+
+      fs.appendFileSync(file, '| another | 2.0.0 |\n');
+      const result = verifyFile(file, { publicKey });
+      assert.strictEqual(result.status, 'failed');
+      assert.match(result.reason, /invalid signature/);
+    });
+
+    it('should reject signatures made with another key', () => {
+      const file = writeFeed();
+      const { privateKey } = createKeys();
+      sign(file, privateKey);
+      const other = crypto.generateKeyPairSync('ed25519').publicKey;
+
+      assert.strictEqual(verifyFile(file, { publicKey: other }).status, 'failed');
+    });
+
+    it('should upgrade pinned files to signed when the manifest is signed', () => {
+      const file = writeFeed();
+      pin(file);
+      const { keyFile, privateKey } = createKeys();
+      sign(path.join(tempDir, 'SHA256SUMS'), privateKey);
+      const publicKey = crypto.createPublicKey(fs.readFileSync(keyFile));
+
+      const result = verifyFile(file, { publicKey });
+
+      assert.strictEqual(result.status, 'signed');
+      assert.strictEqual(result.method, 'signed-checksum');
+    });
+  });
+
+  describe('verifyDatabases', () => {
+    it('should pass pinned and unverified files unless strict', () => {
+      const pinned = writeFeed();
+      pin(pinned);
+      const unpinned = writeFeed('extra.csv', 'package,version\nbad,1.0.0\n');
+
+      const relaxed = verifyDatabases([pinned, unpinned]);
+      assert.strictEqual(relaxed.ok, true);
+      assert.strictEqual(relaxed.files.length, 2);
+
+      const strict = verifyDatabases([pinned, unpinned], { strict: true });
+      assert.strictEqual(strict.ok, false);
+      assert.deepStrictEqual(strict.failures.map(f => f.file), [unpinned]);
+    });
+
+    it('should fail bundled files whose manifest was deleted', () => {
+      const bundled = writeFeed();
+      pin(bundled);
+      const feed = path.join(tempDir, 'feeds', 'extra.csv');
+      fs.mkdirSync(path.dirname(feed));
+      fs.writeFileSync(feed, 'package,version\nbad,1.0.0\n');
+      assert.strictEqual(verifyDatabases([bundled, feed], { bundled: [bundled] }).ok, true);
+
+      fs.rmSync(path.join(tempDir, 'SHA256SUMS'));
+      const result = verifyDatabases([bundled, feed], { bundled: [bundled] });
+
+      assert.strictEqual(result.ok, false);
+      assert.deepStrictEqual(result.failures.map(f => f.file), [bundled]);
+      assert.match(result.failures[0].reason, /^bundled database file not pinned: no feed\.md\.sig or SHA256SUMS manifest/);
+    });
+
+    it('should always fail on a checksum mismatch', () => {
+      const file = writeFeed();
+      pin(file);
+      fs.appendFileSync(file, '\n');
+
+      const result = verifyDatabases([file]);
+
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.failures[0].status, 'failed');
+    });
+
+    it('should require signatures when a key is given', () => {
+      const file = writeFeed();
+      pin(file);
+      const { keyFile, privateKey } = createKeys();
+
+      assert.strictEqual(verifyDatabases([file], { keyFile, strict: true }).ok, false);
+      assert.strictEqual(verifyDatabases([file], { keyFile }).ok, false);
+
+      sign(file, privateKey);
+      assert.strictEqual(verifyDatabases([file], { keyFile, strict: true }).ok, true);
+      assert.strictEqual(verifyDatabases([file], { keyFile }).ok, true);
+    });
+
+    it('should fail when a signature is stripped and the manifest rewritten', () => {
+      const file = writeFeed();
+      const { keyFile, privateKey } = createKeys();
+      sign(file, privateKey);
+      assert.strictEqual(verifyDatabases([file], { keyFile }).ok, true);
+
+      fs.writeFileSync(file, '# Tampered\n');
+      fs.rmSync(`${file}.sig`);
+      pin(file);
+      const result = verifyDatabases([file], { keyFile });
+
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.failures[0].status, 'pinned');
+      assert.match(result.failures[0].reason, /not signed/);
+    });
+
+    it('should expand feed directories', () => {
+      writeFeed('a.md');
+      writeFeed('b.json', '[]');
+      fs.writeFileSync(path.join(tempDir, 'notes.pdf'), '');
+
+      const result = verifyDatabases([tempDir]);
+
+      assert.deepStrictEqual(result.files.map(f => path.basename(f.file)), ['a.md', 'b.json']);
+    });
+
+    it('should compute a digest that changes with the database content', () => {
+      const file = writeFeed();
+      const before = verifyDatabases([file]).digest;
+
+      assert.strictEqual(verifyDatabases([file]).digest, before);
+      assert.match(before, /^[0-9a-f]{64}$/);
+
+      fs.appendFileSync(file, '| another | 2.0.0 |\n');
+      assert.notStrictEqual(verifyDatabases([file]).digest, before);
+    });
+
+    it('should throw on an unreadable public key', () => {
+      const file = writeFeed();
+      const keyFile = writeFeed('key.pem', 'not a key');
+
+      assert.throws(() => verifyDatabases([file], { keyFile }), /Cannot load public key/);
+    });
+
+    it('should verify the bundled database against its pinned checksums', () => {
+      const root = path.join(__dirname, '..');
+      const result = verifyDatabases([
+        path.join(root, 'worm.md'),
+        path.join(root, 'packs', 'shai-hulud-2.json'),
+      ], { strict: true });
+
+      assert.strictEqual(result.ok, true, JSON.stringify(result.failures));
+      assert.ok(result.files.every(f => f.status === 'pinned'));
+    });
+  });
+});
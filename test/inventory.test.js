@@ -0,0 +1,145 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { readInventory, checkInventory } = require('../lib/inventory');
+
+describe('inventory', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  describe('readInventory', () => {
+    it('should list declared dependencies with their spec and type', () => {
+      const filePath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        dependencies: { 'left-pad': '^1.0.0' },
+        devDependencies: { 'test-lib': '2.0.0' },
+      }));
+
+      const entries = readInventory({ type: 'package.json', path: filePath });
+
+      assert.deepStrictEqual(entries, [
+        { package: 'left-pad', version: '^1.0.0', kind: 'declared', depType: 'dependencies', file: filePath },
+        { package: 'test-lib', version: '2.0.0', kind: 'declared', depType: 'devDependencies', file: filePath },
+      ]);
+    });
+
+    it('should list locked packages from v1 and v2/v3 lockfiles', () => {
+      const v2 = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(v2, JSON.stringify({
+        lockfileVersion: 2,
+        packages: {
+          '': { name: 'root' },
+          'node_modules/@scope/pkg': { version: '1.0.0' },
+          'node_modules/a': { version: '3.0.0' },
+          'node_modules/a/node_modules/b': { version: '2.0.0' },
+        },
+        dependencies: {
+          '@scope/pkg': { version: '1.0.0' },
+          a: { version: '3.0.0', dependencies: { b: { version: '2.0.0' } } },
+        },
+      }));
+      const v1 = path.join(tempDir, 'npm-shrinkwrap.json');
+      fs.writeFileSync(v1, JSON.stringify({
+        lockfileVersion: 1,
+        dependencies: { a: { version: '3.0.0', dependencies: { b: { version: '2.0.0' } } } },
+      }));
+
+      const entries = readInventory({ type: 'package-lock.json', path: v2 });
+
+      assert.deepStrictEqual(entries.map(e => `${e.package}@${e.version}`), ['@scope/pkg@1.0.0', 'a@3.0.0', 'b@2.0.0']);
+      assert.ok(entries.every(e => e.kind === 'locked' && e.file === v2));
+      assert.deepStrictEqual(readInventory({ type: 'package-lock.json', path: v1 }).map(e => `${e.package}@${e.version}`), ['a@3.0.0', 'b@2.0.0']);
+    });
+
+    it('should list aliased packages under their real name', () => {
+      const filePath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'root', dependencies: { myalias: 'npm:02-echo@0.0.7' } },
+          'node_modules/myalias': { name: '02-echo', version: '0.0.7' },
+        },
+      }));
+
+      const entries = readInventory({ type: 'package-lock.json', path: filePath });
+
+      assert.deepStrictEqual(entries.map(e => `${e.package}@${e.version}`), ['02-echo@0.0.7']);
+    });
+
+    it('should list installed packages, including scoped ones', () => {
+      const nodeModules = path.join(tempDir, 'node_modules');
+      for (const [name, version] of [['plain', '1.0.0'], ['@scope/pkg', '2.0.0']]) {
+        fs.mkdirSync(path.join(nodeModules, name), { recursive: true });
+        fs.writeFileSync(path.join(nodeModules, name, 'package.json'), JSON.stringify({ name, version }));
+      }
+      fs.mkdirSync(path.join(nodeModules, '.bin'));
+
+      const entries = readInventory({ type: 'node_modules', path: nodeModules });
+
+      assert.deepStrictEqual(entries.map(e => `${e.package}@${e.version}`).sort(), ['@scope/pkg@2.0.0', 'plain@1.0.0']);
+      assert.strictEqual(entries.find(e => e.package === 'plain').path, path.join(nodeModules, 'plain'));
+    });
+
+    it('should return no entries for unreadable files', () => {
+      const filePath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(filePath, '{ invalid');
+
+      assert.deepStrictEqual(readInventory({ type: 'package.json', path: filePath }), []);
+      assert.deepStrictEqual(readInventory({ type: 'node_modules', path: path.join(tempDir, 'missing') }), []);
+    });
+  });
+
+  describe('checkInventory', () => {
+    const infected = new Map([
+      ['bad-package', new Map([['1.0.0', { package: 'bad-package', version: '1.0.0', status: 'online', timestamp: null, id: '7', source: 'worm.md' }]])],
+    ]);
+
+    it('should report the finding type of each inventory kind', () => {
+      const findings = checkInventory([
+        { package: 'bad-package', version: '^1.0.0', kind: 'declared', depType: 'dependencies', file: '/p/package.json' },
+        { package: 'bad-package', version: '1.0.0', kind: 'locked', file: '/p/package-lock.json' },
+        { package: 'bad-package', version: '1.0.0', kind: 'installed', path: '/p/node_modules/bad-package' },
+        { package: 'bad-package', version: '2.0.0', kind: 'locked', file: '/p/package-lock.json' },
+        { package: 'good-package', version: '1.0.0', kind: 'locked', file: '/p/package-lock.json' },
+      ], infected);
+
+      assert.deepStrictEqual(findings.map(f => f.type), [
+        'RANGE_ALLOWS_INFECTED',
+        'INFECTED_LOCKED_PACKAGE',
+        'INSTALLED_INFECTED_PACKAGE',
+      ]);
+      assert.strictEqual(findings[0].declaredVersion, '^1.0.0');
+      assert.strictEqual(findings[2].path, '/p/node_modules/bad-package');
+      assert.strictEqual(findings[1].ioc.id, '7');
+    });
+
+    it('should match locked packages by tarball integrity', () => {
+      const database = new Map([
+        ['bad-package', new Map([['1.0.0', { package: 'bad-package', version: '1.0.0', status: null, timestamp: null, id: null, integrity: ['sha512-bad=='] }]])],
+      ]);
+
+      const findings = checkInventory([
+        { package: 'alias', version: '1.0.0', kind: 'locked', integrity: 'sha512-bad==', file: '/p/yarn.lock' },
+        { package: 'other', version: '1.0.0', kind: 'locked', integrity: 'sha512-good==', file: '/p/yarn.lock' },
+      ], database);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].package, 'alias');
+      assert.strictEqual(findings[0].knownAs, 'bad-package@1.0.0');
+    });
+  });
+});
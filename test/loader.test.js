@@ -93,6 +93,60 @@ another-pkg\t3.0.0\toffline
       assert.ok(packages.has('real-package'));
     });
 
+    it('should keep status, timestamp and ID columns', () => {
+      tempFile = path.join(tempDir, 'worm.md');
+      fs.writeFileSync(tempFile, `
+| Package | Version | Status | Timestamp | ID |
+|---------|---------|--------|-----------|----:|
+| live-package | 0.2.1 | online | 2025-11-24T04:10:59.022Z | 222 |
+| pulled-package | 1.0.0 | offline | | |
+`);
+
+      const packages = loadInfectedPackages(tempFile);
+
+      assert.deepStrictEqual(packages.get('live-package').get('0.2.1'), {
+        package: 'live-package',
+        version: '0.2.1',
+        status: 'online',
+        timestamp: '2025-11-24T04:10:59.022Z',
+        id: '222',
+        source: 'worm.md',
+      });
+      const pulled = packages.get('pulled-package').get('1.0.0');
+      assert.strictEqual(pulled.status, 'offline');
+      assert.strictEqual(pulled.timestamp, null);
+      assert.strictEqual(pulled.id, null);
+    });
+
+    it('should keep extra columns in tab-separated format', () => {
+      tempFile = path.join(tempDir, 'worm.md');
+      fs.writeFileSync(tempFile, 'bad-package\t1.0.0\tonline\t2025-11-24T11:20:20.244Z\t2562\n');
+
+      const record = loadInfectedPackages(tempFile).get('bad-package').get('1.0.0');
+
+      assert.strictEqual(record.status, 'online');
+      assert.strictEqual(record.timestamp, '2025-11-24T11:20:20.244Z');
+      assert.strictEqual(record.id, '2562');
+    });
+
+    it('should keep range and wildcard entries', () => {
+      tempFile = path.join(tempDir, 'worm.md');
+      fs.writeFileSync(tempFile, `
+| Package | Version | Status |
+|---------|---------|--------|
+| ranged-package | >=1.4.2 <1.4.6 | offline |
+| union-package | 1.0.1 \\|\\| 2.0.1 | offline |
+| @evil-scope/* | * | online |
+`);
+
+      const packages = loadInfectedPackages(tempFile);
+
+      assert.ok(packages.get('ranged-package').has('>=1.4.2 <1.4.6'));
+      assert.ok(packages.get('union-package').has('1.0.1 || 2.0.1'));
+      assert.strictEqual(packages.get('@evil-scope/*').get('*').status, 'online');
+      assert.strictEqual(getPackageStats(packages).rangeEntries, 3);
+    });
+
     it('should handle empty file', () => {
       tempFile = path.join(tempDir, 'worm.md');
       fs.writeFileSync(tempFile, '');
@@ -115,6 +169,19 @@ another-pkg\t3.0.0\toffline
       assert.strictEqual(stats.totalVersions, 3);
     });
 
+    it('should count versions that are still online', () => {
+      const packages = new Map();
+      packages.set('pkg1', new Map([
+        ['1.0.0', { package: 'pkg1', version: '1.0.0', status: 'online' }],
+        ['1.0.1', { package: 'pkg1', version: '1.0.1', status: 'offline' }],
+      ]));
+
+      const stats = getPackageStats(packages);
+
+      assert.strictEqual(stats.totalVersions, 2);
+      assert.strictEqual(stats.onlineVersions, 1);
+    });
+
     it('should handle empty map', () => {
       const packages = new Map();
       const stats = getPackageStats(packages);
@@ -0,0 +1,124 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parsePackageLock, findDependencyPaths } = require('../lib/packagelock');
+
+const V3_LOCKFILE = JSON.stringify({
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': {
+      name: 'app',
+      workspaces: ['packages/web'],
+      dependencies: { 'eslint-plugin-x': '^2.0.0', 'my-alias': 'npm:left-pad@^1.3.0' },
+      devDependencies: { tooling: '^1.0.0' },
+    },
+    'node_modules/eslint-plugin-x': { version: '2.0.0', dependencies: { 'infected-pkg': '^1.0.0' } },
+    'node_modules/eslint-plugin-x/node_modules/infected-pkg': { version: '1.0.3', integrity: 'sha512-abc==' },
+    'node_modules/tooling': { version: '1.1.0', dependencies: { helper: '^3.0.0' } },
+    'node_modules/helper': { version: '3.0.0', dependencies: { 'infected-pkg': '^2.0.0' } },
+    'node_modules/infected-pkg': { version: '2.0.1' },
+    'node_modules/my-alias': { name: 'left-pad', version: '1.3.0' },
+    'node_modules/web': { resolved: 'packages/web', link: true },
+    'packages/web': { name: 'web', version: '0.1.0', dependencies: { helper: '^3.0.0' } },
+  },
+});
+
+const V1_LOCKFILE = JSON.stringify({
+  name: 'legacy',
+  lockfileVersion: 1,
+  dependencies: {
+    'eslint-plugin-x': {
+      version: '2.0.0',
+      requires: { 'infected-pkg': '^1.0.0' },
+      dependencies: {
+        'infected-pkg': { version: '1.0.3' },
+      },
+    },
+    'infected-pkg': { version: '2.0.1' },
+    'my-alias': { version: 'npm:left-pad@1.3.0' },
+  },
+});
+
+describe('packagelock', () => {
+  describe('parsePackageLock', () => {
+    it('should list v2/v3 packages by install location', () => {
+      const { packages } = parsePackageLock(V3_LOCKFILE);
+
+      assert.deepStrictEqual(packages.map(pkg => `${pkg.location} ${pkg.name}@${pkg.version}`), [
+        'node_modules/eslint-plugin-x eslint-plugin-x@2.0.0',
+        'node_modules/eslint-plugin-x/node_modules/infected-pkg infected-pkg@1.0.3',
+        'node_modules/tooling tooling@1.1.0',
+        'node_modules/helper helper@3.0.0',
+        'node_modules/infected-pkg infected-pkg@2.0.1',
+        'node_modules/my-alias left-pad@1.3.0',
+      ]);
+      assert.strictEqual(packages[1].integrity, 'sha512-abc==');
+      assert.deepStrictEqual(packages[5].aliases, ['my-alias']);
+    });
+
+    it('should list v1 nested dependencies, resolving aliases', () => {
+      const { packages } = parsePackageLock(V1_LOCKFILE);
+
+      assert.deepStrictEqual(packages.map(pkg => `${pkg.location} ${pkg.name}@${pkg.version}`), [
+        'node_modules/eslint-plugin-x eslint-plugin-x@2.0.0',
+        'node_modules/eslint-plugin-x/node_modules/infected-pkg infected-pkg@1.0.3',
+        'node_modules/infected-pkg infected-pkg@2.0.1',
+        'node_modules/my-alias left-pad@1.3.0',
+      ]);
+      assert.deepStrictEqual(packages[3].aliases, ['my-alias']);
+    });
+
+    it('should reject other JSON files', () => {
+      assert.throws(() => parsePackageLock('{"name": "app"}'), /Not a package-lock.json file/);
+    });
+  });
+
+  describe('findDependencyPaths', () => {
+    it('should resolve the nearest nested copy first', () => {
+      const lockfile = parsePackageLock(V3_LOCKFILE);
+
+      assert.deepStrictEqual(findDependencyPaths(lockfile, 'node_modules/eslint-plugin-x/node_modules/infected-pkg'), [
+        ['app', 'eslint-plugin-x@2.0.0', 'infected-pkg@1.0.3'],
+      ]);
+    });
+
+    it('should list a path through every dependent, including workspaces', () => {
+      const lockfile = parsePackageLock(V3_LOCKFILE);
+
+      assert.deepStrictEqual(findDependencyPaths(lockfile, 'node_modules/helper'), [
+        ['app', 'tooling@1.1.0', 'helper@3.0.0'],
+        ['app', 'web', 'helper@3.0.0'],
+      ]);
+      assert.deepStrictEqual(findDependencyPaths(lockfile, 'node_modules/infected-pkg'), [
+        ['app', 'tooling@1.1.0', 'helper@3.0.0', 'infected-pkg@2.0.1'],
+      ]);
+    });
+
+    it('should use the given root dependencies for v1 lockfiles', () => {
+      const lockfile = parsePackageLock(V1_LOCKFILE, ['eslint-plugin-x', 'infected-pkg']);
+
+      assert.deepStrictEqual(findDependencyPaths(lockfile, 'node_modules/infected-pkg'), [['legacy', 'infected-pkg@2.0.1']]);
+      assert.deepStrictEqual(findDependencyPaths(lockfile, 'node_modules/eslint-plugin-x/node_modules/infected-pkg'), [
+        ['legacy', 'eslint-plugin-x@2.0.0', 'infected-pkg@1.0.3'],
+      ]);
+    });
+
+    it('should assume unrequired top-level v1 packages are root dependencies', () => {
+      const lockfile = parsePackageLock(V1_LOCKFILE);
+
+      assert.deepStrictEqual(findDependencyPaths(lockfile, 'node_modules/infected-pkg'), [['legacy', 'infected-pkg@2.0.1']]);
+    });
+
+    it('should return no paths for unreachable packages', () => {
+      const lockfile = parsePackageLock(JSON.stringify({
+        lockfileVersion: 3,
+        packages: { 'node_modules/orphan': { version: '1.0.0' } },
+      }));
+
+      assert.deepStrictEqual(findDependencyPaths(lockfile, 'node_modules/orphan'), []);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  loadPack,
+  loadPacks,
+  listPackFiles,
+  getDefaultIocs,
+  campaignsForFindings,
+} = require('../lib/packs');
+const { findMaliciousArtifacts } = require('../lib/scanner');
+
+describe('packs', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  function writePack(name, pack) {
+    const packFile = path.join(tempDir, name);
+    fs.writeFileSync(packFile, JSON.stringify(pack));
+    return packFile;
+  }
+
+  describe('loadPack', () => {
+    it('should load inline packages and feeds relative to the pack', () => {
+      fs.writeFileSync(path.join(tempDir, 'list.md'), '| Package | Version |\n|---|---|\n| feed-pkg | 1.0.0 |\n');
+      const packFile = writePack('test.json', {
+        campaign: 'test-campaign',
+        name: 'Test Campaign',
+        feeds: ['list.md'],
+        packages: [{ name: 'inline-pkg', version: '2.0.0' }],
+      });
+
+      const pack = loadPack(packFile);
+
+      assert.strictEqual(pack.name, 'Test Campaign');
+      assert.strictEqual(pack.packages.get('feed-pkg').get('1.0.0').campaign, 'test-campaign');
+      assert.strictEqual(pack.packages.get('inline-pkg').get('2.0.0').campaign, 'test-campaign');
+    });
+
+    it('should compile process patterns case-insensitively', () => {
+      const packFile = writePack('test.json', {
+        campaign: 'test-campaign',
+        processPatterns: ['evil_payload'],
+        workflowPatterns: ['^evil\\.yml$'],
+      });
+
+      const pack = loadPack(packFile);
+
+      assert.ok(pack.processPatterns[0].test('node EVIL_PAYLOAD.js'));
+      assert.ok(!pack.workflowPatterns[0].test('EVIL.yml'));
+    });
+
+    it('should reject a pack without a campaign ID', () => {
+      const packFile = writePack('bad.json', { name: 'No ID' });
+
+      assert.throws(() => loadPack(packFile), /"campaign" must be an ID/);
+    });
+
+    it('should reject invalid patterns', () => {
+      const packFile = writePack('bad.json', { campaign: 'bad', processPatterns: ['('] });
+
+      assert.throws(() => loadPack(packFile), /Invalid IOC pack/);
+    });
+  });
+
+  describe('loadPacks', () => {
+    it('should merge packs and let the first pack own shared indicators', () => {
+      const first = writePack('a.json', {
+        campaign: 'first',
+        artifacts: ['payload.js'],
+        packages: [{ name: 'shared-pkg', version: '1.0.0' }],
+      });
+      const second = writePack('b.json', {
+        campaign: 'second',
+        artifacts: ['payload.js', 'other.js'],
+        packages: [{ name: 'shared-pkg', version: '1.0.0' }, { name: 'own-pkg', version: '1.0.0' }],
+      });
+
+      const iocs = loadPacks([first, second]);
+
+      assert.deepStrictEqual(iocs.artifacts, [
+        { name: 'payload.js', campaign: 'first' },
+        { name: 'other.js', campaign: 'second' },
+      ]);
+      assert.strictEqual(iocs.infectedPackages.get('shared-pkg').get('1.0.0').campaign, 'first');
+      assert.strictEqual(iocs.infectedPackages.get('own-pkg').get('1.0.0').campaign, 'second');
+    });
+
+    it('should reject two packs for the same campaign', () => {
+      const first = writePack('a.json', { campaign: 'same' });
+      const second = writePack('b.json', { campaign: 'same' });
+
+      assert.throws(() => loadPacks([first, second]), /Duplicate IOC pack/);
+    });
+  });
+
+  describe('bundled packs', () => {
+    it('should include the Shai-Hulud 2 pack with the worm.md packages', () => {
+      const iocs = getDefaultIocs();
+
+      assert.ok(listPackFiles().some(file => file.endsWith('shai-hulud-2.json')));
+      assert.ok(iocs.packs.some(p => p.campaign === 'shai-hulud-2'));
+      assert.ok(iocs.infectedPackages.size > 0);
+      assert.ok(iocs.artifacts.some(a => a.name === 'setup_bun.js'));
+    });
+  });
+
+  describe('campaign tagging', () => {
+    it('should tag artifact findings with the campaign of their pack', () => {
+      const packFile = writePack('pack.json', {
+        campaign: 'next-worm',
+        artifacts: ['dropper.js'],
+        workflowPatterns: ['^exfil_\\d+\\.yml$'],
+      });
+      const projectDir = path.join(tempDir, 'project');
+      fs.mkdirSync(path.join(projectDir, '.github', 'workflows'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, 'dropper.js'), '');
+      fs.writeFileSync(path.join(projectDir, 'setup_bun.js'), '');
+      fs.writeFileSync(path.join(projectDir, '.github', 'workflows', 'exfil_42.yml'), '');
+
+      const results = findMaliciousArtifacts(projectDir, null, loadPacks([packFile]));
+
+      assert.strictEqual(results.length, 2);
+      assert.ok(results.every(r => r.campaign === 'next-worm'));
+    });
+
+    it('should pick the remediation of the campaigns found', () => {
+      const packs = [{ campaign: 'a' }, { campaign: 'b' }];
+
+      assert.deepStrictEqual(
+        campaignsForFindings({ critical: [{ campaign: 'b' }] }, packs),
+        [{ campaign: 'b' }],
+      );
+      assert.deepStrictEqual(campaignsForFindings({ critical: [{ campaign: null }] }, packs), packs);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { scoreJavaScript, scanJavaScriptFiles, checkPayloads, formatSignal } = require('../lib/payloads');
+
+const OBFUSCATED = Array.from({ length: 60 }, (_, i) => `var _0x${(0x1a2b + i).toString(16)}=${i};`).join('');
+
+const signalsOf = source => scoreJavaScript(source).signals.map(s => s.signal);
+
+describe('payloads', () => {
+  describe('scoreJavaScript', () => {
+    it('should score obfuscated code', () => {
+      const { score, signals } = scoreJavaScript(OBFUSCATED);
+
+      assert.strictEqual(score, 2);
+      assert.deepStrictEqual(signals, [{ signal: 'obfuscated', weight: 2, detail: '60 _0x identifiers' }]);
+    });
+
+    it('should score very long lines', () => {
+      assert.deepStrictEqual(signalsOf(`var a="${'x'.repeat(500000)}";`), ['large-single-line']);
+      assert.deepStrictEqual(signalsOf('var a = 1;\nvar b = 2;\n'), []);
+    });
+
+    it('should score Bun installation', () => {
+      assert.deepStrictEqual(signalsOf('exec("curl -fsSL https://bun.sh/install | bash")'), ['bun-install']);
+      assert.deepStrictEqual(signalsOf('exec("npm install -g bun")'), ['bun-install']);
+    });
+
+    it('should score TruffleHog invocation', () => {
+      assert.deepStrictEqual(signalsOf('spawn(path.join(dir, "trufflehog"), ["filesystem", home])'), ['trufflehog']);
+    });
+
+    it('should score .npmrc reads followed by publishing', () => {
+      const source = 'const npmrc = fs.readFileSync(path.join(home, ".npmrc"));\nexecSync("npm publish");';
+
+      assert.deepStrictEqual(signalsOf(source), ['npmrc-publish']);
+      assert.deepStrictEqual(signalsOf('execSync("npm publish");\nconst rc = ".npmrc";'), []);
+    });
+
+    it('should score GitHub repository creation', () => {
+      assert.deepStrictEqual(signalsOf('fetch("https://api.github.com/user/repos", { method: "POST" })'), ['github-repo-creation']);
+    });
+
+    it('should score campaign markers', () => {
+      const { signals } = scoreJavaScript('const description = "Sha1-Hulud: The Second Coming.";');
+
+      assert.deepStrictEqual(signals, [{ signal: 'campaign-marker', weight: 3, detail: 'contains "Sha1-Hulud: The Second Coming"' }]);
+    });
+
+    it('should add up signals', () => {
+      const source = `${OBFUSCATED}fetch("https://api.github.com/user/repos");exec("trufflehog filesystem /")`;
+
+      assert.strictEqual(scoreJavaScript(source).score, 6);
+    });
+  });
+
+  describe('scanJavaScriptFiles', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should report root JavaScript files at the threshold', () => {
+      fs.writeFileSync(path.join(tempDir, 'payload.js'), `${OBFUSCATED}exec("npm i -g bun")`);
+      fs.writeFileSync(path.join(tempDir, 'index.js'), 'module.exports = require("./lib");');
+      fs.writeFileSync(path.join(tempDir, 'octokit.mjs'), 'request("POST /user/repos")');
+      fs.writeFileSync(path.join(tempDir, 'notes.txt'), 'trufflehog trufflehog');
+      fs.mkdirSync(path.join(tempDir, 'lib'));
+      fs.writeFileSync(path.join(tempDir, 'lib', 'deep.js'), 'exec("trufflehog")');
+
+      const results = scanJavaScriptFiles(tempDir);
+
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].path, path.join(tempDir, 'payload.js'));
+      assert.strictEqual(results[0].score, 4);
+    });
+
+    it('should return warnings for project roots', () => {
+      fs.writeFileSync(path.join(tempDir, 'setup.cjs'), 'exec("trufflehog filesystem /")');
+
+      const findings = checkPayloads(tempDir);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'SUSPICIOUS_PAYLOAD');
+      assert.strictEqual(findings[0].severity, 'WARNING');
+      assert.strictEqual(findings[0].score, 3);
+    });
+
+    it('should ignore missing directories', () => {
+      assert.deepStrictEqual(scanJavaScriptFiles(path.join(tempDir, 'missing')), []);
+    });
+  });
+
+  describe('formatSignal', () => {
+    it('should format a signal with its weight', () => {
+      assert.strictEqual(formatSignal({ signal: 'trufflehog', weight: 3, detail: 'references TruffleHog' }), 'trufflehog (+3): references TruffleHog');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parsePnpmLock, parsePackageKey, parseYaml } = require('../lib/pnpm');
+
+const V6_WORKSPACE_LOCKFILE = `lockfileVersion: '6.0'
+
+settings:
+  autoInstallPeers: true
+
+importers:
+
+  .:
+    devDependencies:
+      typescript:
+        specifier: ^5.0.0
+        version: 5.3.3
+
+  packages/app:
+    dependencies:
+      '@scope/pkg':
+        specifier: ^2.0.0
+        version: 2.0.0(react@18.2.0)
+      my-alias:
+        specifier: npm:left-pad@^1.3.0
+        version: /left-pad@1.3.0
+      sibling:
+        specifier: workspace:*
+        version: link:../sibling
+
+packages:
+
+  /@scope/pkg@2.0.0(react@18.2.0):
+    resolution: {integrity: sha512-abc==}
+    peerDependencies:
+      react: ^18
+    dev: false
+
+  /left-pad@1.3.0:
+    resolution: {integrity: sha512-def==}
+    dev: false
+
+  /typescript@5.3.3:
+    resolution: {integrity: sha512-ghi==}
+    engines: {node: '>=14.17'}
+    dev: true
+    os:
+    - darwin
+    - linux
+
+  github.com/user/repo/abc123:
+    resolution: {tarball: https://codeload.github.com/user/repo/tar.gz/abc123}
+    name: repo
+    version: 1.0.0
+`;
+
+const V9_LOCKFILE = `lockfileVersion: '9.0'
+
+importers:
+  .:
+    dependencies:
+      my-alias:
+        specifier: npm:left-pad@^1.3.0
+        version: left-pad@1.3.0
+      '@scope/pkg':
+        specifier: ^2.0.0
+        version: 2.0.0(react@18.2.0)
+
+packages:
+  '@scope/pkg@2.0.0':
+    resolution: {integrity: sha512-abc==}
+  left-pad@1.3.0:
+    resolution: {integrity: sha512-def==}
+  react@18.2.0:
+    resolution: {integrity: sha512-jkl==}
+
+snapshots:
+  '@scope/pkg@2.0.0(react@18.2.0)':
+    dependencies:
+      react: 18.2.0
+  left-pad@1.3.0: {}
+  react@18.2.0: {}
+`;
+
+const V5_LOCKFILE = `lockfileVersion: 5.4
+
+specifiers:
+  left-pad: ^1.3.0
+
+dependencies:
+  left-pad: 1.3.0
+  '@scope/pkg': 2.0.0_react@18.2.0
+
+packages:
+  /left-pad/1.3.0:
+    resolution: {integrity: sha512-def==}
+  /@scope/pkg/2.0.0_react@18.2.0:
+    resolution: {integrity: sha512-abc==}
+`;
+
+describe('pnpm', () => {
+  describe('parsePnpmLock', () => {
+    it('should parse a v6 workspace lockfile with importers', () => {
+      const { lockfileVersion, packages } = parsePnpmLock(V6_WORKSPACE_LOCKFILE);
+
+      assert.strictEqual(lockfileVersion, '6.0');
+      assert.deepStrictEqual(packages.map(p => `${p.name}@${p.version}`), [
+        '@scope/pkg@2.0.0',
+        'left-pad@1.3.0',
+        'typescript@5.3.3',
+      ]);
+      assert.deepStrictEqual(packages[0].importers, ['packages/app']);
+      assert.deepStrictEqual(packages[2].importers, ['.']);
+      assert.strictEqual(packages[1].integrity, 'sha512-def==');
+    });
+
+    it('should resolve aliases to the real package', () => {
+      for (const content of [V6_WORKSPACE_LOCKFILE, V9_LOCKFILE]) {
+        const leftPad = parsePnpmLock(content).packages.find(p => p.name === 'left-pad');
+        assert.deepStrictEqual(leftPad.aliases, ['my-alias']);
+      }
+    });
+
+    it('should parse a v9 lockfile, with transitive packages', () => {
+      const { packages } = parsePnpmLock(V9_LOCKFILE);
+
+      assert.deepStrictEqual(packages.map(p => `${p.name}@${p.version}`), [
+        '@scope/pkg@2.0.0',
+        'left-pad@1.3.0',
+        'react@18.2.0',
+      ]);
+      assert.deepStrictEqual(packages[2].importers, []);
+    });
+
+    it('should parse a single-package v5 lockfile', () => {
+      const { packages } = parsePnpmLock(V5_LOCKFILE);
+
+      assert.deepStrictEqual(packages.map(p => `${p.name}@${p.version}`), ['left-pad@1.3.0', '@scope/pkg@2.0.0']);
+      assert.ok(packages.every(p => p.importers[0] === '.'));
+    });
+
+    it('should reject files without lockfileVersion', () => {
+      assert.throws(() => parsePnpmLock('packages: {}\n'), /Not a pnpm-lock.yaml/);
+    });
+  });
+
+  describe('parsePackageKey', () => {
+    it('should parse keys of every lockfile version', () => {
+      assert.deepStrictEqual(parsePackageKey('/@scope/pkg/2.0.0_react@18.2.0'), { name: '@scope/pkg', version: '2.0.0' });
+      assert.deepStrictEqual(parsePackageKey('/@scope/pkg@2.0.0(react@18.2.0)'), { name: '@scope/pkg', version: '2.0.0' });
+      assert.deepStrictEqual(parsePackageKey('left-pad@1.3.0-beta.1'), { name: 'left-pad', version: '1.3.0-beta.1' });
+    });
+
+    it('should ignore non-registry packages', () => {
+      assert.strictEqual(parsePackageKey('github.com/user/repo/abc123'), null);
+      assert.strictEqual(parsePackageKey('pkg@https://example.com/pkg.tgz'), null);
+    });
+  });
+
+  describe('parseYaml', () => {
+    it('should parse nested mappings, quoted keys and sequences', () => {
+      const doc = parseYaml("a:\n  'b/c':\n    d: \"1\"\n  list:\n  - x\n  - 'y'\ne: {f: g}\n");
+
+      assert.deepStrictEqual(doc, { a: { 'b/c': { d: '1' }, list: ['x', 'y'] }, e: '{f: g}' });
+    });
+  });
+});
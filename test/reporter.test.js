@@ -71,6 +71,30 @@ describe('reporter', () => {
 
       assert.deepStrictEqual(report.scan.directories, ['/dir1', '/dir2']);
     });
+
+    it('should record the package inventory', () => {
+      const inventory = [{ package: 'left-pad', version: '1.0.0', kind: 'locked', file: '/project/package-lock.json' }];
+
+      assert.deepStrictEqual(createReport(sampleFindings, {}, [], { inventory }).inventory, inventory);
+      assert.deepStrictEqual(createReport(sampleFindings, {}, []).inventory, []);
+    });
+
+    it('should record the measured throughput', () => {
+      const performance = { directories: 10, entries: 40, walkMs: 5, directoriesPerSecond: 2000, tasks: 3, taskMs: 2, tasksPerSecond: 1500, workers: 0 };
+
+      assert.deepStrictEqual(createReport(sampleFindings, {}, [], { performance }).performance, performance);
+      assert.strictEqual(createReport(sampleFindings, {}, []).performance, null);
+    });
+
+    it('should record the IOC database version and digest', () => {
+      const database = { version: 'shai-hulud-2@2025-11-24', digest: 'f'.repeat(64), verified: false, files: [] };
+      const report = createReport(sampleFindings, {}, [], { database });
+
+      assert.deepStrictEqual(report.meta.database, database);
+      assert.ok(generateMarkdown(report).includes(`- **IOC Database:** shai-hulud-2@2025-11-24 (SHA256 \`${'f'.repeat(64)}\`)`));
+      assert.ok(generateMarkdown(report).includes('**Database Integrity:** **FAILED**'));
+      assert.ok(generateHtml(report).includes('INTEGRITY CHECK FAILED'));
+    });
   });
 
   describe('generateMarkdown', () => {
@@ -106,6 +130,77 @@ describe('reporter', () => {
       assert.ok(!md.includes('Recommended Actions'));
     });
 
+    it('should use the remediation steps of the campaign found', () => {
+      const pack = {
+        campaign: 'next-worm',
+        name: 'Next Worm',
+        references: [{ title: 'Next Worm Writeup', url: 'https://example.com/next-worm' }],
+        remediation: ['Purge `next-worm` from the cache'],
+      };
+      const findings = {
+        critical: [{ type: 'MALICIOUS_ARTIFACT', severity: 'CRITICAL', artifact: 'dropper.js', campaign: 'next-worm' }],
+        warning: [],
+        info: [],
+      };
+      const report = createReport(findings, {}, ['/project'], { packs: [pack] });
+      const md = generateMarkdown(report);
+      const html = generateHtml(report);
+
+      assert.ok(md.includes('1. Purge `next-worm` from the cache'));
+      assert.ok(md.includes('- **Campaign:** next-worm'));
+      assert.ok(md.includes('[Next Worm Writeup](https://example.com/next-worm)'));
+      assert.ok(html.includes('<li>Purge <code>next-worm</code> from the cache</li>'));
+    });
+
+    it('should include lockfile history ranges', () => {
+      const commit = (hash, date, subject) => ({ commit: hash, author: 'Dev <dev@example.com>', date, subject });
+      const findings = {
+        critical: [{
+          type: 'LOCKFILE_HISTORY_EXPOSURE',
+          severity: 'CRITICAL',
+          package: 'bad-package',
+          version: '1.0.0',
+          file: '/project/yarn.lock',
+          introduced: commit('aaaaaaaaaaaabbbb', '2025-11-24T10:00:00Z', 'Bump <bad-package>'),
+          removed: null,
+          branches: ['main'],
+        }],
+        warning: [],
+        info: [],
+      };
+      const report = createReport(findings, {}, ['/project']);
+      const md = generateMarkdown(report);
+      const html = generateHtml(report);
+
+      assert.ok(md.includes('- **Locked In:** aaaaaaaaaaaa by Dev <dev@example.com> on 2025-11-24T10:00:00Z: Bump <bad-package>'));
+      assert.ok(md.includes('- **Removed In:** still locked on the newest commits'));
+      assert.ok(md.includes('- **Branches:** `main`'));
+      assert.ok(html.includes('Bump &lt;bad-package&gt;'));
+    });
+
+    it('should include cache purge commands', () => {
+      const findings = {
+        critical: [{
+          type: 'CACHED_INFECTED_PACKAGE',
+          severity: 'CRITICAL',
+          package: 'bad-package',
+          version: '1.0.0',
+          cache: 'yarn',
+          path: '/home/dev/.cache/yarn/v6/npm-bad-package-1.0.0',
+          purge: ['rm -rf \'/home/dev/.cache/yarn/v6/npm-bad-package-1.0.0\''],
+        }],
+        warning: [],
+        info: [],
+      };
+      const report = createReport(findings, {}, ['/project']);
+      const md = generateMarkdown(report);
+      const html = generateHtml(report);
+
+      assert.ok(md.includes('- **Cache:** yarn'));
+      assert.ok(md.includes('```sh\nrm -rf \'/home/dev/.cache/yarn/v6/npm-bad-package-1.0.0\'\n```'));
+      assert.ok(html.includes('<strong>Purge:</strong><pre><code>rm -rf \'/home/dev/.cache/yarn/v6/npm-bad-package-1.0.0\'</code></pre>'));
+    });
+
     it('should include references', () => {
       const report = createReport(sampleFindings, {}, ['/project']);
       const md = generateMarkdown(report);
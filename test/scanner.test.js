@@ -6,7 +6,10 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
-const { findPackageFiles, findMaliciousArtifacts } = require('../lib/scanner');
+const crypto = require('crypto');
+
+const { findPackageFiles, findInstalledPackages, findMaliciousArtifacts, scanTree } = require('../lib/scanner');
+const { createIocSet, addPack } = require('../lib/packs');
 
 describe('scanner', () => {
   let tempDir;
@@ -40,6 +43,31 @@ describe('scanner', () => {
       assert.strictEqual(results[0].type, 'package-lock.json');
     });
 
+    it('should find yarn.lock', () => {
+      fs.writeFileSync(path.join(tempDir, 'yarn.lock'), '# yarn lockfile v1\n');
+
+      const results = findPackageFiles(tempDir);
+
+      assert.deepStrictEqual(results.map(r => r.type), ['yarn.lock']);
+    });
+
+    it('should find pnpm-lock.yaml', () => {
+      fs.writeFileSync(path.join(tempDir, 'pnpm-lock.yaml'), 'lockfileVersion: \'9.0\'\n');
+
+      const results = findPackageFiles(tempDir);
+
+      assert.deepStrictEqual(results.map(r => r.type), ['pnpm-lock.yaml']);
+    });
+
+    it('should find bun.lock and bun.lockb', () => {
+      fs.writeFileSync(path.join(tempDir, 'bun.lock'), '{"lockfileVersion": 1}');
+      fs.writeFileSync(path.join(tempDir, 'bun.lockb'), '#!/usr/bin/env bun\nbun-lockfile-format-v0\n');
+
+      const results = findPackageFiles(tempDir);
+
+      assert.deepStrictEqual(results.map(r => r.type).sort(), ['bun.lock', 'bun.lockb']);
+    });
+
     it('should find node_modules directory', () => {
       fs.mkdirSync(path.join(tempDir, 'node_modules'));
 
@@ -74,6 +102,33 @@ describe('scanner', () => {
       assert.ok(results[0].path.includes('.github'));
     });
 
+    it('should find git repositories without recursing into them', () => {
+      fs.mkdirSync(path.join(tempDir, '.git', 'hooks'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, '.git', 'hooks', 'package.json'), '{}');
+      fs.mkdirSync(path.join(tempDir, 'submodule'));
+      fs.writeFileSync(path.join(tempDir, 'submodule', '.git'), 'gitdir: ../.git/modules/submodule\n');
+
+      const results = findPackageFiles(tempDir);
+
+      assert.deepStrictEqual(results.map(r => r.type), ['git', 'git']);
+      assert.deepStrictEqual(results.map(r => path.relative(tempDir, r.path)).sort(), ['.git', path.join('submodule', '.git')]);
+    });
+
+    it('should find GitHub Actions workflows', () => {
+      const workflowDir = path.join(tempDir, '.github', 'workflows');
+      fs.mkdirSync(workflowDir, { recursive: true });
+      fs.writeFileSync(path.join(workflowDir, 'ci.yml'), 'on: push\n');
+      fs.writeFileSync(path.join(workflowDir, 'release.yaml'), 'on: push\n');
+      fs.writeFileSync(path.join(workflowDir, 'README.md'), '');
+      fs.mkdirSync(path.join(tempDir, 'workflows'));
+      fs.writeFileSync(path.join(tempDir, 'workflows', 'other.yml'), '');
+
+      const results = findPackageFiles(tempDir);
+
+      assert.deepStrictEqual(results.map(r => r.type), ['workflow', 'workflow']);
+      assert.deepStrictEqual(results.map(r => path.basename(r.path)).sort(), ['ci.yml', 'release.yaml']);
+    });
+
     it('should call error handler on permission error', () => {
       const errors = [];
       const onError = (filePath, err) => errors.push({ filePath, err });
@@ -100,6 +155,38 @@ describe('scanner', () => {
     });
   });
 
+  describe('findInstalledPackages', () => {
+    it('should list nested copies with their nesting path', () => {
+      const nmPath = path.join(tempDir, 'node_modules');
+      fs.mkdirSync(path.join(nmPath, 'foo', 'node_modules', '@scope', 'bar'), { recursive: true });
+      fs.mkdirSync(path.join(nmPath, '@scope', 'bar'), { recursive: true });
+
+      const results = findInstalledPackages(nmPath)
+        .map(pkg => ({ name: pkg.name, nesting: pkg.nesting }))
+        .sort((a, b) => a.nesting.length - b.nesting.length || a.name.localeCompare(b.name));
+
+      assert.deepStrictEqual(results, [
+        { name: '@scope/bar', nesting: [] },
+        { name: 'foo', nesting: [] },
+        { name: '@scope/bar', nesting: ['foo'] },
+      ]);
+    });
+
+    it('should not loop on symlinked node_modules directories', () => {
+      const nmPath = path.join(tempDir, 'node_modules');
+      fs.mkdirSync(path.join(nmPath, 'foo'), { recursive: true });
+      fs.symlinkSync(nmPath, path.join(nmPath, 'foo', 'node_modules'), 'dir');
+
+      const results = findInstalledPackages(nmPath);
+
+      assert.deepStrictEqual(results.map(pkg => pkg.name), ['foo']);
+    });
+
+    it('should throw if the node_modules directory cannot be read', () => {
+      assert.throws(() => findInstalledPackages(path.join(tempDir, 'missing')));
+    });
+  });
+
   describe('findMaliciousArtifacts', () => {
     it('should find setup_bun.js', () => {
       fs.writeFileSync(path.join(tempDir, 'setup_bun.js'), '');
@@ -198,5 +285,188 @@ describe('scanner', () => {
       assert.strictEqual(results.length, 1);
       assert.strictEqual(results[0].artifact, 'environment.json');
     });
+
+    it('should report name-only matches with their SHA256', () => {
+      fs.writeFileSync(path.join(tempDir, 'environment.json'), '{}');
+
+      const results = findMaliciousArtifacts(tempDir);
+
+      assert.strictEqual(results[0].match, 'name');
+      assert.strictEqual(results[0].sha256, crypto.createHash('sha256').update('{}').digest('hex'));
+    });
+
+    it('should confirm files whose SHA256 is a known malware sample, whatever their name', () => {
+      const payload = 'console.log("payload")';
+      const digest = crypto.createHash('sha256').update(payload).digest('hex');
+      const iocs = addPack(createIocSet(), {
+        campaign: 'next-worm',
+        file: 'next-worm.json',
+        packages: new Map(),
+        artifacts: ['dropper.js', 'loader.js'],
+        hashes: { 'dropper.js': [digest.toUpperCase()] },
+        workflowPatterns: [],
+        processPatterns: [],
+        githubMarkers: null,
+      });
+      fs.writeFileSync(path.join(tempDir, 'dropper.js'), payload);
+      fs.mkdirSync(path.join(tempDir, 'lib'));
+      fs.writeFileSync(path.join(tempDir, 'lib', 'loader.js'), payload);
+      fs.writeFileSync(path.join(tempDir, 'lib', 'dropper.js'), 'module.exports = {}');
+
+      const results = findMaliciousArtifacts(tempDir, null, iocs)
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+      assert.deepStrictEqual(results.map(r => [path.relative(tempDir, r.path), r.match]), [
+        ['dropper.js', 'hash'],
+        [path.join('lib', 'dropper.js'), 'name'],
+        [path.join('lib', 'loader.js'), 'hash'],
+      ]);
+      assert.strictEqual(results[0].sha256, digest);
+      assert.strictEqual(results[0].campaign, 'next-worm');
+    });
+
+    it('should not hash workflow pattern matches', () => {
+      const workflowDir = path.join(tempDir, '.github', 'workflows');
+      fs.mkdirSync(workflowDir, { recursive: true });
+      fs.writeFileSync(path.join(workflowDir, 'formatter_12345.yml'), '');
+
+      const results = findMaliciousArtifacts(tempDir);
+
+      assert.strictEqual(results[0].match, 'pattern');
+      assert.strictEqual(results[0].sha256, null);
+    });
+  });
+
+  describe('scanTree', () => {
+    it('should find package files and artifact candidates in one walk', async () => {
+      fs.writeFileSync(path.join(tempDir, 'package.json'), '{}');
+      fs.mkdirSync(path.join(tempDir, 'node_modules', 'pkg'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'node_modules', 'pkg', 'bun_environment.js'), '');
+      fs.mkdirSync(path.join(tempDir, 'app'));
+      fs.writeFileSync(path.join(tempDir, 'app', 'yarn.lock'), '');
+      fs.writeFileSync(path.join(tempDir, 'app', 'setup_bun.js'), '');
+
+      const { packageFiles, artifacts, stats } = await scanTree(tempDir, { concurrency: 2 });
+
+      assert.deepStrictEqual(packageFiles.map(f => [path.relative(tempDir, f.path), f.type]), [
+        [path.join('app', 'yarn.lock'), 'yarn.lock'],
+        ['node_modules', 'node_modules'],
+        ['package.json', 'package.json'],
+      ]);
+      // node_modules is left to checkNodeModules
+      assert.deepStrictEqual(artifacts.map(a => path.relative(tempDir, a.path)), [path.join('app', 'setup_bun.js')]);
+      assert.strictEqual(artifacts[0].match, undefined);
+      assert.strictEqual(stats.directories, 2);
+    });
+
+    it('should match findPackageFiles and findMaliciousArtifacts', async () => {
+      fs.mkdirSync(path.join(tempDir, '.github', 'workflows'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, '.github', 'workflows', 'discussion.yaml'), '');
+      fs.mkdirSync(path.join(tempDir, '.cache', 'sub'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, '.cache', 'package.json'), '{}');
+      fs.writeFileSync(path.join(tempDir, '.cache', 'sub', 'cloud.json'), '');
+      fs.mkdirSync(path.join(tempDir, '.git'));
+
+      const byPath = (a, b) => a.path.localeCompare(b.path);
+      const { packageFiles, artifacts } = await scanTree(tempDir);
+
+      assert.deepStrictEqual(packageFiles, findPackageFiles(tempDir).sort(byPath));
+      assert.deepStrictEqual(
+        artifacts.map(a => a.path),
+        findMaliciousArtifacts(tempDir).sort(byPath).map(a => a.path),
+      );
+    });
+
+    it('should report unreadable directories', async () => {
+      const errors = [];
+
+      await scanTree(path.join(tempDir, 'missing'), {}, p => errors.push(p));
+
+      assert.deepStrictEqual(errors, [path.join(tempDir, 'missing')]);
+    });
+  });
+
+  describe('walk rules', () => {
+    const relative = results => results.map(r => path.relative(tempDir, r.path)).sort();
+
+    beforeEach(() => {
+      for (const dir of ['app/dist', 'app/src', '.config/tool', 'vendor/lib']) {
+        fs.mkdirSync(path.join(tempDir, dir), { recursive: true });
+      }
+      for (const dir of ['app', 'app/dist', 'app/src', '.config/tool', 'vendor/lib']) {
+        fs.writeFileSync(path.join(tempDir, dir, 'package.json'), '{}');
+      }
+    });
+
+    it('should skip excluded entries and scan included hidden ones', () => {
+      const results = findPackageFiles(tempDir, { exclude: ['dist', 'vendor/**'], include: ['.config'] });
+
+      assert.deepStrictEqual(relative(results), [
+        path.join('.config', 'tool', 'package.json'),
+        path.join('app', 'package.json'),
+        path.join('app', 'src', 'package.json'),
+      ].sort());
+    });
+
+    it('should read .wormbusterignore in the scanned root', async () => {
+      fs.writeFileSync(path.join(tempDir, '.wormbusterignore'), '# build output\ndist/\nvendor\n');
+      fs.writeFileSync(path.join(tempDir, 'vendor', 'lib', 'setup_bun.js'), '');
+
+      const { packageFiles, artifacts } = await scanTree(tempDir);
+
+      assert.deepStrictEqual(relative(packageFiles), [path.join('app', 'package.json'), path.join('app', 'src', 'package.json')]);
+      assert.deepStrictEqual(artifacts, []);
+    });
+
+    it('should limit the depth', () => {
+      assert.deepStrictEqual(relative(findPackageFiles(tempDir, { maxDepth: 0 })), []);
+      assert.deepStrictEqual(relative(findPackageFiles(tempDir, { maxDepth: 1 })), [path.join('app', 'package.json')]);
+    });
+
+    it('should only enter symlinked directories when following symlinks', () => {
+      const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+      try {
+        fs.writeFileSync(path.join(workspace, 'package.json'), '{}');
+        fs.symlinkSync(workspace, path.join(tempDir, 'linked'), 'dir');
+
+        assert.ok(!relative(findPackageFiles(tempDir)).includes(path.join('linked', 'package.json')));
+        assert.ok(relative(findPackageFiles(tempDir, { followSymlinks: true })).includes(path.join('linked', 'package.json')));
+      } finally {
+        fs.rmSync(workspace, { recursive: true });
+      }
+    });
+
+    it('should detect symlink loops', async () => {
+      fs.symlinkSync(tempDir, path.join(tempDir, 'app', 'src', 'root'), 'dir');
+      fs.symlinkSync(path.join(tempDir, 'vendor'), path.join(tempDir, 'app', 'vendor'), 'dir');
+      const errors = [];
+
+      const { packageFiles } = await scanTree(tempDir, { followSymlinks: true }, (p, err) => errors.push([path.relative(tempDir, p), err.message]));
+
+      assert.ok(errors.some(([p, message]) => p === path.join('app', 'src', 'root') && /Symlink loop/.test(message)));
+      // Links into the scanned directory are not walked twice
+      assert.strictEqual(packageFiles.filter(f => f.path.endsWith(path.join('lib', 'package.json'))).length, 1);
+    });
+
+    it('should enter each symlink target once', () => {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+      try {
+        fs.mkdirSync(path.join(outside, 'a'));
+        fs.mkdirSync(path.join(outside, 'b'));
+        fs.writeFileSync(path.join(outside, 'a', 'package.json'), '{}');
+        // a and b link to each other, and are both linked from the root
+        fs.symlinkSync(path.join(outside, 'b'), path.join(outside, 'a', 'b'), 'dir');
+        fs.symlinkSync(path.join(outside, 'a'), path.join(outside, 'b', 'a'), 'dir');
+        fs.symlinkSync(path.join(outside, 'a'), path.join(tempDir, 'a'), 'dir');
+        fs.symlinkSync(path.join(outside, 'a'), path.join(tempDir, 'a2'), 'dir');
+
+        const results = findPackageFiles(tempDir, { followSymlinks: true });
+
+        const target = fs.realpathSync(path.join(outside, 'a', 'package.json'));
+        assert.strictEqual(results.filter(f => fs.realpathSync(f.path) === target).length, 1);
+      } finally {
+        fs.rmSync(outside, { recursive: true });
+      }
+    });
   });
 });
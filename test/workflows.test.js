@@ -0,0 +1,183 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { checkWorkflow, parseWorkflowYaml } = require('../lib/workflows');
+const { createIocSet, addPack } = require('../lib/packs');
+
+const DISCUSSION_WORKFLOW = `name: Discussion Create
+on:
+  discussion:
+    types: [created]
+jobs:
+  process:
+    env:
+      RUNNER_TRACKING_ID: 0
+    runs-on: self-hosted
+    steps:
+      - uses: actions/checkout@v5
+      - name: Handle Discussion
+        run: echo \${{ github.event.discussion.body }}
+`;
+
+describe('workflows', () => {
+  describe('parseWorkflowYaml', () => {
+    it('should parse mappings, sequences of mappings and flow collections', () => {
+      const { document } = parseWorkflowYaml(DISCUSSION_WORKFLOW);
+
+      assert.deepStrictEqual(document.on, { discussion: { types: ['created'] } });
+      assert.strictEqual(document.jobs.process['runs-on'], 'self-hosted');
+      assert.deepStrictEqual(document.jobs.process.steps, [
+        { uses: 'actions/checkout@v5' },
+        { name: 'Handle Discussion', run: 'echo ${{ github.event.discussion.body }}' },
+      ]);
+    });
+
+    it('should parse block scalars, comments and quoted values', () => {
+      const { document } = parseWorkflowYaml([
+        'jobs:',
+        '  build:  # the build',
+        '    runs-on: [ubuntu-latest, "self-hosted"]',
+        '    steps:',
+        '    - run: |',
+        '        npm ci',
+        '',
+        '        # not a comment',
+        '        npm test',
+        '    - name: \'It\'\'s done\'',
+        '      run: >-',
+        '        echo one',
+        '        two',
+      ].join('\n'));
+
+      const { build } = document.jobs;
+      assert.deepStrictEqual(build['runs-on'], ['ubuntu-latest', 'self-hosted']);
+      assert.strictEqual(build.steps[0].run, 'npm ci\n\n# not a comment\nnpm test');
+      assert.strictEqual(build.steps[1].name, 'It\'s done');
+      assert.strictEqual(build.steps[1].run, 'echo one two');
+    });
+
+    it('should locate mappings by line', () => {
+      const { document, lineOf } = parseWorkflowYaml(DISCUSSION_WORKFLOW);
+
+      assert.strictEqual(lineOf(document.jobs.process), 6);
+      assert.strictEqual(lineOf(document.jobs.process.steps[1]), 12);
+    });
+  });
+
+  describe('checkWorkflow', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worm-buster-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const writeWorkflow = content => {
+      const filePath = path.join(tempDir, 'workflow.yml');
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    };
+
+    it('should report jobs running on the worm runner', () => {
+      const filePath = writeWorkflow('on: push\njobs:\n  build:\n    runs-on: [self-hosted, sha1hulud]\n    steps:\n      - run: make\n');
+
+      const findings = checkWorkflow(filePath);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'WORKFLOW_MALICIOUS_RUNNER');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+      assert.strictEqual(findings[0].file, filePath);
+      assert.strictEqual(findings[0].job, 'build');
+      assert.strictEqual(findings[0].line, 3);
+      assert.strictEqual(findings[0].campaign, 'shai-hulud-2');
+    });
+
+    it('should use the runner names of the IOC set', () => {
+      const filePath = writeWorkflow('jobs:\n  build:\n    runs-on:\n      labels: [EVIL]\n');
+      const iocs = addPack(createIocSet(), {
+        campaign: 'test-campaign',
+        packages: [],
+        artifacts: [],
+        hashes: {},
+        workflowPatterns: [],
+        processPatterns: [],
+        githubMarkers: { runnerName: 'EVIL' },
+      });
+
+      const findings = checkWorkflow(filePath, {}, iocs);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].campaign, 'test-campaign');
+    });
+
+    it('should report the discussion body interpolated into run', () => {
+      const filePath = writeWorkflow(DISCUSSION_WORKFLOW);
+
+      const findings = checkWorkflow(filePath);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'WORKFLOW_DISCUSSION_INJECTION');
+      assert.strictEqual(findings[0].job, 'process');
+      assert.strictEqual(findings[0].step, 'Handle Discussion');
+      assert.strictEqual(findings[0].line, 12);
+    });
+
+    it('should not report the discussion body without a discussion trigger', () => {
+      const filePath = writeWorkflow(DISCUSSION_WORKFLOW.replace('discussion:\n    types: [created]', 'push:'));
+
+      assert.deepStrictEqual(checkWorkflow(filePath), []);
+    });
+
+    it('should report secrets dumped to artifacts as critical', () => {
+      const filePath = writeWorkflow([
+        'on: push',
+        'jobs:',
+        '  format:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - run: echo \'${{ toJSON(secrets) }}\' > format-results.txt',
+        '      - uses: actions/upload-artifact@v4',
+        '        with: { name: formatting, path: format-results.txt }',
+      ].join('\n'));
+
+      const findings = checkWorkflow(filePath);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].type, 'WORKFLOW_SECRETS_DUMP');
+      assert.strictEqual(findings[0].severity, 'CRITICAL');
+      assert.strictEqual(findings[0].step, 'step 1');
+      assert.strictEqual(findings[0].line, 6);
+    });
+
+    it('should warn about secrets serialized without artifacts', () => {
+      const filePath = writeWorkflow('jobs:\n  deploy:\n    steps:\n      - uses: ./deploy\n        env:\n          ALL: ${{ toJSON(secrets) }}\n');
+
+      const findings = checkWorkflow(filePath);
+
+      assert.strictEqual(findings.length, 1);
+      assert.strictEqual(findings[0].severity, 'WARNING');
+      assert.strictEqual(findings[0].step, './deploy');
+    });
+
+    it('should not report ordinary workflows', () => {
+      const filePath = writeWorkflow('on: [push, pull_request]\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: actions/checkout@v5\n      - run: npm ci && npm test\n');
+
+      assert.deepStrictEqual(checkWorkflow(filePath), []);
+    });
+
+    it('should report unreadable workflows in verbose mode', () => {
+      const filePath = path.join(tempDir, 'missing.yml');
+
+      assert.deepStrictEqual(checkWorkflow(filePath), []);
+      assert.strictEqual(checkWorkflow(filePath, { verbose: true })[0].type, 'PARSE_ERROR');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseYarnLock, splitDescriptor } = require('../lib/yarn');
+
+const V1_LOCKFILE = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@babel/code-frame@^7.0.0", "@babel/code-frame@^7.10.4":
+  version "7.12.13"
+  resolved "https://registry.yarnpkg.com/@babel/code-frame/-/code-frame-7.12.13.tgz#dcfc826b"
+  integrity sha512-HV1Cm0Q3ZrpCR93tkWOYiuYIgLxZXZFVG2VgK+MBWjUqZTundupbfx2aXarXuw5Ko5aMcjtJgbSs4vUGBS5v6g==
+  dependencies:
+    "@babel/highlight" "^7.12.13"
+
+"my-alias@npm:@scope/left-pad@^1.0.0":
+  version "1.3.0"
+  resolved "https://registry.yarnpkg.com/@scope/left-pad/-/left-pad-1.3.0.tgz"
+
+local-lib@file:../local-lib:
+  version "0.0.1"
+`;
+
+const BERRY_LOCKFILE = `# This file is generated by running "yarn install" inside your project.
+
+__metadata:
+  version: 6
+  cacheKey: 8
+
+"@babel/code-frame@npm:^7.0.0, @babel/code-frame@npm:^7.10.4":
+  version: 7.12.13
+  resolution: "@babel/code-frame@npm:7.12.13"
+  dependencies:
+    "@babel/highlight": ^7.12.13
+  checksum: 471532bb7c
+  languageName: node
+  linkType: hard
+
+"my-alias@npm:left-pad@^1.0.0":
+  version: 1.3.0
+  resolution: "left-pad@npm:1.3.0"
+
+"resolve@patch:resolve@^1.20.0#~builtin<compat/resolve>":
+  version: 1.22.1
+  resolution: "resolve@patch:resolve@npm%3A1.22.1#~builtin<compat/resolve>::version=1.22.1&hash=07638b"
+
+"root@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "root@workspace:."
+`;
+
+describe('yarn', () => {
+  describe('parseYarnLock', () => {
+    it('should parse a classic v1 lockfile', () => {
+      const { format, packages } = parseYarnLock(V1_LOCKFILE);
+
+      assert.strictEqual(format, 'v1');
+      assert.deepStrictEqual(packages.map(p => `${p.name}@${p.version}`), [
+        '@babel/code-frame@7.12.13',
+        '@scope/left-pad@1.3.0',
+      ]);
+      assert.ok(packages[0].integrity.startsWith('sha512-'));
+    });
+
+    it('should follow npm: aliases in v1 descriptors', () => {
+      const { packages } = parseYarnLock(V1_LOCKFILE);
+
+      assert.deepStrictEqual(packages[1].aliases, ['my-alias']);
+      assert.deepStrictEqual(packages[0].aliases, []);
+    });
+
+    it('should parse a Berry lockfile from its resolutions', () => {
+      const { format, packages } = parseYarnLock(BERRY_LOCKFILE);
+
+      assert.strictEqual(format, 'berry');
+      assert.deepStrictEqual(packages.map(p => `${p.name}@${p.version}`), [
+        '@babel/code-frame@7.12.13',
+        'left-pad@1.3.0',
+        'resolve@1.22.1',
+      ]);
+      assert.deepStrictEqual(packages[1].aliases, ['my-alias']);
+    });
+
+    it('should skip workspace and local packages', () => {
+      const names = [
+        ...parseYarnLock(V1_LOCKFILE).packages,
+        ...parseYarnLock(BERRY_LOCKFILE).packages,
+      ].map(p => p.name);
+
+      assert.ok(!names.includes('local-lib'));
+      assert.ok(!names.includes('root'));
+    });
+
+    it('should handle CRLF line endings', () => {
+      const { packages } = parseYarnLock(V1_LOCKFILE.replace(/\n/g, '\r\n'));
+
+      assert.strictEqual(packages[0].version, '7.12.13');
+    });
+
+    it('should reject files that are not yarn lockfiles', () => {
+      assert.throws(() => parseYarnLock('hello world'), /Not a yarn.lock/);
+    });
+  });
+
+  describe('splitDescriptor', () => {
+    it('should split scoped and unscoped descriptors', () => {
+      assert.deepStrictEqual(splitDescriptor('@scope/pkg@^1.0.0'), { name: '@scope/pkg', range: '^1.0.0' });
+      assert.deepStrictEqual(splitDescriptor('pkg@npm:other@1.0.0'), { name: 'pkg', range: 'npm:other@1.0.0' });
+      assert.deepStrictEqual(splitDescriptor('pkg'), { name: 'pkg', range: '' });
+    });
+  });
+});